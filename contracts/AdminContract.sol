@@ -1,14 +1,70 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.4.22 <0.9.0;
 
-contract AdminContract {
+import "./ForwarderRecipient.sol";
+import "./RegistryClient.sol";
+
+contract AdminContract is RegistryClient, ForwarderRecipient {
     address public owner;
-    address public medicContract;
+    // Set by transferOwnership until the new owner accepts
+    address public pendingOwner;
+
+    // Super-admins (and the owner) hold every role and manage role grants
+    bytes32 public constant SUPER_ADMIN_ROLE = keccak256("SUPER_ADMIN_ROLE");
+    // Registers and deactivates patients
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    // Registers doctors and manages their credentials and status
+    bytes32 public constant CREDENTIALING_ROLE = keccak256("CREDENTIALING_ROLE");
+    // Read-only access to admin data; enforced by the API, as views are public
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    // Accounts granted SUPER_ADMIN_ROLE (the owner is only counted when granted)
+    uint256 public superAdminCount;
+
+    // Sensitive actions that need approvals from several super-admins once
+    // approvalThreshold is above 1
+    enum ProposalAction {
+        RevokeDoctor,
+        DeactivatePatient,
+        UpdateContract,
+        GrantSuperAdmin,
+        RevokeSuperAdmin,
+        SetApprovalThreshold,
+        SetApprovalWindow,
+        SuspendDoctor,
+        SetRegistry,
+        ReinstateDoctor
+    }
+
+    struct Proposal {
+        uint256 id;
+        ProposalAction action;
+        address target; // doctor, patient, contract or account the action applies to
+        uint256 value; // registry name for UpdateContract, new threshold or window for the policy actions, license expiry for ReinstateDoctor
+        string reason;
+        address proposer;
+        uint256 createdAt;
+        uint256 expiresAt;
+        bool executed;
+        bool cancelled;
+    }
+
+    uint256 public approvalThreshold = 1;
+    uint256 public approvalWindow = 3 days;
+    uint256 public proposalCount;
+    mapping(uint256 => Proposal) private proposals;
+    mapping(uint256 => address[]) private proposalApprovers;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
 
     constructor() {
         owner = msg.sender;
     }
 
+    // Pending doctors await credential verification; suspended doctors can be
+    // reinstated, revoked ones only registered again
+    enum DoctorStatus { None, Pending, Active, Suspended, Revoked }
+
     struct Doctor {
         address id;
         string name;
@@ -16,6 +72,15 @@ contract AdminContract {
         string licenseNumber;
         bool isAuthorized;
         uint256 registrationDate;
+        DoctorStatus status;
+        uint256 licenseExpiry; // 0 means no expiry
+    }
+
+    struct DoctorStatusChange {
+        DoctorStatus status;
+        string reason;
+        address changedBy;
+        uint256 timestamp;
     }
 
     struct Patient {
@@ -32,20 +97,51 @@ contract AdminContract {
     mapping(address => Patient) public patients;
     address[] public doctorList;
     address[] public patientList;
+    // doctor => every status the doctor went through, oldest first
+    mapping(address => DoctorStatusChange[]) private doctorStatusHistory;
 
     event DoctorRegistered(address indexed doctorId, string name, string specialization);
     event DoctorRevoked(address indexed doctorId);
+    event DoctorInfoUpdated(address indexed doctorId);
+    // Registration and revocation emit DoctorRegistered and DoctorRevoked instead
+    event DoctorStatusChanged(address indexed doctorId, DoctorStatus status, string reason, uint256 licenseExpiry);
     event PatientRegistered(address indexed patientId, string name);
     event PatientDeactivated(address indexed patientId);
-    event MedicContractUpdated(address indexed newContract);
+    event PatientInfoUpdated(address indexed patientId);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event ProposalCreated(uint256 indexed proposalId, ProposalAction action, address target, uint256 value, address indexed proposer);
+    event ProposalApproved(uint256 indexed proposalId, address indexed approver);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executor);
+    event ProposalCancelled(uint256 indexed proposalId);
+    event ApprovalPolicyUpdated(uint256 threshold, uint256 window);
 
     modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner can perform this action");
+        require(_msgSender() == owner, "Only owner can perform this action");
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        require(hasRole(role, _msgSender()), "Missing required role");
+        _;
+    }
+
+    // Direct calls to sensitive actions are only allowed while a single approval is enough
+    modifier withoutMultisig() {
+        require(approvalThreshold <= 1, "Requires multi-signature approval");
         _;
     }
 
     modifier doctorExists(address doctorId) {
-        require(doctors[doctorId].isAuthorized, "Doctor does not exist or is not authorized");
+        DoctorStatus status = doctors[doctorId].status;
+        require(status != DoctorStatus.None && status != DoctorStatus.Revoked, "Doctor does not exist or is revoked");
+        _;
+    }
+
+    modifier doctorInStatus(address doctorId, DoctorStatus status, string memory message) {
+        require(doctors[doctorId].status == status, message);
         _;
     }
 
@@ -60,54 +156,153 @@ contract AdminContract {
         string memory _name,
         string memory _specialization,
         string memory _licenseNumber
-    ) public onlyOwner {
-        require(!doctors[_doctorId].isAuthorized, "Doctor already registered");
+    ) public onlyRole(CREDENTIALING_ROLE) {
+        _registerDoctor(_doctorId, _name, _specialization, _licenseNumber, DoctorStatus.Active);
+    }
+
+    // Register a doctor whose credentials still have to be verified with verifyDoctor
+    function registerPendingDoctor(
+        address _doctorId,
+        string memory _name,
+        string memory _specialization,
+        string memory _licenseNumber
+    ) public onlyRole(CREDENTIALING_ROLE) {
+        _registerDoctor(_doctorId, _name, _specialization, _licenseNumber, DoctorStatus.Pending);
+    }
+
+    function _registerDoctor(
+        address _doctorId,
+        string memory _name,
+        string memory _specialization,
+        string memory _licenseNumber,
+        DoctorStatus _status
+    ) private {
+        DoctorStatus current = doctors[_doctorId].status;
+        require(current == DoctorStatus.None || current == DoctorStatus.Revoked, "Doctor already registered");
+        // Under multi-signature a revoked doctor only returns through a ReinstateDoctor proposal
+        require(current == DoctorStatus.None || approvalThreshold <= 1, "Requires multi-signature approval");
         require(_doctorId != address(0), "Invalid doctor address");
-        
+
         doctors[_doctorId] = Doctor({
             id: _doctorId,
             name: _name,
             specialization: _specialization,
             licenseNumber: _licenseNumber,
-            isAuthorized: true,
-            registrationDate: block.timestamp
+            isAuthorized: false,
+            registrationDate: block.timestamp,
+            status: DoctorStatus.None,
+            licenseExpiry: 0
         });
-        
-        doctorList.push(_doctorId);
-        
-        if (medicContract != address(0)) {
-            (bool success, ) = medicContract.call(
-                abi.encodeWithSignature("authorizeDoctor(address)", _doctorId)
-            );
-            require(success, "Failed to authorize doctor in medic contract");
+
+        // Revoked doctors who register again are already listed
+        if (current == DoctorStatus.None) {
+            doctorList.push(_doctorId);
         }
-        
+
+        _setDoctorStatus(_doctorId, _status, "Registered");
         emit DoctorRegistered(_doctorId, _name, _specialization);
     }
 
-    function revokeDoctor(address _doctorId) public onlyOwner doctorExists(_doctorId) {
-        // Call the main contract to revoke doctor
-        if (medicContract != address(0)) {
-            (bool success, ) = medicContract.call(
-                abi.encodeWithSignature("revokeDoctor(address)", _doctorId)
-            );
-            require(success, "Failed to revoke doctor in medic contract");
-        }
+    // Record verified credentials: activates a pending doctor or renews an active doctor's license
+    function verifyDoctor(address _doctorId, uint256 _licenseExpiry, string memory _reason)
+        public
+        onlyRole(CREDENTIALING_ROLE)
+    {
+        DoctorStatus status = doctors[_doctorId].status;
+        require(status == DoctorStatus.Pending || status == DoctorStatus.Active, "Doctor is not pending or active");
+        _activateDoctor(_doctorId, _licenseExpiry, _reason);
+    }
 
-        doctors[_doctorId].isAuthorized = false;
-        
+    // Like revocation, suspension goes through a proposal under multi-signature
+    function suspendDoctor(address _doctorId, string memory _reason)
+        public
+        onlyRole(CREDENTIALING_ROLE)
+        withoutMultisig
+    {
+        _suspendDoctor(_doctorId, _reason);
+    }
+
+    function _suspendDoctor(address _doctorId, string memory _reason)
+        private
+        doctorInStatus(_doctorId, DoctorStatus.Active, "Doctor is not active")
+    {
+        require(bytes(_reason).length > 0, "Reason required");
+        _setDoctorStatus(_doctorId, DoctorStatus.Suspended, _reason);
+        emit DoctorStatusChanged(_doctorId, DoctorStatus.Suspended, _reason, doctors[_doctorId].licenseExpiry);
+    }
+
+    // Undoing a suspension goes through a ReinstateDoctor proposal under multi-signature
+    function reinstateDoctor(address _doctorId, uint256 _licenseExpiry, string memory _reason)
+        public
+        onlyRole(CREDENTIALING_ROLE)
+        withoutMultisig
+        doctorInStatus(_doctorId, DoctorStatus.Suspended, "Doctor is not suspended")
+    {
+        _activateDoctor(_doctorId, _licenseExpiry, _reason);
+    }
+
+    // Proposals may also reinstate revoked doctors, which cannot register again under multi-signature
+    function _reinstateDoctor(address _doctorId, uint256 _licenseExpiry, string memory _reason) private {
+        DoctorStatus status = doctors[_doctorId].status;
+        require(status == DoctorStatus.Suspended || status == DoctorStatus.Revoked, "Doctor is not suspended or revoked");
+        _activateDoctor(_doctorId, _licenseExpiry, _reason);
+    }
+
+    // Anyone may suspend a doctor whose license has lapsed
+    function suspendExpiredDoctor(address _doctorId)
+        public
+        doctorInStatus(_doctorId, DoctorStatus.Active, "Doctor is not active")
+    {
+        require(_isLicenseExpired(_doctorId), "License has not expired");
+        _setDoctorStatus(_doctorId, DoctorStatus.Suspended, "License expired");
+        emit DoctorStatusChanged(_doctorId, DoctorStatus.Suspended, "License expired", doctors[_doctorId].licenseExpiry);
+    }
+
+    function revokeDoctor(address _doctorId) public onlyRole(CREDENTIALING_ROLE) withoutMultisig {
+        _revokeDoctor(_doctorId);
+    }
+
+    function _revokeDoctor(address _doctorId) private doctorExists(_doctorId) {
+        _setDoctorStatus(_doctorId, DoctorStatus.Revoked, "Revoked");
         emit DoctorRevoked(_doctorId);
     }
 
+    function _activateDoctor(address _doctorId, uint256 _licenseExpiry, string memory _reason) private {
+        require(_licenseExpiry == 0 || _licenseExpiry > block.timestamp, "License expiry must be in the future");
+        require(bytes(_reason).length > 0, "Reason required");
+        doctors[_doctorId].licenseExpiry = _licenseExpiry;
+        _setDoctorStatus(_doctorId, DoctorStatus.Active, _reason);
+        emit DoctorStatusChanged(_doctorId, DoctorStatus.Active, _reason, _licenseExpiry);
+    }
+
+    // Keeps isAuthorized in step with the status; MedicContract and PatientContract read it through isDoctorAuthorized
+    function _setDoctorStatus(address _doctorId, DoctorStatus _status, string memory _reason) private {
+        Doctor storage doctor = doctors[_doctorId];
+        doctor.status = _status;
+        doctor.isAuthorized = _status == DoctorStatus.Active;
+        doctorStatusHistory[_doctorId].push(DoctorStatusChange({
+            status: _status,
+            reason: _reason,
+            changedBy: _msgSender(),
+            timestamp: block.timestamp
+        }));
+    }
+
+    function _isLicenseExpired(address _doctorId) private view returns (bool) {
+        uint256 expiry = doctors[_doctorId].licenseExpiry;
+        return expiry != 0 && expiry <= block.timestamp;
+    }
+
     function updateDoctorInfo(
         address _doctorId,
         string memory _name,
         string memory _specialization,
         string memory _licenseNumber
-    ) public onlyOwner doctorExists(_doctorId) {
+    ) public onlyRole(CREDENTIALING_ROLE) doctorExists(_doctorId) {
         doctors[_doctorId].name = _name;
         doctors[_doctorId].specialization = _specialization;
         doctors[_doctorId].licenseNumber = _licenseNumber;
+        emit DoctorInfoUpdated(_doctorId);
     }
 
     // Patient management functions
@@ -117,7 +312,7 @@ contract AdminContract {
         string memory _dateOfBirth,
         string memory _phoneNumber,
         string memory _emergencyContact
-    ) public onlyOwner {
+    ) public onlyRole(REGISTRAR_ROLE) {
         require(!patients[_patientId].isActive, "Patient already registered");
         require(_patientId != address(0), "Invalid patient address");
         
@@ -136,7 +331,11 @@ contract AdminContract {
         emit PatientRegistered(_patientId, _name);
     }
 
-    function deactivatePatient(address _patientId) public onlyOwner patientExists(_patientId) {
+    function deactivatePatient(address _patientId) public onlyRole(REGISTRAR_ROLE) withoutMultisig {
+        _deactivatePatient(_patientId);
+    }
+
+    function _deactivatePatient(address _patientId) private patientExists(_patientId) {
         patients[_patientId].isActive = false;
         emit PatientDeactivated(_patientId);
     }
@@ -147,11 +346,12 @@ contract AdminContract {
         string memory _dateOfBirth,
         string memory _phoneNumber,
         string memory _emergencyContact
-    ) public onlyOwner patientExists(_patientId) {
+    ) public onlyRole(REGISTRAR_ROLE) patientExists(_patientId) {
         patients[_patientId].name = _name;
         patients[_patientId].dateOfBirth = _dateOfBirth;
         patients[_patientId].phoneNumber = _phoneNumber;
         patients[_patientId].emergencyContact = _emergencyContact;
+        emit PatientInfoUpdated(_patientId);
     }
 
     function getAllDoctors() public view returns (Doctor[] memory) {
@@ -159,7 +359,7 @@ contract AdminContract {
         
         // Count active doctors
         for (uint256 i = 0; i < doctorList.length; i++) {
-            if (doctors[doctorList[i]].isAuthorized) {
+            if (isDoctorAuthorized(doctorList[i])) {
                 activeCount++;
             }
         }
@@ -168,7 +368,7 @@ contract AdminContract {
         uint256 index = 0;
         
         for (uint256 i = 0; i < doctorList.length; i++) {
-            if (doctors[doctorList[i]].isAuthorized) {
+            if (isDoctorAuthorized(doctorList[i])) {
                 activeDoctors[index] = doctors[doctorList[i]];
                 index++;
             }
@@ -177,6 +377,29 @@ contract AdminContract {
         return activeDoctors;
     }
 
+    function getDoctorsByStatus(DoctorStatus _status) public view returns (Doctor[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < doctorList.length; i++) {
+            if (doctors[doctorList[i]].status == _status) {
+                count++;
+            }
+        }
+
+        Doctor[] memory result = new Doctor[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < doctorList.length; i++) {
+            if (doctors[doctorList[i]].status == _status) {
+                result[index] = getDoctorInfo(doctorList[i]);
+                index++;
+            }
+        }
+        return result;
+    }
+
+    function getDoctorStatusHistory(address _doctorId) public view returns (DoctorStatusChange[] memory) {
+        return doctorStatusHistory[_doctorId];
+    }
+
     function getAllPatients() public view returns (Patient[] memory) {
         uint256 activeCount = 0;
         
@@ -200,8 +423,11 @@ contract AdminContract {
         return activePatients;
     }
 
+    // isAuthorized is false once the license has lapsed, even before suspendExpiredDoctor runs
     function getDoctorInfo(address _doctorId) public view returns (Doctor memory) {
-        return doctors[_doctorId];
+        Doctor memory doctor = doctors[_doctorId];
+        doctor.isAuthorized = isDoctorAuthorized(_doctorId);
+        return doctor;
     }
 
     function getPatientInfo(address _patientId) public view returns (Patient memory) {
@@ -209,7 +435,7 @@ contract AdminContract {
     }
 
     function isDoctorAuthorized(address _doctorId) public view returns (bool) {
-        return doctors[_doctorId].isAuthorized;
+        return doctors[_doctorId].isAuthorized && !_isLicenseExpired(_doctorId);
     }
 
     function isPatientActive(address _patientId) public view returns (bool) {
@@ -217,13 +443,212 @@ contract AdminContract {
     }
 
     // Admin functions
-    function updateMedicContract(address _newContract) public onlyOwner {
-        medicContract = _newContract;
-        emit MedicContractUpdated(_newContract);
+    // Registry entries and the registry each contract uses only change through
+    // executed update-contract and set-registry proposals
+    function _updateContract(bytes32 _name, address _newContract) private {
+        require(registry != address(0), "Registry not set");
+        IContractRegistry(registry).setContract(_name, _newContract);
     }
 
+    // Role management
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return _account == owner || roles[SUPER_ADMIN_ROLE][_account] || roles[_role][_account];
+    }
+
+    // Super-admins approve proposals, so their grants go through a proposal under multi-signature
+    function grantRole(bytes32 _role, address _account) public onlyRole(SUPER_ADMIN_ROLE) {
+        require(_role != SUPER_ADMIN_ROLE || approvalThreshold <= 1, "Requires multi-signature approval");
+        _grantRole(_role, _account);
+    }
+
+    function revokeRole(bytes32 _role, address _account) public onlyRole(SUPER_ADMIN_ROLE) {
+        require(_role != SUPER_ADMIN_ROLE || approvalThreshold <= 1, "Requires multi-signature approval");
+        _revokeRole(_role, _account);
+    }
+
+    function _grantRole(bytes32 _role, address _account) private {
+        require(_isKnownRole(_role), "Unknown role");
+        require(_account != address(0), "Invalid account address");
+        require(!roles[_role][_account], "Role already granted");
+        roles[_role][_account] = true;
+        if (_role == SUPER_ADMIN_ROLE) {
+            superAdminCount++;
+        }
+        emit RoleGranted(_role, _account, _msgSender());
+    }
+
+    function _revokeRole(bytes32 _role, address _account) private {
+        require(roles[_role][_account], "Role not granted");
+        roles[_role][_account] = false;
+        if (_role == SUPER_ADMIN_ROLE) {
+            superAdminCount--;
+            require(getApproverCount() >= approvalThreshold, "Would leave fewer super-admins than the approval threshold");
+        }
+        emit RoleRevoked(_role, _account, _msgSender());
+    }
+
+    function _isKnownRole(bytes32 _role) private pure returns (bool) {
+        return _role == SUPER_ADMIN_ROLE
+            || _role == REGISTRAR_ROLE
+            || _role == CREDENTIALING_ROLE
+            || _role == AUDITOR_ROLE;
+    }
+
+    // Ownership only moves once the new owner accepts it, so a mistyped address cannot lock the contract
     function transferOwnership(address _newOwner) public onlyOwner {
         require(_newOwner != address(0), "Invalid new owner address");
-        owner = _newOwner;
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    function cancelOwnershipTransfer() public onlyOwner {
+        require(pendingOwner != address(0), "No ownership transfer pending");
+        pendingOwner = address(0);
+    }
+
+    function acceptOwnership() public {
+        require(_msgSender() == pendingOwner, "Caller is not the pending owner");
+        emit OwnershipTransferred(owner, pendingOwner);
+        owner = pendingOwner;
+        pendingOwner = address(0);
+    }
+
+    // Multi-signature approvals
+    // Super-admins, the owner included
+    function getApproverCount() public view returns (uint256) {
+        return superAdminCount + (roles[SUPER_ADMIN_ROLE][owner] ? 0 : 1);
+    }
+
+    // Raising the threshold above 1 is a direct call; every later policy change needs a proposal
+    function setApprovalThreshold(uint256 _threshold) public onlyRole(SUPER_ADMIN_ROLE) withoutMultisig {
+        _setApprovalThreshold(_threshold);
+    }
+
+    function setApprovalWindow(uint256 _window) public onlyRole(SUPER_ADMIN_ROLE) withoutMultisig {
+        _setApprovalWindow(_window);
+    }
+
+    function _setApprovalThreshold(uint256 _threshold) private {
+        require(_threshold >= 1 && _threshold <= getApproverCount(), "Threshold must be between 1 and the number of super-admins");
+        approvalThreshold = _threshold;
+        emit ApprovalPolicyUpdated(approvalThreshold, approvalWindow);
+    }
+
+    function _setApprovalWindow(uint256 _window) private {
+        require(_window >= 1 hours && _window <= 30 days, "Approval window must be between 1 hour and 30 days");
+        approvalWindow = _window;
+        emit ApprovalPolicyUpdated(approvalThreshold, approvalWindow);
+    }
+
+    // The proposer's approval is counted straight away
+    function proposeAction(ProposalAction _action, address _target, uint256 _value, string memory _reason)
+        public
+        onlyRole(SUPER_ADMIN_ROLE)
+        returns (uint256)
+    {
+        require(bytes(_reason).length > 0, "Reason required");
+        require(_target != address(0) || _action == ProposalAction.SetApprovalThreshold || _action == ProposalAction.SetApprovalWindow, "Invalid target address");
+
+        proposalCount++;
+        proposals[proposalCount] = Proposal({
+            id: proposalCount,
+            action: _action,
+            target: _target,
+            value: _value,
+            reason: _reason,
+            proposer: _msgSender(),
+            createdAt: block.timestamp,
+            expiresAt: block.timestamp + approvalWindow,
+            executed: false,
+            cancelled: false
+        });
+
+        emit ProposalCreated(proposalCount, _action, _target, _value, _msgSender());
+        _approveProposal(proposalCount);
+        return proposalCount;
+    }
+
+    function approveProposal(uint256 _proposalId) public onlyRole(SUPER_ADMIN_ROLE) {
+        _getOpenProposal(_proposalId);
+        require(!hasApproved[_proposalId][_msgSender()], "Proposal already approved by caller");
+        _approveProposal(_proposalId);
+    }
+
+    function executeProposal(uint256 _proposalId) public onlyRole(SUPER_ADMIN_ROLE) {
+        Proposal storage proposal = _getOpenProposal(_proposalId);
+        require(getApprovalCount(_proposalId) >= approvalThreshold, "Not enough approvals");
+        proposal.executed = true;
+
+        if (proposal.action == ProposalAction.RevokeDoctor) {
+            _revokeDoctor(proposal.target);
+        } else if (proposal.action == ProposalAction.DeactivatePatient) {
+            _deactivatePatient(proposal.target);
+        } else if (proposal.action == ProposalAction.UpdateContract) {
+            _updateContract(bytes32(proposal.value), proposal.target);
+        } else if (proposal.action == ProposalAction.GrantSuperAdmin) {
+            _grantRole(SUPER_ADMIN_ROLE, proposal.target);
+        } else if (proposal.action == ProposalAction.RevokeSuperAdmin) {
+            _revokeRole(SUPER_ADMIN_ROLE, proposal.target);
+        } else if (proposal.action == ProposalAction.SetApprovalThreshold) {
+            _setApprovalThreshold(proposal.value);
+        } else if (proposal.action == ProposalAction.SetApprovalWindow) {
+            _setApprovalWindow(proposal.value);
+        } else if (proposal.action == ProposalAction.SuspendDoctor) {
+            _suspendDoctor(proposal.target, proposal.reason);
+        } else if (proposal.action == ProposalAction.ReinstateDoctor) {
+            _reinstateDoctor(proposal.target, proposal.value, proposal.reason);
+        } else {
+            IRegistryClient(proposal.target).setRegistry(address(uint160(proposal.value)));
+        }
+
+        emit ProposalExecuted(_proposalId, _msgSender());
+    }
+
+    function cancelProposal(uint256 _proposalId) public {
+        Proposal storage proposal = _getOpenProposal(_proposalId);
+        require(_msgSender() == proposal.proposer || _msgSender() == owner, "Only the proposer or owner can cancel");
+        proposal.cancelled = true;
+        emit ProposalCancelled(_proposalId);
+    }
+
+    // Approvals only count while the approver is still a super-admin
+    function getApprovalCount(uint256 _proposalId) public view returns (uint256 count) {
+        address[] storage approvers = proposalApprovers[_proposalId];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (hasRole(SUPER_ADMIN_ROLE, approvers[i])) {
+                count++;
+            }
+        }
+    }
+
+    function getProposal(uint256 _proposalId) public view returns (Proposal memory) {
+        require(proposals[_proposalId].id != 0, "Proposal not found");
+        return proposals[_proposalId];
+    }
+
+    function getProposals() public view returns (Proposal[] memory) {
+        Proposal[] memory result = new Proposal[](proposalCount);
+        for (uint256 i = 0; i < proposalCount; i++) {
+            result[i] = proposals[i + 1];
+        }
+        return result;
+    }
+
+    function getProposalApprovers(uint256 _proposalId) public view returns (address[] memory) {
+        return proposalApprovers[_proposalId];
+    }
+
+    function _approveProposal(uint256 _proposalId) private {
+        hasApproved[_proposalId][_msgSender()] = true;
+        proposalApprovers[_proposalId].push(_msgSender());
+        emit ProposalApproved(_proposalId, _msgSender());
+    }
+
+    function _getOpenProposal(uint256 _proposalId) private view returns (Proposal storage proposal) {
+        proposal = proposals[_proposalId];
+        require(proposal.id != 0, "Proposal not found");
+        require(!proposal.executed, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(block.timestamp <= proposal.expiresAt, "Proposal expired");
     }
-}
\ No newline at end of file
+}
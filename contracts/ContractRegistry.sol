@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+// Single source of the platform's contract addresses. AdminContract,
+// MedicContract and PatientContract look each other up here, so replacing a
+// contract only takes one entry update. Entries are keyed by
+// keccak256 of the contract name, e.g. keccak256("MedicContract").
+contract ContractRegistry {
+    bytes32 public constant ADMIN_CONTRACT = keccak256("AdminContract");
+
+    mapping(bytes32 => address) private contracts;
+    // Every name ever registered, in registration order
+    bytes32[] private names;
+
+    event ContractUpdated(bytes32 indexed name, address indexed previousAddress, address indexed newAddress);
+
+    // The initial entries must include AdminContract, which alone updates
+    // them afterwards (when an update-contract proposal executes)
+    constructor(bytes32[] memory _names, address[] memory _contracts) {
+        require(_names.length == _contracts.length, "Names and addresses length mismatch");
+        for (uint256 i = 0; i < _names.length; i++) {
+            _setContract(_names[i], _contracts[i]);
+        }
+        require(contracts[ADMIN_CONTRACT] != address(0), "AdminContract must be registered");
+    }
+
+    modifier onlyAdminContract() {
+        require(msg.sender == contracts[ADMIN_CONTRACT], "Only admin contract can update the registry");
+        _;
+    }
+
+    function setContract(bytes32 _name, address _contract) public onlyAdminContract {
+        _setContract(_name, _contract);
+    }
+
+    function _setContract(bytes32 _name, address _contract) private {
+        require(_contract != address(0), "Invalid contract address");
+        address previous = contracts[_name];
+        if (previous == address(0)) {
+            names.push(_name);
+        }
+        contracts[_name] = _contract;
+        emit ContractUpdated(_name, previous, _contract);
+    }
+
+    // address(0) if the name was never registered
+    function getContract(bytes32 _name) public view returns (address) {
+        return contracts[_name];
+    }
+
+    function getContractNames() public view returns (bytes32[] memory) {
+        return names;
+    }
+}
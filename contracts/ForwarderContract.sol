@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+// Relays EIP-712 signed calls to contracts that trust it, appending the
+// original signer to the calldata (ERC-2771).
+contract ForwarderContract {
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 private constant FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    string public constant NAME = "BlockHealthForwarder";
+    string public constant VERSION = "1";
+
+    mapping(address => uint256) private nonces;
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce, bool success);
+
+    function getNonce(address _from) public view returns (uint256) {
+        return nonces[_from];
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes(NAME)),
+                keccak256(bytes(VERSION)),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    function verify(ForwardRequest calldata _req, bytes calldata _signature) public view returns (bool) {
+        if (_req.deadline != 0 && _req.deadline < block.timestamp) {
+            return false;
+        }
+        if (nonces[_req.from] != _req.nonce) {
+            return false;
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                FORWARD_REQUEST_TYPEHASH,
+                _req.from,
+                _req.to,
+                _req.gas,
+                _req.nonce,
+                _req.deadline,
+                keccak256(_req.data)
+            )
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+
+        address signer = _recover(digest, _signature);
+        return signer != address(0) && signer == _req.from;
+    }
+
+    function execute(ForwardRequest calldata _req, bytes calldata _signature)
+        public
+        returns (bool, bytes memory)
+    {
+        require(verify(_req, _signature), "Forwarder: signature does not match request");
+        nonces[_req.from] = _req.nonce + 1;
+
+        (bool success, bytes memory result) = _req.to.call{gas: _req.gas}(
+            abi.encodePacked(_req.data, _req.from)
+        );
+
+        // Make sure the relayer supplied enough gas for the inner call (EIP-150)
+        if (gasleft() <= _req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        if (!success) {
+            // Bubble up the revert reason of the target contract
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit RequestExecuted(_req.from, _req.to, _req.nonce, success);
+        return (success, result);
+    }
+
+    function _recover(bytes32 _digest, bytes calldata _signature) private pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := calldataload(_signature.offset)
+            s := calldataload(add(_signature.offset, 32))
+            v := byte(0, calldataload(add(_signature.offset, 64)))
+        }
+
+        if (v < 27) {
+            v += 27;
+        }
+        // Reject malleable signatures (upper half of the curve order)
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        if (v != 27 && v != 28) {
+            return address(0);
+        }
+
+        return ecrecover(_digest, v, r, s);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./RegistryClient.sol";
+
+// Base for contracts that accept calls relayed by ForwarderContract.
+// When the trusted forwarder calls, the original signer is read from the
+// last 20 bytes of calldata instead of msg.sender. The trusted forwarder is
+// the ForwarderContract entry in the registry, so it can only be replaced
+// through the registry.
+abstract contract ForwarderRecipient is RegistryClient {
+    bytes32 internal constant FORWARDER_CONTRACT = keccak256("ForwarderContract");
+
+    function trustedForwarder() public view returns (address) {
+        return _resolve(FORWARDER_CONTRACT);
+    }
+
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder();
+    }
+
+    function _msgSender() internal view returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+}
@@ -1,17 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.4.22 <0.9.0;
 
-contract MedicContract {
+import "./ForwarderRecipient.sol";
+import "./RegistryClient.sol";
+
+contract MedicContract is RegistryClient, ForwarderRecipient {
 
     address public owner;
-    address public adminContract;
-    address public patientContract;
+
+    // Record type doctors need consent for to read doctor-authored records
+    string public constant MEDICAL_RECORD_TYPE = "Medical Record";
 
     constructor() {
         owner = msg.sender; 
     }
 
     struct MedicalRecord {
+        uint256 recordId;
         string cid;
         string fileName;
         address patientId;
@@ -20,29 +25,48 @@ contract MedicContract {
         address doctorId;
         uint256 timestamp;
         bool isActive;
+        uint256 version;
     }
 
+    // One version of a record's content; version 1 is the original
+    struct RecordVersion {
+        uint256 version;
+        string cid;
+        string fileName;
+        string diagnosis;
+        string treatment;
+        address author;
+        uint256 timestamp;
+        string reason;
+    }
+
+    mapping(address => MedicalRecord[]) private patientRecords;
 
-    mapping(address => MedicalRecord[]) public patientRecords;
-    mapping(address => bool) public authorizedDoctors;
+    // Record IDs start at 1 and are never reused
+    uint256 public recordCount;
+    // record ID => patient and position in patientRecords (records are never removed)
+    mapping(uint256 => address) private recordPatient;
+    mapping(uint256 => uint256) private recordPosition;
+    // record ID => version chain, oldest first (empty until the record is first amended)
+    mapping(uint256 => RecordVersion[]) private recordVersions;
 
-    event RecordAdded(string cid, address patientId, address doctorId);
-    event RecordDeactivated(address patientId, uint256 recordIndex);
-    event AdminContractUpdated(address newAdminContract);
-    event PatientContractUpdated(address newPatientContract);
+    event RecordAdded(uint256 indexed recordId, string cid, address patientId, address doctorId);
+    event RecordAmended(uint256 indexed recordId, uint256 version, string cid, address patientId, address doctorId, string reason);
+    event RecordDeactivated(uint256 indexed recordId, address patientId, address doctorId, string reason);
+    event RecordReactivated(uint256 indexed recordId, address patientId, address doctorId, string reason);
 
     modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner can perform this action");
+        require(_msgSender() == owner, "Only owner can perform this action");
         _;
     }
 
     modifier onlyAdmin() {
-        require(msg.sender == adminContract || msg.sender == owner, "Only admin can perform this action");
+        require(_msgSender() == adminContract() || _msgSender() == owner, "Only admin can perform this action");
         _;
     }
     modifier onlyAuthorizedDoctor() {
         require(
-            authorizedDoctors[msg.sender],
+            isDoctorAuthorized(_msgSender()),
             "Not an authorized medical provider"
         );
         _;
@@ -54,11 +78,12 @@ contract MedicContract {
     }
 
     function _isPatientActive(address patientId) private view returns (bool) {
-        if (adminContract == address(0)) {
+        address admin = adminContract();
+        if (admin == address(0)) {
             revert("Admin contract address is not set");
         }
 
-        (bool success, bytes memory data) = adminContract.staticcall(
+        (bool success, bytes memory data) = admin.staticcall(
             abi.encodeWithSignature("isPatientActive(address)", patientId)
         );
 
@@ -69,22 +94,43 @@ contract MedicContract {
         return abi.decode(data, (bool));
     }
 
-    function setAdminContract(address _adminContract) public onlyOwner {
-        adminContract = _adminContract;
-        emit AdminContractUpdated(_adminContract);
+    function _queryPatientContract(bytes memory _call) private view returns (bool) {
+        address patient = patientContract();
+        if (patient == address(0)) {
+            return false;
+        }
+
+        (bool success, bytes memory data) = patient.staticcall(_call);
+        return success && abi.decode(data, (bool));
     }
 
-    function setPatientContract(address _patientContract) public onlyOwner {
-        patientContract = _patientContract;
-        emit PatientContractUpdated(_patientContract);
+    function _hasPatientConsent(address _patientId, address _doctorId) private view returns (bool) {
+        return _queryPatientContract(abi.encodeWithSignature(
+            "hasConsentForType(address,address,string)",
+            _patientId,
+            _doctorId,
+            MEDICAL_RECORD_TYPE
+        ));
     }
 
-    function authorizeDoctor(address _doctorId) public onlyAdmin {
-        authorizedDoctors[_doctorId] = true;
+    function _hasEmergencyAccess(address _patientId, address _doctorId) private view returns (bool) {
+        return _queryPatientContract(abi.encodeWithSignature(
+            "hasEmergencyAccess(address,address)",
+            _patientId,
+            _doctorId
+        ));
     }
 
-    function revokeDoctor(address _doctorId) public onlyAdmin {
-        authorizedDoctors[_doctorId] = false;
+    // Break-glass access only covers active records. Super-admins (including the owner) read all records.
+    function _requireRecordAccess(address _caller, address _patientId, bool _allowEmergency) private view {
+        if (_caller == _patientId || _caller == adminContract() || _caller == patientContract() || _isSuperAdmin(_caller)) {
+            return;
+        }
+        require(isDoctorAuthorized(_caller), "Unauthorized access");
+        if (_allowEmergency && _hasEmergencyAccess(_patientId, _caller)) {
+            return;
+        }
+        require(_hasPatientConsent(_patientId, _caller), "No consent from patient");
     }
 
        function addMedicalRecordByAdmin(
@@ -95,10 +141,35 @@ contract MedicContract {
         string memory _treatment,
         address _doctorId
     ) public onlyAdmin patientActive(_patientId) {
-        require(authorizedDoctors[_doctorId], "Specified doctor is not authorized");
-        
+        require(isDoctorAuthorized(_doctorId), "Specified doctor is not authorized");
+        _addRecord(_cid, _fileName, _patientId, _diagnosis, _treatment, _doctorId);
+    }
+    
+    function addMedicalRecord(
+        string memory _cid,
+        string memory _fileName,
+        address _patientId,
+        string memory _diagnosis,
+        string memory _treatment
+    ) public onlyAuthorizedDoctor patientActive(_patientId) {
+        _addRecord(_cid, _fileName, _patientId, _diagnosis, _treatment, _msgSender());
+    }
+
+    function _addRecord(
+        string memory _cid,
+        string memory _fileName,
+        address _patientId,
+        string memory _diagnosis,
+        string memory _treatment,
+        address _doctorId
+    ) private {
+        uint256 recordId = ++recordCount;
+        recordPatient[recordId] = _patientId;
+        recordPosition[recordId] = patientRecords[_patientId].length;
+
         patientRecords[_patientId].push(
             MedicalRecord({
+                recordId: recordId,
                 cid: _cid,
                 fileName: _fileName,
                 patientId: _patientId,
@@ -106,51 +177,153 @@ contract MedicContract {
                 treatment: _treatment,
                 doctorId: _doctorId,
                 timestamp: block.timestamp,
-                isActive: true
+                isActive: true,
+                version: 1
             })
         );
-        emit RecordAdded(_cid, _patientId, _doctorId);
+        emit RecordAdded(recordId, _cid, _patientId, _doctorId);
     }
-    
-    function addMedicalRecord(
+
+    function _getRecord(uint256 _recordId) private view returns (MedicalRecord storage) {
+        address patientId = recordPatient[_recordId];
+        require(patientId != address(0), "Record not found");
+        return patientRecords[patientId][recordPosition[_recordId]];
+    }
+
+    function amendMedicalRecordByAdmin(
+        uint256 _recordId,
+        address _patientId,
         string memory _cid,
         string memory _fileName,
+        string memory _diagnosis,
+        string memory _treatment,
+        string memory _reason,
+        address _doctorId
+    ) public onlyAdmin {
+        require(isDoctorAuthorized(_doctorId), "Specified doctor is not authorized");
+        _amendRecord(_recordId, _patientId, _cid, _fileName, _diagnosis, _treatment, _reason, _doctorId);
+    }
+
+    function amendMedicalRecord(
+        uint256 _recordId,
         address _patientId,
+        string memory _cid,
+        string memory _fileName,
         string memory _diagnosis,
-        string memory _treatment
-    ) public onlyAuthorizedDoctor patientActive(_patientId) {
-        patientRecords[_patientId].push(
-            MedicalRecord({
-                cid: _cid,
-                fileName: _fileName,
-                patientId: _patientId,
+        string memory _treatment,
+        string memory _reason
+    ) public onlyAuthorizedDoctor {
+        _amendRecord(_recordId, _patientId, _cid, _fileName, _diagnosis, _treatment, _reason, _msgSender());
+    }
+
+    // An empty CID keeps the current file; the record itself always holds the latest version
+    function _amendRecord(
+        uint256 _recordId,
+        address _patientId,
+        string memory _cid,
+        string memory _fileName,
+        string memory _diagnosis,
+        string memory _treatment,
+        string memory _reason,
+        address _doctorId
+    ) private {
+        MedicalRecord storage record = _getRecord(_recordId);
+        require(record.patientId == _patientId, "Record not found");
+        require(_isPatientActive(_patientId), "Patient not active");
+        require(record.isActive, "Record is not active");
+        // Consent lets other doctors read a record, not rewrite its author's findings
+        require(record.doctorId == _doctorId, "Not authorized to amend this record");
+        require(bytes(_reason).length > 0, "Amendment reason required");
+
+        RecordVersion[] storage versions = recordVersions[_recordId];
+        if (versions.length == 0) {
+            versions.push(_originalVersion(record));
+        }
+
+        if (bytes(_cid).length > 0) {
+            record.cid = _cid;
+            record.fileName = _fileName;
+        }
+        record.diagnosis = _diagnosis;
+        record.treatment = _treatment;
+        record.version++;
+
+        versions.push(
+            RecordVersion({
+                version: record.version,
+                cid: record.cid,
+                fileName: record.fileName,
                 diagnosis: _diagnosis,
                 treatment: _treatment,
-                doctorId: msg.sender,
+                author: _doctorId,
                 timestamp: block.timestamp,
-                isActive: true
+                reason: _reason
             })
         );
-        emit RecordAdded(_cid, _patientId, msg.sender);
+        emit RecordAmended(_recordId, record.version, record.cid, _patientId, _doctorId, _reason);
     }
 
-   function deactivateRecord(address _patientId, uint256 _recordIndex) public onlyAuthorizedDoctor patientActive(_patientId) {
-       require(_recordIndex < patientRecords[_patientId].length, "Invalid record index");
-       require(
-           patientRecords[_patientId][_recordIndex].doctorId == msg.sender,
-           "Only record creator can deactivate"
-       );
-       patientRecords[_patientId][_recordIndex].isActive = false;
-       emit RecordDeactivated(_patientId, _recordIndex);
+    function _originalVersion(MedicalRecord storage _record) private view returns (RecordVersion memory) {
+        return RecordVersion({
+            version: 1,
+            cid: _record.cid,
+            fileName: _record.fileName,
+            diagnosis: _record.diagnosis,
+            treatment: _record.treatment,
+            author: _record.doctorId,
+            timestamp: _record.timestamp,
+            reason: ""
+        });
+    }
+
+   function deactivateRecord(uint256 _recordId, string memory _reason) public onlyAuthorizedDoctor {
+       MedicalRecord storage record = _getCreatorRecord(_recordId, _reason);
+       require(record.isActive, "Record is already inactive");
+       record.isActive = false;
+       emit RecordDeactivated(_recordId, record.patientId, _msgSender(), _reason);
+   }
+
+   function reactivateRecord(uint256 _recordId, string memory _reason) public onlyAuthorizedDoctor {
+       MedicalRecord storage record = _getCreatorRecord(_recordId, _reason);
+       require(!record.isActive, "Record is already active");
+       record.isActive = true;
+       emit RecordReactivated(_recordId, record.patientId, _msgSender(), _reason);
+   }
+
+   // Only the doctor who created a record may change its status, and must say why
+   function _getCreatorRecord(uint256 _recordId, string memory _reason) private view returns (MedicalRecord storage) {
+       MedicalRecord storage record = _getRecord(_recordId);
+       require(_isPatientActive(record.patientId), "Patient not active");
+       require(record.doctorId == _msgSender(), "Only record creator can change its status");
+       require(bytes(_reason).length > 0, "Reason required");
+       return record;
+   }
+
+   function getMedicalRecord(uint256 _recordId) public view returns (MedicalRecord memory) {
+       MedicalRecord storage record = _getRecord(_recordId);
+       _requireRecordAccess(_msgSender(), record.patientId, record.isActive);
+       return record;
+   }
+
+   function getRecordVersions(uint256 _recordId) public view returns (RecordVersion[] memory) {
+       MedicalRecord storage record = _getRecord(_recordId);
+       _requireRecordAccess(_msgSender(), record.patientId, record.isActive);
+
+       if (recordVersions[_recordId].length == 0) {
+           RecordVersion[] memory original = new RecordVersion[](1);
+           original[0] = _originalVersion(record);
+           return original;
+       }
+       return recordVersions[_recordId];
    }
 
    function getMedicalRecords(address _patientId) public view returns (MedicalRecord[] memory) {
-       require(msg.sender == _patientId || msg.sender == adminContract ||  authorizedDoctors[msg.sender], "Unauthorized access");
+       _requireRecordAccess(_msgSender(), _patientId, false);
        return patientRecords[_patientId];
    }
 
    function getActiveMedicalRecords(address _patientId) public view returns (MedicalRecord[] memory) {
-       require(msg.sender == _patientId || msg.sender == patientContract || authorizedDoctors[msg.sender], "Unauthorized access");
+       _requireRecordAccess(_msgSender(), _patientId, true);
        uint256 activeCount = 0;
        MedicalRecord[] storage records = patientRecords[_patientId];
 
@@ -171,8 +344,17 @@ contract MedicContract {
         return activeRecords;
    }
 
+   // Read from AdminContract, so suspensions, revocations and lapsed licenses apply at once
    function isDoctorAuthorized(address _doctorId) public view returns (bool) {
-        return authorizedDoctors[_doctorId];
+        address admin = adminContract();
+        if (admin == address(0)) {
+            return false;
+        }
+
+        (bool success, bytes memory data) = admin.staticcall(
+            abi.encodeWithSignature("isDoctorAuthorized(address)", _doctorId)
+        );
+        return success && abi.decode(data, (bool));
     }
 
     function transferOwnership(address _newOwner) public onlyOwner {
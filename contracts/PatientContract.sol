@@ -1,16 +1,18 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.4.22 <0.9.0;
 
-contract PatientContract {
-    address public medicContract;
-    address public adminContract;
+import "./ForwarderRecipient.sol";
+import "./RegistryClient.sol";
 
-    constructor(address _medicContract, address _adminContract) {
-        medicContract = _medicContract;
-        adminContract = _adminContract;
+contract PatientContract is RegistryClient, ForwarderRecipient {
+    address public owner;
+
+    constructor() {
+        owner = msg.sender;
     }
 
     struct MedicalRecord {
+        uint256 recordId;
         string cid;
         string fileName;
         address patientId;
@@ -19,9 +21,11 @@ contract PatientContract {
         address doctorId;
         uint256 timestamp;
         bool isActive;
+        uint256 version;
     }
 
     struct SelfUploadedRecord {
+        uint256 recordId;
         string cid;
         string fileName;
         string recordType;
@@ -38,15 +42,79 @@ contract PatientContract {
         uint256 lastUpdated;
     }
 
-    mapping(address => SelfUploadedRecord[]) public patientSelfRecords;
+    struct Consent {
+        address doctorId;
+        string[] recordTypes; // empty means every record type
+        uint256 grantedAt;
+        uint256 expiresAt; // 0 means no expiry
+        bool isActive;
+    }
+
+    struct EmergencyAccess {
+        address doctorId;
+        string justification;
+        uint256 grantedAt;
+        uint256 expiresAt;
+        bool flagged;
+        address flaggedBy;
+        string flagReason;
+    }
+
+    // How long break-glass access to a patient's active records lasts
+    uint256 public constant EMERGENCY_ACCESS_DURATION = 4 hours;
+
+    mapping(address => SelfUploadedRecord[]) private patientSelfRecords;
+    // Self-record IDs start at 1 and are never reused, even after a record is deleted
+    uint256 public selfRecordCount;
+    // record ID => patient, and position in patientSelfRecords + 1 (0 once deleted)
+    mapping(uint256 => address) private selfRecordPatient;
+    mapping(uint256 => uint256) private selfRecordSlot;
     mapping(address => PatientProfile) public patientProfiles;
+    // patient => doctor => consent
+    mapping(address => mapping(address => Consent)) private consents;
+    // patient => doctors that were ever granted consent
+    mapping(address => address[]) private consentDoctors;
+    // patient => append-only break-glass log
+    mapping(address => EmergencyAccess[]) private emergencyAccessLog;
+    // patient => doctor => end of the doctor's current break-glass access
+    mapping(address => mapping(address => uint256)) private emergencyAccessUntil;
 
-    event SelfRecordUploaded(address indexed patientId, string cid, string fileName);
-    event ProfileUpdated(address indexed patientId);
+    event SelfRecordUploaded(address indexed patientId, uint256 indexed recordId, string cid, string fileName);
+    event SelfRecordUpdated(address indexed patientId, uint256 indexed recordId);
+    event SelfRecordDeleted(address indexed patientId, uint256 indexed recordId);
+    // Carries the full profile so its change history can be read from the logs
+    event ProfileUpdated(
+        address indexed patientId,
+        address updatedBy,
+        string name,
+        string email,
+        string phoneNumber,
+        bool profileCompleted
+    );
     event PatientRegistered(address indexed patientId);
+    event ConsentGranted(address indexed patientId, address indexed doctorId, uint256 expiresAt);
+    event ConsentRevoked(address indexed patientId, address indexed doctorId);
+    event EmergencyAccessGranted(
+        address indexed patientId,
+        address indexed doctorId,
+        uint256 accessId,
+        string justification,
+        uint256 expiresAt
+    );
+    event EmergencyAccessFlagged(
+        address indexed patientId,
+        uint256 indexed accessId,
+        address indexed flaggedBy,
+        string reason
+    );
+
+    modifier onlyOwner() {
+        require(_msgSender() == owner, "Only owner can perform this action");
+        _;
+    }
 
     modifier onlyPatient() {
-        require(isPatientRegistered(msg.sender), "Patient not registered");
+        require(isPatientRegistered(_msgSender()), "Patient not registered");
         _;
     }
 
@@ -57,18 +125,24 @@ contract PatientContract {
 
     modifier onlyPatientOrDoctor(address patientId) {
         require(
-            msg.sender == patientId || 
-            isDoctorAuthorized(msg.sender),
+            _isPatientOrSuperAdmin(patientId, _msgSender()) || 
+            isDoctorAuthorized(_msgSender()),
             "Not authorized"
         );
         _;
     }
 
 
-    // Doctor authorization check
+    // The patient and super-admins (including the owner) read without consent
+    function _isPatientOrSuperAdmin(address patientId, address caller) private view returns (bool) {
+        return caller == patientId || _isSuperAdmin(caller);
+    }
+
+    // Doctor authorization check (AdminContract applies license expiry)
     function isDoctorAuthorized(address caller) public view returns (bool) {
-        if (medicContract != address(0)) {
-            (bool success, bytes memory data) = medicContract.staticcall(
+        address admin = adminContract();
+        if (admin != address(0)) {
+            (bool success, bytes memory data) = admin.staticcall(
                 abi.encodeWithSignature("isDoctorAuthorized(address)", caller)
             );
             return success && abi.decode(data, (bool));
@@ -77,15 +151,16 @@ contract PatientContract {
     }
     // Check if patient is registered in the admin contract
     function isPatientRegistered(address patientId) public view returns (bool) {
-            (bool success, bytes memory data) = adminContract.staticcall(
+            (bool success, bytes memory data) = adminContract().staticcall(
                 abi.encodeWithSignature("isPatientActive(address)", patientId)
             );
         return success && abi.decode(data, (bool));
     }
 
     function _isPatientActiveInAdmin(address patientId) private view returns (bool) {
-        if (adminContract != address(0)) {
-            (bool success, bytes memory data) = adminContract.staticcall(
+        address admin = adminContract();
+        if (admin != address(0)) {
+            (bool success, bytes memory data) = admin.staticcall(
                 abi.encodeWithSignature("isPatientActive(address)", patientId)
             );
             return success && abi.decode(data, (bool));
@@ -100,12 +175,36 @@ contract PatientContract {
         string memory _email,
         string memory _phoneNumber
     ) public onlyPatient {
-        patientProfiles[msg.sender].name = _name;
-        patientProfiles[msg.sender].email = _email;
-        patientProfiles[msg.sender].phoneNumber = _phoneNumber;
-        patientProfiles[msg.sender].lastUpdated = block.timestamp;
-        
-        emit ProfileUpdated(msg.sender);
+        _setProfile(_msgSender(), _name, _email, _phoneNumber);
+    }
+
+    // Set up a newly registered patient's profile from their approved registration request
+    function initializeProfileByAdmin(
+        address _patientId,
+        string memory _name,
+        string memory _email,
+        string memory _phoneNumber
+    ) public onlyOwner onlyValidPatient(_patientId) {
+        require(patientProfiles[_patientId].lastUpdated == 0, "Profile already initialized");
+        emit PatientRegistered(_patientId);
+        _setProfile(_patientId, _name, _email, _phoneNumber);
+    }
+
+    // A profile is complete once name, email and phone number are all filled in
+    function _setProfile(
+        address _patientId,
+        string memory _name,
+        string memory _email,
+        string memory _phoneNumber
+    ) private {
+        PatientProfile storage profile = patientProfiles[_patientId];
+        profile.name = _name;
+        profile.email = _email;
+        profile.phoneNumber = _phoneNumber;
+        profile.profileCompleted = bytes(_name).length > 0 && bytes(_email).length > 0 && bytes(_phoneNumber).length > 0;
+        profile.lastUpdated = block.timestamp;
+
+        emit ProfileUpdated(_patientId, _msgSender(), _name, _email, _phoneNumber, profile.profileCompleted);
     }
 
     // Upload medical record by patient themselves
@@ -115,10 +214,33 @@ contract PatientContract {
         string memory _recordType,
         string memory _description
     ) public onlyPatient {
+        _addSelfRecord(_msgSender(), _cid, _fileName, _recordType, _description);
+    }
+
+    // Upload a self-record for a patient whose file the API stored on their behalf
+    function uploadSelfRecordByAdmin(
+        address _patientId,
+        string memory _cid,
+        string memory _fileName,
+        string memory _recordType,
+        string memory _description
+    ) public onlyOwner onlyValidPatient(_patientId) {
+        _addSelfRecord(_patientId, _cid, _fileName, _recordType, _description);
+    }
+
+    function _addSelfRecord(
+        address patient,
+        string memory _cid,
+        string memory _fileName,
+        string memory _recordType,
+        string memory _description
+    ) internal {
         require(bytes(_cid).length > 0, "CID cannot be empty");
         require(bytes(_fileName).length > 0, "File name cannot be empty");
         
+        uint256 recordId = ++selfRecordCount;
         SelfUploadedRecord memory newRecord = SelfUploadedRecord({
+            recordId: recordId,
             cid: _cid,
             fileName: _fileName,
             recordType: _recordType,
@@ -127,28 +249,39 @@ contract PatientContract {
             isEncrypted: true
         });
         
-        patientSelfRecords[msg.sender].push(newRecord);
+        patientSelfRecords[patient].push(newRecord);
+        selfRecordPatient[recordId] = patient;
+        selfRecordSlot[recordId] = patientSelfRecords[patient].length;
         
-        emit SelfRecordUploaded(msg.sender, _cid, _fileName);
+        emit SelfRecordUploaded(patient, recordId, _cid, _fileName);
+    }
+
+    // Storage position of one of the patient's self-records
+    function _selfRecordIndex(address patient, uint256 _recordId) private view returns (uint256) {
+        require(selfRecordPatient[_recordId] == patient && selfRecordSlot[_recordId] != 0, "Record not found");
+        return selfRecordSlot[_recordId] - 1;
     }
 
     // Get all self-uploaded records for a patient
     function getMySelfRecords() public view onlyPatient returns (SelfUploadedRecord[] memory) {
-        return patientSelfRecords[msg.sender];
+        address patient = _msgSender();
+        return patientSelfRecords[patient];
     }
 
     // Get specific self-uploaded record
-    function getMySelfRecord(uint256 _index) public view onlyPatient returns (SelfUploadedRecord memory) {
-        require(_index < patientSelfRecords[msg.sender].length, "Record index out of bounds");
-        return patientSelfRecords[msg.sender][_index];
+    function getMySelfRecord(uint256 _recordId) public view onlyPatient returns (SelfUploadedRecord memory) {
+        address patient = _msgSender();
+        return patientSelfRecords[patient][_selfRecordIndex(patient, _recordId)];
     }
 
     // Get all medical records from main contract (doctor-uploaded records)
     function getMyMedicalRecords() public view onlyPatient returns (MedicalRecord[] memory) {
-        require(medicContract != address(0), "Main contract not set");
+        address patient = _msgSender();
+        address medic = medicContract();
+        require(medic != address(0), "Main contract not set");
 
-        (bool success, bytes memory data) = medicContract.staticcall(
-            abi.encodeWithSignature("getActiveMedicalRecords(address)", msg.sender)
+        (bool success, bytes memory data) = medic.staticcall(
+            abi.encodeWithSignature("getActiveMedicalRecords(address)", patient)
         );
         
         require(success, "Failed to fetch medical records");
@@ -157,7 +290,8 @@ contract PatientContract {
 
     // Get patient profile
     function getMyProfile() public view onlyPatient returns (PatientProfile memory) {
-        return patientProfiles[msg.sender];
+        address patient = _msgSender();
+        return patientProfiles[patient];
     }
 
     // Get patient profile by address (for authorized access)
@@ -168,31 +302,177 @@ contract PatientContract {
 
     // Get count of self-uploaded records
     function getMySelfRecordCount() public view onlyPatient returns (uint256) {
-        return patientSelfRecords[msg.sender].length;
+        address patient = _msgSender();
+        return patientSelfRecords[patient].length;
     }
 
     // Delete a self-uploaded record
-    function deleteSelfRecord(uint256 _index) public onlyPatient {
-        require(_index < patientSelfRecords[msg.sender].length, "Record index out of bounds");
+    function deleteSelfRecord(uint256 _recordId) public onlyPatient {
+        address patient = _msgSender();
+        uint256 index = _selfRecordIndex(patient, _recordId);
         
-        // Move the last element to the deleted position and pop
-        uint256 lastIndex = patientSelfRecords[msg.sender].length - 1;
-        if (_index != lastIndex) {
-            patientSelfRecords[msg.sender][_index] = patientSelfRecords[msg.sender][lastIndex];
+        // Move the last element to the deleted position and pop; IDs are unaffected
+        uint256 lastIndex = patientSelfRecords[patient].length - 1;
+        if (index != lastIndex) {
+            SelfUploadedRecord storage moved = patientSelfRecords[patient][lastIndex];
+            patientSelfRecords[patient][index] = moved;
+            selfRecordSlot[moved.recordId] = index + 1;
         }
-        patientSelfRecords[msg.sender].pop();
+        patientSelfRecords[patient].pop();
+        selfRecordSlot[_recordId] = 0;
+
+        emit SelfRecordDeleted(patient, _recordId);
     }
 
     // Update a self-uploaded record
     function updateSelfRecord(
-        uint256 _index,
+        uint256 _recordId,
         string memory _recordType,
         string memory _description
     ) public onlyPatient {
-        require(_index < patientSelfRecords[msg.sender].length, "Record index out of bounds");
+        address patient = _msgSender();
+        uint256 index = _selfRecordIndex(patient, _recordId);
         
-        patientSelfRecords[msg.sender][_index].recordType = _recordType;
-        patientSelfRecords[msg.sender][_index].description = _description;
+        patientSelfRecords[patient][index].recordType = _recordType;
+        patientSelfRecords[patient][index].description = _description;
+
+        emit SelfRecordUpdated(patient, _recordId);
+    }
+
+    // Grant a doctor access to the caller's records, optionally limited to some record types
+    function grantConsent(
+        address _doctorId,
+        string[] memory _recordTypes,
+        uint256 _expiresAt
+    ) public onlyPatient {
+        address patient = _msgSender();
+        require(isDoctorAuthorized(_doctorId), "Doctor not authorized");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry must be in the future");
+
+        Consent storage consent = consents[patient][_doctorId];
+        if (consent.doctorId == address(0)) {
+            consent.doctorId = _doctorId;
+            consentDoctors[patient].push(_doctorId);
+        }
+        consent.recordTypes = _recordTypes;
+        consent.grantedAt = block.timestamp;
+        consent.expiresAt = _expiresAt;
+        consent.isActive = true;
+
+        emit ConsentGranted(patient, _doctorId, _expiresAt);
+    }
+
+    // Revoke a doctor's access to the caller's records
+    function revokeConsent(address _doctorId) public onlyPatient {
+        address patient = _msgSender();
+        require(consents[patient][_doctorId].isActive, "No active consent for doctor");
+
+        consents[patient][_doctorId].isActive = false;
+
+        emit ConsentRevoked(patient, _doctorId);
+    }
+
+    // Get every consent the caller has granted, including revoked and expired ones
+    function getMyConsents() public view onlyPatient returns (Consent[] memory) {
+        address patient = _msgSender();
+        address[] storage doctors = consentDoctors[patient];
+
+        Consent[] memory patientConsents = new Consent[](doctors.length);
+        for (uint256 i = 0; i < doctors.length; i++) {
+            patientConsents[i] = consents[patient][doctors[i]];
+        }
+        return patientConsents;
+    }
+
+    // Get a single consent (for the patient or the doctor it was granted to)
+    function getConsent(address patientId, address doctorId) public view returns (Consent memory) {
+        address caller = _msgSender();
+        require(caller == patientId || caller == doctorId, "Not authorized");
+        return consents[patientId][doctorId];
+    }
+
+    // Check if a doctor currently holds an active, unexpired consent
+    function hasConsent(address patientId, address doctorId) public view returns (bool) {
+        Consent storage consent = consents[patientId][doctorId];
+        return consent.isActive &&
+            (consent.expiresAt == 0 || consent.expiresAt > block.timestamp) &&
+            isDoctorAuthorized(doctorId);
+    }
+
+    // Check if a doctor's consent covers a record type
+    function hasConsentForType(
+        address patientId,
+        address doctorId,
+        string memory recordType
+    ) public view returns (bool) {
+        if (!hasConsent(patientId, doctorId)) {
+            return false;
+        }
+
+        string[] storage recordTypes = consents[patientId][doctorId].recordTypes;
+        if (recordTypes.length == 0) {
+            return true;
+        }
+        for (uint256 i = 0; i < recordTypes.length; i++) {
+            if (keccak256(bytes(recordTypes[i])) == keccak256(bytes(recordType))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Break-glass: a doctor without consent gets temporary access to a patient's
+    // active records. Every use is logged for the patient and admin to review.
+    function breakGlass(address patientId, string memory justification)
+        public
+        onlyValidPatient(patientId)
+        returns (uint256)
+    {
+        address doctor = _msgSender();
+        require(isDoctorAuthorized(doctor), "Not an authorized medical provider");
+        require(bytes(justification).length > 0, "Justification is required");
+
+        uint256 expiresAt = block.timestamp + EMERGENCY_ACCESS_DURATION;
+        emergencyAccessLog[patientId].push(EmergencyAccess({
+            doctorId: doctor,
+            justification: justification,
+            grantedAt: block.timestamp,
+            expiresAt: expiresAt,
+            flagged: false,
+            flaggedBy: address(0),
+            flagReason: ""
+        }));
+        emergencyAccessUntil[patientId][doctor] = expiresAt;
+
+        uint256 accessId = emergencyAccessLog[patientId].length - 1;
+        emit EmergencyAccessGranted(patientId, doctor, accessId, justification, expiresAt);
+        return accessId;
+    }
+
+    // Check if a doctor currently holds break-glass access
+    function hasEmergencyAccess(address patientId, address doctorId) public view returns (bool) {
+        return emergencyAccessUntil[patientId][doctorId] > block.timestamp && isDoctorAuthorized(doctorId);
+    }
+
+    // Get the break-glass log of a patient (for the patient or a super-admin)
+    function getEmergencyAccessLog(address patientId) public view returns (EmergencyAccess[] memory) {
+        require(_isPatientOrSuperAdmin(patientId, _msgSender()), "Not authorized");
+        return emergencyAccessLog[patientId];
+    }
+
+    // Flag a break-glass access for follow-up (by the patient, the owner or a super-admin)
+    function flagEmergencyAccess(address patientId, uint256 accessId, string memory reason) public {
+        address caller = _msgSender();
+        require(caller == patientId || caller == owner || _isSuperAdmin(caller), "Not authorized");
+        require(accessId < emergencyAccessLog[patientId].length, "Invalid access ID");
+
+        EmergencyAccess storage access = emergencyAccessLog[patientId][accessId];
+        require(!access.flagged, "Access already flagged");
+        access.flagged = true;
+        access.flaggedBy = caller;
+        access.flagReason = reason;
+
+        emit EmergencyAccessFlagged(patientId, accessId, caller, reason);
     }
 
     // Emergency function to verify patient identity
@@ -203,23 +483,47 @@ contract PatientContract {
         return (false, "");
     }
 
-    // Admin functions (can be called by contract admin)
-    function updateMedicContract(address _newContract) public {
-        require(msg.sender == adminContract, "Only admin can update");
-        medicContract = _newContract;
-    }
+    // Get self-uploaded records for a patient. Doctors only see the record types
+    // the patient has consented to.
+    function getPatientSelfRecords(address patientId) public view 
+        onlyValidPatient(patientId)
+        onlyPatientOrDoctor(patientId)
+        returns (SelfUploadedRecord[] memory)
+    {
+        address caller = _msgSender();
+        if (_isPatientOrSuperAdmin(patientId, caller)) {
+            return patientSelfRecords[patientId];
+        }
+        require(hasConsent(patientId, caller), "No consent from patient");
 
-    function updateAdminContract(address _newContract) public {
-        require(msg.sender == adminContract, "Only admin can update");
-        adminContract = _newContract;
+        SelfUploadedRecord[] storage records = patientSelfRecords[patientId];
+        uint256 allowedCount = 0;
+        for (uint256 i = 0; i < records.length; i++) {
+            if (hasConsentForType(patientId, caller, records[i].recordType)) allowedCount++;
+        }
+
+        SelfUploadedRecord[] memory allowedRecords = new SelfUploadedRecord[](allowedCount);
+        uint256 currentIndex = 0;
+        for (uint256 i = 0; i < records.length; i++) {
+            if (hasConsentForType(patientId, caller, records[i].recordType)) {
+                allowedRecords[currentIndex] = records[i];
+                currentIndex++;
+            }
+        }
+        return allowedRecords;
     }
 
-    // Get all self-uploaded records for a patient (for admin/doctor access)
-    function getPatientSelfRecords(address patientId) public view 
+    // Get one self-uploaded record (doctors need consent covering its record type)
+    function getPatientSelfRecord(address patientId, uint256 recordId) public view
         onlyValidPatient(patientId)
         onlyPatientOrDoctor(patientId)
-        returns (SelfUploadedRecord[] memory)
+        returns (SelfUploadedRecord memory)
     {
-        return patientSelfRecords[patientId];
+        SelfUploadedRecord storage record = patientSelfRecords[patientId][_selfRecordIndex(patientId, recordId)];
+        address caller = _msgSender();
+        if (!_isPatientOrSuperAdmin(patientId, caller)) {
+            require(hasConsentForType(patientId, caller, record.recordType), "No consent from patient");
+        }
+        return record;
     }
 }
\ No newline at end of file
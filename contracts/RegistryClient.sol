@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+interface IContractRegistry {
+    function getContract(bytes32 _name) external view returns (address);
+    function setContract(bytes32 _name, address _contract) external;
+}
+
+interface IRegistryClient {
+    function setRegistry(address _registry) external;
+}
+
+// Base for contracts that look up the other platform contracts in
+// ContractRegistry instead of keeping their own copies of the addresses.
+abstract contract RegistryClient {
+    bytes32 internal constant ADMIN_CONTRACT = keccak256("AdminContract");
+    bytes32 internal constant MEDIC_CONTRACT = keccak256("MedicContract");
+    bytes32 internal constant PATIENT_CONTRACT = keccak256("PatientContract");
+    bytes32 private constant SUPER_ADMIN_ROLE = keccak256("SUPER_ADMIN_ROLE");
+
+    address public registry;
+    // May only point the contract at its first registry
+    address private immutable deployer;
+
+    event RegistryUpdated(address indexed newRegistry);
+
+    constructor() {
+        deployer = msg.sender;
+    }
+
+    function adminContract() public view returns (address) {
+        return _resolve(ADMIN_CONTRACT);
+    }
+
+    function medicContract() public view returns (address) {
+        return _resolve(MEDIC_CONTRACT);
+    }
+
+    function patientContract() public view returns (address) {
+        return _resolve(PATIENT_CONTRACT);
+    }
+
+    // After the first registry is set, moving to another one takes a
+    // set-registry proposal executed by AdminContract
+    function setRegistry(address _registry) public {
+        if (registry == address(0)) {
+            require(msg.sender == deployer, "Only deployer can set the first registry");
+        } else {
+            require(msg.sender == adminContract(), "Only admin contract can change the registry");
+        }
+        require(_registry != address(0), "Invalid registry address");
+        registry = _registry;
+        emit RegistryUpdated(_registry);
+    }
+
+    // Super-admins (and the AdminContract owner) as reported by AdminContract
+    function _isSuperAdmin(address _account) internal view returns (bool) {
+        address admin = _resolve(ADMIN_CONTRACT);
+        if (admin == address(0)) {
+            return false;
+        }
+
+        (bool success, bytes memory data) = admin.staticcall(
+            abi.encodeWithSignature("hasRole(bytes32,address)", SUPER_ADMIN_ROLE, _account)
+        );
+        return success && abi.decode(data, (bool));
+    }
+
+    // address(0) until the registry is set and has the entry
+    function _resolve(bytes32 _name) internal view returns (address) {
+        if (registry == address(0)) {
+            return address(0);
+        }
+        return IContractRegistry(registry).getContract(_name);
+    }
+}
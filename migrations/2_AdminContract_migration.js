@@ -1,11 +1,6 @@
 const AdminContract = artifacts.require('AdminContract');
-const MedicContract = artifacts.require('MedicContract');
 
-module.exports = async function (deployer, network, accounts) {
+// Wired to the other contracts through ContractRegistry (5_ContractRegistry_migration.js)
+module.exports = async function (deployer) {
   await deployer.deploy(AdminContract);
-  const admin = await AdminContract.deployed();
-
-  const medic = await MedicContract.deployed();
-
-  await medic.setAdminContract(admin.address, { from: accounts[0] });
 };
@@ -0,0 +1,10 @@
+// 4_ForwarderContract_migration.js
+const ForwarderContract = artifacts.require('ForwarderContract');
+
+module.exports = async function (deployer) {
+  // The contracts trust the forwarder once migration 5 registers it in ContractRegistry
+  await deployer.deploy(ForwarderContract);
+  const forwarderInstance = await ForwarderContract.deployed();
+
+  console.log('ForwarderContract deployed at:', forwarderInstance.address);
+};
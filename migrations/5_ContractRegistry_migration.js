@@ -0,0 +1,36 @@
+// 5_ContractRegistry_migration.js
+const ContractRegistry = artifacts.require('ContractRegistry');
+const AdminContract = artifacts.require('AdminContract');
+const MedicContract = artifacts.require('MedicContract');
+const PatientContract = artifacts.require('PatientContract');
+const ForwarderContract = artifacts.require('ForwarderContract');
+
+module.exports = async function (deployer, network, accounts) {
+  const adminInstance = await AdminContract.deployed();
+  const medicInstance = await MedicContract.deployed();
+  const patientInstance = await PatientContract.deployed();
+  const forwarderInstance = await ForwarderContract.deployed();
+
+  // Register every contract when the registry is deployed, then point the
+  // contracts at the registry so they all resolve the same addresses.
+  // Later changes go through AdminContract proposals.
+  const entries = {
+    AdminContract: adminInstance.address,
+    MedicContract: medicInstance.address,
+    PatientContract: patientInstance.address,
+    ForwarderContract: forwarderInstance.address
+  };
+  await deployer.deploy(
+    ContractRegistry,
+    Object.keys(entries).map(name => web3.utils.keccak256(name)),
+    Object.values(entries)
+  );
+  const registryInstance = await ContractRegistry.deployed();
+
+  await adminInstance.setRegistry(registryInstance.address, { from: accounts[0] });
+  await medicInstance.setRegistry(registryInstance.address, { from: accounts[0] });
+  await patientInstance.setRegistry(registryInstance.address, { from: accounts[0] });
+
+  console.log('ContractRegistry deployed at:', registryInstance.address);
+  Object.entries(entries).forEach(([name, address]) => console.log(`Registered ${name}:`, address));
+};
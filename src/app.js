@@ -5,10 +5,15 @@ const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const path = require('path');
 
+const authRoutes = require('./routes/authRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const doctorRoutes = require('./routes/doctorRoutes');
 const patientRoutes = require('./routes/patientRoutes');
 const fileRoutes  = require('./routes/fileRoutes');
+const relayRoutes = require('./routes/relayRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+const { notFound, errorHandler } = require('./middleware/errorMiddleware');
+const { ERROR_CODES } = require('./utils/errorUtils');
 
 dotenv.config();
 const app = express();
@@ -31,6 +36,38 @@ const swaggerOptions = {
         description: 'Development server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Session token issued by /api/auth/verify',
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          description: 'Body of every error response',
+          properties: {
+            success: { type: 'boolean', example: false },
+            code: {
+              type: 'string',
+              enum: Object.keys(ERROR_CODES),
+              description: 'Machine-readable error code; see "Error codes" in the README',
+            },
+            message: { type: 'string' },
+            reason: {
+              type: 'string',
+              description: 'Decoded revert reason, when a contract rejected the call',
+            },
+            data: {
+              description: 'Extra context, e.g. the state of a queued upload',
+            },
+          },
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
   },
   apis: [__dirname + '/routes/*.js'], // Path to the API docs
 };
@@ -39,10 +76,16 @@ const swaggerDocs = swaggerJsDoc(swaggerOptions);
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
+app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/doctor', doctorRoutes);
 app.use('/api/patient', patientRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/relay', relayRoutes);
+app.use('/api/transactions', transactionRoutes);
+
+app.use('/api', notFound);
+app.use(errorHandler);
 
 const { setupContract } = require('./utils/contractUtils');
 setupContract(app);
@@ -1,7 +1,141 @@
 const { ethers } = require('ethers');
+const { isValidCID, pinCID, unpinCID, listPins } = require('../ipfs/ipfs');
+const { UPLOAD_STATUS, listUploads } = require('../utils/uploadQueue');
+const {
+    REGISTRATION_STATUS,
+    getRegistrationRequest,
+    listRegistrationRequests,
+    updateRegistrationRequest
+} = require('../utils/registrationQueue');
+const { ADMIN_ROLES } = require('../utils/roleUtils');
+const { relaySignedCall, registerCallValidator } = require('../utils/relayUtils');
+const { createApiError } = require('../utils/errorUtils');
+const { waitForTransaction, isAsyncRequest, acceptTransaction } = require('../utils/txTracker');
+const { REGISTRY_CONTRACTS, getContractName, checkContractWiring } = require('../utils/registryUtils');
+const {
+    getIndexedBlock,
+    resolveReadConsistency,
+    listIndexedDoctors,
+    listIndexedPatients,
+    queryEvents
+} = require('../indexer/eventIndex');
+const { INDEXED_CONTRACTS, getIndexerStatus } = require('../indexer/eventIndexer');
 
 let adminContract;
 let medicContract;
+let patientContract;
+let forwarderContract;
+let registryContract;
+
+// AdminContract's DoctorStatus enum, in declaration order
+const DOCTOR_STATUSES = ['none', 'pending', 'active', 'suspended', 'revoked'];
+
+// AdminContract's ProposalAction enum, in declaration order
+const PROPOSAL_ACTIONS = [
+    'revoke-doctor',
+    'deactivate-patient',
+    'update-contract',
+    'grant-super-admin',
+    'revoke-super-admin',
+    'set-approval-threshold',
+    'set-approval-window',
+    'suspend-doctor',
+    'set-registry',
+    'reinstate-doctor'
+];
+
+registerCallValidator('AdminContract', 'proposeAction', ([action, , value, reason]) => {
+    if (Number(action) >= PROPOSAL_ACTIONS.length) {
+        throw createApiError('VALIDATION_ERROR', `action must be the index of one of: ${PROPOSAL_ACTIONS.join(', ')}`);
+    }
+    if (PROPOSAL_ACTIONS[Number(action)] === 'update-contract' && !getContractName(ethers.toBeHex(value, 32))) {
+        throw createApiError('VALIDATION_ERROR', `value must be the registry key of one of: ${Object.keys(REGISTRY_CONTRACTS).join(', ')}`);
+    }
+    // reinstate-doctor proposals carry the new license expiry, checked again when they execute
+    if (PROPOSAL_ACTIONS[Number(action)] === 'reinstate-doctor' && BigInt(value) !== 0n && BigInt(value) <= BigInt(Math.floor(Date.now() / 1000))) {
+        throw createApiError('INVALID_EXPIRY', 'value must be 0 or a future license expiry in Unix seconds');
+    }
+    // set-registry proposals carry the new registry address as a number
+    if (PROPOSAL_ACTIONS[Number(action)] === 'set-registry' && (BigInt(value) === 0n || BigInt(value) >= 2n ** 160n)) {
+        throw createApiError('VALIDATION_ERROR', 'value must be the address of the new registry');
+    }
+    if (!reason.trim()) {
+        throw createApiError('REASON_REQUIRED');
+    }
+});
+
+// Registration details must not be blank, whichever endpoint relays the call
+const requireDetails = (fields) => ([, ...details]) => {
+    if (details.some(detail => !detail.trim())) {
+        throw createApiError('VALIDATION_ERROR', `All fields are required: ${fields.join(', ')}`);
+    }
+};
+const DOCTOR_FIELDS = ['doctorId', 'name', 'specialization', 'licenseNumber'];
+registerCallValidator('AdminContract', 'registerDoctor', requireDetails(DOCTOR_FIELDS));
+registerCallValidator('AdminContract', 'registerPendingDoctor', requireDetails(DOCTOR_FIELDS));
+registerCallValidator('AdminContract', 'registerPatient',
+    requireDetails(['patientId', 'name', 'dateOfBirth', 'phoneNumber', 'emergencyContact']));
+
+// Doctor status changes are recorded with their reason
+const requireReason = (reason) => {
+    if (!reason.trim()) {
+        throw createApiError('REASON_REQUIRED');
+    }
+};
+registerCallValidator('AdminContract', 'verifyDoctor', ([, , reason]) => requireReason(reason));
+registerCallValidator('AdminContract', 'reinstateDoctor', ([, , reason]) => requireReason(reason));
+registerCallValidator('AdminContract', 'suspendDoctor', ([, reason]) => requireReason(reason));
+
+/**
+ * Reject direct calls to actions that need multi-signature approval
+ * @throws {Error} - APPROVAL_REQUIRED if the approval threshold is above 1
+ */
+const requireSingleApproval = async (action) => {
+    const threshold = await adminContract.approvalThreshold();
+    if (threshold > 1n) {
+        throw createApiError('APPROVAL_REQUIRED', `${action} needs ${threshold} super-admin approvals: propose it with POST /api/admin/proposals`);
+    }
+};
+
+/**
+ * Decode the AdminContract call a relay request body was signed for
+ * @returns {Object|null} - Parsed call, or null if the body has no request data
+ */
+const parseSignedCall = (body) => {
+    const request = body.request || {};
+    return request.data ? adminContract.interface.parseTransaction({ data: request.data }) : null;
+};
+
+/**
+ * Check that a signed call is for the doctor, patient or role in the URL.
+ * Calls to another function are left for relaySignedCall to reject.
+ * @param {Array} expected - Leading arguments the call must have
+ */
+const signedCallMatches = (body, functionName, expected) => {
+    const signedCall = parseSignedCall(body);
+    return !signedCall || signedCall.name !== functionName ||
+        expected.every((value, i) => String(signedCall.args[i]).toLowerCase() === String(value).toLowerCase());
+};
+
+/**
+ * Relay a signed AdminContract call for the authenticated user, so the
+ * contract checks their role and records them rather than the API wallet
+ * @returns {Promise<Object>} - { args, receipt }, or { args, accepted } with the 202 fields for ?async=true
+ */
+const relayAdminCall = async (req, functionName) => {
+    const { args, receipt, tx } = await relaySignedCall(
+        { adminContract, forwarderContract },
+        req.user.address,
+        req.body,
+        'AdminContract',
+        functionName,
+        { wait: !isAsyncRequest(req) }
+    );
+    if (tx) {
+        return { args, accepted: acceptTransaction(tx, functionName, req.user.address) };
+    }
+    return { args, receipt };
+};
 
 /**
  * Initialize contracts - this function should be called when the app starts
@@ -9,112 +143,105 @@ let medicContract;
 const initializeContracts = (contracts) => {
     adminContract = contracts.adminContract;
     medicContract = contracts.medicContract;
+    patientContract = contracts.patientContract;
+    forwarderContract = contracts.forwarderContract;
+    registryContract = contracts.registryContract;
 };
 
 /**
  * Add a new doctor to the system
+ * The credentialing officer signs AdminContract.registerDoctor(doctorId, name,
+ * specialization, licenseNumber) via /api/relay/prepare, or registerPendingDoctor
+ * for a doctor whose credentials still have to be verified.
  */
-const addDoctor = async (req, res) => {
+const addDoctor = async (req, res, next) => {
     try {
-        const { doctorId, name, specialization, licenseNumber } = req.body;
-
-        // Validate required fields
-        if (!doctorId || !name || !specialization || !licenseNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required: doctorId, name, specialization, licenseNumber'
-            });
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
-        // Validate Ethereum address
-        if (!ethers.isAddress(doctorId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for doctorId'
-            });
-        }
+        // Pending doctors are only authorized once their credentials are verified
+        const signedCall = parseSignedCall(req.body);
+        const isPending = Boolean(signedCall) && signedCall.name === 'registerPendingDoctor';
+        const registerFunction = isPending ? 'registerPendingDoctor' : 'registerDoctor';
 
-        if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
+        const { args, receipt, accepted } = await relayAdminCall(req, registerFunction);
+        const [doctorId, name, specialization, licenseNumber] = args;
+
+        if (accepted) {
+            return res.status(202).json({
+                success: true,
+                message: 'Doctor registration submitted',
+                data: {
+                    doctorId,
+                    name,
+                    specialization,
+                    licenseNumber,
+                    ...accepted
+                }
             });
         }
 
-        // Call the smart contract to register doctor
-        const tx = await adminContract.registerDoctor(
-            doctorId,
-            name,
-            specialization,
-            licenseNumber
-        );
-
-        const receipt = await tx.wait();
-
         res.status(201).json({
             success: true,
-            message: 'Doctor registered successfully',
+            message: isPending ? 'Doctor registered, pending credential verification' : 'Doctor registered successfully',
             data: {
                 doctorId,
                 name,
                 specialization,
                 licenseNumber,
+                status: isPending ? 'pending' : 'active',
                 transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber
             }
         });
 
     } catch (error) {
-        console.error('Error adding doctor:', error);
-        
-        let errorMessage = 'Failed to add doctor';
-        if (error.message.includes('already registered')) {
-            errorMessage = 'Doctor is already registered';
-        } else if (error.message.includes('Only owner')) {
-            errorMessage = 'Only contract owner can add doctors';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
  * Revoke a doctor from the system
+ * The credentialing officer signs AdminContract.revokeDoctor(doctorId) via /api/relay/prepare.
  */
-const revokeDoctor = async (req, res) => {
+const revokeDoctor = async (req, res, next) => {
     try {
         const { doctorId } = req.params;
 
         if (!ethers.isAddress(doctorId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for doctorId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for doctorId'));
         }
 
-        if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        if (!signedCallMatches(req.body, 'revokeDoctor', [doctorId])) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request revokes a different doctor than the one in the URL'));
         }
 
-        // Check if doctor exists and is authorized
+        await requireSingleApproval('Revoking a doctor');
+
+        // Pending and suspended doctors can be revoked too
         const doctorInfo = await adminContract.getDoctorInfo(doctorId);
-        if (!doctorInfo.isAuthorized) {
-            return res.status(404).json({
-                success: false,
-                message: 'Doctor not found or already revoked'
-            });
+        const status = DOCTOR_STATUSES[Number(doctorInfo.status)];
+        if (status === 'none' || status === 'revoked') {
+            return next(createApiError('DOCTOR_NOT_FOUND', 'Doctor not found or already revoked'));
         }
 
-        const tx = await adminContract.revokeDoctor(doctorId);
+        const { receipt, accepted } = await relayAdminCall(req, 'revokeDoctor');
 
-        const receipt = await tx.wait();
+        if (accepted) {
+            return res.status(202).json({
+                success: true,
+                message: 'Doctor revocation submitted',
+                data: {
+                    doctorId,
+                    ...accepted
+                }
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -127,62 +254,200 @@ const revokeDoctor = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error revoking doctor:', error);
-        
-        let errorMessage = 'Failed to revoke doctor';
-        if (error.message.includes('does not exist')) {
-            errorMessage = 'Doctor does not exist or is not authorized';
-        } else if (error.message.includes('Only owner')) {
-            errorMessage = 'Only contract owner can revoke doctors';
+        next(error);
+    }
+};
+
+/**
+ * Format a doctor struct from AdminContract
+ */
+const formatDoctor = (doctor) => ({
+    id: doctor.id,
+    name: doctor.name,
+    specialization: doctor.specialization,
+    licenseNumber: doctor.licenseNumber,
+    isAuthorized: doctor.isAuthorized,
+    status: DOCTOR_STATUSES[Number(doctor.status)],
+    licenseExpiry: doctor.licenseExpiry > 0n
+        ? new Date(Number(doctor.licenseExpiry) * 1000).toISOString()
+        : null,
+    registrationDate: new Date(Number(doctor.registrationDate) * 1000).toISOString()
+});
+
+/**
+ * Move a doctor to another status
+ * Shared by verifyDoctor, suspendDoctor and reinstateDoctor. The credentialing
+ * officer signs the call via /api/relay/prepare; the contract checks the
+ * transition is allowed from the doctor's current status.
+ * @param {string} functionName - AdminContract function to relay
+ * @param {string} action - Past-tense verb used in messages
+ * @param {boolean} withExpiry - Whether the function takes a license expiry
+ * @param {string} [approvalAction] - Set for changes that need a proposal under multi-signature
+ */
+const changeDoctorStatus = async (req, res, next, functionName, action, withExpiry, approvalAction = null) => {
+    try {
+        const { doctorId } = req.params;
+
+        if (!ethers.isAddress(doctorId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for doctorId'));
+        }
+
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        if (!signedCallMatches(req.body, functionName, [doctorId])) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request is for a different doctor than the one in the URL'));
+        }
+
+        if (approvalAction) {
+            await requireSingleApproval(approvalAction);
+        }
+
+        const { args, receipt, accepted } = await relayAdminCall(req, functionName);
+        const reason = withExpiry ? args[2] : args[1];
+
+        if (accepted) {
+            return res.status(202).json({
+                success: true,
+                message: 'Doctor status change submitted',
+                data: {
+                    doctorId,
+                    reason,
+                    ...accepted
+                }
+            });
         }
 
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
+        const doctor = await adminContract.getDoctorInfo(doctorId);
+
+        res.status(200).json({
+            success: true,
+            message: `Doctor ${action} successfully`,
+            data: {
+                ...formatDoctor(doctor),
+                reason,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
         });
+
+    } catch (error) {
+        next(error);
     }
 };
 
 /**
- * Add a new patient to the system
+ * Verify a doctor's credentials: activates a pending doctor, or renews the
+ * license expiry of an active one
+ */
+const verifyDoctor = (req, res, next) => changeDoctorStatus(req, res, next, 'verifyDoctor', 'verified', true);
+
+/**
+ * Suspend an active doctor (a suspend-doctor proposal under multi-signature, like revocation)
+ */
+const suspendDoctor = (req, res, next) => changeDoctorStatus(req, res, next, 'suspendDoctor', 'suspended', false, 'Suspending a doctor');
+
+/**
+ * Reinstate a suspended doctor, with a new license expiry if it had lapsed
+ * (a reinstate-doctor proposal under multi-signature, so one key cannot undo a suspension)
+ */
+const reinstateDoctor = (req, res, next) => changeDoctorStatus(req, res, next, 'reinstateDoctor', 'reinstated', true, 'Reinstating a doctor');
+
+/**
+ * Get a doctor's status history, oldest first
  */
-const addPatient = async (req, res) => {
+const getDoctorStatusHistory = async (req, res, next) => {
     try {
-        const { patientId, name, dateOfBirth, phoneNumber, emergencyContact } = req.body;
+        const { doctorId } = req.params;
 
-        // Validate required fields
-        if (!patientId || !name || !dateOfBirth || !phoneNumber || !emergencyContact) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required: patientId, name, dateOfBirth, phoneNumber, emergencyContact'
-            });
+        if (!ethers.isAddress(doctorId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for doctorId'));
         }
 
-        if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
-        if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+        const doctor = await adminContract.getDoctorInfo(doctorId);
+        if (Number(doctor.status) === 0) {
+            return next(createApiError('DOCTOR_NOT_FOUND', 'Doctor not found'));
         }
 
-        // Call the smart contract to register patient
-        const tx = await adminContract.registerPatient(
-            patientId,
-            name,
-            dateOfBirth,
-            phoneNumber,
-            emergencyContact
-        );
+        const history = await adminContract.getDoctorStatusHistory(doctorId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Doctor status history retrieved successfully',
+            data: {
+                doctor: formatDoctor(doctor),
+                history: history.map(change => ({
+                    status: DOCTOR_STATUSES[Number(change.status)],
+                    reason: change.reason,
+                    changedBy: change.changedBy,
+                    timestamp: new Date(Number(change.timestamp) * 1000).toISOString()
+                }))
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Suspend active doctors whose license has lapsed
+ * Called periodically (see DOCTOR_LICENSE_CHECK_INTERVAL_SECONDS in contractUtils).
+ * Lapsed doctors already lose authorization on-chain; this records the suspension.
+ */
+const suspendExpiredDoctors = async () => {
+    if (!adminContract) return;
+
+    const block = await adminContract.runner.provider.getBlock('latest');
+    const doctors = await adminContract.getDoctorsByStatus(DOCTOR_STATUSES.indexOf('active'));
+    const expired = doctors.filter(doctor =>
+        doctor.licenseExpiry > 0n && doctor.licenseExpiry <= BigInt(block.timestamp)
+    );
+
+    for (const doctor of expired) {
+        try {
+            const tx = await adminContract.suspendExpiredDoctor(doctor.id);
+            await waitForTransaction(tx, 'suspendExpiredDoctor');
+            console.log(`Doctor ${doctor.id} suspended: license expired`);
+        } catch (error) {
+            console.error(`Suspending doctor ${doctor.id} with an expired license failed:`, error.message);
+        }
+    }
+};
+
+/**
+ * Add a new patient to the system
+ * The registrar signs AdminContract.registerPatient(patientId, name, dateOfBirth,
+ * phoneNumber, emergencyContact) via /api/relay/prepare.
+ */
+const addPatient = async (req, res, next) => {
+    try {
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const { args, receipt, accepted } = await relayAdminCall(req, 'registerPatient');
+        const [patientId, name, dateOfBirth, phoneNumber, emergencyContact] = args;
 
-        const receipt = await tx.wait();
+        if (accepted) {
+            return res.status(202).json({
+                success: true,
+                message: 'Patient registration submitted',
+                data: {
+                    patientId,
+                    name,
+                    dateOfBirth,
+                    phoneNumber,
+                    emergencyContact,
+                    ...accepted
+                }
+            });
+        }
 
         res.status(201).json({
             success: true,
@@ -199,56 +464,50 @@ const addPatient = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error adding patient:', error);
-        
-        let errorMessage = 'Failed to add patient';
-        if (error.message.includes('already registered')) {
-            errorMessage = 'Patient is already registered';
-        } else if (error.message.includes('Only owner')) {
-            errorMessage = 'Only contract owner can add patients';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
  * Remove (deactivate) a patient from the system
+ * The registrar signs AdminContract.deactivatePatient(patientId) via /api/relay/prepare.
  */
-const deactivatePatient = async (req, res) => {
+const deactivatePatient = async (req, res, next) => {
     try {
         const { patientId } = req.params;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
-        if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        if (!signedCallMatches(req.body, 'deactivatePatient', [patientId])) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request deactivates a different patient than the one in the URL'));
         }
 
+        await requireSingleApproval('Deactivating a patient');
+
         const patientInfo = await adminContract.getPatientInfo(patientId);
         if (!patientInfo.isActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Patient not found or already deactivated'
-            });
+            return next(createApiError('PATIENT_NOT_FOUND', 'Patient not found or already deactivated'));
         }
 
-        const tx = await adminContract.deactivatePatient(patientId);
+        const { receipt, accepted } = await relayAdminCall(req, 'deactivatePatient');
 
-        const receipt = await tx.wait();
+        if (accepted) {
+            return res.status(202).json({
+                success: true,
+                message: 'Patient deactivation submitted',
+                data: {
+                    patientId,
+                    ...accepted
+                }
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -261,95 +520,1002 @@ const deactivatePatient = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error removing patient:', error);
-        
-        let errorMessage = 'Failed to remove patient';
-        if (error.message.includes('does not exist')) {
-            errorMessage = 'Patient does not exist or is not active';
-        } else if (error.message.includes('Only owner')) {
-            errorMessage = 'Only contract owner can remove patients';
+        next(error);
+    }
+};
+
+/**
+ * List patient registration requests (pending ones by default)
+ */
+const getRegistrationRequests = async (req, res, next) => {
+    try {
+        const { status = REGISTRATION_STATUS.PENDING } = req.query;
+
+        if (status !== 'all' && !Object.values(REGISTRATION_STATUS).includes(status)) {
+            return next(createApiError('VALIDATION_ERROR', `status must be one of: ${Object.values(REGISTRATION_STATUS).join(', ')}, all`));
         }
 
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
+        res.status(200).json({
+            success: true,
+            message: 'Registration requests retrieved successfully',
+            data: listRegistrationRequests({ status: status === 'all' ? undefined : status })
         });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a registration request that is still waiting for review
+ * @returns {Object}
+ * @throws {Error} - REGISTRATION_NOT_FOUND, or CONFLICT if it was already reviewed
+ */
+const getPendingRegistration = (req) => {
+    const request = getRegistrationRequest(req.params.requestId);
+    if (!request) {
+        throw createApiError('REGISTRATION_NOT_FOUND');
     }
+    if (request.status !== REGISTRATION_STATUS.PENDING) {
+        throw createApiError('CONFLICT', `Registration request is already ${request.status}`);
+    }
+    return request;
 };
 
 /**
- * Get all doctors in the system
+ * Approve a registration request: register the patient in AdminContract and
+ * set up their PatientContract profile. Steps that already happened (e.g. on
+ * a retry after a failed transaction) are skipped.
  */
-const getAllDoctors = async (req, res) => {
+const approveRegistrationRequest = async (req, res, next) => {
     try {
-        if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+        if (!adminContract || !patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
+        }
+
+        const request = getPendingRegistration(req);
+
+        const { patientId, name, dateOfBirth, phoneNumber, emergencyContact, email } = request;
+
+        let receipt = null;
+        if (!(await adminContract.isPatientActive(patientId))) {
+            const tx = await adminContract.registerPatient(patientId, name, dateOfBirth, phoneNumber, emergencyContact);
+            receipt = await waitForTransaction(tx, 'registerPatient', req.user.address);
+        }
+
+        const profile = await patientContract.patientProfiles(patientId);
+        if (profile.lastUpdated === 0n) {
+            const tx = await patientContract.initializeProfileByAdmin(patientId, name, email, phoneNumber);
+            receipt = await waitForTransaction(tx, 'initializeProfileByAdmin', req.user.address);
         }
 
-        const doctors = await adminContract.getAllDoctors();
+        const approved = updateRegistrationRequest(request.id, {
+            status: REGISTRATION_STATUS.APPROVED,
+            reviewedBy: req.user.address,
+            transactionHash: receipt ? receipt.hash : null
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Doctors retrieved successfully',
-            data: doctors.map(doctor => ({
-                id: doctor.id,
-                name: doctor.name,
-                specialization: doctor.specialization,
-                licenseNumber: doctor.licenseNumber,
-                isAuthorized: doctor.isAuthorized,
-                registrationDate: new Date(Number(doctor.registrationDate) * 1000).toISOString()
-            }))
+            message: 'Registration request approved and patient registered',
+            data: approved
         });
 
     } catch (error) {
-        console.error('Error getting all doctors:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve doctors',
-            error: error.message
+        next(error);
+    }
+};
+
+/**
+ * Reject a registration request; the address may submit a new one
+ */
+const rejectRegistrationRequest = async (req, res, next) => {
+    try {
+        const { reason } = req.body || {};
+
+        const request = getPendingRegistration(req);
+
+        const rejected = updateRegistrationRequest(request.id, {
+            status: REGISTRATION_STATUS.REJECTED,
+            reviewedBy: req.user.address,
+            rejectionReason: reason || null
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Registration request rejected',
+            data: rejected
         });
+
+    } catch (error) {
+        next(error);
     }
 };
 
+// Case-insensitive match of ?search= against any of the values
+const matchesSearch = (values, search) => !search || values.some(value =>
+    value.toLowerCase().includes(search.toLowerCase())
+);
+
 /**
- * Get all patients in the system
+ * Get doctors in the system
+ * Lists authorized doctors by default, or every doctor in ?status=; ?search=
+ * matches name, specialization or license number. ?consistency=index serves
+ * the list from the event index instead of the contract.
  */
-const getAllPatients = async (req, res) => {
+const getAllDoctors = async (req, res, next) => {
     try {
-        if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+        const { status, search } = req.query;
+        const statusIndex = status ? DOCTOR_STATUSES.indexOf(status) : -1;
+
+        if (status && statusIndex < 1) {
+            return next(createApiError('VALIDATION_ERROR', `status must be one of: ${DOCTOR_STATUSES.slice(1).join(', ')}`));
+        }
+
+        const { consistency, lastBlock } = resolveReadConsistency(req.query.consistency);
+
+        if (consistency === 'chain' && !adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        let doctors;
+        if (consistency === 'index') {
+            doctors = listIndexedDoctors({ status: status ? statusIndex : undefined });
+        } else {
+            doctors = status
+                ? await adminContract.getDoctorsByStatus(statusIndex)
+                : await adminContract.getAllDoctors();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Doctors retrieved successfully',
+            consistency,
+            ...(consistency === 'index' && { indexedBlock: lastBlock }),
+            data: doctors
+                .filter(doctor => matchesSearch([doctor.name, doctor.specialization, doctor.licenseNumber], search))
+                .map(doctor => ({
+                    ...formatDoctor(doctor),
+                    ...(consistency === 'index' && { confirmationStatus: doctor.confirmationStatus })
+                }))
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get all active patients in the system
+ * ?search= matches the patient's name; ?consistency=index serves the list
+ * from the event index instead of the contract.
+ */
+const getAllPatients = async (req, res, next) => {
+    try {
+        const { consistency, lastBlock } = resolveReadConsistency(req.query.consistency);
+
+        if (consistency === 'chain' && !adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
-        const patients = await adminContract.getAllPatients();
+        const patients = consistency === 'index'
+            ? listIndexedPatients()
+            : await adminContract.getAllPatients();
 
         res.status(200).json({
             success: true,
             message: 'Patients retrieved successfully',
-            data: patients.map(patient => ({
+            consistency,
+            ...(consistency === 'index' && { indexedBlock: lastBlock }),
+            data: patients.filter(patient => matchesSearch([patient.name], req.query.search)).map(patient => ({
                 id: patient.id,
                 name: patient.name,
                 dateOfBirth: patient.dateOfBirth,
                 phoneNumber: patient.phoneNumber,
                 emergencyContact: patient.emergencyContact,
                 isActive: patient.isActive,
-                registrationDate: new Date(Number(patient.registrationDate) * 1000).toISOString()
+                registrationDate: new Date(Number(patient.registrationDate) * 1000).toISOString(),
+                ...(consistency === 'index' && { confirmationStatus: patient.confirmationStatus })
             }))
         });
 
     } catch (error) {
-        console.error('Error getting all patients:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve patients',
-            error: error.message
+        next(error);
+    }
+};
+
+/**
+ * Review break-glass accesses across all patients from the on-chain events
+ */
+const getEmergencyAccessEvents = async (req, res, next) => {
+    try {
+        const { patientId, flagged } = req.query;
+
+        if (patientId && !ethers.isAddress(patientId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
+        }
+
+        if (!patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        const [grantedEvents, flaggedEvents] = await Promise.all([
+            patientContract.queryFilter(patientContract.filters.EmergencyAccessGranted(patientId || null)),
+            patientContract.queryFilter(patientContract.filters.EmergencyAccessFlagged(patientId || null))
+        ]);
+
+        const flags = new Map(flaggedEvents.map(event => [
+            `${event.args.patientId}:${event.args.accessId}`,
+            { flaggedBy: event.args.flaggedBy, reason: event.args.reason }
+        ]));
+
+        let accesses = grantedEvents.map(event => {
+            const flag = flags.get(`${event.args.patientId}:${event.args.accessId}`);
+            return {
+                patientId: event.args.patientId,
+                accessId: Number(event.args.accessId),
+                doctorId: event.args.doctorId,
+                justification: event.args.justification,
+                expiresAt: new Date(Number(event.args.expiresAt) * 1000).toISOString(),
+                flagged: Boolean(flag),
+                flaggedBy: flag ? flag.flaggedBy : null,
+                flagReason: flag ? flag.reason : null,
+                transactionHash: event.transactionHash,
+                blockNumber: event.blockNumber
+            };
+        });
+
+        if (flagged === 'true' || flagged === 'false') {
+            accesses = accesses.filter(access => access.flagged === (flagged === 'true'));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Emergency accesses retrieved successfully',
+            data: accesses
         });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Flag a break-glass access for follow-up
+ * The admin signs PatientContract.flagEmergencyAccess(patientId, accessId, reason)
+ * via /api/relay/prepare, so the admin (not the server) is recorded as flaggedBy.
+ */
+const flagEmergencyAccess = async (req, res, next) => {
+    try {
+        const { patientId, accessId } = req.params;
+
+        if (!ethers.isAddress(patientId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
+        }
+
+        if (!/^\d+$/.test(accessId)) {
+            return next(createApiError('VALIDATION_ERROR', 'accessId must be a non-negative integer'));
+        }
+
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // The signed call must flag the entry in the URL
+        const request = req.body.request || {};
+        const signedCall = request.data ? patientContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === 'flagEmergencyAccess' &&
+            (signedCall.args[0].toLowerCase() !== patientId.toLowerCase() || signedCall.args[1].toString() !== String(accessId))) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request flags a different access than the one in the URL'));
+        }
+
+        const { args, receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'PatientContract',
+            'flagEmergencyAccess'
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Emergency access flagged successfully',
+            data: {
+                patientId,
+                accessId: Number(args[1]),
+                reason: args[2],
+                flaggedBy: req.user.address,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Collect every file CID referenced on-chain, from doctor-authored records
+ * (including every amended version) in MedicContract and self-uploaded
+ * records in PatientContract. Records without a file have an empty CID and
+ * are skipped.
+ * @returns {Map} - cid => { contract, patientId }
+ */
+const getReferencedCIDs = async () => {
+    const [recordEvents, amendmentEvents, selfRecordEvents] = await Promise.all([
+        medicContract.queryFilter(medicContract.filters.RecordAdded()),
+        medicContract.queryFilter(medicContract.filters.RecordAmended()),
+        patientContract.queryFilter(patientContract.filters.SelfRecordUploaded())
+    ]);
+
+    const referenced = new Map();
+    for (const event of [...recordEvents, ...amendmentEvents]) {
+        if (!event.args.cid) continue;
+        referenced.set(event.args.cid, { contract: 'MedicContract', patientId: event.args.patientId });
+    }
+    for (const event of selfRecordEvents) {
+        if (!event.args.cid) continue;
+        referenced.set(event.args.cid, { contract: 'PatientContract', patientId: event.args.patientId });
+    }
+    return referenced;
+};
+
+/**
+ * List pinned CIDs and whether each is referenced on-chain
+ */
+const getPins = async (req, res, next) => {
+    try {
+        if (!medicContract || !patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
+        }
+
+        const [pins, referenced] = await Promise.all([listPins(), getReferencedCIDs()]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Pins retrieved successfully',
+            data: pins.map(pin => ({
+                ...pin,
+                referenced: referenced.has(pin.cid),
+                contract: referenced.has(pin.cid) ? referenced.get(pin.cid).contract : null
+            }))
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reconcile pins against the CIDs referenced on-chain: pin every referenced
+ * CID that is not pinned yet and report (optionally unpin) pins that nothing
+ * references. Files uploaded but not yet committed on-chain are left alone.
+ */
+const reconcilePins = async (req, res, next) => {
+    try {
+        const { dryRun = false, unpinOrphans = false } = req.body || {};
+
+        if (!medicContract || !patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
+        }
+
+        const [pins, referenced] = await Promise.all([listPins(), getReferencedCIDs()]);
+        const pinned = new Set(pins.map(pin => pin.cid));
+        const awaitingCommit = new Set(listUploads({ status: UPLOAD_STATUS.UPLOADED }).map(entry => entry.cid));
+
+        const result = {
+            referenced: referenced.size,
+            alreadyPinned: 0,
+            pinned: [],
+            missing: [],
+            failed: [],
+            invalid: [],
+            orphaned: [],
+            unpinned: []
+        };
+
+        for (const [cid, { contract, patientId }] of referenced) {
+            if (pinned.has(cid)) {
+                result.alreadyPinned++;
+            } else if (!(await isValidCID(cid))) {
+                result.invalid.push({ cid, contract });
+            } else if (dryRun) {
+                result.missing.push({ cid, contract });
+            } else {
+                try {
+                    await pinCID(cid, { patientId });
+                    result.pinned.push({ cid, contract });
+                } catch (error) {
+                    result.failed.push({ cid, contract, error: error.message });
+                }
+            }
+        }
+
+        for (const pin of pins) {
+            if (referenced.has(pin.cid) || awaitingCommit.has(pin.cid)) continue;
+
+            result.orphaned.push(pin.cid);
+            if (unpinOrphans && !dryRun) {
+                await unpinCID(pin.cid);
+                result.unpinned.push(pin.cid);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: dryRun ? 'Pin reconciliation report (dry run)' : 'Pins reconciled successfully',
+            data: result
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the current holders of each admin role, rebuilt from RoleGranted and
+ * RoleRevoked events, with the owner and any pending ownership transfer
+ */
+const getRoles = async (req, res, next) => {
+    try {
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const [owner, pendingOwner, approvalThreshold, approvalWindow, approverCount, granted, revoked] = await Promise.all([
+            adminContract.owner(),
+            adminContract.pendingOwner(),
+            adminContract.approvalThreshold(),
+            adminContract.approvalWindow(),
+            adminContract.getApproverCount(),
+            adminContract.queryFilter(adminContract.filters.RoleGranted()),
+            adminContract.queryFilter(adminContract.filters.RoleRevoked())
+        ]);
+
+        const events = [...granted, ...revoked].sort((a, b) =>
+            a.blockNumber - b.blockNumber || a.index - b.index
+        );
+
+        const members = {};
+        Object.keys(ADMIN_ROLES).forEach(name => {
+            members[name] = new Set();
+        });
+        const roleNames = Object.fromEntries(Object.entries(ADMIN_ROLES).map(([name, hash]) => [hash, name]));
+        for (const event of events) {
+            const name = roleNames[event.args.role];
+            if (event.fragment.name === 'RoleGranted') {
+                members[name].add(event.args.account);
+            } else {
+                members[name].delete(event.args.account);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin roles retrieved successfully',
+            data: {
+                owner,
+                pendingOwner: pendingOwner === ethers.ZeroAddress ? null : pendingOwner,
+                approvalPolicy: {
+                    threshold: Number(approvalThreshold),
+                    windowSeconds: Number(approvalWindow),
+                    approvers: Number(approverCount)
+                },
+                roles: Object.fromEntries(Object.entries(members).map(([name, accounts]) => [name, [...accounts]]))
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Grant or revoke an admin role
+ * Shared by grantRole and revokeRole. The super-admin signs
+ * AdminContract.grantRole(role, account) or revokeRole(role, account) via /api/relay/prepare.
+ * @param {string} functionName - 'grantRole' or 'revokeRole'
+ * @param {string} [account] - Account in the URL, which the signed call must be for
+ */
+const changeRole = async (req, res, next, functionName, account) => {
+    try {
+        const { role } = req.params;
+
+        if (!ADMIN_ROLES[role]) {
+            return next(createApiError('VALIDATION_ERROR', `role must be one of: ${Object.keys(ADMIN_ROLES).join(', ')}`));
+        }
+
+        if (account !== undefined && !ethers.isAddress(account)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for account'));
+        }
+
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const expected = account === undefined ? [ADMIN_ROLES[role]] : [ADMIN_ROLES[role], account];
+        if (!signedCallMatches(req.body, functionName, expected)) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request is for a different role or account than the one in the URL'));
+        }
+
+        const { args, receipt } = await relaySignedCall(
+            { adminContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'AdminContract',
+            functionName
+        );
+
+        res.status(200).json({
+            success: true,
+            message: functionName === 'grantRole' ? 'Role granted successfully' : 'Role revoked successfully',
+            data: {
+                role,
+                account: args[1],
+                changedBy: req.user.address,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Grant an admin role to the account in the signed call
+ */
+const grantRole = (req, res, next) => changeRole(req, res, next, 'grantRole');
+
+/**
+ * Revoke an admin role from an account
+ */
+const revokeRole = (req, res, next) => changeRole(req, res, next, 'revokeRole', req.params.account);
+
+/**
+ * Start a two-step ownership transfer; the new owner must call
+ * AdminContract.acceptOwnership from their own account to complete it
+ */
+const transferOwnership = async (req, res, next) => {
+    try {
+        const { newOwner } = req.body;
+
+        if (!newOwner || !ethers.isAddress(newOwner)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for newOwner'));
+        }
+
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const tx = await adminContract.transferOwnership(newOwner);
+        const receipt = await waitForTransaction(tx, 'transferOwnership', req.user.address);
+
+        res.status(202).json({
+            success: true,
+            message: 'Ownership transfer started; the new owner must accept it',
+            data: {
+                owner: await adminContract.owner(),
+                pendingOwner: newOwner,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cancel a pending ownership transfer
+ */
+const cancelOwnershipTransfer = async (req, res, next) => {
+    try {
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        if ((await adminContract.pendingOwner()) === ethers.ZeroAddress) {
+            return next(createApiError('OWNERSHIP_TRANSFER_NOT_FOUND'));
+        }
+
+        const tx = await adminContract.cancelOwnershipTransfer();
+        const receipt = await waitForTransaction(tx, 'cancelOwnershipTransfer', req.user.address);
+
+        res.status(200).json({
+            success: true,
+            message: 'Ownership transfer cancelled',
+            data: {
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Format a proposal from AdminContract with its approval state
+ * @param {Object} proposal - Proposal struct
+ * @param {number} now - Latest block timestamp, in seconds
+ */
+const formatProposal = async (proposal, threshold, now) => {
+    const [approvals, approvers] = await Promise.all([
+        adminContract.getApprovalCount(proposal.id),
+        adminContract.getProposalApprovers(proposal.id)
+    ]);
+
+    let status = 'pending';
+    if (proposal.executed) {
+        status = 'executed';
+    } else if (proposal.cancelled) {
+        status = 'cancelled';
+    } else if (Number(proposal.expiresAt) < now) {
+        status = 'expired';
+    }
+
+    const action = PROPOSAL_ACTIONS[Number(proposal.action)];
+    return {
+        id: Number(proposal.id),
+        action,
+        target: proposal.target,
+        value: proposal.value.toString(),
+        // update-contract proposals carry the registry key of the contract to replace
+        ...(action === 'update-contract' && { contractName: getContractName(ethers.toBeHex(proposal.value, 32)) }),
+        ...(action === 'set-registry' && { registry: ethers.getAddress(ethers.toBeHex(proposal.value, 20)) }),
+        reason: proposal.reason,
+        proposer: proposal.proposer,
+        status,
+        approvals: Number(approvals),
+        requiredApprovals: Number(threshold),
+        approvers: [...approvers],
+        createdAt: new Date(Number(proposal.createdAt) * 1000).toISOString(),
+        expiresAt: new Date(Number(proposal.expiresAt) * 1000).toISOString()
+    };
+};
+
+const PROPOSAL_STATUSES = ['pending', 'executed', 'cancelled', 'expired'];
+
+/**
+ * List multi-signature proposals, oldest first
+ * Pending proposals by default, or ?status=executed|cancelled|expired|all
+ */
+const getProposals = async (req, res, next) => {
+    try {
+        const { status = 'pending' } = req.query;
+
+        if (status !== 'all' && !PROPOSAL_STATUSES.includes(status)) {
+            return next(createApiError('VALIDATION_ERROR', `status must be one of: ${PROPOSAL_STATUSES.join(', ')}, all`));
+        }
+
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const [proposals, threshold, block] = await Promise.all([
+            adminContract.getProposals(),
+            adminContract.approvalThreshold(),
+            adminContract.runner.provider.getBlock('latest')
+        ]);
+
+        const formatted = await Promise.all(
+            proposals.map(proposal => formatProposal(proposal, threshold, block.timestamp))
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Proposals retrieved successfully',
+            data: formatted.filter(proposal => status === 'all' || proposal.status === status)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a multi-signature proposal by ID
+ */
+const getProposal = async (req, res, next) => {
+    try {
+        const { proposalId } = req.params;
+
+        if (!/^\d+$/.test(proposalId)) {
+            return next(createApiError('VALIDATION_ERROR', 'proposalId must be a positive integer'));
+        }
+
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const [proposal, threshold, block] = await Promise.all([
+            adminContract.getProposal(proposalId),
+            adminContract.approvalThreshold(),
+            adminContract.runner.provider.getBlock('latest')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Proposal retrieved successfully',
+            data: await formatProposal(proposal, threshold, block.timestamp)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Propose a sensitive action (signed AdminContract.proposeAction relay request)
+ * The proposer's approval is counted straight away.
+ */
+const createProposal = async (req, res, next) => {
+    try {
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const { receipt } = await relaySignedCall(
+            { adminContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'AdminContract',
+            'proposeAction'
+        );
+
+        const createdEvent = receipt.logs
+            .map(log => adminContract.interface.parseLog(log))
+            .find(event => event && event.name === 'ProposalCreated');
+
+        const [proposal, threshold, block] = await Promise.all([
+            adminContract.getProposal(createdEvent.args.proposalId),
+            adminContract.approvalThreshold(),
+            adminContract.runner.provider.getBlock(receipt.blockNumber)
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Proposal created',
+            data: {
+                ...(await formatProposal(proposal, threshold, block.timestamp)),
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Approve or cancel a proposal with a signed relay request
+ * Shared by approveProposal and cancelProposal.
+ * @param {string} functionName - 'approveProposal' or 'cancelProposal'
+ */
+const signProposal = async (req, res, next, functionName, action) => {
+    try {
+        const { proposalId } = req.params;
+
+        if (!/^\d+$/.test(proposalId)) {
+            return next(createApiError('VALIDATION_ERROR', 'proposalId must be a positive integer'));
+        }
+
+        if (!adminContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        const request = req.body.request || {};
+        const signedCall = request.data ? adminContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === functionName && signedCall.args[0].toString() !== proposalId) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request is for a different proposal'));
+        }
+
+        const { receipt } = await relaySignedCall(
+            { adminContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'AdminContract',
+            functionName
+        );
+
+        const [proposal, threshold, block] = await Promise.all([
+            adminContract.getProposal(proposalId),
+            adminContract.approvalThreshold(),
+            adminContract.runner.provider.getBlock(receipt.blockNumber)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: `Proposal ${action}`,
+            data: {
+                ...(await formatProposal(proposal, threshold, block.timestamp)),
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Approve a proposal (signed AdminContract.approveProposal relay request)
+ */
+const approveProposal = (req, res, next) => signProposal(req, res, next, 'approveProposal', 'approved');
+
+/**
+ * Cancel a proposal (signed AdminContract.cancelProposal relay request, by the proposer or owner)
+ */
+const cancelProposal = (req, res, next) => signProposal(req, res, next, 'cancelProposal', 'cancelled');
+
+/**
+ * Execute a proposal that has enough approvals
+ * Approvals were signed by each super-admin, so the API signer sends the execution.
+ */
+const executeProposal = async (req, res, next) => {
+    try {
+        const { proposalId } = req.params;
+
+        if (!/^\d+$/.test(proposalId)) {
+            return next(createApiError('VALIDATION_ERROR', 'proposalId must be a positive integer'));
+        }
+
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
+        }
+
+        // Surface the contract's revert reason before sending the transaction
+        await adminContract.executeProposal.staticCall(proposalId);
+        const tx = await adminContract.executeProposal(proposalId);
+        const receipt = await waitForTransaction(tx, 'executeProposal', req.user.address);
+
+        const [proposal, threshold, block] = await Promise.all([
+            adminContract.getProposal(proposalId),
+            adminContract.approvalThreshold(),
+            adminContract.runner.provider.getBlock(receipt.blockNumber)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Proposal executed',
+            data: {
+                ...(await formatProposal(proposal, threshold, block.timestamp)),
+                executedBy: req.user.address,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Check that the registry, the contracts and the API agree on every contract address
+ * Mismatches are reported in the response rather than as an error status
+ */
+const getContractWiring = async (req, res, next) => {
+    try {
+        if (!registryContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Contract registry not initialized'));
+        }
+
+        const wiring = await checkContractWiring({
+            registryContract,
+            adminContract,
+            medicContract,
+            patientContract,
+            forwarderContract
+        });
+
+        res.status(200).json({
+            success: true,
+            message: wiring.consistent
+                ? 'Contract wiring is consistent'
+                : `Contract wiring has ${wiring.mismatches.length} mismatch(es)`,
+            data: wiring
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Query the contracts' event history from the event index
+ * Filters: ?contract=, ?event=, ?address= (any address argument), ?fromBlock=, ?toBlock=, ?limit= (max 1000), ?offset=
+ */
+const getEvents = async (req, res, next) => {
+    try {
+        const { contract, event, address } = req.query;
+
+        if (contract && !INDEXED_CONTRACTS[contract]) {
+            return next(createApiError('VALIDATION_ERROR', `contract must be one of: ${Object.keys(INDEXED_CONTRACTS).join(', ')}`));
+        }
+
+        if (address && !ethers.isAddress(address)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for address'));
+        }
+
+        const numbers = {};
+        for (const name of ['fromBlock', 'toBlock', 'limit', 'offset']) {
+            if (req.query[name] === undefined) continue;
+            const value = Number(req.query[name]);
+            if (!Number.isInteger(value) || value < 0) {
+                return next(createApiError('VALIDATION_ERROR', `${name} must be a non-negative integer`));
+            }
+            numbers[name] = value;
+        }
+
+        const indexedBlock = getIndexedBlock();
+        if (indexedBlock === null) {
+            return next(createApiError('INDEX_NOT_READY'));
+        }
+
+        const { total, events, retainedFromBlock } = queryEvents({
+            contract,
+            event,
+            address,
+            ...numbers,
+            limit: Math.min(numbers.limit ?? 100, 1000)
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Events retrieved successfully',
+            indexedBlock,
+            retainedFromBlock,
+            total,
+            data: events
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the event indexer's progress
+ */
+const getIndexStatus = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            message: 'Event index status retrieved successfully',
+            data: await getIndexerStatus()
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the API wallet's transaction queue: sends waiting their turn and
+ * transactions sent but not mined yet
+ */
+const getTransactionQueue = async (req, res, next) => {
+    try {
+        if (!adminContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Transaction queue retrieved successfully',
+            data: await adminContract.runner.getQueueStatus()
+        });
+
+    } catch (error) {
+        next(error);
     }
 };
 
@@ -357,8 +1523,35 @@ module.exports = {
     initializeContracts,
     addDoctor,
     revokeDoctor,
+    verifyDoctor,
+    suspendDoctor,
+    reinstateDoctor,
+    getDoctorStatusHistory,
+    suspendExpiredDoctors,
     addPatient,
     deactivatePatient,
+    getRegistrationRequests,
+    approveRegistrationRequest,
+    rejectRegistrationRequest,
     getAllDoctors,
-    getAllPatients
+    getAllPatients,
+    getEmergencyAccessEvents,
+    flagEmergencyAccess,
+    getPins,
+    reconcilePins,
+    getRoles,
+    grantRole,
+    revokeRole,
+    transferOwnership,
+    cancelOwnershipTransfer,
+    getProposals,
+    getProposal,
+    createProposal,
+    approveProposal,
+    cancelProposal,
+    executeProposal,
+    getContractWiring,
+    getEvents,
+    getIndexStatus,
+    getTransactionQueue
 };
@@ -0,0 +1,84 @@
+const { ethers } = require('ethers');
+const {
+    createChallenge,
+    consumeChallenge,
+    issueSessionToken,
+    resolveRoles
+} = require('../utils/authUtils');
+const { createApiError } = require('../utils/errorUtils');
+
+/**
+ * Issue a sign-in challenge for an address
+ */
+const getNonce = async (req, res, next) => {
+    try {
+        const { address } = req.query;
+
+        if (!address || !ethers.isAddress(address)) {
+            return next(createApiError('INVALID_ADDRESS', 'A valid Ethereum address is required'));
+        }
+
+        const challenge = await createChallenge(address, {
+            domain: req.get('host'),
+            uri: `${req.protocol}://${req.get('host')}`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Sign the message with your wallet and submit it to /api/auth/verify',
+            data: challenge
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify a signed challenge and open a session
+ */
+const verifySignature = async (req, res, next) => {
+    try {
+        const { nonce, signature } = req.body;
+
+        if (!nonce || !signature) {
+            return next(createApiError('VALIDATION_ERROR', 'All fields are required: nonce, signature'));
+        }
+
+        const address = consumeChallenge(nonce, signature);
+
+        const roles = await resolveRoles(address);
+        const session = issueSessionToken(address);
+
+        res.status(200).json({
+            success: true,
+            message: 'Signed in successfully',
+            data: {
+                address,
+                roles,
+                token: session.token,
+                expiresAt: session.expiresAt
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Return the authenticated caller
+ */
+const getSession = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        message: 'Session retrieved successfully',
+        data: req.user
+    });
+};
+
+module.exports = {
+    getNonce,
+    verifySignature,
+    getSession
+};
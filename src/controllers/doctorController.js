@@ -1,12 +1,27 @@
 const { ethers } = require('ethers');
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const { uploadToIPFS } = require('../ipfs/ipfs');
+const { uploadToIPFS, uploadEncryptedToIPFS } = require('../ipfs/ipfs');
+const { callAs } = require('../utils/callUtils');
+const { relaySignedCall } = require('../utils/relayUtils');
+const { shareFilesWithRecipient } = require('../utils/keyUtils');
+const { createApiError } = require('../utils/errorUtils');
+const { waitForTransaction, isAsyncRequest, acceptTransaction } = require('../utils/txTracker');
+const { resolveReadConsistency, listIndexedRecords } = require('../indexer/eventIndex');
+const {
+    UPLOAD_STATUS,
+    enqueueUpload,
+    openUploadDetails,
+    getUpload,
+    listUploads,
+    updateUpload,
+    removeUpload
+} = require('../utils/uploadQueue');
 
 // This will be populated when we create contractUtils.js
 let adminContract;
 let medicContract;
+let patientContract;
+let forwarderContract;
 
 /**
  * Initialize contracts - this function should be called when the app starts
@@ -14,107 +29,37 @@ let medicContract;
 const initializeContracts = (contracts) => {
     adminContract = contracts.adminContract;
     medicContract = contracts.medicContract;
+    patientContract = contracts.patientContract;
+    forwarderContract = contracts.forwarderContract;
 };
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = path.join(__dirname, '../uploads');
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        const timestamp = Date.now();
-        const ext = path.extname(file.originalname);
-        const name = path.basename(file.originalname, ext);
-        cb(null, `${name}_${timestamp}${ext}`);
-    }
-});
-
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        // Allow common medical file formats
-        const allowedTypes = [
-            'application/pdf',
-            'image/jpeg',
-            'image/png',
-            'image/jpg',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'text/plain'
-        ];
-        
-        if (allowedTypes.includes(file.mimetype)) {
-            cb(null, true);
-        } else {
-            cb(new Error('Invalid file type. Only PDF, images, and documents are allowed.'));
-        }
-    }
-});
+// Scheduled retries stop after this many attempts; manual retries are always allowed
+const UPLOAD_MAX_ATTEMPTS = Number(process.env.UPLOAD_MAX_ATTEMPTS) || 5;
+
+// Queued uploads being retried, so a scheduled and a manual retry never run together
+const uploadsInProgress = new Set();
 
 /**
  * Check if a doctor is authorized
  */
-const checkDoctorStatus = async (req, res) => {
+const checkDoctorStatus = async (req, res, next) => {
     try {
         const { doctorId } = req.params;
 
         if (!ethers.isAddress(doctorId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for doctorId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for doctorId'));
         }
 
         if (!adminContract || !medicContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Contracts not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
         }
 
+        // getDoctorInfo reports isAuthorized with license expiry applied
         const doctorInfo = await adminContract.getDoctorInfo(doctorId);
-        const isAuthorized = await medicContract.isDoctorAuthorized(doctorId);
-
- 
-
-
-        if(doctorInfo.isAuthorized && !isAuthorized) {
-
-            try{
-                const tx = await medicContract.authorizeDoctor(doctorId);
-                await tx.wait();
-
-                const newIsAuthorized = await medicContract.isDoctorAuthorized(doctorId);
-                  return  res.status(200).json({
-            success: true,
-            message: 'Doctor status retrieved successfully',
-            data: {
-                id: doctorInfo.id,
-                name: doctorInfo.name,
-                specialization: doctorInfo.specialization,
-                licenseNumber: doctorInfo.licenseNumber,
-                isAuthorized: newIsAuthorized,
-                registrationDate: new Date(Number(doctorInfo.registrationDate) * 1000).toISOString()
-            }
-         });
+        const isAuthorized = doctorInfo.isAuthorized;
 
-            }catch(error){
-                console.error('Error authorizing doctor:', error);
-            }
-        }
-
-        if (!doctorInfo.isAuthorized && !isAuthorized) {
-            return res.status(404).json({
-                success: false,
-                message: 'Doctor not found or not authorized'
-            });
+        if (!isAuthorized) {
+            return next(createApiError('DOCTOR_NOT_FOUND'));
         }
 
          res.status(200).json({
@@ -132,25 +77,17 @@ const checkDoctorStatus = async (req, res) => {
    
 
     } catch (error) {
-        console.error('Error checking doctor status:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to check doctor status',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
  * Get all patients (for doctors to view)
  */
-const getPatients = async (req, res) => {
+const getPatients = async (req, res, next) => {
     try {
         if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
         const patients = await adminContract.getAllPatients();
@@ -169,115 +106,249 @@ const getPatients = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error getting patients:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve patients',
-            error: error.message
+        next(error);
+    }
+};
+
+/**
+ * Send the transaction that adds a medical record on behalf of a doctor
+ * @returns {Object} - Transaction response
+ */
+const submitMedicalRecord = (cid, fileName, patientId, diagnosis, treatment, doctorId) => {
+    return medicContract.addMedicalRecordByAdmin(
+        cid,
+        fileName,
+        patientId,
+        diagnosis,
+        treatment,
+        doctorId
+    );
+};
+
+/**
+ * Commit a medical record on-chain on behalf of a doctor
+ * @returns {Object} - Transaction receipt
+ */
+const commitMedicalRecord = async (cid, fileName, patientId, diagnosis, treatment, doctorId) => {
+    const tx = await submitMedicalRecord(cid, fileName, patientId, diagnosis, treatment, doctorId);
+    return waitForTransaction(tx, 'addMedicalRecordByAdmin', doctorId);
+};
+
+/**
+ * Get the ID of the medical record a transaction added
+ */
+const getAddedRecordId = (receipt) => {
+    const addedEvent = receipt.logs
+        .map(log => medicContract.interface.parseLog(log))
+        .find(event => event && event.name === 'RecordAdded');
+    return addedEvent ? Number(addedEvent.args.recordId) : null;
+};
+
+/**
+ * Format a queued upload for API responses (the local file path stays private).
+ * The record details are null once the upload completed or gave up.
+ */
+const formatPendingUpload = (entry) => {
+    const details = openUploadDetails(entry) || { diagnosis: null, treatment: null };
+    return {
+        id: entry.id,
+        status: entry.status,
+        fileName: entry.fileName,
+        patientId: entry.patientId,
+        doctorId: entry.authorId,
+        diagnosis: details.diagnosis,
+        treatment: details.treatment,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        cid: entry.cid,
+        recordId: entry.recordId,
+        transactionHash: entry.transactionHash,
+        blockNumber: entry.blockNumber,
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt
+    };
+};
+
+/**
+ * Retry a queued upload: upload the file to IPFS unless that already
+ * succeeded, then commit the record with the real CID
+ * @param {string} id - Queue entry ID
+ * @returns {Object} - Updated queue entry
+ */
+const processPendingUpload = async (id) => {
+    if (uploadsInProgress.has(id)) {
+        throw createApiError('UPLOAD_IN_PROGRESS');
+    }
+    uploadsInProgress.add(id);
+
+    let entry = getUpload(id);
+    try {
+        if (!entry) {
+            throw createApiError('UPLOAD_NOT_FOUND', `Pending upload ${id} not found`);
+        }
+        if (entry.status === UPLOAD_STATUS.COMPLETED) {
+            return entry;
+        }
+        if (entry.status === UPLOAD_STATUS.FAILED) {
+            throw createApiError('CONFLICT', 'Upload gave up; its file and record details were deleted');
+        }
+
+        if (!entry.cid) {
+            // Entries queued before queued files were encrypted still hold the plaintext file
+            const ipfsResult = entry.envelopeId
+                ? await uploadEncryptedToIPFS(entry.filePath, entry.patientId, entry.envelopeId)
+                : await uploadToIPFS(entry.filePath, entry.patientId, true, entry.authorId, await medicContract.MEDICAL_RECORD_TYPE());
+            entry = updateUpload(id, { status: UPLOAD_STATUS.UPLOADED, cid: ipfsResult.cid });
+        }
+
+        const { diagnosis, treatment } = openUploadDetails(entry);
+        const receipt = await commitMedicalRecord(
+            entry.cid,
+            entry.fileName,
+            entry.patientId,
+            diagnosis,
+            treatment,
+            entry.authorId
+        );
+
+        return updateUpload(id, {
+            status: UPLOAD_STATUS.COMPLETED,
+            attempts: entry.attempts + 1,
+            lastError: null,
+            recordId: getAddedRecordId(receipt),
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber
         });
+    } catch (error) {
+        if (entry && entry.status !== UPLOAD_STATUS.COMPLETED && entry.status !== UPLOAD_STATUS.FAILED) {
+            const attempts = entry.attempts + 1;
+            const status = attempts >= UPLOAD_MAX_ATTEMPTS
+                ? UPLOAD_STATUS.FAILED
+                : (entry.cid ? UPLOAD_STATUS.UPLOADED : UPLOAD_STATUS.PENDING);
+            updateUpload(id, { status, attempts, lastError: error.message });
+        }
+        throw error;
+    } finally {
+        uploadsInProgress.delete(id);
+    }
+};
+
+/**
+ * Retry every queued upload that has not given up yet
+ * Called periodically (see UPLOAD_RETRY_INTERVAL_SECONDS in contractUtils)
+ */
+const retryPendingUploads = async () => {
+    if (!medicContract) return;
+
+    const entries = [
+        ...listUploads({ status: UPLOAD_STATUS.PENDING }),
+        ...listUploads({ status: UPLOAD_STATUS.UPLOADED })
+    ];
+    for (const entry of entries) {
+        if (uploadsInProgress.has(entry.id)) continue;
+        try {
+            await processPendingUpload(entry.id);
+            console.log(`Pending upload ${entry.id} committed`);
+        } catch (error) {
+            console.error(`Retry of pending upload ${entry.id} failed:`, error.message);
+        }
     }
 };
 
 /**
  * Add a medical record for a patient
+ * If the file cannot be uploaded to IPFS it is queued, and the record is only
+ * committed once the upload succeeds. A record without a file is committed
+ * with an empty CID and file name.
  */
-const addPatientRecord = async (req, res) => {
+const addPatientRecord = async (req, res, next) => {
     try {
-        const { patientId, diagnosis, treatment, doctorId } = req.body;
+        const { patientId, diagnosis, treatment } = req.body;
+        const doctorId = req.user.address;
         const medicalFile = req.file;
 
-        if (!patientId || !diagnosis || !treatment || !doctorId) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required: patientId, diagnosis, treatment, doctorId'
-            });
+        if (!patientId || !diagnosis || !treatment) {
+            return next(createApiError('VALIDATION_ERROR', 'All fields are required: patientId, diagnosis, treatment'));
         }
 
-        if (!ethers.isAddress(patientId) || !ethers.isAddress(doctorId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId or doctorId'
-            });
+        if (!ethers.isAddress(patientId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         if (!medicContract || !adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Contracts not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
         }
 
         // Verify doctor is authorized
-        const isDoctorAuthorized = await medicContract.isDoctorAuthorized(doctorId);
+        const isDoctorAuthorized = await adminContract.isDoctorAuthorized(doctorId);
         if (!isDoctorAuthorized) {
-            // Try to sync from AdminContract
-            const doctorInfo = await adminContract.getDoctorInfo(doctorId);
-            if (doctorInfo.isAuthorized) {
-                console.log('Syncing doctor authorization...');
-                try {
-                    const authTx = await medicContract.authorizeDoctor(doctorId);
-                    await authTx.wait();
-                    console.log('Doctor authorization synced successfully');
-                } catch (authError) {
-                    console.error('Failed to sync doctor authorization:', authError);
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Doctor is not properly authorized in the system'
-                    });
-                }
-            } else {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Doctor is not authorized'
-                });
-            }
+            return next(createApiError('DOCTOR_NOT_AUTHORIZED'));
         }
 
         // Verify patient is active
         const isPatientActive = await adminContract.isPatientActive(patientId);
         if (!isPatientActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Patient not found or not active'
-            });
+            return next(createApiError('PATIENT_NOT_FOUND'));
         }
 
         let cid = '';
         let fileName = '';
         if (medicalFile) {
+            const recordType = await medicContract.MEDICAL_RECORD_TYPE();
             try {
-                const ipfsResult = await uploadToIPFS(medicalFile.path, patientId, true);
+                const ipfsResult = await uploadToIPFS(medicalFile.path, patientId, true, doctorId, recordType);
                 cid = ipfsResult.cid;
                 fileName = medicalFile.originalname;
                 fs.unlinkSync(medicalFile.path);
             } catch (ipfsError) {
                 console.error('IPFS upload error:', ipfsError);
-                cid = 'QmNoPhuLRhyaJzx1KoJ6vgmwmvFTxc8a1Cv7Bx1RPb6cNq';
-                fileName = medicalFile ? medicalFile.originalname : 'No file';
+
+                const entry = await enqueueUpload(medicalFile.path, {
+                    fileName: medicalFile.originalname,
+                    patientId,
+                    authorId: doctorId,
+                    recordType,
+                    diagnosis,
+                    treatment,
+                    error: ipfsError.message
+                });
+
+                return res.status(202).json({
+                    success: true,
+                    message: 'File upload failed and was queued for retry; the record will be added once the upload succeeds',
+                    data: formatPendingUpload(entry)
+                });
             }
-        } else {
-            cid = 'QmTextOnlyRecord' + Date.now();
-            fileName = 'Text record only';
         }
 
-        // Use the new addMedicalRecordByAdmin function
-        const tx = await medicContract.addMedicalRecordByAdmin(
-            cid,
-            fileName,
-            patientId,
-            diagnosis,
-            treatment,
-            doctorId
-        );
+        const tx = await submitMedicalRecord(cid, fileName, patientId, diagnosis, treatment, doctorId);
+
+        // The record ID is in the RecordAdded event of the transaction's status
+        if (isAsyncRequest(req)) {
+            return res.status(202).json({
+                success: true,
+                message: 'Medical record submitted',
+                data: {
+                    cid: cid || null,
+                    fileName: fileName || null,
+                    patientId,
+                    diagnosis,
+                    treatment,
+                    doctorId,
+                    ...acceptTransaction(tx, 'addMedicalRecordByAdmin', req.user.address)
+                }
+            });
+        }
 
-        const receipt = await tx.wait();
+        const receipt = await waitForTransaction(tx, 'addMedicalRecordByAdmin', req.user.address);
 
         res.status(201).json({
             success: true,
             message: 'Medical record added successfully',
             data: {
-                cid,
-                fileName,
+                recordId: getAddedRecordId(receipt),
+                cid: cid || null,
+                fileName: fileName || null,
                 patientId,
                 diagnosis,
                 treatment,
@@ -288,110 +359,110 @@ const addPatientRecord = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error adding patient record:', error);
-        
         if (req.file && req.file.path && fs.existsSync(req.file.path)) {
             fs.unlinkSync(req.file.path);
         }
-
-        let errorMessage = 'Failed to add medical record';
-        if (error.message.includes('Specified doctor is not authorized')) {
-            errorMessage = 'Doctor is not authorized to add records';
-        } else if (error.message.includes('Patient not active')) {
-            errorMessage = 'Patient is not active in the system';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
  * Get medical records for a specific patient
+ * Access is always checked on-chain; ?consistency=index serves the records
+ * themselves from the event index.
  */
-const getPatientRecords = async (req, res) => {
+const getPatientRecords = async (req, res, next) => {
     try {
         const { patientId } = req.params;
         const { activeOnly } = req.query;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
-        if (!medicContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Medic contract not initialized'
-            });
+        const { consistency, lastBlock } = resolveReadConsistency(req.query.consistency);
+
+        if (!medicContract || !patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Medic contract not initialized'));
         }
 
+        const doctorId = req.user.address;
+
+        // Doctors need an active, unexpired consent from the patient, or break-glass access
+        const [hasConsent, hasEmergencyAccess] = await Promise.all([
+            patientContract.hasConsent(patientId, doctorId),
+            patientContract.hasEmergencyAccess(patientId, doctorId)
+        ]);
+        if (!hasConsent && !hasEmergencyAccess) {
+            return next(createApiError('NO_CONSENT'));
+        }
+
+        // Break-glass access only covers active records
+        const activeRecordsOnly = activeOnly === 'true' || !hasConsent;
         let records;
-        if (activeOnly === 'true') {
-            records = await medicContract.getActiveMedicalRecords(patientId);
+        if (consistency === 'index') {
+            // The index holds every record, so make MedicContract's own checks here
+            const [isAuthorized, coversRecords] = await Promise.all([
+                medicContract.isDoctorAuthorized(doctorId),
+                hasConsent && patientContract.hasConsentForType(patientId, doctorId, await medicContract.MEDICAL_RECORD_TYPE())
+            ]);
+            if (!isAuthorized) {
+                return next(createApiError('RECORD_ACCESS_DENIED', 'Not authorized to access these records'));
+            }
+            if (hasConsent && !coversRecords) {
+                return next(createApiError('NO_CONSENT', 'Patient consent does not cover medical records'));
+            }
+            records = listIndexedRecords(patientId, { activeOnly: activeRecordsOnly });
         } else {
-            records = await medicContract.getMedicalRecords(patientId);
+            // Read as the doctor so MedicContract also checks the consented record types
+            const functionName = activeRecordsOnly ? 'getActiveMedicalRecords' : 'getMedicalRecords';
+            records = await callAs(medicContract, functionName, [patientId], doctorId);
         }
 
+        // Records without a file have an empty CID
         const formattedRecords = records.map(record => ({
-            cid: record.cid,
-            fileName: record.fileName,
+            recordId: Number(record.recordId),
+            cid: record.cid || null,
+            fileName: record.fileName || null,
             patientId: record.patientId,
             diagnosis: record.diagnosis,
             treatment: record.treatment,
             doctorId: record.doctorId,
             timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
-            isActive: record.isActive
+            isActive: record.isActive,
+            version: Number(record.version),
+            ...(consistency === 'index' && { confirmationStatus: record.confirmationStatus })
         }));
 
         res.status(200).json({
             success: true,
             message: 'Medical records retrieved successfully',
+            access: hasConsent ? 'consent' : 'emergency',
+            consistency,
+            ...(consistency === 'index' && { indexedBlock: lastBlock }),
             data: formattedRecords
         });
 
     } catch (error) {
-        console.error('Error getting patient records:', error);
-        
-        let errorMessage = 'Failed to retrieve medical records';
-        if (error.message.includes('Unauthorized access')) {
-            errorMessage = 'Not authorized to access these records';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
  * Check if a patient exists in the system
  */
-const checkPatientExists = async (req, res) => {
+const checkPatientExists = async (req, res, next) => {
     try {
         const { patientId } = req.params;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
         const isActive = await adminContract.isPatientActive(patientId);
@@ -413,86 +484,360 @@ const checkPatientExists = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error checking patient exists:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to check patient status',
-            error: error.message
+        next(error);
+    }
+};
+
+/**
+ * Relay a signed change to a medical record's status
+ * The doctor who created the record signs MedicContract.deactivateRecord or
+ * reactivateRecord(recordId, reason) via /api/relay/prepare; the relay
+ * identifies the doctor from the signature.
+ * @param {string} functionName - 'deactivateRecord' or 'reactivateRecord'
+ * @param {string} action - 'deactivate' or 'reactivate', for messages
+ */
+const changeRecordStatus = async (req, res, next, functionName, action) => {
+    try {
+        const { recordId } = req.params;
+
+        if (!/^\d+$/.test(recordId) || Number(recordId) === 0) {
+            return next(createApiError('VALIDATION_ERROR', 'recordId must be a positive integer'));
+        }
+
+        if (!medicContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Medic contract not initialized'));
+        }
+
+        // The signed call must change the record in the URL
+        const request = req.body.request || {};
+        const signedCall = request.data ? medicContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === functionName && signedCall.args[0].toString() !== String(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', `Signed request would ${action} a different record than the one in the URL`));
+        }
+
+        const { args, receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'MedicContract',
+            functionName
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `Medical record ${action}d successfully`,
+            data: {
+                recordId: Number(recordId),
+                isActive: functionName === 'reactivateRecord',
+                reason: args[1],
+                doctorId: req.user.address,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
         });
+
+    } catch (error) {
+        next(error);
     }
 };
 
 /**
- * Deactivate a medical record
+ * Deactivate a medical record by record ID
  */
-const deactivateRecord = async (req, res) => {
+const deactivateRecord = (req, res, next) => changeRecordStatus(req, res, next, 'deactivateRecord', 'deactivate');
+
+/**
+ * Reactivate a deactivated medical record by record ID
+ */
+const reactivateRecord = (req, res, next) => changeRecordStatus(req, res, next, 'reactivateRecord', 'reactivate');
+
+/**
+ * Amend a medical record
+ * The amendment becomes the record's new version; earlier versions stay in
+ * the record's version history. A new file replaces the record's file,
+ * otherwise the current file is kept. Only the record's creator may amend it.
+ */
+const amendPatientRecord = async (req, res, next) => {
+    const medicalFile = req.file;
     try {
-        const { patientId, recordIndex } = req.body;
-        const doctorId = req.body.doctorId; // Should come from authentication middleware
-
-        // Validate required fields
-        if (!patientId || recordIndex === undefined || !doctorId) {
-            return res.status(400).json({
-                success: false,
-                message: 'patientId, recordIndex, and doctorId are required'
-            });
+        const { recordId } = req.params;
+        const { patientId, diagnosis, treatment, reason } = req.body;
+        const doctorId = req.user.address;
+
+        if (!/^\d+$/.test(recordId) || Number(recordId) === 0) {
+            return next(createApiError('VALIDATION_ERROR', 'recordId must be a positive integer'));
         }
 
-        // Validate Ethereum addresses
-        if (!ethers.isAddress(patientId) || !ethers.isAddress(doctorId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum addresses'
-            });
+        if (!patientId || !diagnosis || !treatment || !reason) {
+            return next(createApiError('VALIDATION_ERROR', 'All fields are required: patientId, diagnosis, treatment, reason'));
+        }
+
+        if (!ethers.isAddress(patientId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         if (!medicContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Medic contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Medic contract not initialized'));
         }
 
-        // Deactivate the recorde
-        const tx = await medicContract.deactivateRecord(patientId, recordIndex, doctorId);
-        const receipt = await tx.wait();
+        // Check the amendment would be accepted before storing a new file
+        await medicContract.amendMedicalRecordByAdmin.staticCall(
+            recordId, patientId, '', '', diagnosis, treatment, reason, doctorId
+        );
 
-        res.status(200).json({
+        let cid = '';
+        let fileName = '';
+        if (medicalFile) {
+            const ipfsResult = await uploadToIPFS(medicalFile.path, patientId, true, doctorId, await medicContract.MEDICAL_RECORD_TYPE());
+            cid = ipfsResult.cid;
+            fileName = medicalFile.originalname;
+        }
+
+        const tx = await medicContract.amendMedicalRecordByAdmin(
+            recordId,
+            patientId,
+            cid,
+            fileName,
+            diagnosis,
+            treatment,
+            reason,
+            doctorId
+        );
+        const receipt = await waitForTransaction(tx, 'amendMedicalRecordByAdmin', req.user.address);
+
+        const amendedEvent = receipt.logs
+            .map(log => medicContract.interface.parseLog(log))
+            .find(event => event && event.name === 'RecordAmended');
+
+        res.status(201).json({
             success: true,
-            message: 'Medical record deactivated successfully',
+            message: 'Medical record amended successfully',
             data: {
+                recordId: Number(recordId),
+                version: amendedEvent ? Number(amendedEvent.args.version) : null,
+                cid: (amendedEvent ? amendedEvent.args.cid : cid) || null,
                 patientId,
-                recordIndex,
+                diagnosis,
+                treatment,
+                reason,
+                doctorId,
                 transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber
             }
         });
 
     } catch (error) {
-        console.error('Error deactivating record:', error);
-        
-        let errorMessage = 'Failed to deactivate record';
-        if (error.message.includes('Only record creator can deactivate')) {
-            errorMessage = 'Only the doctor who created the record can deactivate it';
-        } else if (error.message.includes('Invalid record index')) {
-            errorMessage = 'Invalid record index';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
+        next(error);
+    } finally {
+        if (medicalFile) {
+            fs.rmSync(medicalFile.path, { force: true });
+        }
+    }
+};
+
+/**
+ * Break-glass access to a patient's active records
+ * The doctor signs PatientContract.breakGlass(patientId, justification) via
+ * /api/relay/prepare. Access lasts EMERGENCY_ACCESS_DURATION and is logged
+ * on-chain for the patient and admin to review.
+ */
+const requestEmergencyAccess = async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+        const doctorId = req.user.address;
+
+        // Validate Ethereum address
+        if (!ethers.isAddress(patientId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
+        }
+
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // The signed call must be for the patient in the URL
+        const request = req.body.request || {};
+        const signedCall = request.data ? patientContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === 'breakGlass' && signedCall.args[0].toLowerCase() !== patientId.toLowerCase()) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request is for a different patient than the one in the URL'));
+        }
+
+        const { args, receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            doctorId,
+            req.body,
+            'PatientContract',
+            'breakGlass'
+        );
+        const [, justification] = args;
+
+        const grantedEvent = receipt.logs
+            .map(log => patientContract.interface.parseLog(log))
+            .find(event => event && event.name === 'EmergencyAccessGranted');
+
+        console.warn(`Emergency access: doctor ${doctorId} opened records of patient ${patientId}: ${justification}`);
+
+        // Wrap the files of the records the doctor can now read for them
+        const activeRecords = await callAs(medicContract, 'getActiveMedicalRecords', [patientId], doctorId);
+        shareFilesWithRecipient(patientId, doctorId, activeRecords.map(record => record.cid));
+
+        res.status(201).json({
+            success: true,
+            message: 'Emergency access granted',
+            data: {
+                accessId: grantedEvent ? Number(grantedEvent.args.accessId) : null,
+                patientId,
+                doctorId,
+                justification,
+                expiresAt: grantedEvent ? new Date(Number(grantedEvent.args.expiresAt) * 1000).toISOString() : null,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Check whether the caller may see a queued upload (the admin, or the doctor who uploaded it)
+ */
+const canAccessUpload = (user, entry) => {
+    return user.roles.includes('super-admin') || entry.authorId.toLowerCase() === user.address.toLowerCase();
+};
+
+/**
+ * List queued uploads (all of them for the admin, the caller's own for doctors)
+ */
+const getPendingUploads = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !Object.values(UPLOAD_STATUS).includes(status)) {
+            return next(createApiError('VALIDATION_ERROR', `Invalid status. Expected one of: ${Object.values(UPLOAD_STATUS).join(', ')}`));
+        }
+
+        const authorId = req.user.roles.includes('super-admin') ? undefined : req.user.address;
+        const entries = listUploads({ status, authorId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Pending uploads retrieved successfully',
+            data: entries.map(formatPendingUpload)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the status of a queued upload
+ */
+const getPendingUpload = async (req, res, next) => {
+    try {
+        const entry = getUpload(req.params.uploadId);
+
+        if (!entry || !canAccessUpload(req.user, entry)) {
+            return next(createApiError('UPLOAD_NOT_FOUND'));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Pending upload retrieved successfully',
+            data: formatPendingUpload(entry)
         });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Retry a queued upload now
+ */
+const retryPendingUpload = async (req, res, next) => {
+    try {
+        const { uploadId } = req.params;
+        const entry = getUpload(uploadId);
+
+        if (!entry || !canAccessUpload(req.user, entry)) {
+            return next(createApiError('UPLOAD_NOT_FOUND'));
+        }
+
+        if (entry.status === UPLOAD_STATUS.COMPLETED) {
+            return next(createApiError('CONFLICT', 'Upload already completed', formatPendingUpload(entry)));
+        }
+        if (entry.status === UPLOAD_STATUS.FAILED) {
+            return next(createApiError('CONFLICT', 'Upload gave up; its file and record details were deleted', formatPendingUpload(entry)));
+        }
+
+        if (!medicContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Medic contract not initialized'));
+        }
+
+        const updated = await processPendingUpload(uploadId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Upload completed and medical record added successfully',
+            data: formatPendingUpload(updated)
+        });
+
+    } catch (error) {
+        // Send the upload's state with the error: it stays queued unless it gave up
+        const entry = getUpload(req.params.uploadId);
+        if (entry) {
+            error.responseData = formatPendingUpload(entry);
+        }
+        next(error);
+    }
+};
+
+/**
+ * Remove a queued upload and delete its queued file
+ */
+const removePendingUpload = async (req, res, next) => {
+    try {
+        const { uploadId } = req.params;
+        const entry = getUpload(uploadId);
+
+        if (!entry || !canAccessUpload(req.user, entry)) {
+            return next(createApiError('UPLOAD_NOT_FOUND'));
+        }
+
+        if (uploadsInProgress.has(uploadId)) {
+            return next(createApiError('UPLOAD_IN_PROGRESS'));
+        }
+
+        const removed = removeUpload(uploadId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Pending upload removed successfully',
+            data: { id: removed.id, status: removed.status }
+        });
+
+    } catch (error) {
+        next(error);
     }
 };
 
 module.exports = {
     initializeContracts,
-    upload,
     checkDoctorStatus,
     getPatients,
     addPatientRecord,
     getPatientRecords,
     checkPatientExists,
-    deactivateRecord
+    deactivateRecord,
+    reactivateRecord,
+    amendPatientRecord,
+    requestEmergencyAccess,
+    getPendingUploads,
+    getPendingUpload,
+    retryPendingUpload,
+    removePendingUpload,
+    retryPendingUploads
 };
@@ -0,0 +1,137 @@
+const { ethers } = require('ethers');
+const { pipeline } = require('stream');
+const { downloadFromIPFS } = require('../ipfs/ipfs');
+const { callAs, readRecordsAs } = require('../utils/callUtils');
+const { ESCROW_RECIPIENT, getEnvelope } = require('../utils/keyUtils');
+const { createApiError } = require('../utils/errorUtils');
+
+// This will be populated when we create contractUtils.js
+let medicContract;
+let patientContract;
+
+/**
+ * Initialize contracts - this function should be called when the app starts
+ */
+const initializeContracts = (contracts) => {
+    medicContract = contracts.medicContract;
+    patientContract = contracts.patientContract;
+};
+
+/**
+ * Find the on-chain record that references a CID among a patient's records
+ * @param {string} cid - Content ID
+ * @param {string} patientId - Patient the file should belong to
+ * @param {string} reader - Address the records are read as
+ * @returns {Promise<Object|null>} - { contract, record } or null if no readable record references the CID
+ */
+const findPatientRecord = async (cid, patientId, reader) => {
+    // getActiveMedicalRecords also honours break-glass access, getMedicalRecords only consents
+    const sources = [
+        ['MedicContract', medicContract, 'getActiveMedicalRecords'],
+        ['MedicContract', medicContract, 'getMedicalRecords'],
+        ['PatientContract', patientContract, 'getPatientSelfRecords']
+    ];
+
+    const amendedRecordIds = new Set();
+    for (const [contractName, contract, functionName] of sources) {
+        const records = await readRecordsAs(contract, functionName, patientId, reader);
+        const record = records.find(item => item.cid === cid);
+        if (record) {
+            return { contract: contractName, record };
+        }
+        if (contract === medicContract) {
+            records
+                .filter(item => Number(item.version) > 1)
+                .forEach(item => amendedRecordIds.add(item.recordId));
+        }
+    }
+
+    // Files replaced by an amendment stay readable through the record's versions
+    for (const recordId of amendedRecordIds) {
+        const versions = await callAs(medicContract, 'getRecordVersions', [recordId], reader);
+        const version = versions.find(item => item.cid === cid);
+        if (version) {
+            return { contract: 'MedicContract', record: version };
+        }
+    }
+    return null;
+};
+
+/**
+ * Download a file after checking the caller may read the record it belongs to
+ * The patient, the admin and doctors whose consent (or break-glass access)
+ * covers the record may download it; the contracts decide for doctors.
+ * Admins open the key envelope with the escrow key.
+ */
+const downloadFile = async (req, res, next) => {
+    try {
+        const { cid } = req.params;
+        const { patientId: requestedPatientId, encrypted = 'false', filename } = req.query;
+        const isEncrypted = encrypted === 'true' || encrypted === true;
+        const caller = req.user.address;
+
+        if (!cid) {
+            return next(createApiError('VALIDATION_ERROR', 'CID is required'));
+        }
+
+        if (requestedPatientId && !ethers.isAddress(requestedPatientId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
+        }
+
+        // Envelopes record the file's patient; legacy files need it in the query
+        const envelope = getEnvelope(cid);
+        const patientId = envelope ? envelope.patientId : requestedPatientId;
+
+        if (!patientId) {
+            return next(createApiError('VALIDATION_ERROR', 'Patient ID is required for files uploaded before envelope encryption'));
+        }
+
+        if (requestedPatientId && requestedPatientId.toLowerCase() !== patientId.toLowerCase()) {
+            return next(createApiError('FILE_NOT_FOUND', 'File not found in this patient\'s records'));
+        }
+
+        if (!medicContract || !patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
+        }
+
+        // The file must belong to one of the patient's records on-chain
+        const ownerRecord = await findPatientRecord(cid, patientId, patientId);
+        if (!ownerRecord) {
+            return next(createApiError('FILE_NOT_FOUND', 'File not found in this patient\'s records'));
+        }
+
+        const isPatient = caller.toLowerCase() === patientId.toLowerCase();
+        const isAdmin = req.user.roles.includes('super-admin');
+        if (!isPatient && !isAdmin && !(await findPatientRecord(cid, patientId, caller))) {
+            return next(createApiError('RECORD_ACCESS_DENIED', 'Not authorized to access this file'));
+        }
+
+        const recipient = isAdmin && !isPatient ? ESCROW_RECIPIENT : caller;
+        const fileStream = await downloadFromIPFS(cid, patientId, isEncrypted, recipient);
+
+        // Record file names come from other users, so keep them out of the header syntax
+        const downloadName = (filename || ownerRecord.record.fileName || `file_${cid.substring(0, 8)}`).replace(/["\r\n]/g, '');
+
+        // Set appropriate headers
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${downloadName}"`
+        });
+
+        // Headers are already sent once streaming starts, so a failure
+        // mid-stream (e.g. a chunk failing authentication) aborts the response
+        pipeline(fileStream, res, (error) => {
+            if (error) {
+                console.error('Error streaming file:', error);
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    initializeContracts,
+    downloadFile
+};
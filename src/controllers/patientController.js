@@ -1,9 +1,18 @@
 const { ethers } = require('ethers');
+const fs = require('fs');
+const { uploadToIPFS } = require('../ipfs/ipfs');
+const { relaySignedCall, registerCallValidator } = require('../utils/relayUtils');
+const { callAs, listConsentedFiles } = require('../utils/callUtils');
+const { waitForTransaction, isAsyncRequest, acceptTransaction } = require('../utils/txTracker');
+const { shareWithRecipient, unshareWithRecipient } = require('../utils/keyUtils');
+const { createRegistrationRequest, listRegistrationRequests } = require('../utils/registrationQueue');
+const { createApiError } = require('../utils/errorUtils');
 
 // This will be populated when we create contractUtils.js
 let adminContract;
 let medicContract;
 let patientContract;
+let forwarderContract;
 
 /**
  * Initialize contracts - this function should be called when the app starts
@@ -12,38 +21,74 @@ const initializeContracts = (contracts) => {
     adminContract = contracts.adminContract;
     medicContract = contracts.medicContract;
     patientContract = contracts.patientContract;
+    forwarderContract = contracts.forwarderContract;
 };
 
+/**
+ * Format a MedicContract record for API responses; a record without a file
+ * (empty CID on-chain) has a null cid and fileName
+ */
+const formatMedicalRecord = (record) => ({
+    recordId: Number(record.recordId),
+    cid: record.cid || null,
+    fileName: record.fileName || null,
+    patientId: record.patientId,
+    diagnosis: record.diagnosis,
+    treatment: record.treatment,
+    doctorId: record.doctorId,
+    timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
+    isActive: record.isActive,
+    version: Number(record.version)
+});
+
+/**
+ * Format one version of a MedicContract record for API responses
+ */
+const formatRecordVersion = (version) => ({
+    version: Number(version.version),
+    cid: version.cid || null,
+    fileName: version.fileName || null,
+    diagnosis: version.diagnosis,
+    treatment: version.treatment,
+    author: version.author,
+    timestamp: new Date(Number(version.timestamp) * 1000).toISOString(),
+    reason: version.reason
+});
+
+/**
+ * Format a PatientContract self-record for API responses
+ */
+const formatSelfRecord = (record) => ({
+    recordId: Number(record.recordId),
+    cid: record.cid,
+    fileName: record.fileName,
+    recordType: record.recordType,
+    description: record.description,
+    timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
+    isEncrypted: record.isEncrypted
+});
+
 /**
  * Get patient information
  */
-const getPatientInfo = async (req, res) => {
+const getPatientInfo = async (req, res, next) => {
     try {
         const { patientId } = req.params;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
         // Get patient info from admin contract
         const patientInfo = await adminContract.getPatientInfo(patientId);
 
         if (!patientInfo.isActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Patient not found or not active'
-            });
+            return next(createApiError('PATIENT_NOT_FOUND'));
         }
 
         res.status(200).json({
@@ -61,172 +106,212 @@ const getPatientInfo = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error getting patient info:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve patient information',
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
  * Get patient's medical records
  */
-const getPatientMedicalRecords = async (req, res) => {
+const getPatientMedicalRecords = async (req, res, next) => {
     try {
         const { patientId } = req.params;
         const { activeOnly } = req.query;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         if (!medicContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Medic contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Medic contract not initialized'));
         }
 
         // Check if patient exists and is active
         if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
         const isPatientActive = await adminContract.isPatientActive(patientId);
         if (!isPatientActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Patient not found or not active'
-            });
-        }
-
-        let records;
-        if (activeOnly === 'true') {
-            records = await medicContract.getActiveMedicalRecords(patientId);
-        } else {
-            records = await medicContract.getMedicalRecords(patientId);
+            return next(createApiError('PATIENT_NOT_FOUND'));
         }
 
-        const formattedRecords = records.map(record => ({
-            cid: record.cid,
-            fileName: record.fileName,
-            patientId: record.patientId,
-            diagnosis: record.diagnosis,
-            treatment: record.treatment,
-            doctorId: record.doctorId,
-            timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
-            isActive: record.isActive
-        }));
+        // Read as the caller so MedicContract enforces patient consent
+        const functionName = activeOnly === 'true' ? 'getActiveMedicalRecords' : 'getMedicalRecords';
+        const records = await callAs(medicContract, functionName, [patientId], req.user.address);
 
         res.status(200).json({
             success: true,
             message: 'Medical records retrieved successfully',
-            data: formattedRecords
+            data: records.map(formatMedicalRecord)
         });
 
     } catch (error) {
-        console.error('Error getting patient medical records:', error);
-        
-        let errorMessage = 'Failed to retrieve medical records';
-        if (error.message.includes('Unauthorized access')) {
-            errorMessage = 'Not authorized to access these records';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
  * Get patient's self-uploaded records (if PatientContract is available)
  */
-const getPatientSelfRecords = async (req, res) => {
+const getPatientSelfRecords = async (req, res, next) => {
     try {
         const { patientId } = req.params;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         if (!patientContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Patient contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
         }
 
-        // Get self-uploaded records from patient contract
-        const selfRecords = await patientContract.getPatientSelfRecords(patientId);
-
-        const formattedRecords = selfRecords.map(record => ({
-            cid: record.cid,
-            fileName: record.fileName,
-            recordType: record.recordType,
-            description: record.description,
-            timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
-            isEncrypted: record.isEncrypted
-        }));
+        // Read as the caller so doctors only get the record types the patient consented to
+        const selfRecords = await callAs(patientContract, 'getPatientSelfRecords', [patientId], req.user.address);
 
         res.status(200).json({
             success: true,
             message: 'Self-uploaded records retrieved successfully',
-            data: formattedRecords
+            data: selfRecords.map(formatSelfRecord)
         });
 
     } catch (error) {
-        console.error('Error getting patient self records:', error);
-        
-        let errorMessage = 'Failed to retrieve self-uploaded records';
-        if (error.message.includes('Not authorized')) {
-            errorMessage = 'Not authorized to access these records';
-        } else if (error.message.includes('Patient not registered')) {
-            errorMessage = 'Patient not registered in the system';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
+        next(error);
+    }
+};
+
+/**
+ * Validate a record ID route parameter
+ */
+const isValidRecordId = (recordId) => /^\d+$/.test(recordId) && Number(recordId) > 0;
+
+/**
+ * Get the ID of the self-record a transaction added
+ */
+const getUploadedRecordId = (receipt) => {
+    const uploadedEvent = receipt.logs
+        .map(log => patientContract.interface.parseLog(log))
+        .find(event => event && event.name === 'SelfRecordUploaded');
+    return uploadedEvent ? Number(uploadedEvent.args.recordId) : null;
+};
+
+/**
+ * Get one of a patient's medical records by record ID
+ */
+const getPatientMedicalRecord = async (req, res, next) => {
+    try {
+        const { patientId, recordId } = req.params;
+
+        if (!isValidRecordId(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', 'recordId must be a positive integer'));
+        }
+
+        if (!medicContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Medic contract not initialized'));
+        }
+
+        // Read as the caller so MedicContract enforces patient consent
+        const record = await callAs(medicContract, 'getMedicalRecord', [recordId], req.user.address);
+
+        if (record.patientId.toLowerCase() !== patientId.toLowerCase()) {
+            return next(createApiError('RECORD_NOT_FOUND'));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Medical record retrieved successfully',
+            data: formatMedicalRecord(record)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a medical record's current version and its full version history
+ */
+const getPatientMedicalRecordVersions = async (req, res, next) => {
+    try {
+        const { patientId, recordId } = req.params;
+
+        if (!isValidRecordId(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', 'recordId must be a positive integer'));
+        }
+
+        if (!medicContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Medic contract not initialized'));
+        }
+
+        // Read as the caller so MedicContract enforces patient consent
+        const [record, versions] = await Promise.all([
+            callAs(medicContract, 'getMedicalRecord', [recordId], req.user.address),
+            callAs(medicContract, 'getRecordVersions', [recordId], req.user.address)
+        ]);
+
+        if (record.patientId.toLowerCase() !== patientId.toLowerCase()) {
+            return next(createApiError('RECORD_NOT_FOUND'));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Record versions retrieved successfully',
+            data: {
+                current: formatMedicalRecord(record),
+                versions: versions.map(formatRecordVersion)
+            }
         });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get one of a patient's self-uploaded records by record ID
+ */
+const getPatientSelfRecord = async (req, res, next) => {
+    try {
+        const { patientId, recordId } = req.params;
+
+        if (!isValidRecordId(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', 'recordId must be a positive integer'));
+        }
+
+        if (!patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // Read as the caller so doctors only get record types the patient consented to
+        const record = await callAs(patientContract, 'getPatientSelfRecord', [patientId, recordId], req.user.address);
+
+        res.status(200).json({
+            success: true,
+            message: 'Self-uploaded record retrieved successfully',
+            data: formatSelfRecord(record)
+        });
+
+    } catch (error) {
+        next(error);
     }
 };
 
 /**
  * Get patient's profile from PatientContract
  */
-const getPatientProfile = async (req, res) => {
+const getPatientProfile = async (req, res, next) => {
     try {
         const { patientId } = req.params;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         if (!patientContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Patient contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
         }
 
         // Get patient profile from patient contract
@@ -245,50 +330,159 @@ const getPatientProfile = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error getting patient profile:', error);
-        
-        let errorMessage = 'Failed to retrieve patient profile';
-        if (error.message.includes('Patient not registered')) {
-            errorMessage = 'Patient not registered in the system';
+        next(error);
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ().-]*$/;
+
+/**
+ * Check the contact details of a profile update
+ * Email and phone number may be left empty, but must be well-formed when given.
+ * @returns {string|null} - Validation error, or null if the profile is valid
+ */
+const validateProfile = (name, email, phoneNumber) => {
+    if (!name || !name.trim()) {
+        return 'Name is required';
+    }
+    if (name.length > 100) {
+        return 'Name must be at most 100 characters';
+    }
+    if (email && (email.length > 254 || !EMAIL_PATTERN.test(email))) {
+        return 'Invalid email address';
+    }
+    if (phoneNumber) {
+        const digits = phoneNumber.replace(/\D/g, '').length;
+        if (!PHONE_PATTERN.test(phoneNumber) || digits < 7 || digits > 15) {
+            return 'Invalid phone number: use 7 to 15 digits, optionally starting with +';
+        }
+    }
+    return null;
+};
+
+registerCallValidator('PatientContract', 'updateProfile', ([name, email, phoneNumber]) => {
+    const validationError = validateProfile(name, email, phoneNumber);
+    if (validationError) {
+        throw createApiError('VALIDATION_ERROR', validationError);
+    }
+});
+
+// Flags are for follow-up, so they must say what to follow up on
+registerCallValidator('PatientContract', 'flagEmergencyAccess', ([, , reason]) => {
+    if (!reason.trim()) {
+        throw createApiError('VALIDATION_ERROR', 'All fields are required: reason');
+    }
+});
+
+/**
+ * Update the patient's own profile (contact details)
+ * The patient signs PatientContract.updateProfile(name, email, phoneNumber)
+ * via /api/relay/prepare; the fields are validated before the call is relayed.
+ * The profile is marked completed once every field is filled in.
+ */
+const updatePatientProfile = async (req, res, next) => {
+    try {
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
         }
 
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
+        const { receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'PatientContract',
+            'updateProfile'
+        );
+
+        const updatedEvent = receipt.logs
+            .map(log => patientContract.interface.parseLog(log))
+            .find(event => event && event.name === 'ProfileUpdated');
+
+        res.status(200).json({
+            success: true,
+            message: 'Patient profile updated successfully',
+            data: {
+                patientAddress: req.user.address,
+                name: updatedEvent.args.name,
+                email: updatedEvent.args.email,
+                phoneNumber: updatedEvent.args.phoneNumber,
+                profileCompleted: updatedEvent.args.profileCompleted,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
         });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the change history of a patient's profile, oldest first
+ */
+const getProfileHistory = async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+
+        if (!ethers.isAddress(patientId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
+        }
+
+        if (!patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        const events = await patientContract.queryFilter(patientContract.filters.ProfileUpdated(patientId));
+
+        const blockTimes = new Map();
+        for (const event of events) {
+            if (!blockTimes.has(event.blockNumber)) {
+                const block = await event.getBlock();
+                blockTimes.set(event.blockNumber, new Date(block.timestamp * 1000).toISOString());
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile history retrieved successfully',
+            data: events.map(event => ({
+                name: event.args.name,
+                email: event.args.email,
+                phoneNumber: event.args.phoneNumber,
+                profileCompleted: event.args.profileCompleted,
+                updatedBy: event.args.updatedBy,
+                updatedAt: blockTimes.get(event.blockNumber),
+                transactionHash: event.transactionHash,
+                blockNumber: event.blockNumber
+            }))
+        });
+
+    } catch (error) {
+        next(error);
     }
 };
 
 /**
  * Update patient information (admin function)
  */
-const updatePatientInfo = async (req, res) => {
+const updatePatientInfo = async (req, res, next) => {
     try {
         const { patientId } = req.params;
         const { name, dateOfBirth, phoneNumber, emergencyContact } = req.body;
 
         // Validate Ethereum address
         if (!ethers.isAddress(patientId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientId'
-            });
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for patientId'));
         }
 
         // Validate required fields
         if (!name || !dateOfBirth || !phoneNumber || !emergencyContact) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required: name, dateOfBirth, phoneNumber, emergencyContact'
-            });
+            return next(createApiError('VALIDATION_ERROR', 'All fields are required: name, dateOfBirth, phoneNumber, emergencyContact'));
         }
 
         if (!adminContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Admin contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized'));
         }
 
         // Update patient information
@@ -300,7 +494,7 @@ const updatePatientInfo = async (req, res) => {
             emergencyContact
         );
 
-        const receipt = await tx.wait();
+        const receipt = await waitForTransaction(tx, 'updatePatientInfo', req.user.address);
 
         res.status(200).json({
             success: true,
@@ -317,138 +511,189 @@ const updatePatientInfo = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error updating patient info:', error);
-        
-        let errorMessage = 'Failed to update patient information';
-        if (error.message.includes('Patient does not exist')) {
-            errorMessage = 'Patient does not exist or is not active';
-        } else if (error.message.includes('Only owner')) {
-            errorMessage = 'Only contract owner can update patient information';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
- * Self-register a patient (using PatientContract)
+ * Submit a registration request for the signed-in address
+ * Requests wait in a queue until an admin approves them, which registers the
+ * patient in AdminContract and sets up their PatientContract profile.
  */
-const selfRegisterPatient = async (req, res) => {
+const selfRegisterPatient = async (req, res, next) => {
     try {
-        const { name, email, phoneNumber, patientAddress } = req.body;
+        const { name, dateOfBirth, phoneNumber, emergencyContact, email } = req.body;
+        const patientAddress = req.user.address;
 
         // Validate required fields
-        if (!name || !email || !phoneNumber || !patientAddress) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required: name, email, phoneNumber, patientAddress'
-            });
+        if (!name || !dateOfBirth || !phoneNumber || !emergencyContact) {
+            return next(createApiError('VALIDATION_ERROR', 'All fields are required: name, dateOfBirth, phoneNumber, emergencyContact'));
         }
 
-        // Validate Ethereum address
-        if (!ethers.isAddress(patientAddress)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientAddress'
-            });
+        // These details become the patient's profile once approved
+        const validationError = validateProfile(name, email, phoneNumber);
+        if (validationError) {
+            return next(createApiError('VALIDATION_ERROR', validationError));
         }
 
-        if (!patientContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Patient contract not initialized'
-            });
+        if (req.user.roles.includes('patient')) {
+            return next(createApiError('PATIENT_ALREADY_REGISTERED'));
+        }
+
+        const request = createRegistrationRequest(patientAddress, {
+            name,
+            dateOfBirth,
+            phoneNumber,
+            emergencyContact,
+            email
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Registration request submitted and awaiting admin approval',
+            data: request
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the status of the signed-in address's latest registration request
+ */
+const getRegistrationStatus = async (req, res, next) => {
+    try {
+        const requests = listRegistrationRequests({ patientId: req.user.address });
+        if (requests.length === 0) {
+            return next(createApiError('REGISTRATION_NOT_FOUND', 'No registration request found for this address'));
         }
 
-        // Self-register in patient contract
-        const tx = await patientContract.selfRegister(name, email, phoneNumber, {
-            from: patientAddress
+        res.status(200).json({
+            success: true,
+            message: 'Registration request retrieved successfully',
+            data: requests[requests.length - 1]
         });
 
-        const receipt = await tx.wait();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Upload a self-record (using PatientContract)
+ * The patient signs PatientContract.uploadSelfRecord via /api/relay/prepare and
+ * the API relays it, so the contract sees the patient as msg sender.
+ */
+const uploadSelfRecord = async (req, res, next) => {
+    try {
+        const patientAddress = req.user.address;
+
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // Upload self-record on behalf of the signing patient
+        const { args, receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            patientAddress,
+            req.body,
+            'PatientContract',
+            'uploadSelfRecord'
+        );
+        const [cid, fileName, recordType, description] = args;
 
         res.status(201).json({
             success: true,
-            message: 'Patient self-registration successful',
+            message: 'Self-record uploaded successfully',
             data: {
+                recordId: getUploadedRecordId(receipt),
+                cid,
+                fileName,
+                recordType,
+                description,
                 patientAddress,
-                name,
-                email,
-                phoneNumber,
                 transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber
             }
         });
 
     } catch (error) {
-        console.error('Error in patient self-registration:', error);
-        
-        let errorMessage = 'Failed to self-register patient';
-        if (error.message.includes('Already registered')) {
-            errorMessage = 'Patient is already registered';
-        }
-
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
-        });
+        next(error);
     }
 };
 
 /**
- * Upload a self-record (using PatientContract)
+ * Upload a file as a self-record in one call
+ * The file is encrypted for the patient (and consented doctors), stored, and
+ * registered with PatientContract.uploadSelfRecordByAdmin on the patient's behalf.
  */
-const uploadSelfRecord = async (req, res) => {
+const uploadPatientFile = async (req, res, next) => {
+    const medicalFile = req.file;
+
     try {
-        const { cid, fileName, recordType, description, patientAddress } = req.body;
+        const patientAddress = req.user.address;
+        const { recordType, description = '' } = req.body;
 
-        // Validate required fields
-        if (!cid || !fileName || !recordType || !description || !patientAddress) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required: cid, fileName, recordType, description, patientAddress'
-            });
+        if (!medicalFile) {
+            return next(createApiError('VALIDATION_ERROR', 'A file is required in the "file" field'));
         }
 
-        // Validate Ethereum address
-        if (!ethers.isAddress(patientAddress)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid Ethereum address for patientAddress'
-            });
+        if (!recordType) {
+            return next(createApiError('VALIDATION_ERROR', 'recordType is required'));
         }
 
         if (!patientContract) {
-            return res.status(500).json({
-                success: false,
-                message: 'Patient contract not initialized'
-            });
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // Nothing is stored for patients the contract would reject
+        const isRegistered = await patientContract.isPatientRegistered(patientAddress);
+        if (!isRegistered) {
+            return next(createApiError('PATIENT_NOT_FOUND', 'Patient not registered in the system'));
         }
 
-        // Upload self-record
-        const tx = await patientContract.uploadSelfRecord(
+        // Fails with STORAGE_UNAVAILABLE when the storage backend cannot be reached
+        const { cid } = await uploadToIPFS(medicalFile.path, patientAddress, true, null, recordType);
+
+        const fileName = medicalFile.originalname;
+        const tx = await patientContract.uploadSelfRecordByAdmin(
+            patientAddress,
             cid,
             fileName,
             recordType,
-            description,
-            { from: patientAddress }
+            description
         );
 
-        const receipt = await tx.wait();
+        // The record ID is in the SelfRecordUploaded event of the transaction's status
+        if (isAsyncRequest(req)) {
+            return res.status(202).json({
+                success: true,
+                message: 'File uploaded and record submitted',
+                data: {
+                    cid,
+                    fileName,
+                    recordType,
+                    description,
+                    size: medicalFile.size,
+                    patientAddress,
+                    ...acceptTransaction(tx, 'uploadSelfRecordByAdmin', req.user.address)
+                }
+            });
+        }
+
+        const receipt = await waitForTransaction(tx, 'uploadSelfRecordByAdmin', req.user.address);
 
         res.status(201).json({
             success: true,
-            message: 'Self-record uploaded successfully',
+            message: 'File uploaded successfully',
             data: {
+                recordId: getUploadedRecordId(receipt),
                 cid,
                 fileName,
                 recordType,
                 description,
+                size: medicalFile.size,
                 patientAddress,
                 transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber
@@ -456,18 +701,330 @@ const uploadSelfRecord = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error uploading self-record:', error);
-        
-        let errorMessage = 'Failed to upload self-record';
-        if (error.message.includes('Patient not registered')) {
-            errorMessage = 'Patient not registered in the system';
+        next(error);
+    } finally {
+        if (medicalFile) {
+            fs.rmSync(medicalFile.path, { force: true });
+        }
+    }
+};
+
+/**
+ * Update the record type and description of a self-record
+ * The patient signs PatientContract.updateSelfRecord(recordId, recordType, description)
+ * via /api/relay/prepare.
+ */
+const updateSelfRecord = async (req, res, next) => {
+    try {
+        const { recordId } = req.params;
+
+        if (!isValidRecordId(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', 'recordId must be a positive integer'));
+        }
+
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // The signed call must update the record in the URL
+        const request = req.body.request || {};
+        const signedCall = request.data ? patientContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === 'updateSelfRecord' && signedCall.args[0].toString() !== String(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request updates a different record than the one in the URL'));
+        }
+
+        const { args, receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'PatientContract',
+            'updateSelfRecord'
+        );
+        const [, recordType, description] = args;
+
+        res.status(200).json({
+            success: true,
+            message: 'Self-record updated successfully',
+            data: {
+                recordId: Number(recordId),
+                recordType,
+                description,
+                patientAddress: req.user.address,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a self-record; the IDs of the patient's other records do not change
+ * The patient signs PatientContract.deleteSelfRecord(recordId) via /api/relay/prepare.
+ */
+const deleteSelfRecord = async (req, res, next) => {
+    try {
+        const { recordId } = req.params;
+
+        if (!isValidRecordId(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', 'recordId must be a positive integer'));
+        }
+
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // The signed call must delete the record in the URL
+        const request = req.body.request || {};
+        const signedCall = request.data ? patientContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === 'deleteSelfRecord' && signedCall.args[0].toString() !== String(recordId)) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request deletes a different record than the one in the URL'));
+        }
+
+        const { receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'PatientContract',
+            'deleteSelfRecord'
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Self-record deleted successfully',
+            data: {
+                recordId: Number(recordId),
+                patientAddress: req.user.address,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Format a PatientContract consent for API responses
+ */
+const formatConsent = (consent) => {
+    const expiresAt = Number(consent.expiresAt);
+    return {
+        doctorId: consent.doctorId,
+        recordTypes: [...consent.recordTypes],
+        grantedAt: new Date(Number(consent.grantedAt) * 1000).toISOString(),
+        expiresAt: expiresAt === 0 ? null : new Date(expiresAt * 1000).toISOString(),
+        isActive: consent.isActive,
+        isExpired: expiresAt !== 0 && expiresAt * 1000 <= Date.now()
+    };
+};
+
+/**
+ * List the record access consents a patient has granted
+ */
+const getPatientConsents = async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+
+        if (!patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        const consents = await callAs(patientContract, 'getMyConsents', [], patientId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Consents retrieved successfully',
+            data: consents.map(formatConsent)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Grant a doctor access to the patient's records
+ * The patient signs PatientContract.grantConsent(doctorId, recordTypes, expiresAt)
+ * via /api/relay/prepare. An empty recordTypes list covers every record type and
+ * an expiresAt of 0 never expires.
+ */
+const grantConsent = async (req, res, next) => {
+    try {
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        const { args, receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'PatientContract',
+            'grantConsent'
+        );
+        const [doctorId, recordTypes, expiresAt] = args;
+
+        // Wrap the keys of the files the consent covers for the doctor
+        const cids = await listConsentedFiles({ medicContract, patientContract }, req.user.address, doctorId);
+        shareWithRecipient(req.user.address, doctorId, { cids, recordTypes, expiresAt });
+
+        res.status(201).json({
+            success: true,
+            message: 'Consent granted successfully',
+            data: {
+                patientId: req.user.address,
+                doctorId,
+                recordTypes: [...recordTypes],
+                expiresAt: Number(expiresAt) === 0 ? null : new Date(Number(expiresAt) * 1000).toISOString(),
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke a doctor's access to the patient's records
+ * The patient signs PatientContract.revokeConsent(doctorId) via /api/relay/prepare.
+ */
+const revokeConsent = async (req, res, next) => {
+    try {
+        const { doctorId } = req.params;
+
+        // Validate Ethereum address
+        if (!ethers.isAddress(doctorId)) {
+            return next(createApiError('INVALID_ADDRESS', 'Invalid Ethereum address for doctorId'));
         }
 
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // The signed call must revoke the doctor named in the URL
+        const request = req.body.request || {};
+        const signedCall = request.data ? patientContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === 'revokeConsent' && signedCall.args[0].toLowerCase() !== doctorId.toLowerCase()) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request revokes a different doctor than the one in the URL'));
+        }
+
+        const { receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'PatientContract',
+            'revokeConsent'
+        );
+
+        unshareWithRecipient(req.user.address, doctorId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Consent revoked successfully',
+            data: {
+                patientId: req.user.address,
+                doctorId,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
         });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Format a PatientContract break-glass log entry for API responses
+ */
+const formatEmergencyAccess = (access, accessId) => ({
+    accessId,
+    doctorId: access.doctorId,
+    justification: access.justification,
+    grantedAt: new Date(Number(access.grantedAt) * 1000).toISOString(),
+    expiresAt: new Date(Number(access.expiresAt) * 1000).toISOString(),
+    flagged: access.flagged,
+    flaggedBy: access.flagged ? access.flaggedBy : null,
+    flagReason: access.flagged ? access.flagReason : null
+});
+
+/**
+ * Get the break-glass access log of a patient (patient or admin)
+ */
+const getEmergencyAccessLog = async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+
+        if (!patientContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        const log = await callAs(patientContract, 'getEmergencyAccessLog', [patientId], req.user.address);
+
+        res.status(200).json({
+            success: true,
+            message: 'Emergency access log retrieved successfully',
+            data: log.map(formatEmergencyAccess)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Flag a break-glass access for follow-up
+ * The patient signs PatientContract.flagEmergencyAccess(patientId, accessId, reason)
+ * via /api/relay/prepare.
+ */
+const flagEmergencyAccess = async (req, res, next) => {
+    try {
+        const { patientId, accessId } = req.params;
+
+        if (!/^\d+$/.test(accessId)) {
+            return next(createApiError('VALIDATION_ERROR', 'accessId must be a non-negative integer'));
+        }
+
+        if (!patientContract || !forwarderContract) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED', 'Patient contract not initialized'));
+        }
+
+        // The signed call must flag the entry in the URL
+        const request = req.body.request || {};
+        const signedCall = request.data ? patientContract.interface.parseTransaction({ data: request.data }) : null;
+        if (signedCall && signedCall.name === 'flagEmergencyAccess' &&
+            (signedCall.args[0].toLowerCase() !== patientId.toLowerCase() || signedCall.args[1].toString() !== String(accessId))) {
+            return next(createApiError('VALIDATION_ERROR', 'Signed request flags a different access than the one in the URL'));
+        }
+
+        const { args, receipt } = await relaySignedCall(
+            { medicContract, patientContract, forwarderContract },
+            req.user.address,
+            req.body,
+            'PatientContract',
+            'flagEmergencyAccess'
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Emergency access flagged successfully',
+            data: {
+                patientId,
+                accessId: Number(args[1]),
+                reason: args[2],
+                flaggedBy: req.user.address,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
     }
 };
 
@@ -476,8 +1033,22 @@ module.exports = {
     getPatientInfo,
     getPatientMedicalRecords,
     getPatientSelfRecords,
+    getPatientMedicalRecord,
+    getPatientMedicalRecordVersions,
+    getPatientSelfRecord,
     getPatientProfile,
+    updatePatientProfile,
+    getProfileHistory,
     updatePatientInfo,
     selfRegisterPatient,
-    uploadSelfRecord
+    getRegistrationStatus,
+    uploadSelfRecord,
+    uploadPatientFile,
+    updateSelfRecord,
+    deleteSelfRecord,
+    getPatientConsents,
+    grantConsent,
+    revokeConsent,
+    getEmergencyAccessLog,
+    flagEmergencyAccess
 };
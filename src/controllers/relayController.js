@@ -0,0 +1,98 @@
+const {
+    prepareForwardRequest,
+    decodeForwardRequest,
+    relayForwardRequest
+} = require('../utils/relayUtils');
+const { shareWithRecipient, shareFilesWithRecipient, unshareWithRecipient } = require('../utils/keyUtils');
+const { callAs, listConsentedFiles } = require('../utils/callUtils');
+const { createApiError } = require('../utils/errorUtils');
+
+let contracts = {};
+
+/**
+ * Initialize contracts - this function should be called when the app starts
+ */
+const initializeContracts = (initializedContracts) => {
+    contracts = initializedContracts;
+};
+
+/**
+ * Build the EIP-712 payload the caller must sign for a relayed call
+ */
+const prepareRelay = async (req, res, next) => {
+    try {
+        const { contract, functionName, args = [] } = req.body;
+
+        if (!contract || !functionName) {
+            return next(createApiError('VALIDATION_ERROR', 'All fields are required: contract, functionName'));
+        }
+
+        if (!Array.isArray(args)) {
+            return next(createApiError('VALIDATION_ERROR', 'args must be an array'));
+        }
+
+        const typedData = await prepareForwardRequest(contracts, req.user.address, contract, functionName, args);
+
+        res.status(200).json({
+            success: true,
+            message: 'Sign the typed data with eth_signTypedData_v4 and submit it to /api/relay/execute',
+            data: typedData
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Submit a signed forward request through the forwarder
+ */
+const executeRelay = async (req, res, next) => {
+    try {
+        const { request, signature } = req.body;
+
+        if (!request || !signature) {
+            return next(createApiError('VALIDATION_ERROR', 'All fields are required: request, signature'));
+        }
+
+        if (String(request.from).toLowerCase() !== req.user.address.toLowerCase()) {
+            return next(createApiError('FORBIDDEN', 'Request signer must be the authenticated user'));
+        }
+
+        const call = await decodeForwardRequest(contracts, request);
+        const receipt = await relayForwardRequest(contracts, request, signature);
+
+        // Keep file key envelopes in line with consents and break-glass accesses granted through the generic relay
+        if (call.contractName === 'PatientContract' && call.functionName === 'grantConsent') {
+            const [doctorId, recordTypes, expiresAt] = call.args;
+            const cids = await listConsentedFiles(contracts, request.from, doctorId);
+            shareWithRecipient(request.from, doctorId, { cids, recordTypes, expiresAt });
+        } else if (call.contractName === 'PatientContract' && call.functionName === 'revokeConsent') {
+            unshareWithRecipient(request.from, call.args[0]);
+        } else if (call.contractName === 'PatientContract' && call.functionName === 'breakGlass') {
+            const activeRecords = await callAs(contracts.medicContract, 'getActiveMedicalRecords', [call.args[0]], request.from);
+            shareFilesWithRecipient(call.args[0], request.from, activeRecords.map(record => record.cid));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Relayed call executed successfully',
+            data: {
+                from: request.from,
+                contract: call.contractName,
+                functionName: call.functionName,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    initializeContracts,
+    prepareRelay,
+    executeRelay
+};
@@ -0,0 +1,98 @@
+const {
+    TX_STATUS,
+    MAX_POLL_SECONDS,
+    getFinalityDepth,
+    getTrackedTransaction,
+    listTrackedTransactions,
+    pollTransaction
+} = require('../utils/txTracker');
+const { getContracts, getTransactionDetails } = require('../utils/contractUtils');
+const { createApiError } = require('../utils/errorUtils');
+
+// Roles that may look up any transaction the API submitted
+const TRANSACTION_READER_ROLES = ['super-admin', 'auditor'];
+
+/**
+ * Whether a user may see a tracked transaction: the user it was submitted for,
+ * or a super-admin or auditor
+ */
+const canReadTransaction = (user, transaction) => {
+    return TRANSACTION_READER_ROLES.some(role => user.roles.includes(role)) ||
+        Boolean(transaction.submittedBy) && transaction.submittedBy.toLowerCase() === user.address.toLowerCase();
+};
+
+/**
+ * Get the state of a transaction submitted by the API, re-checked against the chain
+ * ?wait= long-polls for up to that many seconds while the transaction is pending.
+ * Other users' transactions are answered as not found, so their IDs and hashes leak nothing.
+ */
+const getTransaction = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const wait = req.query.wait === undefined ? 0 : Number(req.query.wait);
+
+        if (!Number.isInteger(wait) || wait < 0 || wait > MAX_POLL_SECONDS) {
+            return next(createApiError('VALIDATION_ERROR', `wait must be a whole number of seconds from 0 to ${MAX_POLL_SECONDS}`));
+        }
+
+        const tracked = getTrackedTransaction(id);
+        if (!tracked || !canReadTransaction(req.user, tracked)) {
+            return next(createApiError('TRANSACTION_NOT_FOUND'));
+        }
+
+        const { provider } = getContracts();
+        if (!provider) {
+            return next(createApiError('CONTRACTS_NOT_INITIALIZED'));
+        }
+
+        const transaction = await pollTransaction(provider, id, wait);
+        if (!transaction) {
+            return next(createApiError('TRANSACTION_NOT_FOUND'));
+        }
+
+        const { formatted, revertReason } = await getTransactionDetails(transaction.replacedBy || transaction.hash);
+
+        res.status(200).json({
+            success: true,
+            message: 'Transaction retrieved successfully',
+            data: {
+                ...transaction,
+                gasUsed: formatted ? formatted.gasUsed : null,
+                minedAt: formatted ? formatted.timestamp : null,
+                revertReason,
+                events: formatted ? formatted.events : [],
+                finalityDepth: getFinalityDepth()
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List transactions submitted by the API, newest first
+ */
+const getTransactions = async (req, res, next) => {
+    try {
+        const { status, operation, from } = req.query;
+
+        if (status && !Object.values(TX_STATUS).includes(status)) {
+            return next(createApiError('VALIDATION_ERROR', `status must be one of: ${Object.values(TX_STATUS).join(', ')}`));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Transactions retrieved successfully',
+            data: listTrackedTransactions({ status, operation, from })
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getTransaction,
+    getTransactions
+};
@@ -1,4 +1,9 @@
 const app = require('./app.js'); 
+
+// Refuse to start rather than encrypt the key store under a missing secret
+if (!process.env.ENCRYPTION_SECRET) {
+  throw new Error('ENCRYPTION_SECRET is not set');
+}
 // Import the server module
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
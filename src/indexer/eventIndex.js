@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+
+const { createJsonStore, getDataDir } = require('../utils/jsonStore');
+const { getConfirmationStatus, getFinalityDepth } = require('../utils/txTracker');
+const { createApiError } = require('../utils/errorUtils');
+
+const INDEX_DIR = 'event-index';
+
+/**
+ * Local index of the contracts' events, kept by the event indexer in
+ * DATA_DIR/event-index. state.json holds everything but the events:
+ * - segments:  event files, oldest first, as { id, fromBlock, toBlock, count }
+ * - doctors:   doctor address => latest AdminContract.getDoctorInfo
+ * - patients:  patient address => latest AdminContract.getPatientInfo
+ * - records:   patient address => MedicContract records, oldest first
+ * - changedIn: block each doctor, patient and record last changed in
+ * The events themselves, in chain order, are split over segment files of at
+ * most EVENT_INDEX_SEGMENT_EVENTS events, so indexing a batch only rewrites the
+ * newest one. A segment's events are the first `count` entries of its file:
+ * segments are written before the state, and anything after them was left by
+ * an interrupted write or a rollback. lastBlock is the last block whose events are all in the index;
+ * checkpoints hold the hashes of recently indexed blocks, to detect chain
+ * reorganisations.
+ */
+const createEmptyIndex = () => ({
+    chainId: null,
+    contracts: {},
+    lastBlock: null,
+    checkpoints: [],
+    lastReorg: null,
+    syncedAt: null,
+    segments: [],
+    nextSegmentId: 1,
+    retainedFromBlock: null,
+    doctors: {},
+    patients: {},
+    records: {},
+    changedIn: { doctors: {}, patients: {}, records: {} },
+    // Entries changed by backfilled batches, read once the index is near the head
+    pendingRefresh: { doctors: [], patients: [], records: [] }
+});
+
+const indexStore = createJsonStore(path.join(INDEX_DIR, 'state.json'), createEmptyIndex);
+
+const segmentStore = (id) => createJsonStore(path.join(INDEX_DIR, `events-${id}.json`), () => []);
+
+// Items whose confirmations are tracked, with the contract and event argument that identify them
+const CHANGE_KEYS = [
+    ['doctors', 'AdminContract', 'doctorId'],
+    ['patients', 'AdminContract', 'patientId'],
+    ['records', 'MedicContract', 'recordId']
+];
+
+const getSegmentSize = () => Math.max(Number(process.env.EVENT_INDEX_SEGMENT_EVENTS) || 1000, 1);
+
+// 0 keeps every event. Events within the finality depth are always kept, so rollbacks can replay them.
+const getRetentionBlocks = () => {
+    const retention = Number(process.env.EVENT_INDEX_RETENTION_BLOCKS ?? 500000);
+    return retention > 0 ? Math.max(retention, getFinalityDepth()) : 0;
+};
+
+/**
+ * Replace the index, deleting every event segment
+ * @param {Object} index - New index state
+ */
+const resetIndex = (index) => {
+    fs.rmSync(path.join(getDataDir(), INDEX_DIR), { recursive: true, force: true });
+    // Indexes from before segmenting were a single file
+    fs.rmSync(path.join(getDataDir(), 'event-index.json'), { force: true });
+    indexStore.write(index);
+    return index;
+};
+
+const segmentEvents = (segment) => segmentStore(segment.id).read().slice(0, segment.count);
+
+/**
+ * Read the indexed events of a block range, oldest first
+ * @param {Object} index - Index state
+ * @param {Object} range - { fromBlock, toBlock }, both optional
+ * @returns {Object[]}
+ */
+const readEvents = (index, { fromBlock, toBlock } = {}) => {
+    const events = [];
+    for (const segment of index.segments) {
+        if ((fromBlock !== undefined && segment.toBlock < fromBlock) ||
+            (toBlock !== undefined && segment.fromBlock > toBlock)) {
+            continue;
+        }
+        events.push(...segmentEvents(segment).filter(entry =>
+            (fromBlock === undefined || entry.blockNumber >= fromBlock) &&
+            (toBlock === undefined || entry.blockNumber <= toBlock)
+        ));
+    }
+    return events;
+};
+
+/**
+ * Note the block each doctor, patient and record last changed in
+ */
+const recordChanges = (index, events) => {
+    for (const entry of events) {
+        for (const [key, contract, argument] of CHANGE_KEYS) {
+            if (entry.contract === contract && entry.args[argument] !== undefined) {
+                index.changedIn[key][String(entry.args[argument]).toLowerCase()] = entry.blockNumber;
+            }
+        }
+    }
+};
+
+/**
+ * Append the events of newly indexed blocks to the newest segments
+ * @param {Object} index - Index state, updated in place (the caller writes it)
+ * @param {Object[]} events - Events after index.lastBlock, in chain order
+ */
+const appendEvents = (index, events) => {
+    recordChanges(index, events);
+
+    const segmentSize = getSegmentSize();
+    let remaining = events;
+    const open = index.segments[index.segments.length - 1];
+    if (open && open.count < segmentSize && remaining.length > 0) {
+        const entries = segmentEvents(open);
+        const added = remaining.slice(0, segmentSize - entries.length);
+        segmentStore(open.id).write(entries.concat(added));
+        open.toBlock = added[added.length - 1].blockNumber;
+        open.count = entries.length + added.length;
+        remaining = remaining.slice(added.length);
+    }
+
+    while (remaining.length > 0) {
+        const chunk = remaining.slice(0, segmentSize);
+        const id = index.nextSegmentId++;
+        segmentStore(id).write(chunk);
+        index.segments.push({
+            id,
+            fromBlock: chunk[0].blockNumber,
+            toBlock: chunk[chunk.length - 1].blockNumber,
+            count: chunk.length
+        });
+        remaining = remaining.slice(chunk.length);
+    }
+};
+
+/**
+ * Delete the segments that ended before the retention window
+ * @param {Object} index - Index state, updated in place (the caller writes it)
+ */
+const pruneEvents = (index) => {
+    const retention = getRetentionBlocks();
+    if (!retention || index.lastBlock === null) {
+        return;
+    }
+    const oldestBlock = index.lastBlock - retention + 1;
+    while (index.segments.length > 1 && index.segments[0].toBlock < oldestBlock) {
+        deleteSegments([index.segments.shift().id]);
+        index.retainedFromBlock = index.segments[0].fromBlock;
+    }
+};
+
+/**
+ * Drop the events after a block from the index state, for a chain
+ * reorganisation. Only segment counts change, so the files stay valid until
+ * the state is written. The blocks the dropped items last changed in are
+ * looked up again in the events kept.
+ * @param {Object} index - Index state, updated in place (the caller writes it)
+ * @param {number} forkBlock - Last block to keep
+ * @returns {number[]} - IDs of the segments no longer used, for deleteSegments once the state is written
+ */
+const truncateEvents = (index, forkBlock) => {
+    const dropped = [];
+    while (index.segments.length > 0 && index.segments[index.segments.length - 1].toBlock > forkBlock) {
+        const segment = index.segments[index.segments.length - 1];
+        const kept = segmentEvents(segment).filter(entry => entry.blockNumber <= forkBlock);
+        if (kept.length === 0) {
+            dropped.push(index.segments.pop().id);
+            continue;
+        }
+        segment.toBlock = kept[kept.length - 1].blockNumber;
+        segment.count = kept.length;
+    }
+
+    const stale = CHANGE_KEYS.flatMap(([key]) => Object.entries(index.changedIn[key])
+        .filter(([, blockNumber]) => blockNumber > forkBlock)
+        .map(([id]) => [key, id]));
+    for (const [key, id] of stale) {
+        delete index.changedIn[key][id];
+    }
+    // Newest segments first, until every stale item has been found again
+    const pending = new Set(stale.map(([key, id]) => `${key}:${id}`));
+    for (const segment of [...index.segments].reverse()) {
+        if (pending.size === 0) break;
+        const entries = segmentEvents(segment).filter(entry => entry.blockNumber <= forkBlock).reverse();
+        for (const entry of entries) {
+            for (const [key, contract, argument] of CHANGE_KEYS) {
+                const id = entry.args[argument] !== undefined && String(entry.args[argument]).toLowerCase();
+                if (entry.contract === contract && id && pending.delete(`${key}:${id}`)) {
+                    index.changedIn[key][id] = entry.blockNumber;
+                }
+            }
+        }
+    }
+    return dropped;
+};
+
+/**
+ * Delete segment files
+ * @param {number[]} ids - Segment IDs
+ */
+const deleteSegments = (ids) => {
+    for (const id of ids) {
+        fs.rmSync(segmentStore(id).filePath(), { force: true });
+    }
+};
+
+// Sources a list route can read from, chosen with ?consistency=
+const READ_CONSISTENCIES = ['chain', 'index'];
+
+const isSameAddress = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Add how settled an indexed item is, counting confirmations up to the indexed block
+ * @param {Object} item - Event, doctor, patient or record
+ * @param {number} blockNumber - Block the item last changed in
+ * @param {number} lastBlock - Last indexed block
+ * @returns {Object} - item with { confirmations, confirmationStatus }
+ */
+const withConfirmations = (item, blockNumber, lastBlock) => {
+    if (blockNumber === undefined) {
+        return { ...item, confirmations: null, confirmationStatus: null };
+    }
+    const confirmations = lastBlock - blockNumber + 1;
+    return { ...item, confirmations, confirmationStatus: getConfirmationStatus(confirmations) };
+};
+
+/**
+ * Get the last block whose events are all in the index
+ * @returns {number|null} - null until the first sync
+ */
+const getIndexedBlock = () => indexStore.read().lastBlock;
+
+/**
+ * Pick the source for a list query from its ?consistency= value
+ * @param {string} [value] - chain or index; READ_CONSISTENCY (default chain) if omitted
+ * @returns {Object} - { consistency, lastBlock }
+ * @throws {Error} - VALIDATION_ERROR or INDEX_NOT_READY if the query can't be served
+ */
+const resolveReadConsistency = (value) => {
+    const consistency = value || process.env.READ_CONSISTENCY || 'chain';
+    if (!READ_CONSISTENCIES.includes(consistency)) {
+        throw createApiError('VALIDATION_ERROR', `consistency must be one of: ${READ_CONSISTENCIES.join(', ')}`);
+    }
+    if (consistency === 'chain') {
+        return { consistency };
+    }
+
+    const lastBlock = getIndexedBlock();
+    if (lastBlock === null) {
+        throw createApiError('INDEX_NOT_READY', 'The event index has not been built yet; retry with consistency=chain');
+    }
+    return { consistency, lastBlock };
+};
+
+/**
+ * List indexed doctors. Like every indexed item, each carries the confirmation
+ * status of the block it last changed in.
+ * @param {Object} filter - { status (DoctorStatus index, or authorized doctors if omitted) }
+ * @returns {Object[]} - Doctors, in registration order
+ */
+const listIndexedDoctors = ({ status } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const { doctors, changedIn, lastBlock } = indexStore.read();
+    return Object.values(doctors)
+        // A license can lapse between events, so authorization is worked out at read time
+        .map(doctor => ({
+            ...doctor,
+            isAuthorized: doctor.isAuthorized && (doctor.licenseExpiry === 0 || doctor.licenseExpiry > now)
+        }))
+        .filter(doctor => status === undefined ? doctor.isAuthorized : doctor.status === status)
+        .sort((a, b) => a.registrationDate - b.registrationDate)
+        .map(doctor => withConfirmations(doctor, changedIn.doctors[doctor.id.toLowerCase()], lastBlock));
+};
+
+/**
+ * List indexed active patients
+ * @returns {Object[]} - Patients, in registration order
+ */
+const listIndexedPatients = () => {
+    const { patients, changedIn, lastBlock } = indexStore.read();
+    return Object.values(patients)
+        .filter(patient => patient.isActive)
+        .sort((a, b) => a.registrationDate - b.registrationDate)
+        .map(patient => withConfirmations(patient, changedIn.patients[patient.id.toLowerCase()], lastBlock));
+};
+
+/**
+ * List a patient's indexed MedicContract records
+ * @param {string} patientId - Patient address
+ * @param {Object} options - { activeOnly }
+ * @returns {Object[]}
+ */
+const listIndexedRecords = (patientId, { activeOnly = false } = {}) => {
+    const { records, changedIn, lastBlock } = indexStore.read();
+    const key = Object.keys(records).find(address => isSameAddress(address, patientId));
+    return (key ? records[key] : [])
+        .filter(record => !activeOnly || record.isActive)
+        .map(record => withConfirmations(record, changedIn.records[String(record.recordId)], lastBlock));
+};
+
+/**
+ * Query indexed events, oldest first. Only the segments covering the block
+ * range are read.
+ * @param {Object} filter - { contract, event, address (matches any address argument), fromBlock, toBlock, limit, offset }
+ * @returns {Object} - { total, events, retainedFromBlock (null if no events were pruned) }
+ */
+const queryEvents = ({ contract, event, address, fromBlock, toBlock, limit = 100, offset = 0 } = {}) => {
+    const index = indexStore.read();
+    const matches = readEvents(index, { fromBlock, toBlock }).filter(entry =>
+        (!contract || entry.contract === contract) &&
+        (!event || entry.event === event) &&
+        (!address || Object.values(entry.args).some(value => isSameAddress(value, address)))
+    );
+    return {
+        total: matches.length,
+        events: matches.slice(offset, offset + limit).map(entry => withConfirmations(entry, entry.blockNumber, index.lastBlock)),
+        retainedFromBlock: index.retainedFromBlock
+    };
+};
+
+module.exports = {
+    READ_CONSISTENCIES,
+    indexStore,
+    createEmptyIndex,
+    resetIndex,
+    readEvents,
+    appendEvents,
+    pruneEvents,
+    truncateEvents,
+    deleteSegments,
+    getIndexedBlock,
+    resolveReadConsistency,
+    listIndexedDoctors,
+    listIndexedPatients,
+    listIndexedRecords,
+    queryEvents
+};
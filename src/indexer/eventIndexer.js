@@ -0,0 +1,356 @@
+const { callAs } = require('../utils/callUtils');
+const { getFinalityDepth } = require('../utils/txTracker');
+const {
+    indexStore,
+    createEmptyIndex,
+    resetIndex,
+    readEvents,
+    appendEvents,
+    pruneEvents,
+    truncateEvents,
+    deleteSegments
+} = require('./eventIndex');
+
+// Contracts whose events are indexed, with the keys of their instances
+const INDEXED_CONTRACTS = {
+    AdminContract: 'adminContract',
+    MedicContract: 'medicContract',
+    PatientContract: 'patientContract'
+};
+
+// Events that change an indexed doctor, patient or patient's records
+const DOCTOR_EVENTS = ['DoctorRegistered', 'DoctorRevoked', 'DoctorStatusChanged', 'DoctorInfoUpdated'];
+const PATIENT_EVENTS = ['PatientRegistered', 'PatientDeactivated', 'PatientInfoUpdated'];
+const RECORD_EVENTS = ['RecordAdded', 'RecordAmended', 'RecordDeactivated', 'RecordReactivated'];
+
+let contracts;
+// The sync in progress, so scheduled syncs never overlap
+let syncing = null;
+let lastError = null;
+
+// Field names of a decoded struct, or null for lists (whose items are unnamed)
+const structFields = (value) => {
+    if (typeof value.toObject !== 'function' || value.length === 0) {
+        return null;
+    }
+    try {
+        return Object.keys(value.toObject());
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Convert decoded contract values to JSON: integers become numbers when they
+ * fit, strings otherwise, and structs become objects
+ */
+const toJson = (value) => {
+    if (typeof value === 'bigint') {
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+    }
+    if (Array.isArray(value)) {
+        const fields = structFields(value);
+        return fields
+            ? Object.fromEntries(fields.map(key => [key, toJson(value[key])]))
+            : [...value].map(toJson);
+    }
+    return value;
+};
+
+const eventArgs = (event) => Object.fromEntries(
+    event.fragment.inputs.map((input, i) => [input.name, toJson(event.args[i])])
+);
+
+/**
+ * Start indexing: catch up with the chain now, then follow new blocks
+ * @param {Object} initializedContracts - { adminContract, medicContract, patientContract }
+ * @param {number} intervalSeconds - How often to look for new blocks
+ */
+const startIndexer = (initializedContracts, intervalSeconds) => {
+    contracts = initializedContracts;
+    const run = () => syncIndex().catch(error => {
+        console.error('Event indexing failed:', error.message);
+    });
+    run();
+    setInterval(run, intervalSeconds * 1000).unref();
+};
+
+/**
+ * Index every event up to the latest block
+ * @returns {Promise<Object>} - { fromBlock, toBlock, events } indexed by this sync
+ */
+const syncIndex = () => {
+    if (!syncing) {
+        syncing = runSync()
+            .then(result => {
+                lastError = null;
+                return result;
+            })
+            .catch(error => {
+                lastError = error.message;
+                throw error;
+            })
+            .finally(() => {
+                syncing = null;
+            });
+    }
+    return syncing;
+};
+
+const runSync = async () => {
+    const provider = contracts.adminContract.runner.provider;
+    const [network, headBlock] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+
+    const instances = {};
+    for (const [name, key] of Object.entries(INDEXED_CONTRACTS)) {
+        if (contracts[key]) {
+            instances[name] = { contract: contracts[key], address: await contracts[key].getAddress() };
+        }
+    }
+    const addresses = Object.fromEntries(Object.entries(instances).map(([name, { address }]) => [name, address]));
+    const chainId = Number(network.chainId);
+
+    // A new chain, redeployed contracts or an index without reorg checkpoints make the whole index stale
+    let index = indexStore.read();
+    if (index.chainId !== chainId || JSON.stringify(index.contracts) !== JSON.stringify(addresses) ||
+        !Array.isArray(index.segments)) {
+        if (index.lastBlock !== null) {
+            console.log('Contracts, chain or index format changed - rebuilding the event index');
+        }
+        index = resetIndex({ ...createEmptyIndex(), chainId, contracts: addresses });
+    }
+
+    if (index.lastBlock !== null) {
+        index = await rollBackReorganisedBlocks(provider, instances, index);
+    }
+
+    const startBlock = Number(process.env.EVENT_INDEX_START_BLOCK) || 0;
+    const fromBlock = index.lastBlock === null ? startBlock : index.lastBlock + 1;
+    if (fromBlock > headBlock) {
+        return { fromBlock, toBlock: headBlock, events: 0 };
+    }
+
+    const batchSize = Number(process.env.EVENT_INDEX_BATCH_BLOCKS) || 2000;
+    let indexed = 0;
+    for (let batchStart = fromBlock; batchStart <= headBlock; batchStart += batchSize) {
+        const batchEnd = Math.min(batchStart + batchSize - 1, headBlock);
+        indexed += await indexBlocks(provider, instances, batchStart, batchEnd, headBlock);
+    }
+    return { fromBlock, toBlock: headBlock, events: indexed };
+};
+
+/**
+ * Undo the indexing of blocks that are no longer part of the chain, so the
+ * next batch replays them. The index keeps the hash of the last block of each
+ * batch within the finality depth; the newest one still on the chain is where
+ * the chains forked.
+ * @returns {Promise<Object>} - The index after rolling back
+ */
+const rollBackReorganisedBlocks = async (provider, instances, index) => {
+    let forkBlock = null;
+    for (const checkpoint of [...index.checkpoints].reverse()) {
+        const block = await provider.getBlock(checkpoint.number);
+        if (block && block.hash === checkpoint.hash) {
+            forkBlock = checkpoint.number;
+            break;
+        }
+    }
+    if (forkBlock === index.lastBlock) {
+        return index;
+    }
+
+    // Forked deeper than the finality depth: nothing indexed can be trusted
+    if (forkBlock === null) {
+        console.warn('Chain reorganisation deeper than the indexed checkpoints - rebuilding the event index');
+        return resetIndex({ ...createEmptyIndex(), chainId: index.chainId, contracts: index.contracts });
+    }
+
+    console.warn(`Chain reorganisation: rolling the event index back from block ${index.lastBlock} to ${forkBlock}`);
+    const removed = readEvents(index, { fromBlock: forkBlock + 1 });
+    // What the removed events changed is read back as of the fork block, which is within the finality depth
+    const changes = await readEntries(instances, collectChangedKeys(removed), forkBlock);
+
+    const droppedSegments = truncateEvents(index, forkBlock);
+    applyChangedEntries(index, changes);
+    index.checkpoints = index.checkpoints.filter(checkpoint => checkpoint.number <= forkBlock);
+    index.lastReorg = {
+        fromBlock: forkBlock + 1,
+        toBlock: index.lastBlock,
+        removedEvents: removed.length,
+        detectedAt: new Date().toISOString()
+    };
+    index.lastBlock = forkBlock;
+    indexStore.write(index);
+    deleteSegments(droppedSegments);
+    return index;
+};
+
+/**
+ * Collect the doctors, patients and patients' records a list of events changed
+ * @returns {Object} - { doctors, patients, records } lists of addresses
+ */
+const collectChangedKeys = (events) => {
+    const changed = { doctors: new Set(), patients: new Set(), records: new Set() };
+    for (const { contract, event, args } of events) {
+        if (contract === 'AdminContract' && DOCTOR_EVENTS.includes(event)) {
+            changed.doctors.add(args.doctorId);
+        } else if (contract === 'AdminContract' && PATIENT_EVENTS.includes(event)) {
+            changed.patients.add(args.patientId);
+        } else if (contract === 'MedicContract' && RECORD_EVENTS.includes(event)) {
+            changed.records.add(args.patientId);
+        }
+    }
+    return Object.fromEntries(Object.entries(changed).map(([key, addresses]) => [key, [...addresses]]));
+};
+
+/**
+ * Read changed doctors, patients and records back from the contracts
+ * Events only carry part of the state, so changed entries are read in full, as
+ * of the block the index will cover: later blocks may not be indexed yet, or
+ * may no longer be part of the chain. Only blocks within the finality depth of
+ * the head are read, which nodes that prune old state still serve.
+ * @param {Object} keys - { doctors, patients, records } lists of addresses
+ * @param {number} blockTag - Block to read the state at
+ * @returns {Promise<Object>} - { doctors, patients, records } keyed by address
+ */
+const readEntries = async (instances, keys, blockTag) => {
+    const doctors = {};
+    const patients = {};
+    const records = {};
+    const { AdminContract: admin, MedicContract: medic } = instances;
+    for (const doctorId of keys.doctors) {
+        doctors[doctorId] = toJson(await admin.contract.getDoctorInfo(doctorId, { blockTag }));
+    }
+    for (const patientId of keys.patients) {
+        patients[patientId] = toJson(await admin.contract.getPatientInfo(patientId, { blockTag }));
+    }
+    for (const patientId of keys.records) {
+        // Read as the patient, who may always see their own records
+        records[patientId] = toJson(await callAs(medic.contract, 'getMedicalRecords', [patientId], patientId, blockTag));
+    }
+    return { doctors, patients, records };
+};
+
+// Add changed keys to those already waiting to be read, without duplicates
+const mergeKeys = (pending, keys) => Object.fromEntries(
+    Object.keys(keys).map(key => [key, [...new Set([...(pending[key] || []), ...keys[key]])]])
+);
+
+/**
+ * Store read-back entries in the index. Entries a rollback un-registered
+ * (registration date 0, no records) are removed.
+ */
+const applyChangedEntries = (index, { doctors, patients, records }) => {
+    for (const [key, entries] of [['doctors', doctors], ['patients', patients]]) {
+        for (const [address, entry] of Object.entries(entries)) {
+            if (entry.registrationDate === 0) {
+                delete index[key][address];
+            } else {
+                index[key][address] = entry;
+            }
+        }
+    }
+    for (const [patientId, list] of Object.entries(records)) {
+        if (list.length === 0) {
+            delete index.records[patientId];
+        } else {
+            index.records[patientId] = list;
+        }
+    }
+};
+
+/**
+ * Index the events of a block range and refresh what they changed. While
+ * backfilling blocks older than the finality depth, the changed entries are
+ * only noted; they are read once a batch ends near the head.
+ * @param {number} headBlock - Latest block when the sync started
+ * @returns {Promise<number>} - Number of events indexed
+ */
+const indexBlocks = async (provider, instances, fromBlock, toBlock, headBlock) => {
+    const byAddress = Object.fromEntries(
+        Object.entries(instances).map(([name, instance]) => [instance.address.toLowerCase(), { name, ...instance }])
+    );
+    const logs = await provider.getLogs({
+        address: Object.values(instances).map(instance => instance.address),
+        fromBlock,
+        toBlock
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map();
+    for (const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+        const block = await provider.getBlock(blockNumber);
+        timestamps.set(blockNumber, new Date(block.timestamp * 1000).toISOString());
+    }
+
+    const events = [];
+    for (const log of logs) {
+        const source = byAddress[log.address.toLowerCase()];
+        const event = source.contract.interface.parseLog(log);
+        if (!event) continue;
+
+        events.push({
+            contract: source.name,
+            event: event.name,
+            args: eventArgs(event),
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            timestamp: timestamps.get(log.blockNumber)
+        });
+    }
+
+    const index = indexStore.read();
+    const pending = mergeKeys(index.pendingRefresh || {}, collectChangedKeys(events));
+    if (headBlock - toBlock <= getFinalityDepth()) {
+        applyChangedEntries(index, await readEntries(instances, pending, toBlock));
+        index.pendingRefresh = createEmptyIndex().pendingRefresh;
+    } else {
+        index.pendingRefresh = pending;
+    }
+
+    // The batch's last block is remembered to detect reorganisations on later syncs
+    const lastBlock = await provider.getBlock(toBlock);
+    const finalBlock = toBlock - getFinalityDepth();
+
+    appendEvents(index, events);
+    index.checkpoints = index.checkpoints
+        .filter(checkpoint => checkpoint.number > finalBlock)
+        .concat({ number: toBlock, hash: lastBlock.hash });
+    index.lastBlock = toBlock;
+    index.syncedAt = new Date().toISOString();
+    pruneEvents(index);
+    indexStore.write(index);
+    return events.length;
+};
+
+/**
+ * Get the indexer's progress
+ * @returns {Promise<Object>} - { running, syncing, lastBlock, headBlock, blocksBehind, syncedAt, eventCount, segmentCount, retainedFromBlock, lastReorg, lastError }
+ */
+const getIndexerStatus = async () => {
+    const { lastBlock, syncedAt, segments, retainedFromBlock, lastReorg } = indexStore.read();
+    const headBlock = contracts ? await contracts.adminContract.runner.provider.getBlockNumber() : null;
+    return {
+        running: Boolean(contracts),
+        syncing: Boolean(syncing),
+        lastBlock,
+        headBlock,
+        blocksBehind: headBlock !== null && lastBlock !== null ? headBlock - lastBlock : null,
+        syncedAt,
+        eventCount: segments.reduce((count, segment) => count + segment.count, 0),
+        segmentCount: segments.length,
+        retainedFromBlock,
+        lastReorg,
+        lastError
+    };
+};
+
+module.exports = {
+    INDEXED_CONTRACTS,
+    toJson,
+    startIndexer,
+    syncIndex,
+    getIndexerStatus
+};
@@ -2,43 +2,49 @@
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+  STREAM_ENCRYPTION_ALGORITHM,
+  generateDataKey,
+  createEncryptStream,
+  createDecryptStream,
+  decryptWithDataKey,
+  createEnvelope,
+  moveEnvelope,
+  getEnvelope,
+  openEnvelope
+} = require('../utils/keyUtils');
+const { getStorage, isValidCID } = require('../storage');
+const { createApiError } = require('../utils/errorUtils');
 
-if (!Promise.withResolvers) {
-  Promise.withResolvers = function() {
-    let resolve, reject;
-    const promise = new Promise((res, rej) => {
-      resolve = res;
-      reject = rej;
-     });
-      return { promise, resolve, reject };
-    };
-}
-if (typeof CustomEvent === 'undefined') {
-  global.CustomEvent = class CustomEvent extends Event {
-    constructor(type, eventInitDict) {
-      super(type, eventInitDict);
-      this.detail = eventInitDict?.detail;
-    }
-  };
-}
-
-let heliaInstance;
-let fsUnix;
-
-const getHelia = async () => {
-  if (!heliaInstance) {
-    const { createHelia } = await import('helia')
-    const { unixfs } = await import('@helia/unixfs')
-    heliaInstance = await createHelia();
-    fsUnix = unixfs(heliaInstance);
-  }
-  return { helia: heliaInstance, fsUnix };
-};
+// Maximum size of a single uploaded file
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 10;
+const MAX_UPLOAD_SIZE = MAX_UPLOAD_SIZE_MB * 1024 * 1024;
 
-// Encryption utilities
-const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+/**
+ * Pin a CID so the storage backend keeps it
+ * @param {string} cid - Content ID
+ * @param {Object} metadata - Stored with the pin (e.g. patientId)
+ * @returns {boolean} - false if the CID was already pinned
+ */
+const pinCID = (cid, metadata = {}) => getStorage().pin(cid, metadata);
+
+/**
+ * Remove the pin of a CID
+ * @param {string} cid - Content ID
+ * @returns {boolean} - false if the CID was not pinned
+ */
+const unpinCID = (cid) => getStorage().unpin(cid);
+
+/**
+ * List pinned CIDs
+ * @returns {Object[]} - [{ cid, depth, metadata }] (depth is null for recursive pins)
+ */
+const listPins = () => getStorage().listPins();
+
+// Legacy encryption (files uploaded before envelope encryption)
+const LEGACY_ALGORITHM = 'aes-256-gcm';
 const KEY_LENGTH = 32; // 256 bits
-const IV_LENGTH = 16;  // 128 bits
 
 /**
  * Generate a secure encryption key from a passphrase
@@ -51,50 +57,7 @@ const deriveKey = (passphrase, salt) => {
 };
 
 /**
- * Encrypt file content
- * @param {Buffer} fileBuffer - File content to encrypt
- * @param {string} encryptionKey - Encryption key/passphrase
- * @returns {Object} - Encrypted data with metadata
- */
-const encryptContent = (fileBuffer, encryptionKey) => {
-  try {
-    // Generate random salt and IV
-    const salt = crypto.randomBytes(16);
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const key = deriveKey(encryptionKey, salt);
-    // Create cipher
-    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv, { authTagLength: 16 });
-    cipher.setAAD(Buffer.from('medical-record'));
-    // Encrypt the content
-    const encryptedChunks = [];
-    encryptedChunks.push(cipher.update(fileBuffer));
-    encryptedChunks.push(cipher.final());
-    const encryptedContent = Buffer.concat(encryptedChunks);
-    const authTag = cipher.getAuthTag();
-    console.log(authTag);
-    console.log(cipher);
-
-    const encryptedPackage = Buffer.concat([
-      salt,           // 16 bytes
-      iv,             // 16 bytes  
-      authTag,        // 16 bytes
-      encryptedContent // variable length
-    ]);
-    
-    return {
-      encryptedData: encryptedPackage,
-      salt: salt.toString('hex'),
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex')
-    };
-  } catch (error) {
-    console.error('Error encrypting content:', error);
-    throw new Error('Encryption failed: ' + error.message);
-  }
-};
-
-/**
- * Decrypt file content
+ * Decrypt a legacy file encrypted with a key derived from the shared secret
  * @param {Buffer} encryptedPackage - Encrypted data package
  * @param {string} encryptionKey - Decryption key/passphrase
  * @returns {Buffer} - Decrypted content
@@ -111,7 +74,7 @@ const decryptContent = (encryptedPackage, encryptionKey) => {
     const key = deriveKey(encryptionKey, salt);
     
     // Create decipher
-    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv, { authTagLength: 16 });
+    const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, key, iv, { authTagLength: 16 });
 
     decipher.setAAD(Buffer.from('medical-record'));
     decipher.setAuthTag(authTag);
@@ -125,109 +88,204 @@ const decryptContent = (encryptedPackage, encryptionKey) => {
     return Buffer.concat(decryptedChunks);
   } catch (error) {
     console.error('Error decrypting content:', error);
-    throw new Error('Decryption failed: ' + error.message);
+    throw createApiError('DECRYPTION_FAILED', 'Decryption failed: ' + error.message);
   }
 };
 
 /**
- * Generate encryption key from patient ID and timestamp
+ * Legacy per-patient key derived from the shared secret. Only used to read
+ * files uploaded before envelope encryption; set LEGACY_ENCRYPTION_SECRET to
+ * keep them readable after ENCRYPTION_SECRET is rotated.
  * @param {string} patientId 
- * @param {string} timestamp
  * @returns {string}
  */
 const generateEncryptionKey = (patientId) => {
-  const secret = process.env.ENCRYPTION_SECRET || 'default-secret-for-test';
+  const secret = process.env.LEGACY_ENCRYPTION_SECRET || process.env.ENCRYPTION_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_SECRET is not set');
+  }
   return crypto.createHash('sha256')
     .update(secret + patientId)
     .digest('hex');
 };
 
-const uploadToIPFS = async (filePath, patientId = null, encryptFile = true) => {
+/**
+ * Upload a file to the configured storage backend (IPFS by default),
+ * encrypting it with a random data key whose envelope
+ * is wrapped for the patient, the uploading doctor and the doctors whose
+ * consent covers the record type
+ * @param {string} filePath - Path of the file to upload
+ * @param {string} patientId - Owner of the record (required for encryption)
+ * @param {boolean} encryptFile - Whether to encrypt the file
+ * @param {string} authorId - Doctor uploading the file for the patient, if any
+ * @param {string} recordType - Type of the record the file belongs to
+ * @returns {Object} - { cid, encrypted, encryptionMetadata }
+ * @throws {Error} - If the file could not be stored
+ */
+const uploadToIPFS = async (filePath, patientId = null, encryptFile = true, authorId = null, recordType = null) => {
   try {
     const fileName = path.basename(filePath);
-    let fileBuffer = fs.readFileSync(filePath);
-    let encryptionMetadata = null;
+    let content = fs.createReadStream(filePath);
+    let dataKey = null;
     
-    // Encrypt content if encryption is enabled and patientId is provided
+    // Encrypt content while it streams to storage if encryption is enabled and patientId is provided
     if (encryptFile && patientId) {
       console.log(`Encrypting file ${fileName} for patient ${patientId}`);
       
-      const encryptionKey = generateEncryptionKey(patientId);
-      const encryptionResult = encryptContent(fileBuffer, encryptionKey);
-      
-      fileBuffer = encryptionResult.encryptedData;
+      dataKey = generateDataKey();
+      const encryptStream = createEncryptStream(dataKey);
+      content = content.on('error', error => encryptStream.destroy(error)).pipe(encryptStream);
+    }
+    
+    const storage = getStorage();
+    const cid = await storage.add(content);
+    
+    await storage.pin(cid, patientId ? { patientId } : {});
+    
+    console.log(`File uploaded and pinned to ${storage.name} storage: ${fileName} -> ${cid}`);
+
+    let encryptionMetadata = null;
+    if (dataKey) {
+      const recipients = createEnvelope(cid, dataKey, patientId, authorId, recordType);
       encryptionMetadata = {
         encrypted: true,
         patientId: patientId,
-        algorithm: ENCRYPTION_ALGORITHM,
-        keyDerivation: 'pbkdf2-sha256-100k'
+        algorithm: STREAM_ENCRYPTION_ALGORITHM,
+        keyManagement: 'envelope',
+        recipients
       };
-      
-      console.log(`File encrypted successfully: ${fileName}`);
     }
     
-    const { fsUnix } = await getHelia();
-    const cid = await fsUnix.addBytes(fileBuffer);
-    
-    console.log(`File uploaded to Helia/IPFS: ${fileName} -> ${cid.toString()}`);
-    
     return {
-      cid: cid.toString(),
-      encrypted: encryptFile && patientId ? true : false,
+      cid,
+      encrypted: dataKey !== null,
       encryptionMetadata: encryptionMetadata
     };
   } catch (error) {
-    console.error('Error uploading to Helia/IPFS:', error);
-    // Fallback to mock
-    const fileName = path.basename(filePath);
-    const mockCID = `Qm${Buffer.from(fileName + Date.now()).toString('hex').substring(0, 44)}`;
-    console.log(`Fallback mock IPFS upload: ${fileName} -> ${mockCID}`);
-    
+    console.error('Error uploading to storage:', error);
+    throw createApiError('STORAGE_UNAVAILABLE', 'IPFS upload failed: ' + error.message);
+  }
+};
+
+/**
+ * Upload a file that was already encrypted locally (a queued upload) as is,
+ * and move its key envelope to the CID it gets
+ * @param {string} filePath - Path of the encrypted file
+ * @param {string} patientId - Owner of the record
+ * @param {string} envelopeId - ID the envelope was created under
+ * @returns {Object} - { cid, encrypted, encryptionMetadata }
+ */
+const uploadEncryptedToIPFS = async (filePath, patientId, envelopeId) => {
+  try {
+    const storage = getStorage();
+    const cid = await storage.add(fs.createReadStream(filePath));
+    await storage.pin(cid, { patientId });
+
+    console.log(`Queued file uploaded and pinned to ${storage.name} storage: ${path.basename(filePath)} -> ${cid}`);
+
+    const recipients = moveEnvelope(envelopeId, cid);
     return {
-      cid: mockCID,
-      encrypted: false,
-      encryptionMetadata: null
+      cid,
+      encrypted: true,
+      encryptionMetadata: {
+        encrypted: true,
+        patientId: patientId,
+        algorithm: STREAM_ENCRYPTION_ALGORITHM,
+        keyManagement: 'envelope',
+        recipients
+      }
     };
+  } catch (error) {
+    console.error('Error uploading to storage:', error);
+    if (error.isApiError) {
+      throw error;
+    }
+    throw createApiError('STORAGE_UNAVAILABLE', 'IPFS upload failed: ' + error.message);
+  }
+};
+
+/**
+ * Read a stream fully into memory (only used for formats that cannot be
+ * decrypted incrementally)
+ */
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
   }
+  return Buffer.concat(chunks);
 };
 
 /**
- * Download and decrypt file from IPFS
- * @param {string} cid - IPFS Content ID
- * @param {string} patientId - Patient ID for decryption key generation
- * @param {boolean} isEncrypted - Whether the file is encrypted
- * @returns {Buffer} - Decrypted file content
+ * Download and decrypt file from the configured storage backend as a stream
+ * @param {string} cid - Content ID
+ * @param {string} patientId - Patient ID for legacy decryption key generation
+ * @param {boolean} isEncrypted - Whether a legacy file is encrypted
+ * @param {string} recipient - Address whose key envelope opens the file
+ * @returns {Readable} - Decrypted file content
  */
-const downloadFromIPFS = async (cid, patientId = null, isEncrypted = false) => {
+const downloadFromIPFS = async (cid, patientId = null, isEncrypted = false, recipient = null) => {
   try {
-    const { fsUnix } = await getHelia();
-    
-    // Download file from IPFS
-    const chunks = [];
-    for await (const chunk of fsUnix.cat(cid)) {
-      chunks.push(chunk);
+    // Open the envelope first so access errors are reported before any content is sent
+    const envelope = getEnvelope(cid);
+    let dataKey = null;
+    if (envelope) {
+      if (!recipient) {
+        throw new Error('Recipient is required to open the key envelope');
+      }
+      dataKey = openEnvelope(cid, recipient);
     }
-    let fileBuffer = Buffer.concat(chunks);
+
+    const blocks = getStorage().cat(cid)[Symbol.asyncIterator]();
+
+    // Fetch the first block up front so a missing CID fails before streaming starts
+    const first = await blocks.next();
+    const content = Readable.from((async function* () {
+      if (first.done) return;
+      yield first.value;
+      for (let next = await blocks.next(); !next.done; next = await blocks.next()) {
+        yield next.value;
+      }
+    })());
     
     // Decrypt if necessary
+    if (dataKey && envelope.algorithm === STREAM_ENCRYPTION_ALGORITHM) {
+      const decryptStream = createDecryptStream(dataKey);
+      return content.on('error', error => decryptStream.destroy(error)).pipe(decryptStream);
+    }
+    if (dataKey) {
+      const fileBuffer = decryptWithDataKey(await readAll(content), dataKey);
+      console.log('File decrypted successfully');
+      return Readable.from([fileBuffer]);
+    }
     if (isEncrypted && patientId) {
       console.log(`Decrypting file for patient ${patientId}`);
       const encryptionKey = generateEncryptionKey(patientId);
-      fileBuffer = decryptContent(fileBuffer, encryptionKey);
+      const fileBuffer = decryptContent(await readAll(content), encryptionKey);
       console.log('File decrypted successfully');
+      return Readable.from([fileBuffer]);
     }
     
-    return fileBuffer;
+    return content;
   } catch (error) {
     console.error('Error downloading/decrypting from IPFS:', error);
+    if (error.isApiError) {
+      throw error;
+    }
     throw new Error('Download/decryption failed: ' + error.message);
   }
 };
 
 module.exports = {
+  MAX_UPLOAD_SIZE,
+  MAX_UPLOAD_SIZE_MB,
   uploadToIPFS,
+  uploadEncryptedToIPFS,
   downloadFromIPFS,
-  encryptContent,
+  isValidCID,
+  pinCID,
+  unpinCID,
+  listPins,
   decryptContent,
   generateEncryptionKey
 };
@@ -0,0 +1,68 @@
+const { ethers } = require('ethers');
+const { verifySessionToken, resolveRoles } = require('../utils/authUtils');
+const { createApiError } = require('../utils/errorUtils');
+
+/**
+ * Require a valid session token and attach the caller to req.user
+ * req.user = { address, roles, expiresAt }
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const header = req.get('Authorization') || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return next(createApiError('AUTHENTICATION_REQUIRED'));
+        }
+
+        const session = verifySessionToken(token);
+
+        // Roles are resolved on every request so revocations take effect immediately
+        const roles = await resolveRoles(session.address);
+
+        req.user = {
+            address: session.address,
+            roles,
+            expiresAt: session.expiresAt
+        };
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Allow the request only if the caller holds one of the given roles
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.some(role => req.user.roles.includes(role))) {
+        return next(createApiError('FORBIDDEN', `Access denied: requires role ${roles.join(' or ')}`));
+    }
+    next();
+};
+
+/**
+ * Allow the request if the caller is the address in req.params[param],
+ * or holds one of the given roles
+ */
+const requireSelfOrRole = (param, ...roles) => (req, res, next) => {
+    const target = req.params[param];
+
+    if (!ethers.isAddress(target)) {
+        return next(createApiError('INVALID_ADDRESS', `Invalid Ethereum address for ${param}`));
+    }
+
+    const isSelf = req.user && req.user.address.toLowerCase() === target.toLowerCase();
+    if (!isSelf && !(req.user && roles.some(role => req.user.roles.includes(role)))) {
+        return next(createApiError('FORBIDDEN', 'Access denied: not allowed to act on behalf of this address'));
+    }
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireRole,
+    requireSelfOrRole
+};
@@ -0,0 +1,38 @@
+const { createApiError, toApiError } = require('../utils/errorUtils');
+
+/**
+ * Answer requests that match no route with a ROUTE_NOT_FOUND error
+ */
+const notFound = (req, res, next) => {
+    next(createApiError('ROUTE_NOT_FOUND', `No such endpoint: ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * Answer every error raised by the routers, in one format:
+ * { success: false, code, message, reason?, data? }
+ * code is a key of ERROR_CODES (see utils/errorUtils), reason the decoded
+ * revert reason when a contract rejected the call.
+ */
+const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const { code, status, message, reason, data } = toApiError(error);
+    if (status >= 500) {
+        console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+    }
+
+    res.status(status).json({
+        success: false,
+        code,
+        message,
+        ...(reason ? { reason } : {}),
+        ...(data !== undefined ? { data } : {})
+    });
+};
+
+module.exports = {
+    notFound,
+    errorHandler
+};
@@ -0,0 +1,67 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { MAX_UPLOAD_SIZE, MAX_UPLOAD_SIZE_MB } = require('../ipfs/ipfs');
+const { createApiError } = require('../utils/errorUtils');
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const uploadPath = path.join(__dirname, '../uploads');
+        if (!fs.existsSync(uploadPath)) {
+            fs.mkdirSync(uploadPath, { recursive: true });
+        }
+        cb(null, uploadPath);
+    },
+    filename: (req, file, cb) => {
+        const timestamp = Date.now();
+        const ext = path.extname(file.originalname);
+        const name = path.basename(file.originalname, ext);
+        cb(null, `${name}_${timestamp}${ext}`);
+    }
+});
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: MAX_UPLOAD_SIZE // MAX_UPLOAD_SIZE_MB, 10MB by default
+    },
+    fileFilter: (req, file, cb) => {
+        // Allow common medical file formats
+        const allowedTypes = [
+            'application/pdf',
+            'image/jpeg',
+            'image/png',
+            'image/jpg',
+            'application/dicom',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'text/plain',
+            'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        ];
+
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(createApiError('INVALID_FILE_TYPE'));
+        }
+    }
+});
+
+/**
+ * Turn multer errors (size limit, malformed upload) into API errors
+ */
+const handleUploadError = (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return next(error.code === 'LIMIT_FILE_SIZE'
+            ? createApiError('FILE_TOO_LARGE', `File too large. Maximum size is ${MAX_UPLOAD_SIZE_MB}MB.`)
+            : createApiError('UPLOAD_ERROR', 'File upload error: ' + error.message));
+    }
+    next(error);
+};
+
+module.exports = {
+    upload,
+    handleUploadError
+};
@@ -4,17 +4,48 @@ const router = express.Router();
 const {
     addDoctor,
     revokeDoctor,
+    verifyDoctor,
+    suspendDoctor,
+    reinstateDoctor,
+    getDoctorStatusHistory,
     addPatient,
     deactivatePatient,
+    getRegistrationRequests,
+    approveRegistrationRequest,
+    rejectRegistrationRequest,
     getAllPatients,
-    getAllDoctors
+    getAllDoctors,
+    getEmergencyAccessEvents,
+    flagEmergencyAccess,
+    getPins,
+    reconcilePins,
+    getRoles,
+    grantRole,
+    revokeRole,
+    transferOwnership,
+    cancelOwnershipTransfer,
+    getProposals,
+    getProposal,
+    createProposal,
+    approveProposal,
+    cancelProposal,
+    executeProposal,
+    getContractWiring,
+    getEvents,
+    getIndexStatus,
+    getTransactionQueue
 } = require('../controllers/adminController');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
 
 /**
  * @swagger
  * tags:
  *   name: Admin
- *   description: Admin management endpoints
+ *   description: >
+ *     Admin management endpoints. Each endpoint needs an AdminContract role:
+ *     credentialing-officer for doctors, registrar for patients and registrations,
+ *     super-admin for emergency-access flags, pins, roles, proposals, contract wiring and events, and owner for ownership
+ *     transfers. Auditors may use every GET endpoint. The owner and super-admins hold every role.
  */
 
 /**
@@ -22,36 +53,16 @@ const {
  * /api/admin/doctors:
  *   post:
  *     summary: Add a new doctor
- *     description: Registers a new doctor in the system with their credentials and authorization.
+ *     description: Relays an `AdminContract.registerDoctor(doctorId, name, specialization, licenseNumber)` call signed by the authenticated credentialing officer, who is recorded as having registered the doctor. Sign `registerPendingDoctor` with the same arguments instead to register the doctor as pending; pending doctors are only authorized once verified with POST /api/admin/doctors/{doctorId}/verify.
  *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - doctorId
- *               - name
- *               - specialization
- *               - licenseNumber
- *             properties:
- *               doctorId:
- *                 type: string
- *                 description: The Ethereum address of the doctor
- *                 example: "0x742d35Cc8C4F8c7dd0f1e8a0b7B8e5F9E8A0F8C7"
- *               name:
- *                 type: string
- *                 description: Full name of the doctor
- *                 example: "Dr. John Smith"
- *               specialization:
- *                 type: string
- *                 description: Medical specialization of the doctor
- *                 example: "Cardiology"
- *               licenseNumber:
- *                 type: string
- *                 description: Medical license number
- *                 example: "MD123456789"
+ *             $ref: '#/components/schemas/SignedAdminCall'
  *     responses:
  *       201:
  *         description: Doctor registered successfully
@@ -77,10 +88,15 @@ const {
  *                       type: string
  *                     licenseNumber:
  *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, active]
  *                     transactionHash:
  *                       type: string
  *                     blockNumber:
  *                       type: number
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
  *       400:
  *         description: Bad request - Invalid input or missing required fields
  *         content:
@@ -94,6 +110,8 @@ const {
  *                 message:
  *                   type: string
  *                   example: "All fields are required: doctorId, name, specialization, licenseNumber"
+ *       409:
+ *         description: Doctor already registered, or a revoked doctor under multi-signature (reinstate them with a reinstate-doctor proposal)
  *       500:
  *         description: Internal server error
  *         content:
@@ -116,9 +134,10 @@ const {
  * /api/admin/doctors/{doctorId}:
  *   delete:
  *     summary: Revoke a doctor's authorization
- *     description: Removes a doctor's authorization from the system.
+ *     description: Relays an `AdminContract.revokeDoctor(doctorId)` call signed by the authenticated credentialing officer, removing the doctor's authorization.
  *     tags: [Admin]
  *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
  *       - in: path
  *         name: doctorId
  *         required: true
@@ -126,6 +145,12 @@ const {
  *           type: string
  *         description: The Ethereum address of the doctor to revoke
  *         example: "0x742d35Cc8C4F8c7dd0f1e8a0b7B8e5F9E8A0F8C7"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
  *     responses:
  *       200:
  *         description: Doctor revoked successfully
@@ -149,8 +174,10 @@ const {
  *                       type: string
  *                     blockNumber:
  *                       type: number
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
  *       400:
- *         description: Invalid Ethereum address
+ *         description: Invalid Ethereum address, or the signed request is for another doctor
  *         content:
  *           application/json:
  *             schema:
@@ -197,41 +224,16 @@ const {
  * /api/admin/patients:
  *   post:
  *     summary: Add a new patient
- *     description: Registers a new patient in the system with their personal information.
+ *     description: Relays an `AdminContract.registerPatient(patientId, name, dateOfBirth, phoneNumber, emergencyContact)` call signed by the authenticated registrar.
  *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - patientId
- *               - name
- *               - dateOfBirth
- *               - phoneNumber
- *               - emergencyContact
- *             properties:
- *               patientId:
- *                 type: string
- *                 description: The Ethereum address of the patient
- *                 example: "0x8ba1f109551bD432803012645Hac136c"
- *               name:
- *                 type: string
- *                 description: Full name of the patient
- *                 example: "Jane Doe"
- *               dateOfBirth:
- *                 type: string
- *                 description: Patient's date of birth
- *                 example: "1990-05-15"
- *               phoneNumber:
- *                 type: string
- *                 description: Patient's phone number
- *                 example: "+1234567890"
- *               emergencyContact:
- *                 type: string
- *                 description: Emergency contact information
- *                 example: "John Doe - +1234567891"
+ *             $ref: '#/components/schemas/SignedAdminCall'
  *     responses:
  *       201:
  *         description: Patient registered successfully
@@ -263,6 +265,8 @@ const {
  *                       type: string
  *                     blockNumber:
  *                       type: number
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
  *       400:
  *         description: Bad request - Invalid input or missing required fields
  *         content:
@@ -298,9 +302,10 @@ const {
  * /api/admin/patients/{patientId}:
  *   delete:
  *     summary: Remove (deactivate) a patient
- *     description: Deactivates a patient's account in the system.
+ *     description: Relays an `AdminContract.deactivatePatient(patientId)` call signed by the authenticated registrar, deactivating the patient's account.
  *     tags: [Admin]
  *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
  *       - in: path
  *         name: patientId
  *         required: true
@@ -308,6 +313,12 @@ const {
  *           type: string
  *         description: The Ethereum address of the patient to deactivate
  *         example: "0x8ba1f109551bD432803012645Hac136c"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
  *     responses:
  *       200:
  *         description: Patient deactivated successfully
@@ -331,8 +342,10 @@ const {
  *                       type: string
  *                     blockNumber:
  *                       type: number
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
  *       400:
- *         description: Invalid Ethereum address
+ *         description: Invalid Ethereum address, or the signed request is for another patient
  *         content:
  *           application/json:
  *             schema:
@@ -374,13 +387,44 @@ const {
  *                   type: string
  */
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReadConsistency:
+ *       in: query
+ *       name: consistency
+ *       schema:
+ *         type: string
+ *         enum: [chain, index]
+ *       description: >
+ *         Read from the contracts (chain) or from the local event index (index), which is faster
+ *         but may trail the chain by a few seconds; the response's indexedBlock is the last block
+ *         it covers, and each indexed item has a confirmationStatus (pending, confirmed or final)
+ *         for the block it last changed in. Defaults to READ_CONSISTENCY (chain). 503 if the index
+ *         has not been built yet.
+ */
+
 /**
  * @swagger
  * /api/admin/doctors:
  *   get:
  *     summary: Get all doctors
- *     description: Retrieves a list of all authorized doctors in the system.
+ *     description: Retrieves a list of all authorized doctors in the system, or every doctor with the given status.
  *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, suspended, revoked]
+ *         description: List doctors with this status instead of authorized doctors
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only list doctors whose name, specialization or license number contains this text (case-insensitive)
+ *       - $ref: '#/components/parameters/ReadConsistency'
  *     responses:
  *       200:
  *         description: Successfully retrieved all doctors
@@ -420,10 +464,19 @@ const {
  *                         type: boolean
  *                         description: Authorization status
  *                         example: true
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, active, suspended, revoked]
+ *                       licenseExpiry:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
  *                       registrationDate:
- *                         type: number
- *                         description: Registration timestamp
- *                         example: 1642723200
+ *                         type: string
+ *                         format: date-time
+ *                         description: Registration date
+ *       400:
+ *         description: Invalid status filter
  *       500:
  *         description: Internal server error
  *         content:
@@ -441,6 +494,196 @@ const {
  *                   type: string
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Doctor:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         specialization:
+ *           type: string
+ *         licenseNumber:
+ *           type: string
+ *         isAuthorized:
+ *           type: boolean
+ *           description: Active and the license has not lapsed
+ *         status:
+ *           type: string
+ *           enum: [pending, active, suspended, revoked]
+ *         licenseExpiry:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         registrationDate:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/doctors/{doctorId}/verify:
+ *   post:
+ *     summary: Verify a doctor's credentials
+ *     description: Relays an `AdminContract.verifyDoctor(doctorId, licenseExpiry, reason)` call signed by the authenticated credentialing officer, where `licenseExpiry` is a future Unix timestamp or 0 for none. Activates a pending doctor, or re-verifies an active doctor and sets their new license expiry.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       200:
+ *         description: Doctor verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Doctor'
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
+ *       400:
+ *         description: Invalid address, missing reason, invalid license expiry, or the signed request is for another doctor
+ *       409:
+ *         description: Doctor is not pending or active
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/doctors/{doctorId}/suspend:
+ *   post:
+ *     summary: Suspend a doctor
+ *     description: Relays an `AdminContract.suspendDoctor(doctorId, reason)` call signed by the authenticated credentialing officer. Suspended doctors lose their authorization until reinstated. Once the approval threshold is above 1, suspensions go through a suspend-doctor proposal instead.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       200:
+ *         description: Doctor suspended
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
+ *       400:
+ *         description: Invalid address, missing reason, or the signed request is for another doctor
+ *       409:
+ *         description: Doctor is not active, or the action needs multi-signature approval
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/doctors/{doctorId}/reinstate:
+ *   post:
+ *     summary: Reinstate a suspended doctor
+ *     description: Relays an `AdminContract.reinstateDoctor(doctorId, licenseExpiry, reason)` call signed by the authenticated credentialing officer, where `licenseExpiry` is a future Unix timestamp or 0 for none. Doctors suspended for a lapsed license need a new license expiry. Once the approval threshold is above 1, reinstatements go through a reinstate-doctor proposal instead.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       200:
+ *         description: Doctor reinstated
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
+ *       400:
+ *         description: Invalid address, missing reason, invalid license expiry, or the signed request is for another doctor
+ *       409:
+ *         description: Doctor is not suspended, or the action needs multi-signature approval
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/doctors/{doctorId}/history:
+ *   get:
+ *     summary: Get a doctor's status history
+ *     description: Lists every status the doctor went through, oldest first, with the reason and who changed it.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     doctor:
+ *                       $ref: '#/components/schemas/Doctor'
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                           changedBy:
+ *                             type: string
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Invalid address
+ *       404:
+ *         description: Doctor not found
+ *       500:
+ *         description: Internal server error
+ */
+
 /**
  * @swagger
  * /api/admin/patients:
@@ -448,6 +691,13 @@ const {
  *     summary: Get all patients
  *     description: Retrieves a list of all active patients in the system.
  *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only list patients whose name contains this text (case-insensitive)
+ *       - $ref: '#/components/parameters/ReadConsistency'
  *     responses:
  *       200:
  *         description: Successfully retrieved all patients
@@ -511,12 +761,918 @@ const {
  *                 error:
  *                   type: string
  */
-router.post('/doctors', addDoctor);
-router.delete('/doctors/:doctorId', revokeDoctor);
-router.post('/patients', addPatient);
-router.delete('/patients/:patientId', deactivatePatient);
-router.get('/patients', getAllPatients);
-router.get('/doctors', getAllDoctors);
+/**
+ * @swagger
+ * /api/admin/emergency-access:
+ *   get:
+ *     summary: Review break-glass accesses
+ *     description: Lists emergency accesses across all patients from the on-chain EmergencyAccessGranted and EmergencyAccessFlagged events.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: patientId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only accesses to this patient's records
+ *       - in: query
+ *         name: flagged
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [true, false]
+ *         description: Only flagged or unflagged accesses
+ *     responses:
+ *       200:
+ *         description: Emergency accesses retrieved successfully
+ *       400:
+ *         description: Invalid Ethereum address
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/emergency-access/{patientId}/{accessId}/flag:
+ *   post:
+ *     summary: Flag a break-glass access
+ *     description: Relays a PatientContract.flagEmergencyAccess(patientId, accessId, reason) call signed by the authenticated super-admin, marking the access for follow-up with the admin recorded as flaggedBy.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient
+ *       - in: path
+ *         name: accessId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Entry in the patient's break-glass log
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the admin
+ *     responses:
+ *       200:
+ *         description: Emergency access flagged successfully
+ *       400:
+ *         description: Invalid address, invalid accessId, missing reason, or the signed call flags another entry
+ *       401:
+ *         description: Signature does not match the request signer
+ *       404:
+ *         description: Emergency access entry not found
+ *       409:
+ *         description: Already flagged, or request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RegistrationRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         patientId:
+ *           type: string
+ *           description: Address that submitted the request
+ *         name:
+ *           type: string
+ *         dateOfBirth:
+ *           type: string
+ *         phoneNumber:
+ *           type: string
+ *         emergencyContact:
+ *           type: string
+ *         email:
+ *           type: string
+ *         reviewedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Admin who approved or rejected the request
+ *         rejectionReason:
+ *           type: string
+ *           nullable: true
+ *         transactionHash:
+ *           type: string
+ *           nullable: true
+ *           description: Last transaction sent when the request was approved
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/registrations:
+ *   get:
+ *     summary: List patient registration requests
+ *     description: Lists registration requests submitted through POST /api/patient/register, oldest first.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Registration requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RegistrationRequest'
+ *       400:
+ *         description: Invalid status filter
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/registrations/{requestId}/approve:
+ *   post:
+ *     summary: Approve a patient registration request
+ *     description: Registers the patient in AdminContract and sets up their PatientContract profile from the request.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request approved and patient registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RegistrationRequest'
+ *       404:
+ *         description: Registration request not found
+ *       409:
+ *         description: Request was already approved or rejected
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/registrations/{requestId}/reject:
+ *   post:
+ *     summary: Reject a patient registration request
+ *     description: Rejects a pending request. The address may submit a new request afterwards.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Could not verify identity"
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       404:
+ *         description: Registration request not found
+ *       409:
+ *         description: Request was already approved or rejected
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/pins:
+ *   get:
+ *     summary: List pinned files
+ *     description: Lists the CIDs pinned on the API's IPFS node and whether each one is referenced by a record in MedicContract or PatientContract.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Pins retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       cid:
+ *                         type: string
+ *                       depth:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Pin depth, null when the whole DAG is pinned
+ *                       metadata:
+ *                         type: object
+ *                       referenced:
+ *                         type: boolean
+ *                       contract:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [MedicContract, PatientContract]
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/pins/reconcile:
+ *   post:
+ *     summary: Reconcile pins with on-chain records
+ *     description: Pins every CID referenced in MedicContract or PatientContract that is not pinned yet, and reports pins that no record references. Orphaned pins are only removed when unpinOrphans is true; files uploaded but not yet committed on-chain are never treated as orphans.
+ *     tags: [Admin]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only report, without pinning or unpinning anything
+ *               unpinOrphans:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Unpin CIDs that no record references
+ *     responses:
+ *       200:
+ *         description: Reconciliation result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     referenced:
+ *                       type: number
+ *                       description: Number of distinct CIDs referenced on-chain
+ *                     alreadyPinned:
+ *                       type: number
+ *                     pinned:
+ *                       type: array
+ *                       description: Referenced CIDs pinned by this run
+ *                       items:
+ *                         type: object
+ *                     missing:
+ *                       type: array
+ *                       description: Referenced CIDs that are not pinned (dry run only)
+ *                       items:
+ *                         type: object
+ *                     failed:
+ *                       type: array
+ *                       description: Referenced CIDs that could not be pinned (e.g. blocks unavailable)
+ *                       items:
+ *                         type: object
+ *                     invalid:
+ *                       type: array
+ *                       description: Malformed CIDs referenced on-chain
+ *                       items:
+ *                         type: object
+ *                     orphaned:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     unpinned:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       500:
+ *         description: Internal server error
+ */
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List admin role holders
+ *     description: Lists the accounts granted each admin role, with the owner and any pending ownership transfer. The owner and super-admins hold every role without being listed under it.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Admin roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     owner:
+ *                       type: string
+ *                     pendingOwner:
+ *                       type: string
+ *                       nullable: true
+ *                     approvalPolicy:
+ *                       type: object
+ *                       properties:
+ *                         threshold:
+ *                           type: integer
+ *                         windowSeconds:
+ *                           type: integer
+ *                         approvers:
+ *                           type: integer
+ *                           description: Super-admins, the owner included
+ *                     roles:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       example:
+ *                         super-admin: []
+ *                         registrar: ["0x742d35Cc8C4F8c7dd0f1e8a0b7B8e5F9E8A0F8C7"]
+ *                         credentialing-officer: []
+ *                         auditor: []
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/{role}/members:
+ *   post:
+ *     summary: Grant an admin role
+ *     description: Relays an `AdminContract.grantRole(role, account)` call signed by the authenticated super-admin, where `role` is the role's contract constant (keccak256 of e.g. `REGISTRAR_ROLE`) and must match the role in the URL.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [super-admin, registrar, credentialing-officer, auditor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       200:
+ *         description: Role granted
+ *       400:
+ *         description: Unknown role, or the signed request is for another role
+ *       409:
+ *         description: Account already holds the role
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/{role}/members/{account}:
+ *   delete:
+ *     summary: Revoke an admin role
+ *     description: Relays an `AdminContract.revokeRole(role, account)` call signed by the authenticated super-admin for the role and account in the URL.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [super-admin, registrar, credentialing-officer, auditor]
+ *       - in: path
+ *         name: account
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       200:
+ *         description: Role revoked
+ *       400:
+ *         description: Unknown role, invalid address, or the signed request is for another role or account
+ *       404:
+ *         description: Account does not hold the role
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/ownership/transfer:
+ *   post:
+ *     summary: Start an ownership transfer
+ *     description: Proposes a new AdminContract owner. Ownership only moves once the new owner calls `acceptOwnership` on AdminContract from their own account. The API signs admin transactions as the owner, so grant the API signer super-admin afterwards to keep the admin endpoints working.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newOwner
+ *             properties:
+ *               newOwner:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Transfer started, waiting for the new owner to accept
+ *       400:
+ *         description: Invalid address
+ *       403:
+ *         description: The API signer is no longer the owner
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/ownership/cancel:
+ *   post:
+ *     summary: Cancel a pending ownership transfer
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       404:
+ *         description: No transfer is pending
+ *       500:
+ *         description: Internal server error
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Proposal:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [revoke-doctor, deactivate-patient, update-contract, grant-super-admin, revoke-super-admin, set-approval-threshold, set-approval-window, suspend-doctor, set-registry, reinstate-doctor]
+ *         target:
+ *           type: string
+ *           description: Doctor, patient, contract or account the action applies to
+ *         value:
+ *           type: string
+ *           description: Registry key (keccak256 of the contract name) for update-contract, the new registry address for set-registry, the new license expiry (Unix seconds, 0 for none) for reinstate-doctor, or the new threshold or window (seconds) for the approval policy actions
+ *         contractName:
+ *           type: string
+ *           description: Contract an update-contract proposal replaces
+ *         registry:
+ *           type: string
+ *           description: Registry a set-registry proposal points the target contract at
+ *         reason:
+ *           type: string
+ *         proposer:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, executed, cancelled, expired]
+ *         approvals:
+ *           type: integer
+ *           description: Approvals from accounts that are still super-admins
+ *         requiredApprovals:
+ *           type: integer
+ *         approvers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *     SignedAdminCall:
+ *       type: object
+ *       required:
+ *         - request
+ *         - signature
+ *       properties:
+ *         request:
+ *           type: object
+ *           description: Forward request message from /api/relay/prepare (contract AdminContract)
+ *         signature:
+ *           type: string
+ *           description: EIP-712 signature of the request
+ */
+
+/**
+ * @swagger
+ * /api/admin/proposals:
+ *   get:
+ *     summary: List multi-signature proposals
+ *     description: Suspending and revoking doctors, deactivating patients, replacing a contract in the registry, super-admin grants and approval policy changes need approvals from `approvalThreshold` super-admins within the approval window once the threshold is above 1.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, executed, cancelled, expired, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Proposals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Proposal'
+ *       400:
+ *         description: Invalid status filter
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Propose a sensitive action
+ *     description: Relays a signed `AdminContract.proposeAction(action, target, value, reason)` call, where `action` is the index of the action in the Proposal schema's enum. For update-contract, `target` is the new contract and `value` the registry key of the contract it replaces. For set-registry, `target` is the contract to move and `value` the new registry address. The proposer's approval is counted straight away.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       201:
+ *         description: Proposal created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Proposal'
+ *       400:
+ *         description: Invalid action, target or reason, or the request does not call proposeAction
+ *       403:
+ *         description: Signer is not a super-admin
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/proposals/{proposalId}:
+ *   get:
+ *     summary: Get a multi-signature proposal
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Proposal retrieved successfully
+ *       404:
+ *         description: Proposal not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/proposals/{proposalId}/approve:
+ *   post:
+ *     summary: Approve a proposal
+ *     description: Relays a signed `AdminContract.approveProposal(proposalId)` call. Each super-admin signs their own approval.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       200:
+ *         description: Proposal approved
+ *       404:
+ *         description: Proposal not found
+ *       409:
+ *         description: Proposal already approved by the signer, executed, cancelled or expired
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/proposals/{proposalId}/cancel:
+ *   post:
+ *     summary: Cancel a proposal
+ *     description: Relays a signed `AdminContract.cancelProposal(proposalId)` call from the proposer or the owner.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignedAdminCall'
+ *     responses:
+ *       200:
+ *         description: Proposal cancelled
+ *       403:
+ *         description: Signer is not the proposer or owner
+ *       404:
+ *         description: Proposal not found
+ *       409:
+ *         description: Proposal already executed, cancelled or expired
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/proposals/{proposalId}/execute:
+ *   post:
+ *     summary: Execute an approved proposal
+ *     description: Carries out the proposed action once enough super-admins have approved it within the approval window.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Proposal executed
+ *       404:
+ *         description: Proposal not found
+ *       409:
+ *         description: Not enough approvals, already executed, cancelled or expired, or the action itself failed
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/contracts/wiring:
+ *   get:
+ *     summary: Check the contract wiring
+ *     description: |
+ *       Compares ContractRegistry's entries with the addresses the API uses, checks that every
+ *       registered contract is deployed, and that AdminContract, MedicContract and PatientContract
+ *       point at this registry and at the registered ForwarderContract. Mismatches are listed in
+ *       the response; `consistent` is false if there are any.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Wiring report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     consistent:
+ *                       type: boolean
+ *                     registry:
+ *                       type: string
+ *                     contracts:
+ *                       type: object
+ *                       description: Per contract, its registered address, the address the API uses, whether it is deployed and, for registry clients, the registry and trusted forwarder it points at
+ *                     mismatches:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           contract:
+ *                             type: string
+ *                           check:
+ *                             type: string
+ *                             enum: [registered, deployed, api, registry, trustedForwarder]
+ *                           expected:
+ *                             nullable: true
+ *                           actual:
+ *                             nullable: true
+ *       500:
+ *         description: Contract registry not initialized or internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/events:
+ *   get:
+ *     summary: Query contract event history
+ *     description: >
+ *       Lists AdminContract, MedicContract and PatientContract events (e.g. DoctorRevoked,
+ *       RecordDeactivated, ConsentGranted) from the local event index, oldest first. The index only
+ *       keeps the last EVENT_INDEX_RETENTION_BLOCKS blocks of events; retainedFromBlock is the oldest
+ *       block still held, or null if nothing was pruned.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: contract
+ *         schema:
+ *           type: string
+ *           enum: [AdminContract, MedicContract, PatientContract]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Event name, e.g. DoctorRevoked
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *         description: Only events with this address in any argument (doctor, patient, ...)
+ *       - in: query
+ *         name: fromBlock
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toBlock
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: >
+ *           Matching events ({ contract, event, args, blockNumber, blockHash, transactionHash, logIndex, timestamp,
+ *           confirmations, confirmationStatus }), with the total number of matches, the last indexed block
+ *           and retainedFromBlock
+ *       400:
+ *         description: Invalid filter
+ *       503:
+ *         description: The event index has not been built yet
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/admin/events/status:
+ *   get:
+ *     summary: Get the event indexer's progress
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: >
+ *           { running, syncing, lastBlock, headBlock, blocksBehind, syncedAt, eventCount, segmentCount,
+ *           retainedFromBlock, lastReorg, lastError };
+ *           running is false when the indexer is disabled or the contracts are not loaded, and lastReorg
+ *           ({ fromBlock, toBlock, removedEvents, detectedAt }) describes the last blocks rolled back and replayed
+ *       500:
+ *         description: Internal server error
+ */
+/**
+ * @swagger
+ * /api/admin/transaction-queue:
+ *   get:
+ *     summary: Get the API wallet's transaction queue
+ *     description: >
+ *       Writes are sent from the API wallet one at a time with locally tracked nonces. queued counts
+ *       sends waiting their turn; inFlight lists transactions sent but not mined yet, with how often
+ *       each was re-sent with higher fees after TX_STUCK_AFTER_SECONDS.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: >
+ *           { address, nextNonce, minedNonce, queued, inFlight: [{ nonce, hash, sentAt, ageSeconds, bumps, stuck }] };
+ *           nextNonce is null until the first send or after a send failed and the nonce must be re-read
+ *       500:
+ *         description: Internal server error
+ */
+router.use(authenticate);
+
+// The owner and super-admins hold every admin role
+router.post('/doctors', requireRole('credentialing-officer'), addDoctor);
+router.delete('/doctors/:doctorId', requireRole('credentialing-officer'), revokeDoctor);
+router.post('/doctors/:doctorId/verify', requireRole('credentialing-officer'), verifyDoctor);
+router.post('/doctors/:doctorId/suspend', requireRole('credentialing-officer'), suspendDoctor);
+router.post('/doctors/:doctorId/reinstate', requireRole('credentialing-officer'), reinstateDoctor);
+router.get('/doctors/:doctorId/history', requireRole('credentialing-officer', 'auditor'), getDoctorStatusHistory);
+router.post('/patients', requireRole('registrar'), addPatient);
+router.delete('/patients/:patientId', requireRole('registrar'), deactivatePatient);
+router.get('/patients', requireRole('registrar', 'auditor'), getAllPatients);
+router.get('/registrations', requireRole('registrar', 'auditor'), getRegistrationRequests);
+router.post('/registrations/:requestId/approve', requireRole('registrar'), approveRegistrationRequest);
+router.post('/registrations/:requestId/reject', requireRole('registrar'), rejectRegistrationRequest);
+router.get('/doctors', requireRole('credentialing-officer', 'auditor'), getAllDoctors);
+router.get('/emergency-access', requireRole('super-admin', 'auditor'), getEmergencyAccessEvents);
+router.post('/emergency-access/:patientId/:accessId/flag', requireRole('super-admin'), flagEmergencyAccess);
+router.get('/pins', requireRole('super-admin', 'auditor'), getPins);
+router.post('/pins/reconcile', requireRole('super-admin'), reconcilePins);
+router.get('/roles', requireRole('super-admin', 'auditor'), getRoles);
+router.post('/roles/:role/members', requireRole('super-admin'), grantRole);
+router.delete('/roles/:role/members/:account', requireRole('super-admin'), revokeRole);
+router.post('/ownership/transfer', requireRole('owner'), transferOwnership);
+router.post('/ownership/cancel', requireRole('owner'), cancelOwnershipTransfer);
+router.get('/proposals', requireRole('super-admin', 'auditor'), getProposals);
+router.post('/proposals', requireRole('super-admin'), createProposal);
+router.get('/proposals/:proposalId', requireRole('super-admin', 'auditor'), getProposal);
+router.post('/proposals/:proposalId/approve', requireRole('super-admin'), approveProposal);
+router.post('/proposals/:proposalId/cancel', requireRole('super-admin'), cancelProposal);
+router.post('/proposals/:proposalId/execute', requireRole('super-admin'), executeProposal);
+router.get('/contracts/wiring', requireRole('super-admin', 'auditor'), getContractWiring);
+router.get('/events', requireRole('super-admin', 'auditor'), getEvents);
+router.get('/events/status', requireRole('super-admin', 'auditor'), getIndexStatus);
+router.get('/transaction-queue', requireRole('super-admin', 'auditor'), getTransactionQueue);
 
 module.exports = router;
 
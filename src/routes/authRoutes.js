@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getNonce,
+    verifySignature,
+    getSession
+} = require('../controllers/authController');
+const { authenticate } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Wallet signature authentication endpoints
+ */
+
+/**
+ * @swagger
+ * /api/auth/nonce:
+ *   get:
+ *     summary: Request a sign-in challenge
+ *     description: Returns a one-time nonce and the message the wallet must sign with personal_sign.
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address that will sign in
+ *         example: "0x742d35Cc8C4F8c7dd0f1e8a0b7B8e5F9E8A0F8C7"
+ *     responses:
+ *       200:
+ *         description: Challenge created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     nonce:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ *                       description: Message to sign
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid Ethereum address
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/verify:
+ *   post:
+ *     summary: Verify a signed challenge
+ *     description: Verifies the signature of a challenge and returns a short-lived session token to send in the Authorization header as a Bearer token.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nonce
+ *               - signature
+ *             properties:
+ *               nonce:
+ *                 type: string
+ *                 description: Nonce returned by /api/auth/nonce
+ *               signature:
+ *                 type: string
+ *                 description: Wallet signature of the challenge message
+ *     responses:
+ *       200:
+ *         description: Signed in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       type: string
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [owner, super-admin, registrar, credentialing-officer, auditor, doctor, patient]
+ *                     token:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Missing nonce or signature
+ *       401:
+ *         description: Unknown nonce or invalid signature
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the current session
+ *     description: Returns the authenticated address and the roles it currently holds on-chain.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Session retrieved successfully
+ *       401:
+ *         description: Missing, invalid or expired session token
+ */
+
+router.get('/nonce', getNonce);
+router.post('/verify', verifySignature);
+router.get('/me', authenticate, getSession);
+
+module.exports = router;
@@ -6,8 +6,17 @@ const {
     addPatientRecord,
     getPatientRecords,
     checkPatientExists,
-    upload,
+    deactivateRecord,
+    reactivateRecord,
+    amendPatientRecord,
+    requestEmergencyAccess,
+    getPendingUploads,
+    getPendingUpload,
+    retryPendingUpload,
+    removePendingUpload
 } = require('../controllers/doctorController');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+const { upload, handleUploadError } = require('../middleware/uploadMiddleware');
 
 /**
  * @swagger
@@ -61,8 +70,10 @@ const {
  * /api/doctor/records:
  *   post:
  *     summary: Add a patient medical record
- *     description: Uploads a medical file and creates a new medical record for a patient.
+ *     description: Uploads a medical file and creates a new medical record for a patient. The authenticated doctor is recorded as the author.
  *     tags: [Doctor]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
  *     requestBody:
  *       required: true
  *       content:
@@ -73,7 +84,6 @@ const {
  *               - patientId
  *               - diagnosis
  *               - treatment
- *               - doctorId
  *             properties:
  *               patientId:
  *                 type: string
@@ -87,10 +97,6 @@ const {
  *                 type: string
  *                 description: Treatment prescribed
  *                 example: "ACE inhibitor medication"
- *               doctorId:
- *                 type: string
- *                 description: The Ethereum address of the doctor adding the record
- *                 example: "0x742d35Cc8C4F8c7dd0f1e8a0b7B8e5F9E8A0F8C7"
  *               medicalFile:
  *                 type: string
  *                 format: binary
@@ -112,11 +118,16 @@ const {
  *                 data:
  *                   type: object
  *                   properties:
+ *                     recordId:
+ *                       type: number
+ *                       description: Stable ID of the new record
  *                     cid:
  *                       type: string
- *                       description: IPFS hash of the uploaded file
+ *                       nullable: true
+ *                       description: IPFS hash of the uploaded file; null for a record without a file
  *                     fileName:
  *                       type: string
+ *                       nullable: true
  *                     patientId:
  *                       type: string
  *                     diagnosis:
@@ -129,6 +140,20 @@ const {
  *                       type: string
  *                     blockNumber:
  *                       type: number
+ *       202:
+ *         description: >
+ *           Submitted with ?async=true (poll the statusUrl, GET /api/transactions/{id}), or the file could not be
+ *           uploaded to IPFS and was queued; the record is added once a retry succeeds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PendingUpload'
  *       400:
  *         description: Bad request - Invalid input or missing required fields
  *       403:
@@ -139,12 +164,168 @@ const {
  *         description: Internal server error
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PendingUpload:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Queue entry ID
+ *         status:
+ *           type: string
+ *           enum: [pending, uploaded, completed, failed]
+ *           description: pending = waiting for IPFS, uploaded = on IPFS but not yet on-chain, failed = scheduled retries gave up and the queued file was deleted
+ *         fileName:
+ *           type: string
+ *         patientId:
+ *           type: string
+ *         doctorId:
+ *           type: string
+ *         diagnosis:
+ *           type: string
+ *           nullable: true
+ *           description: null once the upload completed or gave up
+ *         treatment:
+ *           type: string
+ *           nullable: true
+ *           description: null once the upload completed or gave up
+ *         attempts:
+ *           type: number
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         cid:
+ *           type: string
+ *           nullable: true
+ *         transactionHash:
+ *           type: string
+ *           nullable: true
+ *         blockNumber:
+ *           type: number
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/doctor/uploads:
+ *   get:
+ *     summary: List queued uploads
+ *     description: Lists uploads that failed to reach IPFS and are waiting for a retry. Doctors see their own uploads, the admin sees all of them.
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, uploaded, completed, failed]
+ *         description: Only return uploads in this state
+ *     responses:
+ *       200:
+ *         description: Pending uploads retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PendingUpload'
+ *       400:
+ *         description: Invalid status
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/doctor/uploads/{uploadId}:
+ *   get:
+ *     summary: Get a queued upload
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending upload retrieved successfully
+ *       404:
+ *         description: Pending upload not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/doctor/uploads/{uploadId}/retry:
+ *   post:
+ *     summary: Retry a queued upload
+ *     description: Uploads the queued file to IPFS (unless that already succeeded) and adds the medical record with the real CID.
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Upload completed and medical record added
+ *       404:
+ *         description: Pending upload not found
+ *       409:
+ *         description: Upload already completed or gave up, or a retry is in progress
+ *       503:
+ *         description: IPFS is still unavailable; the upload stays queued
+ *       500:
+ *         description: The record could not be added; the upload stays queued
+ */
+
+/**
+ * @swagger
+ * /api/doctor/uploads/{uploadId}:
+ *   delete:
+ *     summary: Remove a queued upload
+ *     description: Removes the upload from the queue and deletes its queued file. A record that was not committed yet is not added.
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending upload removed
+ *       404:
+ *         description: Pending upload not found
+ *       409:
+ *         description: A retry of this upload is in progress
+ *       500:
+ *         description: Internal server error
+ */
+
 /**
  * @swagger
  * /api/doctor/records/{patientId}:
  *   get:
  *     summary: Get patient medical records
- *     description: Retrieves all medical records for a specific patient.
+ *     description: Retrieves the medical records of a patient who has granted the authenticated doctor an active, unexpired consent covering "Medical Record". A doctor with break-glass access only receives active records.
  *     tags: [Doctor]
  *     parameters:
  *       - in: path
@@ -162,17 +343,205 @@ const {
  *           enum: [true, false]
  *         description: Filter to show only active records
  *         example: "true"
+ *       - $ref: '#/components/parameters/ReadConsistency'
  *     responses:
  *       200:
- *         description: Medical records retrieved successfully
+ *         description: Medical records retrieved successfully. `access` is "consent", or "emergency" when read through break-glass access (active records only). Access is checked on-chain whatever the consistency.
  *       400:
  *         description: Invalid Ethereum address
+ *       403:
+ *         description: No patient consent or break-glass access, or the consent does not cover medical records
  *       404:
  *         description: Patient not found or no records available
  *       500:
  *         description: Internal server error
  */
 
+/**
+ * @swagger
+ * /api/doctor/records/{recordId}/deactivate:
+ *   patch:
+ *     summary: Deactivate a medical record
+ *     description: Relays a MedicContract.deactivateRecord(recordId, reason) call signed by the doctor who created the record. The reason is emitted in the RecordDeactivated event. Deactivated records are hidden from break-glass access and cannot be amended.
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the medical record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the doctor
+ *     responses:
+ *       200:
+ *         description: Medical record deactivated successfully
+ *       400:
+ *         description: Invalid recordId, missing fields or reason, or the signed call targets another record
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the doctor who created the record
+ *       404:
+ *         description: Record not found, or patient not active
+ *       409:
+ *         description: Record is already inactive, or request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/doctor/records/{recordId}/reactivate:
+ *   patch:
+ *     summary: Reactivate a medical record
+ *     description: Relays a MedicContract.reactivateRecord(recordId, reason) call signed by the doctor who created the record. The reason is emitted in the RecordReactivated event.
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the medical record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the doctor
+ *     responses:
+ *       200:
+ *         description: Medical record reactivated successfully
+ *       400:
+ *         description: Invalid recordId, missing fields or reason, or the signed call targets another record
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the doctor who created the record
+ *       404:
+ *         description: Record not found, or patient not active
+ *       409:
+ *         description: Record is already active, or request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/doctor/records/{recordId}/amendments:
+ *   post:
+ *     summary: Amend a medical record
+ *     description: Stores a corrected diagnosis and treatment, and optionally a new file, as the record's next version. Earlier versions stay in the record's version history. Only the record's creator may amend an active record; consent lets other doctors read it but not amend it.
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the medical record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patientId
+ *               - diagnosis
+ *               - treatment
+ *               - reason
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *                 description: The Ethereum address of the record's patient
+ *               diagnosis:
+ *                 type: string
+ *                 example: "Community-acquired pneumonia"
+ *               treatment:
+ *                 type: string
+ *                 example: "Amoxicillin 500mg"
+ *               reason:
+ *                 type: string
+ *                 description: Why the record is being amended
+ *                 example: "Chest X-ray result"
+ *               medicalFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Replacement file - OPTIONAL, the current file is kept if omitted
+ *     responses:
+ *       201:
+ *         description: Medical record amended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recordId:
+ *                       type: number
+ *                     version:
+ *                       type: number
+ *                       description: Version number of the amendment
+ *                     cid:
+ *                       type: string
+ *                       description: CID of the record's file after the amendment
+ *                     patientId:
+ *                       type: string
+ *                     diagnosis:
+ *                       type: string
+ *                     treatment:
+ *                       type: string
+ *                     reason:
+ *                       type: string
+ *                     doctorId:
+ *                       type: string
+ *                     transactionHash:
+ *                       type: string
+ *                     blockNumber:
+ *                       type: number
+ *       400:
+ *         description: Invalid recordId or missing fields
+ *       403:
+ *         description: Not the record creator and no consent for medical records, or doctor not authorized
+ *       404:
+ *         description: Record not found for this patient, or patient not active
+ *       409:
+ *         description: Record has been deactivated
+ *       503:
+ *         description: File storage is unavailable
+ *       500:
+ *         description: Internal server error
+ */
+
 /**
  * @swagger
  * /api/doctor/patients/{patientId}/exists:
@@ -199,10 +568,94 @@ const {
  *         description: Internal server error
  */
 
-router.get('/doctors/:doctorId', checkDoctorStatus);
-router.get('/patients', getPatients);
-router.post('/records', upload.single('medicalFile'), addPatientRecord);
-router.get('/records/:patientId', getPatientRecords);
-router.get('/patients/:patientId/exists', checkPatientExists);
+/**
+ * @swagger
+ * /api/doctor/emergency-access/{patientId}:
+ *   post:
+ *     summary: Break-glass access to a patient's records
+ *     description: Relays a PatientContract.breakGlass(patientId, justification) call signed by the authenticated doctor. Grants temporary access to the patient's active records without consent. Every access is logged on-chain for the patient and admin to review and flag.
+ *     tags: [Doctor]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the doctor
+ *     responses:
+ *       201:
+ *         description: Emergency access granted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessId:
+ *                       type: number
+ *                     patientId:
+ *                       type: string
+ *                     doctorId:
+ *                       type: string
+ *                     justification:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     transactionHash:
+ *                       type: string
+ *                     blockNumber:
+ *                       type: number
+ *       400:
+ *         description: Missing fields, missing justification, or the signed call is for another patient
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Doctor is not authorized
+ *       404:
+ *         description: Patient not found or not active
+ *       409:
+ *         description: Request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+router.use(authenticate);
+
+router.get('/doctors/:doctorId', requireRole('doctor', 'super-admin'), checkDoctorStatus);
+router.get('/patients', requireRole('doctor', 'super-admin'), getPatients);
+router.post('/records', requireRole('doctor'), upload.single('medicalFile'), addPatientRecord);
+router.get('/records/:patientId', requireRole('doctor'), getPatientRecords);
+router.patch('/records/:recordId/deactivate', requireRole('doctor'), deactivateRecord);
+router.patch('/records/:recordId/reactivate', requireRole('doctor'), reactivateRecord);
+router.post('/records/:recordId/amendments', requireRole('doctor'), upload.single('medicalFile'), amendPatientRecord);
+router.get('/patients/:patientId/exists', requireRole('doctor', 'super-admin'), checkPatientExists);
+router.post('/emergency-access/:patientId', requireRole('doctor'), requestEmergencyAccess);
+router.get('/uploads', requireRole('doctor', 'super-admin'), getPendingUploads);
+router.get('/uploads/:uploadId', requireRole('doctor', 'super-admin'), getPendingUpload);
+router.post('/uploads/:uploadId/retry', requireRole('doctor', 'super-admin'), retryPendingUpload);
+router.delete('/uploads/:uploadId', requireRole('doctor', 'super-admin'), removePendingUpload);
+
+router.use(handleUploadError);
 
 module.exports = router;
\ No newline at end of file
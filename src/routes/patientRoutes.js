@@ -5,10 +5,27 @@ const {
     getPatientInfo,
     getPatientMedicalRecords,
     getPatientSelfRecords,
+    getPatientMedicalRecord,
+    getPatientMedicalRecordVersions,
+    getPatientSelfRecord,
     getPatientProfile,
+    updatePatientProfile,
+    getProfileHistory,
     selfRegisterPatient,
+    getRegistrationStatus,
     uploadSelfRecord,
+    uploadPatientFile,
+    updateSelfRecord,
+    deleteSelfRecord,
+    getPatientConsents,
+    grantConsent,
+    revokeConsent,
+    getEmergencyAccessLog,
+    flagEmergencyAccess,
 } = require('../controllers/patientController');
+const { authenticate, requireRole, requireSelfOrRole } = require('../middleware/authMiddleware');
+const { upload, handleUploadError } = require('../middleware/uploadMiddleware');
+
 /**
  * @swagger
  * tags:
@@ -16,6 +33,88 @@ const {
  *   description: Patient management endpoints
  */
 
+/**
+ * @swagger
+ * /api/patient/register:
+ *   post:
+ *     summary: Request patient registration
+ *     description: Queues a registration request for the signed-in address. An admin approves or rejects it through /api/admin/registrations; approval registers the patient in AdminContract and sets up their profile.
+ *     tags: [Patient]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - dateOfBirth
+ *               - phoneNumber
+ *               - emergencyContact
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Bob Smith"
+ *               dateOfBirth:
+ *                 type: string
+ *                 example: "1985-03-20"
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+1987654321"
+ *               emergencyContact:
+ *                 type: string
+ *                 example: "Alice Smith - +1987654322"
+ *               email:
+ *                 type: string
+ *                 description: OPTIONAL, stored in the patient's profile
+ *                 example: "bob@example.com"
+ *     responses:
+ *       202:
+ *         description: Registration request submitted and awaiting admin approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RegistrationRequest'
+ *       400:
+ *         description: Missing required fields
+ *       409:
+ *         description: Already registered, or a request is already pending
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/patient/register/status:
+ *   get:
+ *     summary: Get your registration request
+ *     description: Returns the signed-in address's most recent registration request.
+ *     tags: [Patient]
+ *     responses:
+ *       200:
+ *         description: Registration request retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RegistrationRequest'
+ *       404:
+ *         description: No registration request for this address
+ *       500:
+ *         description: Internal server error
+ */
+
 /**
  * @swagger
  * /api/patient/{patientId}:
@@ -117,7 +216,7 @@ const {
  * /api/patient/{patientId}/medical-records:
  *   get:
  *     summary: Get patient medical records from doctors
- *     description: Retrieves all medical records created by doctors for a specific patient.
+ *     description: Retrieves all medical records created by doctors for a specific patient. Doctors need a patient consent covering "Medical Record".
  *     tags: [Patient]
  *     parameters:
  *       - in: path
@@ -154,9 +253,13 @@ const {
  *                   items:
  *                     type: object
  *                     properties:
+ *                       recordId:
+ *                         type: number
+ *                         description: Stable ID of the record
  *                       cid:
  *                         type: string
- *                         description: IPFS hash of the medical file
+ *                         nullable: true
+ *                         description: IPFS hash of the medical file; null for a record without a file
  *                       fileName:
  *                         type: string
  *                         example: "medical_report.pdf"
@@ -175,8 +278,13 @@ const {
  *                       isActive:
  *                         type: boolean
  *                         example: true
+ *                       version:
+ *                         type: number
+ *                         description: Current version (1 until the record is amended)
  *       400:
  *         description: Invalid Ethereum address
+ *       403:
+ *         description: Not authorized or no patient consent
  *       404:
  *         description: Patient not found or not active
  *       500:
@@ -188,7 +296,7 @@ const {
  * /api/patient/{patientId}/records:
  *   get:
  *     summary: Get patient self-uploaded records
- *     description: Retrieves all records that the patient has uploaded themselves.
+ *     description: Retrieves all records that the patient has uploaded themselves. Doctors only receive the record types the patient has consented to.
  *     tags: [Patient]
  *     parameters:
  *       - in: path
@@ -217,6 +325,9 @@ const {
  *                   items:
  *                     type: object
  *                     properties:
+ *                       recordId:
+ *                         type: number
+ *                         description: Stable ID of the record
  *                       cid:
  *                         type: string
  *                         description: IPFS hash of the uploaded file
@@ -237,6 +348,239 @@ const {
  *                         example: false
  *       400:
  *         description: Invalid Ethereum address
+ *       403:
+ *         description: Not authorized or no patient consent
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/medical-records/{recordId}:
+ *   get:
+ *     summary: Get a medical record by ID
+ *     description: Retrieves one doctor-authored record of the patient. Doctors need a patient consent covering "Medical Record", or break-glass access for active records.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the medical record
+ *     responses:
+ *       200:
+ *         description: Medical record retrieved successfully
+ *       400:
+ *         description: Invalid Ethereum address or recordId
+ *       403:
+ *         description: Not authorized or no patient consent
+ *       404:
+ *         description: No record with this ID for the patient
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/medical-records/{recordId}/versions:
+ *   get:
+ *     summary: Get a medical record's version history
+ *     description: Returns the record's current version and every version since the original, oldest first. Access rules are the same as for the record itself.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the medical record
+ *     responses:
+ *       200:
+ *         description: Record versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       type: object
+ *                       description: The record as it stands, in the same shape as GET /api/patient/{patientId}/medical-records/{recordId}
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           version:
+ *                             type: number
+ *                           cid:
+ *                             type: string
+ *                           fileName:
+ *                             type: string
+ *                           diagnosis:
+ *                             type: string
+ *                           treatment:
+ *                             type: string
+ *                           author:
+ *                             type: string
+ *                             description: Doctor who wrote this version
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           reason:
+ *                             type: string
+ *                             description: Why the record was amended (empty for the original)
+ *       400:
+ *         description: Invalid Ethereum address or recordId
+ *       403:
+ *         description: Not authorized or no patient consent
+ *       404:
+ *         description: No record with this ID for the patient
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/records/{recordId}:
+ *   get:
+ *     summary: Get a self-uploaded record by ID
+ *     description: Retrieves one self-uploaded record. Doctors need a consent covering the record's type.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the self-uploaded record
+ *     responses:
+ *       200:
+ *         description: Self-uploaded record retrieved successfully
+ *       400:
+ *         description: Invalid Ethereum address or recordId
+ *       403:
+ *         description: Not authorized or no patient consent for the record type
+ *       404:
+ *         description: No record with this ID for the patient, or patient not registered
+ *       500:
+ *         description: Internal server error
+ *   put:
+ *     summary: Update a self-uploaded record
+ *     description: Relays a PatientContract.updateSelfRecord(recordId, recordType, description) call signed by the authenticated patient.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the self-uploaded record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the patient
+ *     responses:
+ *       200:
+ *         description: Self-record updated successfully
+ *       400:
+ *         description: Invalid recordId, missing fields, or the signed call updates another record
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the authenticated patient, or patient not registered
+ *       404:
+ *         description: No record with this ID for the patient
+ *       409:
+ *         description: Request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a self-uploaded record
+ *     description: Relays a PatientContract.deleteSelfRecord(recordId) call signed by the authenticated patient. The IDs of the patient's other records do not change.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Stable ID of the self-uploaded record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the patient
+ *     responses:
+ *       200:
+ *         description: Self-record deleted successfully
+ *       400:
+ *         description: Invalid recordId, missing fields, or the signed call deletes another record
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the authenticated patient, or patient not registered
+ *       404:
+ *         description: No record with this ID for the patient
+ *       409:
+ *         description: Request expired or nonce already used
  *       500:
  *         description: Internal server error
  */
@@ -293,6 +637,124 @@ const {
  *         description: Invalid Ethereum address
  *       500:
  *         description: Internal server error
+ *   put:
+ *     summary: Update your profile
+ *     description: Relays a PatientContract.updateProfile(name, email, phoneNumber) call signed by the authenticated patient. The name is required; email and phone number may be empty but must be well-formed (phone numbers have 7 to 15 digits, optionally starting with +). The profile is marked completed once every field is filled in. These contact details are the patient's own and separate from the admin-managed AdminContract record.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the patient
+ *     responses:
+ *       200:
+ *         description: Patient profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     patientAddress:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     phoneNumber:
+ *                       type: string
+ *                     profileCompleted:
+ *                       type: boolean
+ *                     transactionHash:
+ *                       type: string
+ *                     blockNumber:
+ *                       type: number
+ *       400:
+ *         description: Missing fields, or invalid name, email or phone number
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the authenticated patient, or patient not registered
+ *       409:
+ *         description: Request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/profile/history:
+ *   get:
+ *     summary: Get profile change history
+ *     description: Lists every change to the patient's profile, oldest first, read from PatientContract ProfileUpdated events.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient
+ *     responses:
+ *       200:
+ *         description: Profile history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       phoneNumber:
+ *                         type: string
+ *                       profileCompleted:
+ *                         type: boolean
+ *                       updatedBy:
+ *                         type: string
+ *                         description: The patient, or the admin when the profile was set up on registration
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       transactionHash:
+ *                         type: string
+ *                       blockNumber:
+ *                         type: number
+ *       400:
+ *         description: Invalid Ethereum address
+ *       500:
+ *         description: Internal server error
  */
 
 /**
@@ -300,7 +762,7 @@ const {
  * /api/patient/upload-record:
  *   post:
  *     summary: Upload a self-record
- *     description: Allows a patient to upload their own medical record to the blockchain.
+ *     description: Relays a PatientContract.uploadSelfRecord call signed by the authenticated patient. Obtain the typed data from /api/relay/prepare with contract "PatientContract" and functionName "uploadSelfRecord", sign it with eth_signTypedData_v4 and submit it here.
  *     tags: [Patient]
  *     requestBody:
  *       required: true
@@ -309,32 +771,14 @@ const {
  *           schema:
  *             type: object
  *             required:
- *               - cid
- *               - fileName
- *               - recordType
- *               - description
- *               - patientAddress
+ *               - request
+ *               - signature
  *             properties:
- *               cid:
- *                 type: string
- *                 description: IPFS hash of the uploaded file
- *                 example: "QmTzQ2z8Z9b6Q8vZXy5F2nL7X5P3M9k8J7H6G5D4S2A1N0"
- *               fileName:
- *                 type: string
- *                 description: Original name of the uploaded file
- *                 example: "blood_test_results.pdf"
- *               recordType:
- *                 type: string
- *                 description: Type of medical record
- *                 example: "Lab Results"
- *               description:
- *                 type: string
- *                 description: Description of the record
- *                 example: "Blood test from annual checkup"
- *               patientAddress:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
  *                 type: string
- *                 description: The Ethereum address of the patient
- *                 example: "0x8ba1f109551bD432803012645Hac136c"
+ *                 description: EIP-712 signature of the request by the patient
  *     responses:
  *       201:
  *         description: Self-record uploaded successfully
@@ -352,6 +796,8 @@ const {
  *                 data:
  *                   type: object
  *                   properties:
+ *                     recordId:
+ *                       type: number
  *                     cid:
  *                       type: string
  *                     fileName:
@@ -367,7 +813,7 @@ const {
  *                     blockNumber:
  *                       type: number
  *       400:
- *         description: Bad request - Invalid input or missing required fields
+ *         description: Bad request - Missing fields or the signed request does not call uploadSelfRecord
  *         content:
  *           application/json:
  *             schema:
@@ -378,7 +824,7 @@ const {
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "All fields are required: cid, fileName, recordType, description, patientAddress"
+ *                   example: "All fields are required: request, signature"
  *       500:
  *         description: Internal server error
  *         content:
@@ -396,10 +842,389 @@ const {
  *                   type: string
  */
 
-router.get('/:patientId', getPatientInfo);
-router.get('/:patientId/medical-records', getPatientMedicalRecords);
-router.get('/:patientId/records', getPatientSelfRecords);
-router.get('/:patientId/profile', getPatientProfile);
-router.post('/upload-record', uploadSelfRecord);
+/**
+ * @swagger
+ * /api/patient/{patientId}/files:
+ *   post:
+ *     summary: Upload a file as a self-record
+ *     description: Encrypts the file for the patient (and doctors the patient has granted consent to), stores it and registers it as a self-record in one call. The API registers the record on the patient's behalf with PatientContract.uploadSelfRecordByAdmin, so no signed request is needed.
+ *     tags: [Patient]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncWrite'
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - recordType
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Medical file to upload (PDF, images, DICOM, documents)
+ *               recordType:
+ *                 type: string
+ *                 example: "Lab Results"
+ *               description:
+ *                 type: string
+ *                 example: "Blood test from annual checkup"
+ *     responses:
+ *       201:
+ *         description: File uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "File uploaded successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recordId:
+ *                       type: number
+ *                     cid:
+ *                       type: string
+ *                     fileName:
+ *                       type: string
+ *                     recordType:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     size:
+ *                       type: number
+ *                       description: Size of the uploaded file in bytes
+ *                     patientAddress:
+ *                       type: string
+ *                     transactionHash:
+ *                       type: string
+ *                     blockNumber:
+ *                       type: number
+ *       202:
+ *         description: Submitted with ?async=true; poll the statusUrl (GET /api/transactions/{id})
+ *       400:
+ *         description: Missing file or recordType, file too large, or file type not allowed
+ *       403:
+ *         description: Not the authenticated patient, or patient not registered
+ *       500:
+ *         description: Internal server error
+ *       503:
+ *         description: File storage is unavailable; nothing was recorded
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Consent:
+ *       type: object
+ *       properties:
+ *         doctorId:
+ *           type: string
+ *           description: Doctor the consent was granted to
+ *         recordTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Record types the doctor may read (empty means every type; doctor-authored records use "Medical Record")
+ *           example: ["Lab Results", "Medical Record"]
+ *         grantedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the consent lapses (null means no expiry)
+ *         isActive:
+ *           type: boolean
+ *           description: False once revoked
+ *         isExpired:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/consents:
+ *   get:
+ *     summary: List record access consents
+ *     description: Lists every consent the authenticated patient has granted, including revoked and expired ones.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *     responses:
+ *       200:
+ *         description: Consents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Consent'
+ *       400:
+ *         description: Invalid Ethereum address
+ *       403:
+ *         description: Not the authenticated patient, or patient not registered
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Grant a doctor access to records
+ *     description: Relays a PatientContract.grantConsent(doctorId, recordTypes, expiresAt) call signed by the authenticated patient. An empty recordTypes list grants every record type and an expiresAt of 0 never expires. Granting again replaces the scope and expiry.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the patient
+ *     responses:
+ *       201:
+ *         description: Consent granted successfully
+ *       400:
+ *         description: Missing fields, wrong signed function, unauthorized doctor or expiry in the past
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the authenticated patient, or patient not registered
+ *       409:
+ *         description: Request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/consents/{doctorId}:
+ *   delete:
+ *     summary: Revoke a doctor's access to records
+ *     description: Relays a PatientContract.revokeConsent(doctorId) call signed by the authenticated patient.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the doctor
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the patient
+ *     responses:
+ *       200:
+ *         description: Consent revoked successfully
+ *       400:
+ *         description: Missing fields, invalid address, or the signed call revokes a different doctor
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the authenticated patient, or patient not registered
+ *       404:
+ *         description: No active consent for this doctor
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmergencyAccess:
+ *       type: object
+ *       properties:
+ *         accessId:
+ *           type: number
+ *           description: Index of the entry in the patient's break-glass log
+ *         doctorId:
+ *           type: string
+ *         justification:
+ *           type: string
+ *           example: "Unconscious patient admitted to ER"
+ *         grantedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         flagged:
+ *           type: boolean
+ *         flaggedBy:
+ *           type: string
+ *           nullable: true
+ *         flagReason:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/emergency-access:
+ *   get:
+ *     summary: Review break-glass accesses
+ *     description: Lists every emergency access doctors made to the patient's records. Available to the patient and the admin.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient
+ *     responses:
+ *       200:
+ *         description: Emergency access log retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmergencyAccess'
+ *       400:
+ *         description: Invalid Ethereum address
+ *       403:
+ *         description: Not the patient or the admin
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/patient/{patientId}/emergency-access/{accessId}/flag:
+ *   post:
+ *     summary: Flag a break-glass access
+ *     description: Relays a PatientContract.flagEmergencyAccess(patientId, accessId, reason) call signed by the authenticated patient, marking the access for follow-up.
+ *     tags: [Patient]
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The Ethereum address of the patient (must be the authenticated user)
+ *       - in: path
+ *         name: accessId
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Entry in the patient's break-glass log
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request by the patient
+ *     responses:
+ *       200:
+ *         description: Emergency access flagged successfully
+ *       400:
+ *         description: Missing fields, invalid accessId, or the signed call flags another entry
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Not the authenticated patient
+ *       404:
+ *         description: Emergency access entry not found
+ *       409:
+ *         description: Already flagged, or request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+router.use(authenticate);
+
+router.post('/register', selfRegisterPatient);
+router.get('/register/status', getRegistrationStatus);
+router.get('/:patientId', requireSelfOrRole('patientId', 'doctor', 'super-admin'), getPatientInfo);
+router.get('/:patientId/medical-records', requireSelfOrRole('patientId', 'doctor', 'super-admin'), getPatientMedicalRecords);
+router.get('/:patientId/records', requireSelfOrRole('patientId', 'doctor', 'super-admin'), getPatientSelfRecords);
+router.get('/:patientId/medical-records/:recordId', requireSelfOrRole('patientId', 'doctor', 'super-admin'), getPatientMedicalRecord);
+router.get('/:patientId/medical-records/:recordId/versions', requireSelfOrRole('patientId', 'doctor', 'super-admin'), getPatientMedicalRecordVersions);
+router.get('/:patientId/records/:recordId', requireSelfOrRole('patientId', 'doctor', 'super-admin'), getPatientSelfRecord);
+router.put('/:patientId/records/:recordId', requireSelfOrRole('patientId'), updateSelfRecord);
+router.delete('/:patientId/records/:recordId', requireSelfOrRole('patientId'), deleteSelfRecord);
+router.get('/:patientId/profile', requireSelfOrRole('patientId', 'doctor', 'super-admin'), getPatientProfile);
+router.put('/:patientId/profile', requireSelfOrRole('patientId'), updatePatientProfile);
+router.get('/:patientId/profile/history', requireSelfOrRole('patientId', 'super-admin'), getProfileHistory);
+router.post('/upload-record', requireRole('patient'), uploadSelfRecord);
+router.post('/:patientId/files', requireSelfOrRole('patientId'), upload.single('file'), uploadPatientFile);
+router.get('/:patientId/consents', requireSelfOrRole('patientId'), getPatientConsents);
+router.post('/:patientId/consents', requireSelfOrRole('patientId'), grantConsent);
+router.delete('/:patientId/consents/:doctorId', requireSelfOrRole('patientId'), revokeConsent);
+router.get('/:patientId/emergency-access', requireSelfOrRole('patientId', 'super-admin'), getEmergencyAccessLog);
+router.post('/:patientId/emergency-access/:accessId/flag', requireSelfOrRole('patientId'), flagEmergencyAccess);
+
+router.use(handleUploadError);
 
 module.exports = router;
\ No newline at end of file
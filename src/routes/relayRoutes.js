@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    prepareRelay,
+    executeRelay
+} = require('../controllers/relayController');
+const { authenticate } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Relay
+ *   description: EIP-712 meta-transactions signed by patients and doctors and submitted by the API
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ForwardRequest:
+ *       type: object
+ *       required:
+ *         - from
+ *         - to
+ *         - gas
+ *         - nonce
+ *         - deadline
+ *         - data
+ *       properties:
+ *         from:
+ *           type: string
+ *           description: Address of the signer (must be the authenticated user)
+ *         to:
+ *           type: string
+ *           description: Target contract address
+ *         gas:
+ *           type: string
+ *           description: Gas forwarded to the target call
+ *         nonce:
+ *           type: string
+ *           description: Signer nonce in the forwarder
+ *         deadline:
+ *           type: string
+ *           description: Unix timestamp after which the request is rejected
+ *         data:
+ *           type: string
+ *           description: ABI-encoded function call
+ */
+
+/**
+ * @swagger
+ * /api/relay/prepare:
+ *   post:
+ *     summary: Prepare a relayed call
+ *     description: Encodes an AdminContract, MedicContract or PatientContract call for the authenticated user and returns the EIP-712 typed data to sign with eth_signTypedData_v4.
+ *     tags: [Relay]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contract
+ *               - functionName
+ *             properties:
+ *               contract:
+ *                 type: string
+ *                 enum: [AdminContract, MedicContract, PatientContract]
+ *                 example: "PatientContract"
+ *               functionName:
+ *                 type: string
+ *                 example: "updateProfile"
+ *               args:
+ *                 type: array
+ *                 items: {}
+ *                 example: ["Jane Doe", "jane.doe@email.com", "+1234567890"]
+ *     responses:
+ *       200:
+ *         description: Typed data ready to sign
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     domain:
+ *                       type: object
+ *                     types:
+ *                       type: object
+ *                     primaryType:
+ *                       type: string
+ *                       example: "ForwardRequest"
+ *                     message:
+ *                       $ref: '#/components/schemas/ForwardRequest'
+ *       400:
+ *         description: Unknown contract or function, invalid arguments, or the call would revert
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/relay/execute:
+ *   post:
+ *     summary: Execute a signed relayed call
+ *     description: Verifies the EIP-712 signature and submits the request through the ForwarderContract. The target contract sees the signer as the caller. Arguments are validated as by the dedicated endpoint for the function (e.g. profile fields for updateProfile).
+ *     tags: [Relay]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request
+ *               - signature
+ *             properties:
+ *               request:
+ *                 $ref: '#/components/schemas/ForwardRequest'
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the request
+ *     responses:
+ *       200:
+ *         description: Relayed call executed successfully
+ *       400:
+ *         description: Invalid request or the target contract reverted
+ *       401:
+ *         description: Signature does not match the request signer
+ *       403:
+ *         description: Request signer is not the authenticated user
+ *       409:
+ *         description: Request expired or nonce already used
+ *       500:
+ *         description: Internal server error
+ */
+
+router.use(authenticate);
+
+router.post('/prepare', prepareRelay);
+router.post('/execute', executeRelay);
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getTransaction,
+    getTransactions
+} = require('../controllers/transactionController');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Transactions
+ *   description: State of the transactions the API submits, including asynchronous writes and reorganised or dropped transactions
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AsyncWrite:
+ *       in: query
+ *       name: async
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: >
+ *         Answer 202 as soon as the transaction is submitted, with a transactionId and statusUrl
+ *         to poll (GET /api/transactions/{id}), instead of waiting for it to be confirmed
+ *   schemas:
+ *     TrackedTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Tracking ID returned by writes sent with ?async=true
+ *         hash:
+ *           type: string
+ *         operation:
+ *           type: string
+ *           description: Contract function the transaction calls
+ *           example: "addMedicalRecordByAdmin"
+ *         from:
+ *           type: string
+ *         submittedBy:
+ *           type: string
+ *           nullable: true
+ *           description: User the transaction was sent for (the signer of a relayed request); null for the API's own jobs
+ *         nonce:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed, final, failed, dropped]
+ *           description: >
+ *             pending until the operation's required confirmations, confirmed until
+ *             finalityDepth blocks deep, then final; dropped once the node no longer knows it
+ *         requiredConfirmations:
+ *           type: integer
+ *         confirmations:
+ *           type: integer
+ *         blockNumber:
+ *           type: integer
+ *           nullable: true
+ *         blockHash:
+ *           type: string
+ *           nullable: true
+ *         reorgs:
+ *           type: integer
+ *           description: How many times the transaction's block was reorganised away
+ *         replacedBy:
+ *           type: string
+ *           nullable: true
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               blockNumber:
+ *                 type: integer
+ *                 nullable: true
+ *               blockHash:
+ *                 type: string
+ *                 nullable: true
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/transactions:
+ *   get:
+ *     summary: List transactions submitted by the API
+ *     description: Newest first, as last checked by the transaction monitor.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, final, failed, dropped]
+ *       - in: query
+ *         name: operation
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrackedTransaction'
+ *       400:
+ *         description: Invalid status filter
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/transactions/{id}:
+ *   get:
+ *     summary: Get a transaction's state
+ *     description: >
+ *       Re-checks the transaction against the chain before answering, so a reorganised or dropped
+ *       transaction is reported as such. With ?wait= the request is held until the transaction is
+ *       no longer pending or the time runs out. Only the user the transaction was submitted for,
+ *       super-admins and auditors can look it up.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Tracking ID from a 202 response, or the transaction hash
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: wait
+ *         description: Seconds to long-poll while the transaction is pending
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 60
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Transaction retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/TrackedTransaction'
+ *                     - type: object
+ *                       properties:
+ *                         gasUsed:
+ *                           type: string
+ *                           nullable: true
+ *                         minedAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         revertReason:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Why a failed transaction reverted
+ *                         events:
+ *                           type: array
+ *                           description: Events the transaction emitted, e.g. RecordAdded with the new record's ID
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               contract:
+ *                                 type: string
+ *                               event:
+ *                                 type: string
+ *                               args:
+ *                                 type: object
+ *                         finalityDepth:
+ *                           type: integer
+ *       400:
+ *         description: Invalid wait
+ *       404:
+ *         description: The API did not submit this transaction, or not for this user
+ *       500:
+ *         description: Internal server error
+ */
+
+router.use(authenticate);
+
+router.get('/', requireRole('super-admin', 'auditor'), getTransactions);
+router.get('/:id', getTransaction);
+
+module.exports = router;
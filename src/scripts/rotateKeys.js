@@ -0,0 +1,42 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const {
+    rotatePrincipalKey,
+    rotateMasterSecret,
+    listPrincipals
+} = require('../utils/keyUtils');
+
+const usage = `Usage:
+  npm run rotate-keys -- --principal <address>   Rotate one patient or doctor key ("escrow" for the admin escrow key)
+  npm run rotate-keys -- --all                   Rotate every principal key
+  npm run rotate-keys -- --master                Re-encrypt the key store under NEW_ENCRYPTION_SECRET
+
+Envelopes are rewrapped in place; uploaded ciphertext is never touched.`;
+
+const main = () => {
+    const [option, value] = process.argv.slice(2);
+
+    if (option === '--principal' && value) {
+        const result = rotatePrincipalKey(value);
+        console.log(`Rotated ${result.address} to key version ${result.version} (${result.rewrapped} envelopes rewrapped)`);
+    } else if (option === '--all') {
+        for (const principal of listPrincipals()) {
+            const result = rotatePrincipalKey(principal);
+            console.log(`Rotated ${result.address} to key version ${result.version} (${result.rewrapped} envelopes rewrapped)`);
+        }
+    } else if (option === '--master') {
+        const rotated = rotateMasterSecret(process.env.NEW_ENCRYPTION_SECRET);
+        console.log(`Re-encrypted ${rotated} principal keys. Set ENCRYPTION_SECRET to the new secret and restart the API.`);
+    } else {
+        console.log(usage);
+        process.exitCode = 1;
+    }
+};
+
+try {
+    main();
+} catch (error) {
+    console.error('Key rotation failed:', error.message);
+    process.exitCode = 1;
+}
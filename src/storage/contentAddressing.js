@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable, Transform } = require('stream');
+
+/**
+ * Parse a CID string
+ * @returns {CID|null} - null if the string is not a valid CID
+ */
+const parseCID = async (cid) => {
+    const { CID } = await import('multiformats/cid');
+    try {
+        return CID.parse(cid);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check if a string is a valid CID
+ */
+const isValidCID = async (cid) => (await parseCID(cid)) !== null;
+
+/**
+ * CID of content stored as a single raw block (CIDv1, raw codec, sha2-256)
+ * @param {Buffer} digest - sha256 digest of the content
+ * @returns {string}
+ */
+const cidFromSha256 = async (digest) => {
+    const { CID } = await import('multiformats/cid');
+    const Digest = await import('multiformats/hashes/digest');
+    const raw = await import('multiformats/codecs/raw');
+    const { sha256 } = await import('multiformats/hashes/sha2');
+    return CID.createV1(raw.code, Digest.create(sha256.code, digest)).toString();
+};
+
+/**
+ * Write content to a temporary file while hashing it, so stores that name
+ * objects by CID can accept streams of any size
+ * @param {AsyncIterable<Uint8Array>} source - Content
+ * @param {string} tempDir - Directory for the temporary file
+ * @returns {Object} - { cid, filePath, size }
+ */
+const spoolContent = async (source, tempDir) => {
+    fs.mkdirSync(tempDir, { recursive: true });
+    const filePath = path.join(tempDir, `${crypto.randomUUID()}.tmp`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(Readable.from(source), hashing, fs.createWriteStream(filePath, { mode: 0o600 }));
+    } catch (error) {
+        fs.rmSync(filePath, { force: true });
+        throw error;
+    }
+
+    return {
+        cid: await cidFromSha256(hash.digest()),
+        filePath,
+        size
+    };
+};
+
+module.exports = {
+    parseCID,
+    isValidCID,
+    spoolContent
+};
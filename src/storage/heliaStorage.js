@@ -0,0 +1,141 @@
+const path = require('path');
+const { getDataDir } = require('../utils/jsonStore');
+const { createApiError } = require('../utils/errorUtils');
+const { parseCID } = require('./contentAddressing');
+
+// How long pinning may wait for blocks that are not in the local blockstore
+const PIN_TIMEOUT_MS = Number(process.env.IPFS_PIN_TIMEOUT_MS) || 30000;
+
+if (!Promise.withResolvers) {
+    Promise.withResolvers = function() {
+        let resolve, reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        return { promise, resolve, reject };
+    };
+}
+if (typeof CustomEvent === 'undefined') {
+    global.CustomEvent = class CustomEvent extends Event {
+        constructor(type, eventInitDict) {
+            super(type, eventInitDict);
+            this.detail = eventInitDict?.detail;
+        }
+    };
+}
+
+/**
+ * Blockstore and datastore for the Helia node. Both live on disk so uploaded
+ * files and pins survive restarts; IPFS_STORAGE=memory keeps them in memory.
+ * @returns {Object} - Helia init options
+ */
+const createNodeStorage = async () => {
+    if (process.env.IPFS_STORAGE === 'memory') {
+        console.warn('Warning: IPFS_STORAGE=memory - uploaded files are lost when the API restarts.');
+        return {};
+    }
+
+    const { FsBlockstore } = await import('blockstore-fs');
+    const { FsDatastore } = await import('datastore-fs');
+
+    const repoPath = process.env.IPFS_REPO_PATH || path.join(getDataDir(), 'ipfs');
+    const blockstorePath = process.env.IPFS_BLOCKSTORE_PATH || path.join(repoPath, 'blocks');
+    const datastorePath = process.env.IPFS_DATASTORE_PATH || path.join(repoPath, 'datastore');
+
+    const blockstore = new FsBlockstore(blockstorePath);
+    const datastore = new FsDatastore(datastorePath);
+    await blockstore.open();
+    await datastore.open();
+
+    console.log(`Helia blockstore: ${blockstorePath}, datastore: ${datastorePath}`);
+    return { blockstore, datastore };
+};
+
+// Helia pin operations are generators that do their work as they are consumed
+const drain = async (source) => {
+    for await (const item of source) {
+        // nothing to do per item
+    }
+};
+
+const requireCID = async (cid) => {
+    const parsed = await parseCID(cid);
+    if (!parsed) {
+        throw createApiError('INVALID_CID', `Invalid CID: ${cid}`);
+    }
+    return parsed;
+};
+
+/**
+ * Storage backend on an embedded Helia (IPFS) node, stored as UnixFS
+ * @returns {Object} - Storage provider
+ */
+const createHeliaStorage = () => {
+    let heliaInstance;
+    let fsUnix;
+
+    const getHelia = async () => {
+        if (!heliaInstance) {
+            const { createHelia } = await import('helia');
+            const { unixfs } = await import('@helia/unixfs');
+            heliaInstance = await createHelia(await createNodeStorage());
+            fsUnix = unixfs(heliaInstance);
+        }
+        return { helia: heliaInstance, fsUnix };
+    };
+
+    return {
+        name: 'helia',
+
+        async add(source) {
+            const { fsUnix } = await getHelia();
+            const cid = await fsUnix.addByteStream(source);
+            return cid.toString();
+        },
+
+        async *cat(cid) {
+            const parsed = await requireCID(cid);
+            const { fsUnix } = await getHelia();
+            yield* fsUnix.cat(parsed);
+        },
+
+        async pin(cid, metadata = {}) {
+            const parsed = await requireCID(cid);
+            const { helia } = await getHelia();
+            if (await helia.pins.isPinned(parsed)) {
+                return false;
+            }
+            // Blocks that are not stored locally are fetched from the network
+            await drain(helia.pins.add(parsed, { metadata, signal: AbortSignal.timeout(PIN_TIMEOUT_MS) }));
+            return true;
+        },
+
+        async unpin(cid) {
+            const parsed = await requireCID(cid);
+            const { helia } = await getHelia();
+            if (!(await helia.pins.isPinned(parsed))) {
+                return false;
+            }
+            await drain(helia.pins.rm(parsed));
+            return true;
+        },
+
+        async listPins() {
+            const { helia } = await getHelia();
+            const pins = [];
+            for await (const pin of helia.pins.ls()) {
+                pins.push({
+                    cid: pin.cid.toString(),
+                    depth: Number.isFinite(pin.depth) ? pin.depth : null,
+                    metadata: pin.metadata
+                });
+            }
+            return pins;
+        }
+    };
+};
+
+module.exports = {
+    createHeliaStorage
+};
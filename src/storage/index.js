@@ -0,0 +1,74 @@
+const path = require('path');
+const { getDataDir } = require('../utils/jsonStore');
+const { isValidCID } = require('./contentAddressing');
+const { createHeliaStorage } = require('./heliaStorage');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+/**
+ * Storage providers all implement:
+ * - name
+ * - add(source: AsyncIterable<Uint8Array>) => Promise<string>   CID of the stored content
+ * - cat(cid) => AsyncIterable<Uint8Array>                       throws "... not found" for unknown CIDs
+ * - pin(cid, metadata) / unpin(cid) => Promise<boolean>          false if nothing changed
+ * - listPins() => Promise<[{ cid, depth, metadata }]>
+ */
+const STORAGE_BACKENDS = ['helia', 'local', 's3'];
+
+let storage;
+
+/**
+ * Create the provider selected by STORAGE_BACKEND
+ */
+const createStorageFromEnv = () => {
+    const backend = (process.env.STORAGE_BACKEND || 'helia').toLowerCase();
+
+    switch (backend) {
+        case 'helia':
+            return createHeliaStorage();
+
+        case 'local':
+            return createLocalStorage({
+                rootPath: process.env.LOCAL_STORAGE_PATH || path.join(getDataDir(), 'files')
+            });
+
+        case 's3': {
+            const { S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY } = process.env;
+            if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+                throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+            }
+            const region = process.env.S3_REGION || 'us-east-1';
+            return createS3Storage({
+                endpoint: process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+                region,
+                bucket: S3_BUCKET,
+                prefix: process.env.S3_PREFIX || '',
+                accessKeyId: S3_ACCESS_KEY_ID,
+                secretAccessKey: S3_SECRET_ACCESS_KEY,
+                tempPath: path.join(getDataDir(), 'tmp'),
+                pinIndexPath: 's3-pins.json'
+            });
+        }
+
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+};
+
+/**
+ * Get the storage provider configured for this deployment
+ * @returns {Object} - Storage provider
+ */
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorageFromEnv();
+        console.log(`File storage backend: ${storage.name}`);
+    }
+    return storage;
+};
+
+module.exports = {
+    STORAGE_BACKENDS,
+    getStorage,
+    isValidCID
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidCID, spoolContent } = require('./contentAddressing');
+const { createPinIndex } = require('./pinIndex');
+const { createApiError } = require('../utils/errorUtils');
+
+/**
+ * Content-addressed storage backend on the local filesystem. Each file is
+ * stored once under its CID (CIDv1, raw, sha2-256).
+ * @param {Object} options - { rootPath }
+ * @returns {Object} - Storage provider
+ */
+const createLocalStorage = ({ rootPath }) => {
+    const objectsPath = path.join(rootPath, 'objects');
+    const pins = createPinIndex(path.join(rootPath, 'pins.json'));
+
+    // Only valid CIDs are turned into paths, so a CID can never escape objectsPath
+    const objectPath = async (cid) => {
+        if (!(await isValidCID(cid))) {
+            throw createApiError('INVALID_CID', `Invalid CID: ${cid}`);
+        }
+        return path.join(objectsPath, cid);
+    };
+
+    const requireObject = async (cid) => {
+        const filePath = await objectPath(cid);
+        if (!fs.existsSync(filePath)) {
+            throw createApiError('FILE_NOT_FOUND', `File ${cid} not found`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async add(source) {
+            const { cid, filePath } = await spoolContent(source, path.join(rootPath, 'tmp'));
+            fs.mkdirSync(objectsPath, { recursive: true });
+            fs.renameSync(filePath, await objectPath(cid));
+            return cid;
+        },
+
+        async *cat(cid) {
+            yield* fs.createReadStream(await requireObject(cid));
+        },
+
+        async pin(cid, metadata = {}) {
+            await requireObject(cid);
+            return pins.add(cid, metadata);
+        },
+
+        async unpin(cid) {
+            await objectPath(cid);
+            return pins.remove(cid);
+        },
+
+        async listPins() {
+            return pins.list();
+        }
+    };
+};
+
+module.exports = {
+    createLocalStorage
+};
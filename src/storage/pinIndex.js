@@ -0,0 +1,38 @@
+const { createJsonStore } = require('../utils/jsonStore');
+
+/**
+ * Pins for stores without a native pin set. A pin only records that the
+ * object is referenced; these stores have no garbage collector, so unpinned
+ * objects are kept until they are deleted by hand.
+ * @param {string} fileName - Index file (inside DATA_DIR, or an absolute path)
+ * @returns {Object} - { has, add, remove, list }
+ */
+const createPinIndex = (fileName) => {
+    const store = createJsonStore(fileName, () => ({ pins: {} }));
+
+    const has = (cid) => Boolean(store.read().pins[cid]);
+
+    const add = (cid, metadata = {}) => store.update(data => {
+        if (data.pins[cid]) return false;
+        data.pins[cid] = { metadata, pinnedAt: new Date().toISOString() };
+        return true;
+    });
+
+    const remove = (cid) => store.update(data => {
+        if (!data.pins[cid]) return false;
+        delete data.pins[cid];
+        return true;
+    });
+
+    const list = () => Object.entries(store.read().pins).map(([cid, pin]) => ({
+        cid,
+        depth: null,
+        metadata: pin.metadata
+    }));
+
+    return { has, add, remove, list };
+};
+
+module.exports = {
+    createPinIndex
+};
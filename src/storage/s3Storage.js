@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { isValidCID, spoolContent } = require('./contentAddressing');
+const { createPinIndex } = require('./pinIndex');
+const { createApiError } = require('../utils/errorUtils');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// URI encoding as required by AWS Signature Version 4 (RFC 3986)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+
+const readBody = async (response) => {
+    const chunks = [];
+    for await (const chunk of response) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Minimal S3 client signing requests with AWS Signature Version 4. Uses
+ * path-style URLs so it works with AWS and S3-compatible servers alike.
+ * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey }
+ */
+const createS3Client = ({ endpoint, region, bucket, accessKeyId, secretAccessKey }) => {
+    const baseUrl = new URL(endpoint);
+    const transport = baseUrl.protocol === 'https:' ? https : http;
+
+    const signRequest = (method, canonicalUri, headers, payloadHash) => {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        headers['x-amz-date'] = amzDate;
+        headers['x-amz-content-sha256'] = payloadHash;
+
+        const headerNames = Object.keys(headers).sort();
+        const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+        const signedHeaders = headerNames.join(';');
+        const canonicalRequest = [method, canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        const signingKey = hmac(hmac(hmac(hmac('AWS4' + secretAccessKey, dateStamp), region), 's3'), 'aws4_request');
+
+        headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+            `SignedHeaders=${signedHeaders}, Signature=${hmac(signingKey, stringToSign).toString('hex')}`;
+    };
+
+    /**
+     * Send a signed request for an object
+     * @param {string} method - HTTP method
+     * @param {string} key - Object key
+     * @param {Object} options - { body (Readable), contentLength }
+     * @returns {Promise<IncomingMessage>}
+     */
+    const request = (method, key, { body, contentLength } = {}) => new Promise((resolve, reject) => {
+        const basePath = baseUrl.pathname.replace(/\/$/, '');
+        const canonicalUri = `${basePath}/${encodeRfc3986(bucket)}/${key.split('/').map(encodeRfc3986).join('/')}`;
+
+        const headers = { host: baseUrl.host };
+        if (contentLength !== undefined) {
+            headers['content-length'] = contentLength;
+        }
+        // Streamed bodies are covered by TLS / Content-Length instead of a payload hash
+        signRequest(method, canonicalUri, headers, body ? 'UNSIGNED-PAYLOAD' : sha256Hex(''));
+
+        const req = transport.request({
+            protocol: baseUrl.protocol,
+            hostname: baseUrl.hostname,
+            port: baseUrl.port,
+            method,
+            path: canonicalUri,
+            headers
+        }, resolve);
+        req.on('error', reject);
+
+        if (body) {
+            body.on('error', error => req.destroy(error));
+            body.pipe(req);
+        } else {
+            req.end();
+        }
+    });
+
+    const fail = async (response, method, key) => {
+        const body = await readBody(response);
+        const code = (body.match(/<Code>([^<]+)<\/Code>/) || [])[1] || response.statusMessage;
+        throw new Error(`S3 ${method} ${key} failed with status ${response.statusCode}: ${code}`);
+    };
+
+    return {
+        async headObject(key) {
+            const response = await request('HEAD', key);
+            response.resume();
+            if (response.statusCode === 404) return false;
+            if (response.statusCode >= 300) await fail(response, 'HEAD', key);
+            return true;
+        },
+
+        async getObject(key) {
+            const response = await request('GET', key);
+            if (response.statusCode === 404) {
+                response.resume();
+                throw createApiError('FILE_NOT_FOUND', `Object ${key} not found`);
+            }
+            if (response.statusCode >= 300) await fail(response, 'GET', key);
+            return response;
+        },
+
+        async putObject(key, body, contentLength) {
+            const response = await request('PUT', key, { body, contentLength });
+            if (response.statusCode >= 300) await fail(response, 'PUT', key);
+            response.resume();
+        }
+    };
+};
+
+/**
+ * Content-addressed storage backend on an S3-compatible object store. Each
+ * file is stored once under `<prefix><CID>` (CIDv1, raw, sha2-256).
+ * @param {Object} options - { endpoint, region, bucket, prefix, accessKeyId, secretAccessKey, tempPath, pinIndexPath }
+ * @returns {Object} - Storage provider
+ */
+const createS3Storage = (options) => {
+    const client = createS3Client(options);
+    const pins = createPinIndex(options.pinIndexPath);
+
+    const objectKey = async (cid) => {
+        if (!(await isValidCID(cid))) {
+            throw createApiError('INVALID_CID', `Invalid CID: ${cid}`);
+        }
+        return (options.prefix || '') + cid;
+    };
+
+    return {
+        name: 's3',
+
+        async add(source) {
+            // The CID is only known once the whole file has been hashed
+            const { cid, filePath, size } = await spoolContent(source, options.tempPath);
+            try {
+                const key = await objectKey(cid);
+                if (!(await client.headObject(key))) {
+                    await client.putObject(key, fs.createReadStream(filePath), size);
+                }
+            } finally {
+                fs.rmSync(filePath, { force: true });
+            }
+            return cid;
+        },
+
+        async *cat(cid) {
+            yield* await client.getObject(await objectKey(cid));
+        },
+
+        async pin(cid, metadata = {}) {
+            if (!(await client.headObject(await objectKey(cid)))) {
+                throw createApiError('FILE_NOT_FOUND', `File ${cid} not found`);
+            }
+            return pins.add(cid, metadata);
+        },
+
+        async unpin(cid) {
+            await objectKey(cid);
+            return pins.remove(cid);
+        },
+
+        async listPins() {
+            return pins.list();
+        }
+    };
+};
+
+module.exports = {
+    createS3Storage
+};
@@ -0,0 +1,202 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+
+const { getContracts } = require('./contractUtils');
+const { ADMIN_ROLES } = require('./roleUtils');
+const { createApiError } = require('./errorUtils');
+
+const NONCE_TTL_SECONDS = 5 * 60;
+const SESSION_TTL_SECONDS = parseInt(process.env.AUTH_SESSION_TTL_SECONDS || '900', 10);
+
+// Pending sign-in challenges, keyed by nonce. Each nonce can be used once.
+const challenges = new Map();
+
+let sessionSecret = process.env.AUTH_SECRET;
+if (!sessionSecret) {
+    console.warn('Warning: No AUTH_SECRET found in environment variables. Sessions will not survive a restart.');
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const signPayload = (payload) => {
+    return crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+};
+
+/**
+ * Drop challenges that were never answered
+ */
+const pruneChallenges = () => {
+    const now = Date.now();
+    for (const [nonce, challenge] of challenges) {
+        if (challenge.expiresAt <= now) {
+            challenges.delete(nonce);
+        }
+    }
+};
+
+/**
+ * Create a sign-in challenge (EIP-4361 style message) for an address
+ * @param {string} address - Ethereum address that will sign the message
+ * @param {Object} origin - Request origin ({ domain, uri })
+ * @returns {Object} - Nonce, message to sign and expiry
+ */
+const createChallenge = async (address, origin) => {
+    pruneChallenges();
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_SECONDS * 1000);
+    const checksumAddress = ethers.getAddress(address);
+
+    let chainId = null;
+    const { provider } = getContracts();
+    if (provider) {
+        try {
+            chainId = Number((await provider.getNetwork()).chainId);
+        } catch (error) {
+            console.warn('Could not resolve chain ID for sign-in challenge:', error.message);
+        }
+    }
+
+    const lines = [
+        `${origin.domain} wants you to sign in with your Ethereum account:`,
+        checksumAddress,
+        '',
+        'Sign in to BlockHealth',
+        '',
+        `URI: ${origin.uri}`,
+        'Version: 1'
+    ];
+    if (chainId !== null) {
+        lines.push(`Chain ID: ${chainId}`);
+    }
+    lines.push(
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`
+    );
+    const message = lines.join('\n');
+
+    challenges.set(nonce, {
+        address: checksumAddress,
+        message,
+        expiresAt: expiresAt.getTime()
+    });
+
+    return {
+        nonce,
+        message,
+        expiresAt: expiresAt.toISOString()
+    };
+};
+
+/**
+ * Verify a signed challenge and consume its nonce
+ * @param {string} nonce - Nonce returned by createChallenge
+ * @param {string} signature - personal_sign signature of the challenge message
+ * @returns {string} - Checksummed address of the signer
+ */
+const consumeChallenge = (nonce, signature) => {
+    const challenge = challenges.get(nonce);
+    challenges.delete(nonce);
+
+    if (!challenge || challenge.expiresAt <= Date.now()) {
+        throw createApiError('INVALID_SIGNATURE', 'Unknown or expired nonce');
+    }
+
+    let recovered;
+    try {
+        recovered = ethers.verifyMessage(challenge.message, signature);
+    } catch (error) {
+        throw createApiError('INVALID_SIGNATURE', 'Invalid signature: ' + error.message);
+    }
+
+    if (recovered !== challenge.address) {
+        throw createApiError('INVALID_SIGNATURE', 'Signature does not match challenge address');
+    }
+
+    return challenge.address;
+};
+
+/**
+ * Issue a short-lived session token for an authenticated address
+ * @param {string} address - Checksummed Ethereum address
+ * @returns {Object} - Token and its expiry
+ */
+const issueSessionToken = (address) => {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + SESSION_TTL_SECONDS;
+    const payload = base64url(JSON.stringify({ sub: address, iat: issuedAt, exp: expiresAt }));
+
+    return {
+        token: `${payload}.${signPayload(payload)}`,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+};
+
+/**
+ * Validate a session token
+ * @param {string} token - Token issued by issueSessionToken
+ * @returns {Object} - Decoded session ({ address, expiresAt })
+ */
+const verifySessionToken = (token) => {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) {
+        throw createApiError('INVALID_SESSION', 'Malformed session token');
+    }
+
+    const expected = Buffer.from(signPayload(payload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw createApiError('INVALID_SESSION', 'Invalid session token');
+    }
+
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.exp || session.exp <= Math.floor(Date.now() / 1000)) {
+        throw createApiError('INVALID_SESSION', 'Session token expired');
+    }
+
+    return {
+        address: session.sub,
+        expiresAt: new Date(session.exp * 1000).toISOString()
+    };
+};
+
+/**
+ * Resolve the roles an address holds on-chain
+ * The owner and super-admins hold every admin role.
+ * @param {string} address - Ethereum address
+ * @returns {string[]} - Any of 'owner', the ADMIN_ROLES names, 'doctor', 'patient'
+ */
+const resolveRoles = async (address) => {
+    const { adminContract } = getContracts();
+    if (!adminContract) {
+        throw createApiError('CONTRACTS_NOT_INITIALIZED', 'Admin contract not initialized');
+    }
+
+    const adminRoleNames = Object.keys(ADMIN_ROLES);
+    const [owner, isDoctor, isPatient, ...adminRoles] = await Promise.all([
+        adminContract.owner(),
+        adminContract.isDoctorAuthorized(address),
+        adminContract.isPatientActive(address),
+        ...adminRoleNames.map(name => adminContract.hasRole(ADMIN_ROLES[name], address))
+    ]);
+
+    const roles = [];
+    if (owner.toLowerCase() === address.toLowerCase()) roles.push('owner');
+    adminRoleNames.forEach((name, index) => {
+        if (adminRoles[index]) roles.push(name);
+    });
+    if (isDoctor) roles.push('doctor');
+    if (isPatient) roles.push('patient');
+    return roles;
+};
+
+module.exports = {
+    createChallenge,
+    consumeChallenge,
+    issueSessionToken,
+    verifySessionToken,
+    resolveRoles
+};
@@ -0,0 +1,64 @@
+const { decodeRevert, toApiError } = require('./errorUtils');
+
+/**
+ * Call a view function with an explicit caller address.
+ * Reads sent through the API signer would be checked against the server wallet;
+ * calling as the authenticated user lets the contracts apply their own access
+ * rules (e.g. patient consents) to that user.
+ * @param {Object} contract - ethers Contract instance
+ * @param {string} functionName - View function to call
+ * @param {Array} args - Function arguments
+ * @param {string} from - Address the call is made as
+ * @param {number|string} [blockTag] - Block to read at (latest if omitted)
+ * @returns {Promise<*>} - Decoded result
+ */
+const callAs = (contract, functionName, args, from, blockTag) => {
+    const reader = contract.connect(contract.runner.provider);
+    return reader[functionName](...args, blockTag === undefined ? { from } : { from, blockTag });
+};
+
+// Revert codes meaning the reader may not see a record list, rather than a failed lookup
+const ACCESS_DENIED_CODES = ['RECORD_ACCESS_DENIED', 'NO_CONSENT', 'PATIENT_NOT_FOUND'];
+
+/**
+ * Read one of a patient's record lists as the given address
+ * @returns {Promise<Array>} - Records, or an empty list if the contract denies the reader
+ */
+const readRecordsAs = async (contract, functionName, patientId, reader) => {
+    try {
+        return await callAs(contract, functionName, [patientId], reader);
+    } catch (error) {
+        if (decodeRevert(error) && ACCESS_DENIED_CODES.includes(toApiError(error).code)) {
+            return [];
+        }
+        throw error;
+    }
+};
+
+/**
+ * List the files of a patient's records that a doctor's consent lets them read,
+ * including earlier versions of amended records. The contracts apply the
+ * consent's record types and expiry.
+ * @param {Object} contracts - { medicContract, patientContract }
+ * @returns {Promise<string[]>} - CIDs
+ */
+const listConsentedFiles = async ({ medicContract, patientContract }, patientId, doctorId) => {
+    const [records, selfRecords] = await Promise.all([
+        readRecordsAs(medicContract, 'getMedicalRecords', patientId, doctorId),
+        readRecordsAs(patientContract, 'getPatientSelfRecords', patientId, doctorId)
+    ]);
+
+    const versions = await Promise.all(records
+        .filter(record => Number(record.version) > 1)
+        .map(record => callAs(medicContract, 'getRecordVersions', [record.recordId], doctorId)));
+
+    return [...records, ...versions.flat(), ...selfRecords]
+        .map(record => record.cid)
+        .filter(cid => cid);
+};
+
+module.exports = {
+    callAs,
+    readRecordsAs,
+    listConsentedFiles
+};
@@ -6,12 +6,22 @@ const path = require('path');
 const adminController = require('../controllers/adminController');
 const doctorController = require('../controllers/doctorController');
 const patientController = require('../controllers/patientController');
+const fileController = require('../controllers/fileController');
+const relayController = require('../controllers/relayController');
+const { getRegisteredAddress, checkContractWiring } = require('./registryUtils');
+const { startIndexer, toJson } = require('../indexer/eventIndexer');
+const { startTransactionMonitor, getRevertData } = require('./txTracker');
+const { createQueuedSigner } = require('./txQueue');
+const { decodeRevert } = require('./errorUtils');
+const { dropExpiredShares } = require('./keyUtils');
 
 let provider;
 let signer;
 let adminContract;
 let medicContract;
 let patientContract;
+let forwarderContract;
+let registryContract;
 
 /**
  * Initialize blockchain connection and contracts
@@ -28,80 +38,122 @@ const setupContract = async (app) => {
             console.warn('Warning: No PRIVATE_KEY found in environment variables. Using default test account.');
             // Default Ganache private key - NEVER use this in production!
             const defaultPrivateKey = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
-            signer = new ethers.Wallet(defaultPrivateKey, provider);
+            signer = createQueuedSigner(new ethers.Wallet(defaultPrivateKey, provider));
         } else {
-            signer = new ethers.Wallet(privateKey, provider);
+            signer = createQueuedSigner(new ethers.Wallet(privateKey, provider));
         }
 
         console.log('Connected to blockchain with account:', await signer.getAddress());
 
-        // Load contract ABIs and addres    ses
+        // Load contract ABIs and addresses
         const contractsPath = path.join(__dirname, '../../build/contracts');
-        
-        // Load AdminContract
-        try {
-            const adminContractData = JSON.parse(
-                fs.readFileSync(path.join(contractsPath, 'AdminContract.json'), 'utf8')
-            );
-            const adminAddress = process.env.ADMIN_CONTRACT_ADDRESS || getLatestDeployedAddress(adminContractData);
-            if (adminAddress) {
-                adminContract = new ethers.Contract(adminAddress, adminContractData.abi, signer);
-                console.log('AdminContract loaded at:', adminAddress);
-            } else {
-                console.warn('AdminContract address not found');
-            }
-        } catch (error) {
-            console.warn('Could not load AdminContract:', error.message);
-        }
 
-        // Load MedicContract
-        try {
-            const medicContractData = JSON.parse(
-                fs.readFileSync(path.join(contractsPath, 'MedicContract.json'), 'utf8')
-            );
-            const medicAddress = process.env.MEDIC_CONTRACT_ADDRESS || getLatestDeployedAddress(medicContractData);
-            if (medicAddress) {
-                medicContract = new ethers.Contract(medicAddress, medicContractData.abi, signer);
-                console.log('MedicContract loaded at:', medicAddress);
-            } else {
-                console.warn('MedicContract address not found');
+        // The other contracts are loaded from the registry unless their address is set explicitly
+        registryContract = loadContract(contractsPath, 'ContractRegistry', process.env.REGISTRY_CONTRACT_ADDRESS);
+        const resolveAddress = async (contractName, addressOverride) => {
+            if (addressOverride || !registryContract) {
+                return addressOverride;
             }
-        } catch (error) {
-            console.warn('Could not load MedicContract:', error.message);
-        }
-
-        // Load PatientContract
-        try {
-            const patientContractData = JSON.parse(
-                fs.readFileSync(path.join(contractsPath, 'PatientContract.json'), 'utf8')
-            );
-            const patientAddress = process.env.PATIENT_CONTRACT_ADDRESS || getLatestDeployedAddress(patientContractData);
-            if (patientAddress) {
-                patientContract = new ethers.Contract(patientAddress, patientContractData.abi, signer);
-                console.log('PatientContract loaded at:', patientAddress);
-            } else {
-                console.warn('PatientContract address not found');
+            try {
+                return await getRegisteredAddress(registryContract, contractName);
+            } catch (error) {
+                console.warn(`Could not look up ${contractName} in the registry:`, error.message);
+                return undefined;
             }
-        } catch (error) {
-            console.warn('Could not load PatientContract:', error.message);
-        }
+        };
+
+        adminContract = loadContract(contractsPath, 'AdminContract', await resolveAddress('AdminContract', process.env.ADMIN_CONTRACT_ADDRESS));
+        medicContract = loadContract(contractsPath, 'MedicContract', await resolveAddress('MedicContract', process.env.MEDIC_CONTRACT_ADDRESS));
+        patientContract = loadContract(contractsPath, 'PatientContract', await resolveAddress('PatientContract', process.env.PATIENT_CONTRACT_ADDRESS));
+        forwarderContract = loadContract(contractsPath, 'ForwarderContract', await resolveAddress('ForwarderContract', process.env.FORWARDER_CONTRACT_ADDRESS));
 
         // Initialize contracts in controllers
         const contracts = {
             adminContract,
             medicContract,
-            patientContract
+            patientContract,
+            forwarderContract,
+            registryContract
         };
 
         adminController.initializeContracts(contracts);
         doctorController.initializeContracts(contracts);
         patientController.initializeContracts(contracts);
+        fileController.initializeContracts(contracts);
+        relayController.initializeContracts(contracts);
+
+        // Retry uploads that were queued while IPFS was unavailable
+        const retryInterval = Number(process.env.UPLOAD_RETRY_INTERVAL_SECONDS ?? 300);
+        if (retryInterval > 0) {
+            setInterval(() => {
+                doctorController.retryPendingUploads().catch(error =>
+                    console.error('Upload retry failed:', error.message)
+                );
+            }, retryInterval * 1000).unref();
+        }
+
+        // Suspend doctors whose license has lapsed
+        const licenseCheckInterval = Number(process.env.DOCTOR_LICENSE_CHECK_INTERVAL_SECONDS ?? 3600);
+        if (licenseCheckInterval > 0) {
+            setInterval(() => {
+                adminController.suspendExpiredDoctors().catch(error =>
+                    console.error('License expiry check failed:', error.message)
+                );
+            }, licenseCheckInterval * 1000).unref();
+        }
+
+        // Remove file keys shared under consents that have expired
+        const consentExpiryInterval = Number(process.env.CONSENT_EXPIRY_CHECK_INTERVAL_SECONDS ?? 300);
+        if (consentExpiryInterval > 0) {
+            setInterval(() => {
+                try {
+                    dropExpiredShares();
+                } catch (error) {
+                    console.error('Consent expiry check failed:', error.message);
+                }
+            }, consentExpiryInterval * 1000).unref();
+        }
+
+        // Re-check submitted transactions until they are final, catching reorgs and drops
+        const txMonitorInterval = Number(process.env.TX_MONITOR_INTERVAL_SECONDS ?? 15);
+        if (txMonitorInterval > 0) {
+            startTransactionMonitor(provider, txMonitorInterval);
+        }
+
+        // Re-send transactions stuck in the mempool with higher fees
+        const txQueueCheckInterval = Number(process.env.TX_QUEUE_CHECK_INTERVAL_SECONDS ?? 30);
+        if (txQueueCheckInterval > 0) {
+            setInterval(() => {
+                signer.resubmitStuckTransactions().catch(error =>
+                    console.error('Stuck transaction check failed:', error.message)
+                );
+            }, txQueueCheckInterval * 1000).unref();
+        }
+
+        // Keep the local event index in step with the chain
+        const indexInterval = Number(process.env.EVENT_INDEX_INTERVAL_SECONDS ?? 5);
+        if (indexInterval > 0 && adminContract && medicContract && patientContract) {
+            startIndexer(contracts, indexInterval);
+        }
+
+        // Warn about contracts that do not agree on each other's addresses
+        if (registryContract) {
+            checkContractWiring(contracts)
+                .then(({ mismatches }) => mismatches.forEach(({ contract, check, expected, actual }) =>
+                    console.warn(`Contract wiring mismatch: ${contract} ${check} is ${actual}, expected ${expected}`)
+                ))
+                .catch(error => console.error('Contract wiring check failed:', error.message));
+        } else {
+            console.warn('ContractRegistry not loaded - contract wiring cannot be checked');
+        }
 
         // Add contract information to app for debugging
         app.locals.contracts = {
             adminContract: adminContract ? await adminContract.getAddress() : null,
             medicContract: medicContract ? await medicContract.getAddress() : null,
             patientContract: patientContract ? await patientContract.getAddress() : null,
+            forwarderContract: forwarderContract ? await forwarderContract.getAddress() : null,
+            registryContract: registryContract ? await registryContract.getAddress() : null,
             signerAddress: await signer.getAddress()
         };
 
@@ -113,6 +165,27 @@ const setupContract = async (app) => {
     }
 };
 
+/**
+ * Load a contract from its Truffle artifact, connected to the signer
+ */
+const loadContract = (contractsPath, contractName, addressOverride) => {
+    try {
+        const contractData = JSON.parse(
+            fs.readFileSync(path.join(contractsPath, `${contractName}.json`), 'utf8')
+        );
+        const address = addressOverride || getLatestDeployedAddress(contractData);
+        if (!address) {
+            console.warn(`${contractName} address not found`);
+            return undefined;
+        }
+        console.log(`${contractName} loaded at:`, address);
+        return new ethers.Contract(address, contractData.abi, signer);
+    } catch (error) {
+        console.warn(`Could not load ${contractName}:`, error.message);
+        return undefined;
+    }
+};
+
 /**
  * Get the latest deployed contract address from Truffle artifacts
  */
@@ -143,7 +216,9 @@ const getContracts = () => {
         signer,
         adminContract,
         medicContract,
-        patientContract
+        patientContract,
+        forwarderContract,
+        registryContract
     };
 };
 
@@ -155,6 +230,8 @@ const areContractsInitialized = () => {
         adminContract: !!adminContract,
         medicContract: !!medicContract,
         patientContract: !!patientContract,
+        forwarderContract: !!forwarderContract,
+        registryContract: !!registryContract,
         provider: !!provider,
         signer: !!signer
     };
@@ -222,22 +299,66 @@ const isValidAddress = (address) => {
     return ethers.isAddress(address);
 };
 
+/**
+ * Decode the logs of a receipt emitted by the platform's contracts
+ * @returns {Object[]} - { contract, event, args }
+ */
+const decodeReceiptLogs = (receipt) => {
+    const sources = {
+        AdminContract: adminContract,
+        MedicContract: medicContract,
+        PatientContract: patientContract,
+        ForwarderContract: forwarderContract,
+        ContractRegistry: registryContract
+    };
+    return receipt.logs.flatMap(log => {
+        const [name, contract] = Object.entries(sources).find(([, source]) =>
+            source && source.target.toLowerCase() === log.address.toLowerCase()
+        ) || [];
+        const event = contract ? contract.interface.parseLog(log) : null;
+        if (!event) {
+            return [];
+        }
+        return [{
+            contract: name,
+            event: event.name,
+            args: Object.fromEntries(event.fragment.inputs.map((input, i) => [input.name, toJson(event.args[i])]))
+        }];
+    });
+};
+
 /**
  * Format transaction receipt for API response
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} [block] - Block the transaction was mined in, for its timestamp
  */
-const formatTransactionReceipt = (receipt) => {
+const formatTransactionReceipt = (receipt, block) => {
     return {
         transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         blockHash: receipt.blockHash,
         gasUsed: receipt.gasUsed.toString(),
         status: receipt.status === 1 ? 'success' : 'failed',
-        timestamp: new Date().toISOString() // Note: This is approximate
+        // Without the block this is only the time of formatting
+        timestamp: block ? new Date(block.timestamp * 1000).toISOString() : new Date().toISOString(),
+        events: decodeReceiptLogs(receipt)
     };
 };
 
+/**
+ * Replay a reverted transaction to recover the revert reason
+ * @returns {Promise<string|null>}
+ */
+const getRevertReason = async (tx, receipt) => {
+    const data = await getRevertData(provider, tx, receipt);
+    const revert = data ? decodeRevert({ data }) : null;
+    return revert ? revert.reason : null;
+};
+
 /**
  * Get transaction details
+ * @returns {Promise<Object>} - { transaction, receipt, formatted, revertReason }; receipt and
+ * formatted are null until the transaction is mined, and transaction is null if the node does not know it
  */
 const getTransactionDetails = async (txHash) => {
     try {
@@ -247,11 +368,16 @@ const getTransactionDetails = async (txHash) => {
 
         const tx = await provider.getTransaction(txHash);
         const receipt = await provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            return { transaction: tx, receipt: null, formatted: null, revertReason: null };
+        }
 
+        const block = await provider.getBlock(receipt.blockNumber);
         return {
             transaction: tx,
             receipt: receipt,
-            formatted: formatTransactionReceipt(receipt)
+            formatted: formatTransactionReceipt(receipt, block),
+            revertReason: receipt.status === 0 && tx ? await getRevertReason(tx, receipt) : null
         };
     } catch (error) {
         throw new Error(`Failed to get transaction details: ${error.message}`);
@@ -0,0 +1,306 @@
+const { ethers } = require('ethers');
+const path = require('path');
+
+/**
+ * API error codes. Every error response carries one as `code`, with the HTTP
+ * status listed here; clients should branch on the code, not the message.
+ * Codes are stable: add new ones rather than renaming or reusing old ones.
+ */
+const ERROR_CODES = {
+    // 400 - the request cannot be processed as sent
+    VALIDATION_ERROR: { status: 400, message: 'The request is invalid' },
+    INVALID_JSON: { status: 400, message: 'The request body is not valid JSON' },
+    INVALID_ADDRESS: { status: 400, message: 'Invalid Ethereum address' },
+    INVALID_EXPIRY: { status: 400, message: 'Expiry must be in the future' },
+    REASON_REQUIRED: { status: 400, message: 'A reason is required' },
+    INVALID_CID: { status: 400, message: 'Invalid CID' },
+    FILE_TOO_LARGE: { status: 400, message: 'File too large' },
+    INVALID_FILE_TYPE: { status: 400, message: 'Invalid file type. Only PDF, images, and documents are allowed.' },
+    UPLOAD_ERROR: { status: 400, message: 'File upload error' },
+    DECRYPTION_FAILED: { status: 400, message: 'Failed to decrypt file - invalid patient ID or corrupted file' },
+    INVALID_RELAY_REQUEST: { status: 400, message: 'The forward request does not call a relayable function' },
+    CONTRACT_REVERTED: { status: 400, message: 'The contract rejected the call' },
+
+    // 401 - who is calling could not be established
+    AUTHENTICATION_REQUIRED: { status: 401, message: 'Authentication required: send a Bearer session token from /api/auth/verify' },
+    INVALID_SESSION: { status: 401, message: 'Invalid or expired session token' },
+    INVALID_SIGNATURE: { status: 401, message: 'Invalid signature' },
+
+    // 403 - the caller may not do this
+    FORBIDDEN: { status: 403, message: 'Access denied' },
+    MISSING_ROLE: { status: 403, message: 'Caller does not hold the admin role this action needs' },
+    NOT_OWNER: { status: 403, message: 'Only the contract owner can perform this action' },
+    DOCTOR_NOT_AUTHORIZED: { status: 403, message: 'Doctor is not authorized' },
+    NO_CONSENT: { status: 403, message: 'Patient has not granted consent to access these records' },
+    RECORD_ACCESS_DENIED: { status: 403, message: 'Not authorized to access or change this record' },
+    FILE_NOT_SHARED: { status: 403, message: 'This file has not been shared with you' },
+
+    // 404 - what the request refers to does not exist
+    NOT_FOUND: { status: 404, message: 'Not found' },
+    ROUTE_NOT_FOUND: { status: 404, message: 'No such endpoint' },
+    DOCTOR_NOT_FOUND: { status: 404, message: 'Doctor not found or not authorized' },
+    PATIENT_NOT_FOUND: { status: 404, message: 'Patient not found or not active' },
+    RECORD_NOT_FOUND: { status: 404, message: 'Record not found' },
+    CONSENT_NOT_FOUND: { status: 404, message: 'No active consent for this doctor' },
+    EMERGENCY_ACCESS_NOT_FOUND: { status: 404, message: 'Emergency access entry not found' },
+    PROPOSAL_NOT_FOUND: { status: 404, message: 'Proposal not found' },
+    ROLE_NOT_GRANTED: { status: 404, message: 'Account does not hold this role' },
+    OWNERSHIP_TRANSFER_NOT_FOUND: { status: 404, message: 'No ownership transfer is pending' },
+    REGISTRATION_NOT_FOUND: { status: 404, message: 'Registration request not found' },
+    UPLOAD_NOT_FOUND: { status: 404, message: 'Pending upload not found' },
+    FILE_NOT_FOUND: { status: 404, message: 'File not found or unavailable' },
+    TRANSACTION_NOT_FOUND: { status: 404, message: 'Transaction not found; only transactions submitted by this API are tracked' },
+
+    // 409 - the request conflicts with the current state
+    CONFLICT: { status: 409, message: 'The request conflicts with the current state' },
+    DOCTOR_ALREADY_REGISTERED: { status: 409, message: 'Doctor is already registered' },
+    PATIENT_ALREADY_REGISTERED: { status: 409, message: 'Patient is already registered' },
+    DOCTOR_STATUS_CONFLICT: { status: 409, message: 'Doctor cannot make this change from its current status' },
+    RECORD_STATUS_CONFLICT: { status: 409, message: 'Record is not in a state that allows this change' },
+    ROLE_ALREADY_GRANTED: { status: 409, message: 'Account already holds this role' },
+    TOO_FEW_SUPER_ADMINS: { status: 409, message: 'Would leave fewer super-admins than the approval threshold' },
+    ACCESS_ALREADY_FLAGGED: { status: 409, message: 'Emergency access is already flagged' },
+    APPROVAL_REQUIRED: { status: 409, message: 'This action needs multi-signature approval: propose it with POST /api/admin/proposals' },
+    PROPOSAL_CLOSED: { status: 409, message: 'Proposal was already executed, cancelled or has expired' },
+    PROPOSAL_ALREADY_APPROVED: { status: 409, message: 'Proposal already approved by caller' },
+    NOT_ENOUGH_APPROVALS: { status: 409, message: 'Not enough approvals' },
+    RELAY_REQUEST_USED: { status: 409, message: 'Forward request expired or nonce already used' },
+    REGISTRATION_PENDING: { status: 409, message: 'A registration request is already pending for this address' },
+    UPLOAD_IN_PROGRESS: { status: 409, message: 'A retry of this upload is already in progress' },
+
+    // 5xx - the API or something it depends on failed
+    INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
+    CONTRACT_MISCONFIGURED: { status: 500, message: 'The contracts are not wired to each other correctly' },
+    CONTRACTS_NOT_INITIALIZED: { status: 503, message: 'Contracts not initialized' },
+    BLOCKCHAIN_UNAVAILABLE: { status: 503, message: 'The blockchain node is unavailable, please try again later' },
+    SIGNER_OUT_OF_FUNDS: { status: 503, message: 'The API wallet cannot pay for gas' },
+    STORAGE_UNAVAILABLE: { status: 503, message: 'File storage is unavailable, please try again later' },
+    INDEX_NOT_READY: { status: 503, message: 'The event index has not been built yet' }
+};
+
+/**
+ * Contract reverts and the error code each maps to, keyed by the revert reason
+ * string, or by the error name for Solidity custom errors
+ */
+const CONTRACT_ERRORS = {
+    'Invalid doctor address': 'INVALID_ADDRESS',
+    'Invalid patient address': 'INVALID_ADDRESS',
+    'Invalid account address': 'INVALID_ADDRESS',
+    'Invalid target address': 'INVALID_ADDRESS',
+    'Invalid contract address': 'INVALID_ADDRESS',
+    'Invalid owner address': 'INVALID_ADDRESS',
+    'Invalid new owner address': 'INVALID_ADDRESS',
+    'Expiry must be in the future': 'INVALID_EXPIRY',
+    'License expiry must be in the future': 'INVALID_EXPIRY',
+    'Reason required': 'REASON_REQUIRED',
+    'Amendment reason required': 'REASON_REQUIRED',
+    'Justification is required': 'REASON_REQUIRED',
+    'CID cannot be empty': 'VALIDATION_ERROR',
+    'File name cannot be empty': 'VALIDATION_ERROR',
+    'Names and addresses length mismatch': 'VALIDATION_ERROR',
+    'Unknown role': 'VALIDATION_ERROR',
+    'Threshold must be between 1 and the number of super-admins': 'VALIDATION_ERROR',
+    'Approval window must be between 1 hour and 30 days': 'VALIDATION_ERROR',
+    'Invalid registry address': 'VALIDATION_ERROR',
+
+    'Forwarder: signature does not match request': 'INVALID_SIGNATURE',
+
+    'Missing required role': 'MISSING_ROLE',
+    'Only admin can perform this action': 'MISSING_ROLE',
+    'Only owner can perform this action': 'NOT_OWNER',
+    'Only admin contract can update the registry': 'NOT_OWNER',
+    'Only admin contract can change the registry': 'NOT_OWNER',
+    'Only deployer can set the first registry': 'NOT_OWNER',
+    'Caller is not the pending owner': 'NOT_OWNER',
+    'Only the proposer or owner can cancel': 'NOT_OWNER',
+    'Not an authorized medical provider': 'DOCTOR_NOT_AUTHORIZED',
+    'Specified doctor is not authorized': 'DOCTOR_NOT_AUTHORIZED',
+    'No consent from patient': 'NO_CONSENT',
+    'Unauthorized access': 'RECORD_ACCESS_DENIED',
+    'Not authorized': 'RECORD_ACCESS_DENIED',
+    'Not authorized to amend this record': 'RECORD_ACCESS_DENIED',
+    'Only record creator can change its status': 'RECORD_ACCESS_DENIED',
+
+    'Doctor does not exist or is revoked': 'DOCTOR_NOT_FOUND',
+    'Doctor not authorized': 'DOCTOR_NOT_FOUND',
+    'Patient not registered': 'PATIENT_NOT_FOUND',
+    'Patient not active': 'PATIENT_NOT_FOUND',
+    'Patient does not exist or is not active': 'PATIENT_NOT_FOUND',
+    'Record not found': 'RECORD_NOT_FOUND',
+    'No active consent for doctor': 'CONSENT_NOT_FOUND',
+    'Invalid access ID': 'EMERGENCY_ACCESS_NOT_FOUND',
+    'Proposal not found': 'PROPOSAL_NOT_FOUND',
+    'Role not granted': 'ROLE_NOT_GRANTED',
+    'No ownership transfer pending': 'OWNERSHIP_TRANSFER_NOT_FOUND',
+
+    'Doctor already registered': 'DOCTOR_ALREADY_REGISTERED',
+    'Patient already registered': 'PATIENT_ALREADY_REGISTERED',
+    'Profile already initialized': 'CONFLICT',
+    'Doctor is not active': 'DOCTOR_STATUS_CONFLICT',
+    'Doctor is not pending or active': 'DOCTOR_STATUS_CONFLICT',
+    'Doctor is not suspended': 'DOCTOR_STATUS_CONFLICT',
+    'License has not expired': 'DOCTOR_STATUS_CONFLICT',
+    'Record is not active': 'RECORD_STATUS_CONFLICT',
+    'Record is already active': 'RECORD_STATUS_CONFLICT',
+    'Record is already inactive': 'RECORD_STATUS_CONFLICT',
+    'Role already granted': 'ROLE_ALREADY_GRANTED',
+    'Would leave fewer super-admins than the approval threshold': 'TOO_FEW_SUPER_ADMINS',
+    'Access already flagged': 'ACCESS_ALREADY_FLAGGED',
+    'Requires multi-signature approval': 'APPROVAL_REQUIRED',
+    'Proposal already executed': 'PROPOSAL_CLOSED',
+    'Proposal cancelled': 'PROPOSAL_CLOSED',
+    'Proposal expired': 'PROPOSAL_CLOSED',
+    'Proposal already approved by caller': 'PROPOSAL_ALREADY_APPROVED',
+    'Not enough approvals': 'NOT_ENOUGH_APPROVALS',
+
+    'Registry not set': 'CONTRACT_MISCONFIGURED',
+    'Main contract not set': 'CONTRACT_MISCONFIGURED',
+    'Admin contract address is not set': 'CONTRACT_MISCONFIGURED',
+    'Failed to call isPatientActive on AdminContract': 'CONTRACT_MISCONFIGURED',
+    'Failed to fetch medical records': 'CONTRACT_MISCONFIGURED'
+};
+
+// Contracts whose ABIs are searched for custom errors
+const ERROR_ABI_CONTRACTS = ['AdminContract', 'MedicContract', 'PatientContract', 'ForwarderContract', 'ContractRegistry'];
+
+// ethers error codes meaning the node could not be reached or did not answer
+const NODE_FAILURE_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'ECONNREFUSED', 'ECONNRESET'];
+
+let errorInterfaces = null;
+
+/**
+ * Create an error that the error middleware answers with the given code
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} [message] - Defaults to the catalogue message
+ * @param {Object} [data] - Sent as `data` in the response
+ * @returns {Error}
+ */
+const createApiError = (code, message, data) => {
+    const error = new Error(message || ERROR_CODES[code].message);
+    error.isApiError = true;
+    error.code = code;
+    error.status = ERROR_CODES[code].status;
+    error.responseData = data;
+    return error;
+};
+
+/**
+ * Contract interfaces to decode custom errors with, read from the Truffle artifacts
+ */
+const getErrorInterfaces = () => {
+    if (!errorInterfaces) {
+        errorInterfaces = ERROR_ABI_CONTRACTS.flatMap(contractName => {
+            try {
+                const artifact = require(path.join(__dirname, '../../build/contracts', `${contractName}.json`));
+                return [new ethers.Interface(artifact.abi)];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+    return errorInterfaces;
+};
+
+/**
+ * Find the revert data in an ethers error. Nodes put it in different places:
+ * ethers sets error.data when it recognises the node's format, Ganache nests it
+ * in info.error.data.result.
+ * @returns {string|null} - ABI-encoded revert data
+ */
+const findRevertData = (value, depth = 0) => {
+    if (!value || typeof value !== 'object' || depth > 4) {
+        return null;
+    }
+    for (const key of ['data', 'result']) {
+        if (typeof value[key] === 'string' && ethers.isHexString(value[key]) && value[key].length >= 10) {
+            return value[key];
+        }
+    }
+    for (const key of ['data', 'info', 'error', 'cause']) {
+        const data = findRevertData(value[key], depth + 1);
+        if (data) return data;
+    }
+    return null;
+};
+
+/**
+ * Decode why a contract call reverted: require/revert reason strings (Error),
+ * assertion and arithmetic failures (Panic) and custom errors in the contract ABIs
+ * @param {Error} error - Error thrown by ethers
+ * @returns {Object|null} - { name, args, reason }, or null if the error is not a decodable revert
+ */
+const decodeRevert = (error) => {
+    const data = findRevertData(error);
+    if (!data) {
+        return null;
+    }
+
+    const builtin = ethers.AbiCoder.getBuiltinCallException('call', {}, data);
+    if (builtin.revert) {
+        return { name: builtin.revert.name, args: [...builtin.revert.args], reason: builtin.reason };
+    }
+
+    for (const contractInterface of getErrorInterfaces()) {
+        const parsed = contractInterface.parseError(data);
+        if (parsed) {
+            return { name: parsed.name, args: [...parsed.args], reason: parsed.signature };
+        }
+    }
+    return { name: null, args: [], reason: null };
+};
+
+/**
+ * Work out the code, status and message to answer an error with
+ * @param {Error} error - Anything thrown while handling a request
+ * @returns {Object} - { code, status, message, reason, data }; data is
+ * error.responseData, which handlers may set on any error to send with it
+ */
+const toApiError = (error) => {
+    const describe = (code, message, details = {}) => ({
+        code,
+        status: ERROR_CODES[code].status,
+        message: message || ERROR_CODES[code].message,
+        data: error.responseData,
+        ...details
+    });
+
+    if (error.isApiError) {
+        return describe(error.code, error.message);
+    }
+
+    // Raised by express.json() before a handler runs
+    if (error.type === 'entity.parse.failed') {
+        return describe('INVALID_JSON');
+    }
+
+    const revert = decodeRevert(error);
+    if (revert) {
+        const code = CONTRACT_ERRORS[revert.name === 'Error' ? revert.reason : revert.name] || 'CONTRACT_REVERTED';
+        return describe(code, null, { reason: revert.reason });
+    }
+    if (error.code === 'CALL_EXCEPTION') {
+        return describe('CONTRACT_REVERTED', null, { reason: error.reason || null });
+    }
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+        return describe('SIGNER_OUT_OF_FUNDS');
+    }
+    if (NODE_FAILURE_CODES.includes(error.code) || (error.error && NODE_FAILURE_CODES.includes(error.error.code))) {
+        return describe('BLOCKCHAIN_UNAVAILABLE');
+    }
+    // Malformed arguments, e.g. a non-address where the contract expects one
+    if (error.code === 'INVALID_ARGUMENT') {
+        return describe('VALIDATION_ERROR', error.shortMessage);
+    }
+
+    return describe('INTERNAL_ERROR');
+};
+
+module.exports = {
+    ERROR_CODES,
+    CONTRACT_ERRORS,
+    createApiError,
+    findRevertData,
+    decodeRevert,
+    toApiError
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+// A lock older than this is left over from a process that died while holding it
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 10;
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+/**
+ * Take the lockfile next to a store file, waiting for another process to release it
+ * @returns {Function} - Releases the lock
+ */
+const acquireLock = (file) => {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    for (;;) {
+        try {
+            fs.closeSync(fs.openSync(lockFile, 'wx'));
+            return () => fs.rmSync(lockFile, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        let lockedAt;
+        try {
+            lockedAt = fs.statSync(lockFile).mtimeMs;
+        } catch (error) {
+            continue; // Released in the meantime
+        }
+        if (Date.now() - lockedAt > LOCK_STALE_MS) {
+            fs.rmSync(lockFile, { force: true });
+        } else if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for the lock on ${file}`);
+        } else {
+            sleepSync(LOCK_RETRY_MS);
+        }
+    }
+};
+
+/**
+ * Directory for local API state (key store, envelopes, ...)
+ */
+const getDataDir = () => process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+/**
+ * Create a JSON document persisted in the data directory.
+ * The file is re-read on every access so separate processes (e.g. the API and
+ * the key rotation command) see each other's writes, and written through a
+ * temporary file so a crash never leaves it half-written. update holds a
+ * lockfile for its read-modify-write, so concurrent updates never lose a change.
+ * @param {string} fileName - File name inside the data directory, or an absolute path
+ * @param {Function} createDefault - Returns the initial document
+ * @returns {Object} - { read, write, update, filePath }
+ */
+const createJsonStore = (fileName, createDefault) => {
+    const filePath = () => path.resolve(getDataDir(), fileName);
+
+    const read = () => {
+        const file = filePath();
+        if (!fs.existsSync(file)) {
+            return createDefault();
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    };
+
+    const write = (data) => {
+        const file = filePath();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+        fs.renameSync(tempFile, file);
+    };
+
+    const update = (mutate) => {
+        const release = acquireLock(filePath());
+        try {
+            const data = read();
+            const result = mutate(data);
+            write(data);
+            return result;
+        } finally {
+            release();
+        }
+    };
+
+    return { read, write, update, filePath };
+};
+
+module.exports = {
+    getDataDir,
+    createJsonStore
+};
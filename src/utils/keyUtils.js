@@ -0,0 +1,665 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { ethers } = require('ethers');
+const { createJsonStore } = require('./jsonStore');
+const { createApiError } = require('./errorUtils');
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;     // 256 bits
+const IV_LENGTH = 12;      // 96 bits, recommended for GCM
+const AUTH_TAG_LENGTH = 16;
+const CONTENT_AAD = 'medical-record';
+
+// Chunked content encryption: header | chunk records (ciphertext | authTag)
+const STREAM_ENCRYPTION_ALGORITHM = 'aes-256-gcm-chunked';
+const STREAM_MAGIC = 'BHC1';
+const STREAM_HEADER_LENGTH = 16;   // magic | chunk size | nonce prefix
+const STREAM_CHUNK_SIZE = 64 * 1024;
+const MAX_STREAM_CHUNK_SIZE = 16 * 1024 * 1024;
+
+// Per-principal (patient or doctor) keys, each version encrypted under the master key
+const keyStore = createJsonStore('keys.json', () => ({
+    salt: crypto.randomBytes(16).toString('hex'),
+    principals: {}
+}));
+
+// Every envelope is also wrapped for the escrow key, which super-admins open
+// envelopes with; they are not a recipient of their own
+const ESCROW_RECIPIENT = 'escrow';
+
+// Key envelopes per CID, and each patient's consents as
+// { doctorId, recordTypes, expiresAt } (expiresAt in seconds, 0 never expires)
+const envelopeStore = createJsonStore('envelopes.json', () => ({
+    envelopes: {},
+    sharedWith: {}
+}));
+
+/**
+ * The secret principal keys are encrypted under. There is no default: a
+ * well-known one would let anyone with the key store open every envelope.
+ */
+const getMasterSecret = () => {
+    if (!process.env.ENCRYPTION_SECRET) {
+        throw new Error('ENCRYPTION_SECRET is not set');
+    }
+    return process.env.ENCRYPTION_SECRET;
+};
+
+const masterKeys = new Map();
+
+/**
+ * Derive the master key that protects principal keys at rest
+ */
+const deriveMasterKey = (secret, salt) => {
+    const cacheKey = `${salt}:${crypto.createHash('sha256').update(secret).digest('hex')}`;
+    if (!masterKeys.has(cacheKey)) {
+        masterKeys.set(cacheKey, crypto.scryptSync(secret, Buffer.from(salt, 'hex'), KEY_LENGTH));
+    }
+    return masterKeys.get(cacheKey);
+};
+
+/**
+ * Encrypt with AES-256-GCM
+ * @returns {Buffer} - iv | authTag | ciphertext
+ */
+const seal = (key, plaintext, aad) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * Decrypt the output of seal
+ */
+const open = (key, sealed, aad) => {
+    const iv = sealed.subarray(0, IV_LENGTH);
+    const authTag = sealed.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+    const ciphertext = sealed.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const toPrincipal = (address) => (address === ESCROW_RECIPIENT ? ESCROW_RECIPIENT : ethers.getAddress(address));
+
+const principalAad = (principal, version) => `principal:${principal}:${version}`;
+const envelopeAad = (cid, principal) => `envelope:${cid}:${principal}`;
+
+const unwrapPrincipalKey = (store, principal, version, masterKey = deriveMasterKey(getMasterSecret(), store.salt)) => {
+    const entry = store.principals[principal];
+    const wrappedKey = entry && entry.keys[version];
+    if (!wrappedKey) {
+        throw new Error(`No key version ${version} for ${principal}`);
+    }
+
+    try {
+        return open(masterKey, Buffer.from(wrappedKey, 'hex'), principalAad(principal, version));
+    } catch (error) {
+        throw new Error('Key store cannot be opened with the current ENCRYPTION_SECRET');
+    }
+};
+
+/**
+ * Add a new random key version for a principal (mutates the key store document)
+ */
+const addPrincipalKeyVersion = (store, principal) => {
+    const entry = store.principals[principal] || { currentVersion: 0, keys: {} };
+    const version = entry.currentVersion + 1;
+    const masterKey = deriveMasterKey(getMasterSecret(), store.salt);
+
+    entry.keys[version] = seal(masterKey, crypto.randomBytes(KEY_LENGTH), principalAad(principal, version)).toString('hex');
+    entry.currentVersion = version;
+    store.principals[principal] = entry;
+    return version;
+};
+
+/**
+ * Get the current key of each principal, creating keys for new principals
+ * @param {string[]} principals - Checksummed addresses
+ * @returns {Map} - principal => { version, key }
+ */
+const getCurrentPrincipalKeys = (principals) => {
+    return keyStore.update(store => {
+        const keys = new Map();
+        for (const principal of principals) {
+            if (!store.principals[principal]) {
+                addPrincipalKeyVersion(store, principal);
+            }
+            const version = store.principals[principal].currentVersion;
+            keys.set(principal, { version, key: unwrapPrincipalKey(store, principal, version) });
+        }
+        return keys;
+    });
+};
+
+const wrapDataKey = (cid, principal, principalKey, dataKey) => ({
+    keyVersion: principalKey.version,
+    wrappedKey: seal(principalKey.key, dataKey, envelopeAad(cid, principal)).toString('hex')
+});
+
+const unwrapDataKey = (cid, principal, recipient, store = keyStore.read()) => {
+    const principalKey = unwrapPrincipalKey(store, principal, recipient.keyVersion);
+    return open(principalKey, Buffer.from(recipient.wrappedKey, 'hex'), envelopeAad(cid, principal));
+};
+
+/**
+ * Generate a random data key for one file
+ * @returns {Buffer}
+ */
+const generateDataKey = () => crypto.randomBytes(KEY_LENGTH);
+
+/**
+ * IV and AAD of a stream chunk. The AAD binds the header, the chunk position
+ * and whether it is the last chunk, so chunks cannot be reordered, dropped or
+ * the stream truncated without failing authentication.
+ */
+const streamChunkParams = (header, index, final) => {
+    const position = Buffer.alloc(4);
+    position.writeUInt32BE(index);
+    return {
+        iv: Buffer.concat([header.subarray(8, STREAM_HEADER_LENGTH), position]),
+        aad: Buffer.concat([header, position, Buffer.from([final ? 1 : 0])])
+    };
+};
+
+/**
+ * Create a transform stream that encrypts file content with a data key in
+ * fixed-size authenticated chunks, so files of any size are encrypted without
+ * being held in memory
+ * @param {Buffer} dataKey - Data key from generateDataKey
+ * @param {number} chunkSize - Plaintext bytes per chunk
+ * @returns {Transform}
+ */
+const createEncryptStream = (dataKey, chunkSize = STREAM_CHUNK_SIZE) => {
+    const header = Buffer.alloc(STREAM_HEADER_LENGTH);
+    header.write(STREAM_MAGIC, 0, 'ascii');
+    header.writeUInt32BE(chunkSize, 4);
+    crypto.randomBytes(8).copy(header, 8);
+
+    let pending = Buffer.alloc(0);
+    let index = 0;
+
+    const sealChunk = (plaintext, final) => {
+        const { iv, aad } = streamChunkParams(header, index++, final);
+        const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, dataKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+        cipher.setAAD(aad);
+        return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    };
+
+    return new Transform({
+        construct(callback) {
+            this.push(header);
+            callback();
+        },
+        transform(data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+            // Keep at least one byte back so the last chunk is always sealed as final
+            while (pending.length > chunkSize) {
+                this.push(sealChunk(pending.subarray(0, chunkSize), false));
+                pending = pending.subarray(chunkSize);
+            }
+            callback();
+        },
+        flush(callback) {
+            this.push(sealChunk(pending, true));
+            callback();
+        }
+    });
+};
+
+/**
+ * Create a transform stream that decrypts the output of createEncryptStream.
+ * Each chunk is authenticated before it is released.
+ * @param {Buffer} dataKey - Data key from openEnvelope
+ * @returns {Transform}
+ */
+const createDecryptStream = (dataKey) => {
+    let header = null;
+    let recordSize = 0;
+    let pending = Buffer.alloc(0);
+    let index = 0;
+
+    const openChunk = (record, final) => {
+        const { iv, aad } = streamChunkParams(header, index++, final);
+        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, dataKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+        decipher.setAAD(aad);
+        decipher.setAuthTag(record.subarray(record.length - AUTH_TAG_LENGTH));
+        return Buffer.concat([decipher.update(record.subarray(0, record.length - AUTH_TAG_LENGTH)), decipher.final()]);
+    };
+
+    return new Transform({
+        transform(data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+
+            try {
+                if (!header) {
+                    if (pending.length < STREAM_HEADER_LENGTH) {
+                        return callback();
+                    }
+                    header = pending.subarray(0, STREAM_HEADER_LENGTH);
+                    const chunkSize = header.readUInt32BE(4);
+                    if (header.toString('ascii', 0, 4) !== STREAM_MAGIC || chunkSize === 0 || chunkSize > MAX_STREAM_CHUNK_SIZE) {
+                        throw new Error('unsupported encrypted file format');
+                    }
+                    recordSize = chunkSize + AUTH_TAG_LENGTH;
+                    pending = pending.subarray(STREAM_HEADER_LENGTH);
+                }
+
+                // The last record may be full-sized, so one is held back until the end
+                while (pending.length > recordSize) {
+                    this.push(openChunk(pending.subarray(0, recordSize), false));
+                    pending = pending.subarray(recordSize);
+                }
+                callback();
+            } catch (error) {
+                callback(createApiError('DECRYPTION_FAILED', 'Decryption failed: ' + error.message));
+            }
+        },
+        flush(callback) {
+            if (!header || pending.length < AUTH_TAG_LENGTH) {
+                return callback(createApiError('DECRYPTION_FAILED', 'Decryption failed: encrypted file is truncated'));
+            }
+            try {
+                this.push(openChunk(pending, true));
+                callback();
+            } catch (error) {
+                callback(createApiError('DECRYPTION_FAILED', 'Decryption failed: ' + error.message));
+            }
+        }
+    });
+};
+
+/**
+ * Encrypt a small value in a single block under a file's data key
+ * @param {Buffer|string} data - Plaintext
+ * @param {Buffer} dataKey - Data key of the file
+ * @returns {Buffer} - iv | authTag | ciphertext
+ */
+const encryptWithDataKey = (data, dataKey) => {
+    return seal(dataKey, Buffer.from(data), CONTENT_AAD);
+};
+
+/**
+ * Decrypt file content encrypted in a single block (uploads made before
+ * chunked encryption)
+ * @param {Buffer} encryptedData - iv | authTag | ciphertext
+ * @param {Buffer} dataKey - Data key from openEnvelope
+ * @returns {Buffer} - File content
+ */
+const decryptWithDataKey = (encryptedData, dataKey) => {
+    return open(dataKey, encryptedData, CONTENT_AAD);
+};
+
+/**
+ * A patient's consents; entries written before consents had a scope cover every record type
+ */
+const getShares = (store, patient) => (store.sharedWith[patient] || [])
+    .map(share => (typeof share === 'string' ? { doctorId: share, recordTypes: [], expiresAt: 0 } : share));
+
+const isShareExpired = (share, now = Date.now()) => share.expiresAt !== 0 && share.expiresAt * 1000 <= now;
+
+/**
+ * Check whether a consent covers a record type (an empty list covers every type)
+ */
+const shareCovers = (share, recordType) => {
+    return share.recordTypes.length === 0 || (recordType !== null && share.recordTypes.includes(recordType));
+};
+
+/**
+ * Store the key envelope of an uploaded file. The data key is wrapped for the
+ * patient, the uploader (if any), every doctor whose unexpired consent covers
+ * the record type and the escrow key.
+ * @param {string} cid - Content ID of the ciphertext
+ * @param {Buffer} dataKey - Data key the file was encrypted with
+ * @param {string} patientId - Owner of the record
+ * @param {string|null} authorId - Doctor who uploaded the file, if not the patient
+ * @param {string|null} recordType - Type of the record the file belongs to, if known
+ * @returns {string[]} - Recipients of the envelope
+ */
+const createEnvelope = (cid, dataKey, patientId, authorId = null, recordType = null) => {
+    const patient = ethers.getAddress(patientId);
+    const author = authorId ? ethers.getAddress(authorId) : null;
+    const sharedWith = getShares(envelopeStore.read(), patient)
+        .filter(share => !isShareExpired(share) && shareCovers(share, recordType))
+        .map(share => share.doctorId);
+
+    const principals = [...new Set([patient, ...(author ? [author] : []), ...sharedWith, ESCROW_RECIPIENT])];
+    const principalKeys = getCurrentPrincipalKeys(principals);
+
+    const recipients = {};
+    for (const principal of principals) {
+        recipients[principal] = wrapDataKey(cid, principal, principalKeys.get(principal), dataKey);
+    }
+
+    envelopeStore.update(store => {
+        store.envelopes[cid] = {
+            patientId: patient,
+            authorId: author,
+            recordType,
+            algorithm: STREAM_ENCRYPTION_ALGORITHM,
+            createdAt: new Date().toISOString(),
+            recipients
+        };
+    });
+
+    return principals;
+};
+
+/**
+ * Move an envelope created before its file was stored (e.g. for a queued upload)
+ * to the file's CID, rewrapping the data key for the new ID. Moving it again
+ * once it is at the CID changes nothing.
+ * @param {string} fromId - Provisional envelope ID
+ * @param {string} cid - Content ID of the stored ciphertext
+ * @returns {string[]} - Recipients of the envelope
+ */
+const moveEnvelope = (fromId, cid) => {
+    const keys = keyStore.read();
+    return envelopeStore.update(store => {
+        const envelope = store.envelopes[fromId];
+        if (!envelope && store.envelopes[cid]) {
+            return Object.keys(store.envelopes[cid].recipients);
+        }
+        if (!envelope) {
+            throw createApiError('FILE_NOT_SHARED', `No key envelope for ${fromId}`);
+        }
+
+        const dataKey = unwrapDataKey(fromId, envelope.patientId, envelope.recipients[envelope.patientId], keys);
+        for (const [principal, recipient] of Object.entries(envelope.recipients)) {
+            const principalKey = { version: recipient.keyVersion, key: unwrapPrincipalKey(keys, principal, recipient.keyVersion) };
+            envelope.recipients[principal] = wrapDataKey(cid, principal, principalKey, dataKey);
+        }
+        delete store.envelopes[fromId];
+        store.envelopes[cid] = envelope;
+        return Object.keys(envelope.recipients);
+    });
+};
+
+/**
+ * Delete an envelope, making whatever it protects unreadable
+ * @returns {boolean} - Whether there was an envelope
+ */
+const deleteEnvelope = (cid) => {
+    return envelopeStore.update(store => {
+        const existed = Boolean(store.envelopes[cid]);
+        delete store.envelopes[cid];
+        return existed;
+    });
+};
+
+/**
+ * Check if a CID was encrypted with envelope encryption
+ */
+const hasEnvelope = (cid) => Boolean(envelopeStore.read().envelopes[cid]);
+
+/**
+ * Get envelope metadata (without wrapped keys)
+ * @returns {Object|null} - { patientId, authorId, algorithm, createdAt, recipients }
+ */
+const getEnvelope = (cid) => {
+    const envelope = envelopeStore.read().envelopes[cid];
+    if (!envelope) {
+        return null;
+    }
+    return {
+        patientId: envelope.patientId,
+        authorId: envelope.authorId,
+        algorithm: envelope.algorithm,
+        createdAt: envelope.createdAt,
+        recipients: Object.keys(envelope.recipients)
+    };
+};
+
+/**
+ * Wrap the data keys of a patient's envelopes for another principal
+ * (mutates the envelope store document)
+ * @param {Function} include - (cid, envelope) => whether to wrap this envelope
+ * @returns {number} - Number of envelopes updated
+ */
+const wrapPatientEnvelopes = (store, keys, patient, principal, principalKey, include) => {
+    let updated = 0;
+    for (const [cid, envelope] of Object.entries(store.envelopes)) {
+        if (envelope.patientId !== patient || envelope.recipients[principal] || !include(cid, envelope)) continue;
+
+        const dataKey = unwrapDataKey(cid, patient, envelope.recipients[patient], keys);
+        envelope.recipients[principal] = wrapDataKey(cid, principal, principalKey, dataKey);
+        updated++;
+    }
+    return updated;
+};
+
+/**
+ * Unwrap the data key of a file for one of its recipients
+ * Envelopes created before the escrow key existed are wrapped for it on first use.
+ * @param {string} cid - Content ID
+ * @param {string} address - Recipient address, or ESCROW_RECIPIENT
+ * @returns {Buffer} - Data key
+ */
+const openEnvelope = (cid, address) => {
+    const envelope = envelopeStore.read().envelopes[cid];
+    if (!envelope) {
+        throw createApiError('FILE_NOT_SHARED', `No key envelope for ${cid}`);
+    }
+
+    const principal = toPrincipal(address);
+    const share = getShares(envelopeStore.read(), envelope.patientId).find(item => item.doctorId === principal);
+    if (share && isShareExpired(share) && envelope.authorId !== principal) {
+        dropExpiredShares();
+        throw createApiError('FILE_NOT_SHARED', `Consent of ${envelope.patientId} for ${principal} expired`);
+    }
+
+    if (!envelope.recipients[principal] && principal === ESCROW_RECIPIENT) {
+        const escrowKey = getCurrentPrincipalKeys([ESCROW_RECIPIENT]).get(ESCROW_RECIPIENT);
+        const keys = keyStore.read();
+        envelopeStore.update(store => wrapPatientEnvelopes(
+            store, keys, envelope.patientId, ESCROW_RECIPIENT, escrowKey, envelopeCid => envelopeCid === cid
+        ));
+        return openEnvelope(cid, ESCROW_RECIPIENT);
+    }
+
+    const recipient = envelope.recipients[principal];
+    if (!recipient) {
+        throw createApiError('FILE_NOT_SHARED', `No key envelope for recipient ${principal}`);
+    }
+    return unwrapDataKey(cid, principal, recipient);
+};
+
+/**
+ * Remove a doctor's consent and their wrapped keys from a patient's envelopes,
+ * except for records the doctor authored (mutates the envelope store document)
+ * @param {Function} keep - (cid, envelope) => whether the doctor keeps this wrap
+ * @returns {number} - Number of envelopes updated
+ */
+const removeShare = (store, patient, doctor, keep = () => false) => {
+    store.sharedWith[patient] = getShares(store, patient).filter(share => share.doctorId !== doctor);
+
+    let updated = 0;
+    for (const [cid, envelope] of Object.entries(store.envelopes)) {
+        if (envelope.patientId !== patient || envelope.authorId === doctor || !envelope.recipients[doctor] || keep(cid, envelope)) continue;
+
+        delete envelope.recipients[doctor];
+        updated++;
+    }
+    return updated;
+};
+
+/**
+ * Wrap the data keys of the files a consent covers for a doctor (after the
+ * patient grants it), and share later uploads of the covered record types
+ * until it expires. Granting again replaces the scope: files no longer
+ * covered are unwrapped.
+ * @param {Object} consent - { cids, recordTypes, expiresAt }: the files the
+ *   contracts let the doctor read, and the consent's scope (expiresAt in seconds, 0 never expires)
+ * @returns {number} - Number of envelopes wrapped for the doctor
+ */
+const shareWithRecipient = (patientId, doctorId, { cids, recordTypes = [], expiresAt = 0 }) => {
+    const patient = ethers.getAddress(patientId);
+    const doctor = ethers.getAddress(doctorId);
+    const doctorKey = getCurrentPrincipalKeys([doctor]).get(doctor);
+    const keys = keyStore.read();
+    const shared = new Set(cids);
+    const share = { doctorId: doctor, recordTypes: [...recordTypes], expiresAt: Number(expiresAt) };
+
+    return envelopeStore.update(store => {
+        removeShare(store, patient, doctor, cid => shared.has(cid));
+        if (isShareExpired(share)) {
+            return 0;
+        }
+        store.sharedWith[patient].push(share);
+        return wrapPatientEnvelopes(store, keys, patient, doctor, doctorKey, cid => shared.has(cid));
+    });
+};
+
+/**
+ * Wrap the data keys of some of a patient's files for a doctor, without sharing
+ * later uploads (after a break-glass access to the patient's active records)
+ * @param {string[]} cids - Files the doctor may now read
+ * @returns {number} - Number of envelopes updated
+ */
+const shareFilesWithRecipient = (patientId, doctorId, cids) => {
+    const patient = ethers.getAddress(patientId);
+    const doctor = ethers.getAddress(doctorId);
+    const doctorKey = getCurrentPrincipalKeys([doctor]).get(doctor);
+    const keys = keyStore.read();
+    const shared = new Set(cids);
+
+    return envelopeStore.update(store => wrapPatientEnvelopes(store, keys, patient, doctor, doctorKey, cid => shared.has(cid)));
+};
+
+/**
+ * Remove a doctor's wrapped keys from a patient's envelopes (after the patient
+ * revokes consent). Records the doctor authored stay readable to them.
+ * @returns {number} - Number of envelopes updated
+ */
+const unshareWithRecipient = (patientId, doctorId) => {
+    const patient = ethers.getAddress(patientId);
+    const doctor = ethers.getAddress(doctorId);
+
+    return envelopeStore.update(store => removeShare(store, patient, doctor));
+};
+
+/**
+ * Remove the wrapped keys of every consent that has expired, as if the patient
+ * had revoked it. Called periodically and when an expired consent is used.
+ * @returns {number} - Number of envelopes updated
+ */
+const dropExpiredShares = () => {
+    const now = Date.now();
+    return envelopeStore.update(store => {
+        let updated = 0;
+        for (const patient of Object.keys(store.sharedWith)) {
+            for (const share of getShares(store, patient).filter(item => isShareExpired(item, now))) {
+                updated += removeShare(store, patient, share.doctorId);
+            }
+        }
+        return updated;
+    });
+};
+
+/**
+ * Replace a principal's key and rewrap all of their envelopes with it.
+ * Ciphertext is untouched. The new version is stored before any envelope is
+ * rewrapped, and old versions are only dropped once nothing references them.
+ * @param {string} address - Patient or doctor address, or ESCROW_RECIPIENT
+ * @returns {Object} - { address, version, rewrapped }
+ */
+const rotatePrincipalKey = (address) => {
+    const principal = toPrincipal(address);
+
+    const version = keyStore.update(store => {
+        if (!store.principals[principal]) {
+            throw new Error(`No key for ${principal}`);
+        }
+        return addPrincipalKeyVersion(store, principal);
+    });
+
+    const keys = keyStore.read();
+    const newKey = { version, key: unwrapPrincipalKey(keys, principal, version) };
+
+    const rewrapped = envelopeStore.update(store => {
+        let count = 0;
+        for (const [cid, envelope] of Object.entries(store.envelopes)) {
+            const recipient = envelope.recipients[principal];
+            if (!recipient || recipient.keyVersion === version) continue;
+
+            const dataKey = unwrapDataKey(cid, principal, recipient, keys);
+            envelope.recipients[principal] = wrapDataKey(cid, principal, newKey, dataKey);
+            count++;
+        }
+        return count;
+    });
+
+    keyStore.update(store => {
+        const entry = store.principals[principal];
+        for (const oldVersion of Object.keys(entry.keys)) {
+            if (Number(oldVersion) !== version) {
+                delete entry.keys[oldVersion];
+            }
+        }
+    });
+
+    return { address: principal, version, rewrapped };
+};
+
+/**
+ * List principals that have a key
+ * @returns {string[]}
+ */
+const listPrincipals = () => Object.keys(keyStore.read().principals);
+
+/**
+ * Re-encrypt every principal key under a new master secret. Envelopes are not
+ * touched. Restart the API with the new ENCRYPTION_SECRET afterwards.
+ * @param {string} newSecret - New ENCRYPTION_SECRET
+ * @returns {number} - Number of principal keys re-encrypted
+ */
+const rotateMasterSecret = (newSecret) => {
+    if (!newSecret) {
+        throw new Error('New master secret is required');
+    }
+
+    return keyStore.update(store => {
+        const oldMasterKey = deriveMasterKey(getMasterSecret(), store.salt);
+        const newSalt = crypto.randomBytes(16).toString('hex');
+        const newMasterKey = deriveMasterKey(newSecret, newSalt);
+
+        let count = 0;
+        for (const [principal, entry] of Object.entries(store.principals)) {
+            for (const version of Object.keys(entry.keys)) {
+                const key = unwrapPrincipalKey(store, principal, version, oldMasterKey);
+                entry.keys[version] = seal(newMasterKey, key, principalAad(principal, version)).toString('hex');
+                count++;
+            }
+        }
+        store.salt = newSalt;
+        return count;
+    });
+};
+
+module.exports = {
+    ESCROW_RECIPIENT,
+    ENCRYPTION_ALGORITHM,
+    STREAM_ENCRYPTION_ALGORITHM,
+    generateDataKey,
+    createEncryptStream,
+    createDecryptStream,
+    encryptWithDataKey,
+    decryptWithDataKey,
+    createEnvelope,
+    moveEnvelope,
+    deleteEnvelope,
+    hasEnvelope,
+    getEnvelope,
+    openEnvelope,
+    shareWithRecipient,
+    shareFilesWithRecipient,
+    unshareWithRecipient,
+    dropExpiredShares,
+    rotatePrincipalKey,
+    rotateMasterSecret,
+    listPrincipals
+};
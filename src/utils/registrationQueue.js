@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { createApiError } = require('./errorUtils');
+
+/**
+ * Registration request states:
+ * - pending:  waiting for an admin to review it
+ * - approved: the patient was registered in AdminContract and their profile set up
+ * - rejected: an admin turned it down; the address may submit a new request
+ */
+const REGISTRATION_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+const registrationStore = createJsonStore('registration-requests.json', () => ({
+    requests: {}
+}));
+
+const isSameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Queue a patient's registration request for admin review
+ * @param {string} patientId - Address of the signed-in patient
+ * @param {Object} details - { name, dateOfBirth, phoneNumber, emergencyContact, email }
+ * @returns {Object} - Request entry
+ */
+const createRegistrationRequest = (patientId, details) => {
+    return registrationStore.update(store => {
+        const pending = Object.values(store.requests).find(entry =>
+            entry.status === REGISTRATION_STATUS.PENDING && isSameAddress(entry.patientId, patientId)
+        );
+        if (pending) {
+            throw createApiError('REGISTRATION_PENDING');
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+            id: crypto.randomUUID(),
+            status: REGISTRATION_STATUS.PENDING,
+            patientId,
+            name: details.name,
+            dateOfBirth: details.dateOfBirth,
+            phoneNumber: details.phoneNumber,
+            emergencyContact: details.emergencyContact,
+            email: details.email || '',
+            reviewedBy: null,
+            rejectionReason: null,
+            transactionHash: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        store.requests[entry.id] = entry;
+        return entry;
+    });
+};
+
+/**
+ * Get a registration request by ID
+ * @returns {Object|null}
+ */
+const getRegistrationRequest = (id) => registrationStore.read().requests[id] || null;
+
+/**
+ * List registration requests, oldest first
+ * @param {Object} filter - { status, patientId }
+ * @returns {Object[]}
+ */
+const listRegistrationRequests = ({ status, patientId } = {}) => {
+    return Object.values(registrationStore.read().requests)
+        .filter(entry => !status || entry.status === status)
+        .filter(entry => !patientId || isSameAddress(entry.patientId, patientId))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Update a registration request
+ * @returns {Object} - Updated entry
+ */
+const updateRegistrationRequest = (id, changes) => {
+    return registrationStore.update(store => {
+        const current = store.requests[id];
+        if (!current) {
+            throw createApiError('REGISTRATION_NOT_FOUND', `Registration request ${id} not found`);
+        }
+        Object.assign(current, changes, { updatedAt: new Date().toISOString() });
+        return current;
+    });
+};
+
+module.exports = {
+    REGISTRATION_STATUS,
+    createRegistrationRequest,
+    getRegistrationRequest,
+    listRegistrationRequests,
+    updateRegistrationRequest
+};
@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+
+/**
+ * Contracts kept in ContractRegistry, mapped to their registry keys
+ * (keccak256 of the contract name)
+ */
+const REGISTRY_CONTRACTS = {
+    AdminContract: ethers.id('AdminContract'),
+    MedicContract: ethers.id('MedicContract'),
+    PatientContract: ethers.id('PatientContract'),
+    ForwarderContract: ethers.id('ForwarderContract')
+};
+
+// Keys of the API's contract instances, by contract name
+const CONTRACT_INSTANCES = {
+    AdminContract: 'adminContract',
+    MedicContract: 'medicContract',
+    PatientContract: 'patientContract',
+    ForwarderContract: 'forwarderContract'
+};
+
+// Contracts that look the others up in the registry and accept relayed calls
+const REGISTRY_CLIENTS = ['AdminContract', 'MedicContract', 'PatientContract'];
+
+const isSameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Get the contract name for a registry key
+ * @returns {string|null}
+ */
+const getContractName = (key) => {
+    const entry = Object.entries(REGISTRY_CONTRACTS).find(([, hash]) => hash === key);
+    return entry ? entry[0] : null;
+};
+
+/**
+ * Get the address a contract is registered at
+ * @returns {Promise<string|null>} - null if the contract is not registered
+ */
+const getRegisteredAddress = async (registryContract, contractName) => {
+    const address = await registryContract.getContract(REGISTRY_CONTRACTS[contractName]);
+    return address === ethers.ZeroAddress ? null : address;
+};
+
+/**
+ * Check that the registry, the contracts and the API agree on every address:
+ * each contract is registered and deployed, the API uses the registered
+ * address, and every registry client points at this registry and at the
+ * registered ForwarderContract
+ * @param {Object} contracts - { registryContract, adminContract, medicContract, patientContract, forwarderContract }
+ * @returns {Promise<Object>} - { consistent, registry, contracts, mismatches }
+ */
+const checkContractWiring = async (contracts) => {
+    const { registryContract } = contracts;
+    const provider = registryContract.runner.provider;
+    const registryAddress = await registryContract.getAddress();
+    const mismatches = [];
+    const report = (contract, check, expected, actual) => {
+        mismatches.push({ contract, check, expected, actual });
+    };
+
+    const details = {};
+    for (const name of Object.keys(REGISTRY_CONTRACTS)) {
+        const instance = contracts[CONTRACT_INSTANCES[name]];
+        const registered = await getRegisteredAddress(registryContract, name);
+        const apiAddress = instance ? await instance.getAddress() : null;
+        const deployed = registered ? (await provider.getCode(registered)) !== '0x' : false;
+        details[name] = { registered, api: apiAddress, deployed };
+
+        if (!registered) {
+            report(name, 'registered', apiAddress, null);
+            continue;
+        }
+        if (!deployed) {
+            report(name, 'deployed', true, false);
+        }
+        if (!isSameAddress(apiAddress, registered)) {
+            report(name, 'api', registered, apiAddress);
+        }
+    }
+
+    const forwarderAddress = details.ForwarderContract.registered;
+    for (const name of REGISTRY_CLIENTS) {
+        const instance = contracts[CONTRACT_INSTANCES[name]];
+        if (!instance) {
+            continue;
+        }
+        // The other contracts use the registered address, so that is the one to check
+        const { registered, deployed } = details[name];
+        const contract = registered && deployed ? instance.attach(registered) : instance;
+        const [registry, trustedForwarder] = await Promise.all([
+            contract.registry().catch(() => null),
+            contract.trustedForwarder().catch(() => null)
+        ]);
+        Object.assign(details[name], { registry, trustedForwarder });
+
+        if (!isSameAddress(registry, registryAddress)) {
+            report(name, 'registry', registryAddress, registry);
+        }
+        if (forwarderAddress && !isSameAddress(trustedForwarder, forwarderAddress)) {
+            report(name, 'trustedForwarder', forwarderAddress, trustedForwarder);
+        }
+    }
+
+    return {
+        consistent: mismatches.length === 0,
+        registry: registryAddress,
+        contracts: details,
+        mismatches
+    };
+};
+
+module.exports = {
+    REGISTRY_CONTRACTS,
+    getContractName,
+    getRegisteredAddress,
+    checkContractWiring
+};
@@ -0,0 +1,256 @@
+const { ethers } = require('ethers');
+const { waitForTransaction } = require('./txTracker');
+const { createApiError } = require('./errorUtils');
+
+const REQUEST_TTL_SECONDS = parseInt(process.env.RELAY_REQUEST_TTL_SECONDS || '600', 10);
+
+// EIP-712 type of ForwarderContract.ForwardRequest
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+// Argument checks for relayed calls, by 'Contract.function'
+const callValidators = new Map();
+
+/**
+ * Register a check for the arguments of a relayed call. It runs when the call
+ * is prepared and again before it is submitted, whichever endpoint relays it,
+ * so the generic relay applies the same input rules as the dedicated endpoints.
+ * @param {string} contractName - 'AdminContract', 'MedicContract' or 'PatientContract'
+ * @param {string} functionName - Contract function
+ * @param {Function} validate - (args) => void, throws an API error for invalid arguments
+ */
+const registerCallValidator = (contractName, functionName, validate) => {
+    callValidators.set(`${contractName}.${functionName}`, validate);
+};
+
+const validateCall = (contractName, functionName, args) => {
+    const validate = callValidators.get(`${contractName}.${functionName}`);
+    if (validate) {
+        validate(args);
+    }
+};
+
+/**
+ * Contracts that accept calls relayed by the forwarder
+ */
+const getRelayTargets = (contracts) => {
+    return {
+        AdminContract: contracts.adminContract,
+        MedicContract: contracts.medicContract,
+        PatientContract: contracts.patientContract
+    };
+};
+
+const getForwarder = (contracts) => {
+    if (!contracts.forwarderContract) {
+        throw createApiError('CONTRACTS_NOT_INITIALIZED', 'Forwarder contract not initialized');
+    }
+    return contracts.forwarderContract;
+};
+
+/**
+ * Get the EIP-712 domain of the forwarder
+ * @param {Object} contracts - Contract instances from contractUtils
+ */
+const getDomain = async (contracts) => {
+    const forwarderContract = getForwarder(contracts);
+
+    const [name, version, network, verifyingContract] = await Promise.all([
+        forwarderContract.NAME(),
+        forwarderContract.VERSION(),
+        forwarderContract.runner.provider.getNetwork(),
+        forwarderContract.getAddress()
+    ]);
+
+    return {
+        name,
+        version,
+        chainId: Number(network.chainId),
+        verifyingContract
+    };
+};
+
+/**
+ * Build the typed data a user must sign to call a contract function through the relay
+ * @param {Object} contracts - Contract instances from contractUtils
+ * @param {string} from - Address of the user who will sign
+ * @param {string} contractName - 'AdminContract', 'MedicContract' or 'PatientContract'
+ * @param {string} functionName - Contract function to call
+ * @param {Array} args - Function arguments
+ * @returns {Object} - { domain, types, primaryType, message } ready for eth_signTypedData_v4
+ */
+const prepareForwardRequest = async (contracts, from, contractName, functionName, args = []) => {
+    const target = getRelayTargets(contracts)[contractName];
+    if (!target) {
+        throw createApiError('VALIDATION_ERROR', `Unknown relay target: ${contractName}`);
+    }
+
+    const fragment = target.interface.getFunction(functionName);
+    if (!fragment) {
+        throw createApiError('VALIDATION_ERROR', `Unknown function ${functionName} on ${contractName}`);
+    }
+    if (fragment.constant) {
+        throw createApiError('VALIDATION_ERROR', `${contractName}.${functionName} is read-only and does not need relaying`);
+    }
+
+    const forwarderContract = getForwarder(contracts);
+    const provider = forwarderContract.runner.provider;
+    const to = await target.getAddress();
+    const data = target.interface.encodeFunctionData(fragment, args);
+    validateCall(contractName, fragment.name, target.interface.decodeFunctionData(fragment, data));
+
+    // Estimating as the user surfaces contract reverts before anything is signed
+    const estimatedGas = await provider.estimateGas({ from, to, data });
+    const nonce = await forwarderContract.getNonce(from);
+
+    return {
+        domain: await getDomain(contracts),
+        types: FORWARD_REQUEST_TYPES,
+        primaryType: 'ForwardRequest',
+        message: {
+            from: ethers.getAddress(from),
+            to,
+            gas: (estimatedGas + estimatedGas / 5n).toString(),
+            nonce: nonce.toString(),
+            deadline: (Math.floor(Date.now() / 1000) + REQUEST_TTL_SECONDS).toString(),
+            data
+        }
+    };
+};
+
+/**
+ * Decode which contract function a forward request calls
+ * @param {Object} contracts - Contract instances from contractUtils
+ * @param {Object} request - Forward request
+ * @returns {Object} - { contractName, functionName, args }
+ */
+const decodeForwardRequest = async (contracts, request) => {
+    for (const [contractName, target] of Object.entries(getRelayTargets(contracts))) {
+        if (!target) continue;
+        if ((await target.getAddress()).toLowerCase() !== String(request.to).toLowerCase()) continue;
+
+        const parsed = target.interface.parseTransaction({ data: request.data });
+        if (!parsed) {
+            throw createApiError('INVALID_RELAY_REQUEST', `Request data does not match any ${contractName} function`);
+        }
+        return {
+            contractName,
+            functionName: parsed.name,
+            args: parsed.args
+        };
+    }
+    throw createApiError('INVALID_RELAY_REQUEST', 'Request target is not a relayable contract');
+};
+
+/**
+ * Verify a signed forward request and send it through the forwarder, without
+ * waiting for it to be mined
+ * @param {Object} contracts - Contract instances from contractUtils
+ * @param {Object} request - Forward request as returned by prepareForwardRequest (message)
+ * @param {string} signature - EIP-712 signature of the request
+ * @returns {Object} - { tx, functionName, from } with the forwarder's transaction
+ */
+const sendForwardRequest = async (contracts, request, signature) => {
+    const forwarderContract = getForwarder(contracts);
+
+    const forwardRequest = {
+        from: ethers.getAddress(request.from),
+        to: ethers.getAddress(request.to),
+        gas: BigInt(request.gas),
+        nonce: BigInt(request.nonce),
+        deadline: BigInt(request.deadline),
+        data: request.data
+    };
+
+    const domain = await getDomain(contracts);
+    let signer;
+    try {
+        signer = ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, forwardRequest, signature);
+    } catch (error) {
+        throw createApiError('INVALID_SIGNATURE', 'Invalid signature for forward request');
+    }
+    if (signer !== forwardRequest.from) {
+        throw createApiError('INVALID_SIGNATURE', 'Signature does not match request signer');
+    }
+
+    const isValid = await forwarderContract.verify(forwardRequest, signature);
+    if (!isValid) {
+        throw createApiError('RELAY_REQUEST_USED');
+    }
+    const { contractName, functionName, args } = await decodeForwardRequest(contracts, forwardRequest);
+    validateCall(contractName, functionName, args);
+
+    // Storage refunds in the inner call (e.g. clearing a consent scope) make the
+    // node's estimate too tight for the forwarder's own gas check
+    const estimatedGas = await forwarderContract.execute.estimateGas(forwardRequest, signature);
+    const tx = await forwarderContract.execute(forwardRequest, signature, {
+        gasLimit: estimatedGas + estimatedGas / 5n
+    });
+    return { tx, functionName, from: forwardRequest.from };
+};
+
+/**
+ * Verify a signed forward request and submit it through the forwarder
+ * @param {Object} contracts - Contract instances from contractUtils
+ * @param {Object} request - Forward request as returned by prepareForwardRequest (message)
+ * @param {string} signature - EIP-712 signature of the request
+ * @returns {Object} - Transaction receipt
+ */
+const relayForwardRequest = async (contracts, request, signature) => {
+    const { tx, functionName, from } = await sendForwardRequest(contracts, request, signature);
+    return waitForTransaction(tx, functionName, from);
+};
+
+/**
+ * Relay a signed request on behalf of the authenticated user, making sure it
+ * calls the function the endpoint is for
+ * @param {Object} contracts - Contract instances from contractUtils
+ * @param {string} signerAddress - Address of the authenticated user
+ * @param {Object} body - Request body with { request, signature }
+ * @param {string} contractName - Expected target contract
+ * @param {string} functionName - Expected target function
+ * @param {Object} [options]
+ * @param {boolean} [options.wait=true] - Wait for the transaction; false returns it once sent (for ?async=true)
+ * @returns {Object} - { args, receipt }, or { args, tx } when not waiting
+ */
+const relaySignedCall = async (contracts, signerAddress, body, contractName, functionName, { wait = true } = {}) => {
+    const { request, signature } = body;
+
+    if (!request || !signature) {
+        throw createApiError('VALIDATION_ERROR', `All fields are required: request, signature (sign ${contractName}.${functionName} via /api/relay/prepare)`);
+    }
+
+    if (String(request.from).toLowerCase() !== signerAddress.toLowerCase()) {
+        throw createApiError('FORBIDDEN', 'Request signer must be the authenticated user');
+    }
+
+    const call = await decodeForwardRequest(contracts, request);
+    if (call.contractName !== contractName || call.functionName !== functionName) {
+        throw createApiError('INVALID_RELAY_REQUEST', `Signed request must call ${contractName}.${functionName}`);
+    }
+
+    if (!wait) {
+        const { tx } = await sendForwardRequest(contracts, request, signature);
+        return { args: call.args, tx };
+    }
+    const receipt = await relayForwardRequest(contracts, request, signature);
+    return { args: call.args, receipt };
+};
+
+module.exports = {
+    FORWARD_REQUEST_TYPES,
+    registerCallValidator,
+    getDomain,
+    prepareForwardRequest,
+    decodeForwardRequest,
+    relayForwardRequest,
+    relaySignedCall
+};
@@ -0,0 +1,20 @@
+const { ethers } = require('ethers');
+
+/**
+ * API role names for AdminContract's admin roles, mapped to the contract's
+ * role constants (keccak256 of the constant's name)
+ * - super-admin:           every admin role, and manages role grants
+ * - registrar:             registers and deactivates patients
+ * - credentialing-officer: registers doctors and manages their status
+ * - auditor:               read-only access to admin data
+ */
+const ADMIN_ROLES = {
+    'super-admin': ethers.id('SUPER_ADMIN_ROLE'),
+    registrar: ethers.id('REGISTRAR_ROLE'),
+    'credentialing-officer': ethers.id('CREDENTIALING_ROLE'),
+    auditor: ethers.id('AUDITOR_ROLE')
+};
+
+module.exports = {
+    ADMIN_ROLES
+};
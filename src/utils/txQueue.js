@@ -0,0 +1,160 @@
+const { recordReplacement } = require('./txTracker');
+
+// Nodes only accept a replacement that raises the fees by at least 10%
+const MIN_GAS_BUMP_PERCENT = 10;
+
+const getStuckAfterSeconds = () => Number(process.env.TX_STUCK_AFTER_SECONDS ?? 120);
+const getGasBumpPercent = () => Math.max(Number(process.env.TX_GAS_BUMP_PERCENT ?? 20), MIN_GAS_BUMP_PERCENT);
+const getMaxGasBumps = () => Number(process.env.TX_MAX_GAS_BUMPS ?? 3);
+
+const bumpFee = (value) => value === null || value === undefined
+    ? value
+    : value * BigInt(100 + getGasBumpPercent()) / 100n;
+
+/**
+ * Create a contract runner that sends the shared API wallet's transactions
+ * one at a time, with nonces tracked locally, so concurrent requests never
+ * race for the same nonce. Reads and gas estimates go straight to the wallet.
+ * Transactions still unmined after TX_STUCK_AFTER_SECONDS are re-sent with
+ * TX_GAS_BUMP_PERCENT higher fees, at most TX_MAX_GAS_BUMPS times.
+ * @param {Object} wallet - ethers Wallet connected to a provider
+ * @returns {Object} - Signer to connect the contracts to, plus { getQueueStatus, resubmitStuckTransactions }
+ */
+const createQueuedSigner = (wallet) => {
+    // The last send in the queue; each send starts once the previous one is done
+    let tail = Promise.resolve();
+    let queued = 0;
+    let nextNonce = null;
+    let checking = false;
+    // Sent but not yet mined: nonce => { hash, request, sentAt, bumps }
+    const inFlight = new Map();
+
+    const enqueue = (job) => {
+        queued++;
+        const run = tail.then(job).finally(() => {
+            queued--;
+        });
+        tail = run.catch(() => {});
+        return run;
+    };
+
+    const send = async (tx, resynced = false) => {
+        if (nextNonce === null) {
+            nextNonce = await wallet.getNonce('pending');
+        }
+        try {
+            // Populating estimates the gas, so a call that would revert fails before it takes a nonce
+            const request = await wallet.populateTransaction({ ...tx, nonce: nextNonce });
+            const response = await wallet.sendTransaction(request);
+            nextNonce++;
+            inFlight.set(response.nonce, { hash: response.hash, request, sentAt: Date.now(), bumps: 0 });
+            return response;
+        } catch (error) {
+            // The node's nonce moved without us (e.g. another process used the wallet): resync and try once more
+            nextNonce = null;
+            if (!resynced && error.code === 'NONCE_EXPIRED') {
+                return send(tx, true);
+            }
+            throw error;
+        }
+    };
+
+    const resubmit = async (nonce, entry) => {
+        const { request } = entry;
+        const feeData = await wallet.provider.getFeeData();
+        const replacement = request.maxFeePerGas !== null && request.maxFeePerGas !== undefined
+            ? {
+                ...request,
+                maxFeePerGas: [bumpFee(request.maxFeePerGas), feeData.maxFeePerGas].reduce((a, b) => (b > a ? b : a)),
+                maxPriorityFeePerGas: [bumpFee(request.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas].reduce((a, b) => (b > a ? b : a))
+            }
+            : {
+                ...request,
+                gasPrice: [bumpFee(request.gasPrice), feeData.gasPrice].reduce((a, b) => (b > a ? b : a))
+            };
+
+        const response = await wallet.sendTransaction(replacement);
+        console.warn(`Transaction ${entry.hash} (nonce ${nonce}) was stuck - re-sent with higher fees as ${response.hash}`);
+        recordReplacement(entry.hash, response.hash);
+        inFlight.set(nonce, { hash: response.hash, request: replacement, sentAt: Date.now(), bumps: entry.bumps + 1 });
+    };
+
+    const checkInFlight = async () => {
+        const minedNonce = await wallet.getNonce('latest');
+        for (const [nonce, entry] of inFlight) {
+            if (nonce < minedNonce) {
+                inFlight.delete(nonce);
+                continue;
+            }
+            const stuck = Date.now() - entry.sentAt >= getStuckAfterSeconds() * 1000;
+            if (!stuck || entry.bumps >= getMaxGasBumps()) continue;
+
+            // Re-sends share the queue, so they never interleave with new sends
+            await enqueue(() => resubmit(nonce, entry)).catch(error => {
+                if (error.code === 'NONCE_EXPIRED') {
+                    inFlight.delete(nonce);
+                } else {
+                    console.error(`Re-sending stuck transaction ${entry.hash} failed:`, error.message);
+                }
+            });
+        }
+    };
+
+    /**
+     * Forget mined transactions and re-send stuck ones with higher fees
+     * Called periodically (see TX_QUEUE_CHECK_INTERVAL_SECONDS in contractUtils)
+     */
+    const resubmitStuckTransactions = async () => {
+        if (checking) return;
+        checking = true;
+        try {
+            await checkInFlight();
+        } finally {
+            checking = false;
+        }
+    };
+
+    /**
+     * Get the queue's depth and the transactions waiting to be mined
+     * @returns {Promise<Object>} - { address, nextNonce, minedNonce, queued, inFlight }
+     */
+    const getQueueStatus = async () => {
+        const minedNonce = await wallet.getNonce('latest');
+        return {
+            address: wallet.address,
+            nextNonce,
+            minedNonce,
+            queued,
+            inFlight: [...inFlight.entries()]
+                .filter(([nonce]) => nonce >= minedNonce)
+                .sort(([a], [b]) => a - b)
+                .map(([nonce, entry]) => ({
+                    nonce,
+                    hash: entry.hash,
+                    sentAt: new Date(entry.sentAt).toISOString(),
+                    ageSeconds: Math.floor((Date.now() - entry.sentAt) / 1000),
+                    bumps: entry.bumps,
+                    stuck: Date.now() - entry.sentAt >= getStuckAfterSeconds() * 1000
+                }))
+        };
+    };
+
+    return {
+        provider: wallet.provider,
+        address: wallet.address,
+        getAddress: () => wallet.getAddress(),
+        getNonce: (blockTag) => wallet.getNonce(blockTag),
+        call: (tx) => wallet.call(tx),
+        estimateGas: (tx) => wallet.estimateGas(tx),
+        resolveName: (name) => wallet.resolveName(name),
+        signMessage: (message) => wallet.signMessage(message),
+        signTypedData: (domain, types, value) => wallet.signTypedData(domain, types, value),
+        sendTransaction: (tx) => enqueue(() => send(tx)),
+        getQueueStatus,
+        resubmitStuckTransactions
+    };
+};
+
+module.exports = {
+    createQueuedSigner
+};
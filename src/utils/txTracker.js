@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const { makeError } = require('ethers');
+const { createJsonStore } = require('./jsonStore');
+const { findRevertData } = require('./errorUtils');
+
+/**
+ * Transaction states:
+ * - pending:   not mined yet, or mined with fewer confirmations than its operation requires
+ * - confirmed: mined with the required confirmations, but could still be reorganised away
+ * - final:     TX_FINALITY_DEPTH blocks deep, treated as irreversible
+ * - failed:    mined but reverted
+ * - dropped:   no longer known to the node (e.g. reorganised away and not re-included) or replaced
+ */
+const TX_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    FINAL: 'final',
+    FAILED: 'failed',
+    DROPPED: 'dropped'
+};
+
+// States the monitor no longer checks
+const SETTLED_STATUSES = [TX_STATUS.FINAL, TX_STATUS.FAILED, TX_STATUS.DROPPED];
+
+const transactionStore = createJsonStore('transactions.json', () => ({
+    transactions: {}
+}));
+
+// Longest a status request may wait for a transaction to settle
+const MAX_POLL_SECONDS = 60;
+
+// How often a waiting write checks whether its transaction was re-sent under a new hash
+const REPLACEMENT_CHECK_MS = 5000;
+
+let monitoring = null;
+
+/**
+ * Parse TX_CONFIRMATION_OVERRIDES ("registerDoctor=2,addMedicalRecordByAdmin=3")
+ * @returns {Object} - Contract function name => confirmations
+ */
+const getConfirmationOverrides = () => {
+    return Object.fromEntries(
+        (process.env.TX_CONFIRMATION_OVERRIDES || '')
+            .split(',')
+            .map(entry => entry.split('=').map(part => part.trim()))
+            .filter(([operation, confirmations]) => operation && Number(confirmations) > 0)
+            .map(([operation, confirmations]) => [operation, Number(confirmations)])
+    );
+};
+
+/**
+ * Get how many confirmations a write must have before the API reports it as done
+ * @param {string} operation - Contract function the transaction calls
+ * @returns {number}
+ */
+const getRequiredConfirmations = (operation) => {
+    const override = getConfirmationOverrides()[operation];
+    return override || Math.max(Number(process.env.TX_CONFIRMATIONS) || 1, 1);
+};
+
+/**
+ * Get how many blocks deep a transaction must be to be treated as final
+ * @returns {number}
+ */
+const getFinalityDepth = () => Math.max(Number(process.env.TX_FINALITY_DEPTH ?? 12), 1);
+
+/**
+ * Get how many transactions transactions.json keeps; settled ones beyond that are pruned, oldest first
+ * @returns {number}
+ */
+const getMaxTrackedTransactions = () => Math.max(Number(process.env.TX_TRACKER_MAX_ENTRIES) || 1000, 1);
+
+/**
+ * Work out the state of something mined with a number of confirmations
+ * @param {number} confirmations - 0 if not mined
+ * @param {number} [requiredConfirmations] - Defaults to TX_CONFIRMATIONS
+ * @returns {string} - pending, confirmed or final
+ */
+const getConfirmationStatus = (confirmations, requiredConfirmations = getRequiredConfirmations()) => {
+    if (confirmations >= getFinalityDepth()) {
+        return TX_STATUS.FINAL;
+    }
+    return confirmations >= requiredConfirmations ? TX_STATUS.CONFIRMED : TX_STATUS.PENDING;
+};
+
+/**
+ * Record a change to a tracked transaction, keeping a history of its states
+ */
+const updateTransaction = (hash, changes) => {
+    return transactionStore.update(store => {
+        const entry = store.transactions[hash];
+        const now = new Date().toISOString();
+        const moved = ('status' in changes && changes.status !== entry.status) ||
+            ('blockHash' in changes && changes.blockHash !== entry.blockHash);
+        Object.assign(entry, changes, { updatedAt: now });
+        if (moved) {
+            entry.history.push({ status: entry.status, blockNumber: entry.blockNumber, blockHash: entry.blockHash, at: now });
+        }
+        return entry;
+    });
+};
+
+/**
+ * Start tracking a submitted transaction
+ * @param {Object} tx - ethers TransactionResponse
+ * @param {string} operation - Contract function the transaction calls
+ * @param {string|null} [submittedBy] - User the API sent it for; null for its own jobs
+ * @returns {Object} - Tracked entry
+ */
+const trackTransaction = (tx, operation, submittedBy = null) => {
+    return transactionStore.update(store => {
+        const now = new Date().toISOString();
+        const entry = {
+            id: crypto.randomUUID(),
+            hash: tx.hash,
+            operation,
+            from: tx.from,
+            submittedBy,
+            nonce: tx.nonce,
+            status: TX_STATUS.PENDING,
+            requiredConfirmations: getRequiredConfirmations(operation),
+            confirmations: 0,
+            blockNumber: null,
+            blockHash: null,
+            reorgs: 0,
+            replacedBy: null,
+            submittedAt: now,
+            updatedAt: now,
+            history: [{ status: TX_STATUS.PENDING, blockNumber: null, blockHash: null, at: now }]
+        };
+        store.transactions[tx.hash] = entry;
+        pruneTransactions(store);
+        return entry;
+    });
+};
+
+/**
+ * Drop the oldest settled transactions once the store holds more than
+ * TX_TRACKER_MAX_ENTRIES; unsettled ones are kept until the monitor settles them
+ * @param {Object} store - transactions.json document, changed in place
+ */
+const pruneTransactions = (store) => {
+    const entries = Object.values(store.transactions);
+    const excess = entries.length - getMaxTrackedTransactions();
+    if (excess <= 0) return;
+
+    entries
+        .filter(entry => SETTLED_STATUSES.includes(entry.status))
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+        .slice(0, excess)
+        .forEach(entry => {
+            delete store.transactions[entry.hash];
+        });
+};
+
+/**
+ * Get a tracked transaction
+ * @param {string} id - Tracking ID or transaction hash
+ * @returns {Object|null}
+ */
+const getTrackedTransaction = (id) => {
+    const wanted = String(id).toLowerCase();
+    return Object.values(transactionStore.read().transactions)
+        .find(entry => entry.id === id || entry.hash.toLowerCase() === wanted) || null;
+};
+
+/**
+ * List tracked transactions, newest first
+ * @param {Object} filter - { status, operation, from }
+ * @returns {Object[]}
+ */
+const listTrackedTransactions = ({ status, operation, from } = {}) => {
+    return Object.values(transactionStore.read().transactions)
+        .filter(entry => !status || entry.status === status)
+        .filter(entry => !operation || entry.operation === operation)
+        .filter(entry => !from || (entry.from && entry.from.toLowerCase() === from.toLowerCase()))
+        .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+};
+
+/**
+ * Replay a reverted transaction to get its revert data, which a mined receipt
+ * does not carry. The state before its block is tried first; if the conflict came
+ * from an earlier transaction in the same block, the state after the block is.
+ * @returns {Promise<string|null>} - ABI-encoded revert data
+ */
+const getRevertData = async (provider, tx, receipt) => {
+    for (const blockTag of [receipt.blockNumber - 1, receipt.blockNumber]) {
+        try {
+            await provider.call({
+                from: tx.from,
+                to: tx.to,
+                data: tx.data,
+                value: tx.value,
+                gasLimit: tx.gasLimit,
+                blockTag
+            });
+        } catch (error) {
+            return findRevertData(error);
+        }
+    }
+    return null;
+};
+
+/**
+ * Send-and-wait for a write: tracks the transaction and resolves once it has
+ * the confirmations its operation requires
+ * @param {Object} tx - ethers TransactionResponse
+ * @param {string} operation - Contract function the transaction calls
+ * @param {string|null} [submittedBy] - User the API sent it for
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+const waitForTransaction = async (tx, operation, submittedBy = null) => {
+    const entry = trackTransaction(tx, operation, submittedBy);
+
+    // ethers does not notice when the queue re-sends a contract call with higher fees
+    // (see txQueue), so keep waiting on whichever copy was sent last
+    let receipt = null;
+    while (!receipt) {
+        // Settled entries may be pruned from the store meanwhile
+        const { status, replacedBy } = getTrackedTransaction(tx.hash) || entry;
+        if (status === TX_STATUS.DROPPED) {
+            throw makeError('transaction was dropped', 'TRANSACTION_REPLACED', {
+                cancelled: true,
+                reason: 'cancelled',
+                hash: tx.hash,
+                replacement: null,
+                receipt: null
+            });
+        }
+        receipt = await tx.provider.waitForTransaction(replacedBy || tx.hash, entry.requiredConfirmations, REPLACEMENT_CHECK_MS)
+            .catch(error => {
+                if (error.code === 'TIMEOUT') return null;
+                throw error;
+            });
+        if (!receipt && replacedBy) {
+            // The original may have been mined before its replacement; the refresh then clears replacedBy
+            await refreshTransaction(tx.provider, tx.hash);
+        }
+    }
+    await refreshTransaction(tx.provider, tx.hash);
+
+    if (receipt.status === 0) {
+        throw makeError('transaction execution reverted', 'CALL_EXCEPTION', {
+            action: 'sendTransaction',
+            data: await getRevertData(tx.provider, tx, receipt),
+            reason: null,
+            invocation: null,
+            revert: null,
+            transaction: { to: tx.to, from: tx.from, data: tx.data },
+            receipt
+        });
+    }
+    return receipt;
+};
+
+/**
+ * Point a tracked transaction at the copy that replaced it with higher fees;
+ * status checks follow the replacement from then on
+ * @param {string} hash - Hash of the replaced transaction (or of an earlier replacement)
+ * @param {string} replacementHash - Hash of the new transaction
+ * @returns {Object|null} - Updated entry, or null if the transaction is not tracked
+ */
+const recordReplacement = (hash, replacementHash) => {
+    const entry = Object.values(transactionStore.read().transactions)
+        .find(candidate => candidate.hash === hash || candidate.replacedBy === hash);
+    return entry ? updateTransaction(entry.hash, { replacedBy: replacementHash }) : null;
+};
+
+/**
+ * Whether the client asked for a write to be answered as soon as it is submitted (?async=true)
+ */
+const isAsyncRequest = (req) => ['true', '1'].includes(String(req.query.async));
+
+/**
+ * Track a write answered before it is mined; the monitor (or a status
+ * request) settles it later
+ * @param {Object} tx - ethers TransactionResponse
+ * @param {string} operation - Contract function the transaction calls
+ * @param {string} submittedBy - User the API sent it for, who may then check its status
+ * @returns {Object} - { transactionId, transactionHash, status, statusUrl } for the 202 response
+ */
+const acceptTransaction = (tx, operation, submittedBy) => {
+    const entry = trackTransaction(tx, operation, submittedBy);
+    return {
+        transactionId: entry.id,
+        transactionHash: entry.hash,
+        status: entry.status,
+        statusUrl: `/api/transactions/${entry.id}`
+    };
+};
+
+/**
+ * Hashes a tracked transaction may be mined under, newest copy first
+ */
+const getCopyHashes = (entry) => entry.replacedBy ? [entry.replacedBy, entry.hash] : [entry.hash];
+
+/**
+ * Find the receipt of whichever copy of a transaction was mined. A copy re-sent
+ * with higher fees shares the original's nonce, so only one of them can be mined,
+ * but it may be either: the original can still win the race after being replaced.
+ * @returns {Promise<{ hash: string, receipt: Object|null }>} - Hash that was mined (or is newest) and its receipt
+ */
+const findReceipt = async (provider, entry) => {
+    const hashes = getCopyHashes(entry);
+    for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+            return { hash, receipt };
+        }
+    }
+    return { hash: hashes[0], receipt: null };
+};
+
+/**
+ * Re-check a tracked transaction against the chain. A transaction whose block
+ * was reorganised away goes back to pending (or dropped if the node no longer
+ * knows it or any copy of it), and one re-mined in another block has its block updated.
+ * @param {Object} provider - ethers provider
+ * @param {string} id - Tracking ID or transaction hash
+ * @returns {Promise<Object|null>} - Updated entry, or null if the transaction is not tracked
+ */
+const refreshTransaction = async (provider, id) => {
+    const entry = getTrackedTransaction(id);
+    if (!entry || SETTLED_STATUSES.includes(entry.status)) {
+        return entry;
+    }
+
+    const [{ hash, receipt }, headBlock] = await Promise.all([
+        findReceipt(provider, entry),
+        provider.getBlockNumber()
+    ]);
+    // A block hash that changed or disappeared means the block it was in is no longer canonical
+    const reorged = entry.blockHash !== null && (!receipt || receipt.blockHash !== entry.blockHash);
+    const reorgs = entry.reorgs + (reorged ? 1 : 0);
+    if (reorged) {
+        console.warn(`Transaction ${entry.hash} (${entry.operation}) was reorganised out of block ${entry.blockNumber}`);
+    }
+
+    if (receipt) {
+        // The provider may cache the block number for a moment, so a mined transaction counts at least its own block
+        const confirmations = Math.max(headBlock, receipt.blockNumber) - receipt.blockNumber + 1;
+        return updateTransaction(entry.hash, {
+            status: receipt.status === 0
+                ? TX_STATUS.FAILED
+                : getConfirmationStatus(confirmations, entry.requiredConfirmations),
+            confirmations,
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            reorgs,
+            // The original was mined, so its replacement never will be
+            ...(entry.replacedBy && hash === entry.hash && { replacedBy: null })
+        });
+    }
+
+    // Either copy may still be waiting in the mempool
+    const known = (await Promise.all(getCopyHashes(entry).map(candidate => provider.getTransaction(candidate)))).some(Boolean);
+    return updateTransaction(entry.hash, {
+        status: known ? TX_STATUS.PENDING : TX_STATUS.DROPPED,
+        confirmations: 0,
+        blockNumber: null,
+        blockHash: null,
+        reorgs
+    });
+};
+
+/**
+ * Long-poll a tracked transaction: re-check it every second until it is no
+ * longer pending or the timeout runs out
+ * @param {Object} provider - ethers provider
+ * @param {string} id - Tracking ID or transaction hash
+ * @param {number} timeoutSeconds - Capped at MAX_POLL_SECONDS
+ * @returns {Promise<Object|null>} - Latest entry, or null if the transaction is not tracked
+ */
+const pollTransaction = async (provider, id, timeoutSeconds) => {
+    const deadline = Date.now() + Math.min(timeoutSeconds, MAX_POLL_SECONDS) * 1000;
+    let entry = await refreshTransaction(provider, id);
+    while (entry && entry.status === TX_STATUS.PENDING && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000, deadline - Date.now())));
+        entry = await refreshTransaction(provider, id);
+    }
+    return entry;
+};
+
+/**
+ * Re-check every transaction that is not settled yet
+ * @param {Object} provider - ethers provider
+ * @returns {Promise<Object[]>} - Entries whose status changed
+ */
+const checkTransactions = async (provider) => {
+    const changed = [];
+    for (const entry of Object.values(transactionStore.read().transactions)) {
+        if (SETTLED_STATUSES.includes(entry.status)) continue;
+        const updated = await refreshTransaction(provider, entry.hash);
+        if (updated.status !== entry.status || updated.blockHash !== entry.blockHash) {
+            changed.push(updated);
+        }
+    }
+    return changed;
+};
+
+/**
+ * Re-check unsettled transactions on an interval
+ * @param {Object} provider - ethers provider
+ * @param {number} intervalSeconds - How often to check
+ */
+const startTransactionMonitor = (provider, intervalSeconds) => {
+    setInterval(() => {
+        if (monitoring) return;
+        monitoring = checkTransactions(provider)
+            .catch(error => console.error('Transaction monitoring failed:', error.message))
+            .finally(() => {
+                monitoring = null;
+            });
+    }, intervalSeconds * 1000).unref();
+};
+
+module.exports = {
+    TX_STATUS,
+    MAX_POLL_SECONDS,
+    getRequiredConfirmations,
+    getFinalityDepth,
+    getConfirmationStatus,
+    trackTransaction,
+    getTrackedTransaction,
+    listTrackedTransactions,
+    getRevertData,
+    waitForTransaction,
+    recordReplacement,
+    isAsyncRequest,
+    acceptTransaction,
+    refreshTransaction,
+    pollTransaction,
+    checkTransactions,
+    startTransactionMonitor
+};
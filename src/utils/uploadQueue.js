@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { createJsonStore, getDataDir } = require('./jsonStore');
+const { createApiError } = require('./errorUtils');
+const {
+    generateDataKey,
+    createEncryptStream,
+    encryptWithDataKey,
+    decryptWithDataKey,
+    createEnvelope,
+    openEnvelope,
+    deleteEnvelope
+} = require('./keyUtils');
+
+/**
+ * Upload states:
+ * - pending:   the file is stored locally and waiting to be uploaded to IPFS
+ * - uploaded:  the file is on IPFS but the record is not on-chain yet
+ * - completed: the record was committed with the real CID
+ * - failed:    automatic retries gave up; the queued file and record details are deleted
+ */
+const UPLOAD_STATUS = {
+    PENDING: 'pending',
+    UPLOADED: 'uploaded',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const queueStore = createJsonStore('pending-uploads.json', () => ({
+    uploads: {}
+}));
+
+const getQueueDir = () => path.join(getDataDir(), 'pending-uploads');
+
+/**
+ * Delete the local copy of a queued file, and its envelope if it never reached storage
+ */
+const purgeQueuedFile = (entry) => {
+    fs.rmSync(entry.filePath, { force: true });
+    if (entry.envelopeId && !entry.cid) {
+        deleteEnvelope(entry.envelopeId);
+    }
+};
+
+/**
+ * Persist a failed upload so it can be retried later. The file is encrypted
+ * into the queue under a new data key whose envelope is created right away (it
+ * moves to the CID once the file is stored), and the record details are sealed
+ * with the same key, so nothing is queued in plaintext.
+ * @param {string} filePath - Temporary path of the uploaded file (deleted once queued)
+ * @param {Object} details - { fileName, patientId, authorId, recordType, diagnosis, treatment, error }
+ * @returns {Promise<Object>} - Queue entry
+ */
+const enqueueUpload = async (filePath, details) => {
+    const id = crypto.randomUUID();
+    const queuedPath = path.join(getQueueDir(), `${id}.enc`);
+    const envelopeId = `pending-upload:${id}`;
+    const dataKey = generateDataKey();
+
+    fs.mkdirSync(getQueueDir(), { recursive: true });
+    try {
+        await pipeline(fs.createReadStream(filePath), createEncryptStream(dataKey), fs.createWriteStream(queuedPath, { mode: 0o600 }));
+        createEnvelope(envelopeId, dataKey, details.patientId, details.authorId, details.recordType);
+    } catch (error) {
+        fs.rmSync(queuedPath, { force: true });
+        throw error;
+    }
+    fs.rmSync(filePath, { force: true });
+
+    const recordDetails = JSON.stringify({ diagnosis: details.diagnosis, treatment: details.treatment });
+    const now = new Date().toISOString();
+    const entry = {
+        id,
+        status: UPLOAD_STATUS.PENDING,
+        fileName: details.fileName,
+        filePath: queuedPath,
+        envelopeId,
+        patientId: details.patientId,
+        authorId: details.authorId,
+        sealedDetails: encryptWithDataKey(recordDetails, dataKey).toString('hex'),
+        attempts: 1,
+        lastError: details.error || null,
+        cid: null,
+        transactionHash: null,
+        blockNumber: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    queueStore.update(store => {
+        store.uploads[id] = entry;
+    });
+    return entry;
+};
+
+/**
+ * Decrypt the diagnosis and treatment of a queued upload with the uploader's key
+ * @returns {Object|null} - { diagnosis, treatment }, null once they are deleted
+ */
+const openUploadDetails = (entry) => {
+    if (!entry.sealedDetails) {
+        // Queued before record details were sealed
+        return entry.diagnosis ? { diagnosis: entry.diagnosis, treatment: entry.treatment } : null;
+    }
+    const dataKey = openEnvelope(entry.cid || entry.envelopeId, entry.authorId);
+    return JSON.parse(decryptWithDataKey(Buffer.from(entry.sealedDetails, 'hex'), dataKey).toString('utf8'));
+};
+
+/**
+ * Get a queue entry by ID
+ * @returns {Object|null}
+ */
+const getUpload = (id) => queueStore.read().uploads[id] || null;
+
+/**
+ * List queue entries, oldest first
+ * @param {Object} filter - { status, authorId }
+ * @returns {Object[]}
+ */
+const listUploads = ({ status, authorId } = {}) => {
+    return Object.values(queueStore.read().uploads)
+        .filter(entry => !status || entry.status === status)
+        .filter(entry => !authorId || entry.authorId.toLowerCase() === authorId.toLowerCase())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Update a queue entry. Once the record is completed or retries give up, the
+ * local copy of the file and the record details are deleted.
+ * @returns {Object} - Updated entry
+ */
+const updateUpload = (id, changes) => {
+    const entry = queueStore.update(store => {
+        const current = store.uploads[id];
+        if (!current) {
+            throw createApiError('UPLOAD_NOT_FOUND', `Pending upload ${id} not found`);
+        }
+        Object.assign(current, changes, { updatedAt: new Date().toISOString() });
+        if (current.status === UPLOAD_STATUS.COMPLETED || current.status === UPLOAD_STATUS.FAILED) {
+            delete current.sealedDetails;
+            delete current.diagnosis;
+            delete current.treatment;
+        }
+        return current;
+    });
+
+    if (entry.status === UPLOAD_STATUS.COMPLETED || entry.status === UPLOAD_STATUS.FAILED) {
+        purgeQueuedFile(entry);
+    }
+    return entry;
+};
+
+/**
+ * Remove a queue entry along with its queued file
+ * @returns {Object} - Removed entry
+ */
+const removeUpload = (id) => {
+    const entry = queueStore.update(store => {
+        const current = store.uploads[id];
+        if (!current) {
+            throw createApiError('UPLOAD_NOT_FOUND', `Pending upload ${id} not found`);
+        }
+        delete store.uploads[id];
+        return current;
+    });
+
+    purgeQueuedFile(entry);
+    return entry;
+};
+
+module.exports = {
+    UPLOAD_STATUS,
+    enqueueUpload,
+    openUploadDetails,
+    getUpload,
+    listUploads,
+    updateUpload,
+    removeUpload
+};
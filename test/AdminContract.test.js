@@ -9,6 +9,27 @@ contract("AdminContract", (accounts) => {
   const patient2 = accounts[4];
   const unauthorized = accounts[5];
 
+  const rpc = (method, params = []) =>
+    new Promise((resolve, reject) =>
+      web3.currentProvider.send(
+        { jsonrpc: "2.0", id: Date.now(), method, params },
+        (error, response) => (error ? reject(error) : resolve(response))
+      )
+    );
+
+  const increaseTime = async (seconds) => {
+    await rpc("evm_increaseTime", [seconds]);
+    await rpc("evm_mine");
+  };
+
+  const now = async () => Number((await web3.eth.getBlock("latest")).timestamp);
+
+  // DoctorStatus enum values
+  const PENDING = 1;
+  const ACTIVE = 2;
+  const SUSPENDED = 3;
+  const REVOKED = 4;
+
   beforeEach(async () => {
     // Deploy a fresh instance for each test to avoid state pollution
     adminInstance = await AdminContract.new({ from: owner });
@@ -100,6 +121,108 @@ contract("AdminContract", (accounts) => {
       assert.include(doctorIds, doctor1, "Should include doctor1");
       assert.include(doctorIds, doctor2, "Should include doctor2");
     });
+
+    it("should emit events when doctor or patient details change", async () => {
+      await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+      await adminInstance.registerPatient(patient1, "Alice", "1990-01-01", "1234567890", "Bob", { from: owner });
+
+      let tx = await adminInstance.updateDoctorInfo(doctor1, "Dr. Smith", "Neurology", "LIC001", { from: owner });
+      assert.equal(tx.logs[0].event, "DoctorInfoUpdated", "Should emit DoctorInfoUpdated event");
+      assert.equal(tx.logs[0].args.doctorId, doctor1, "Event should contain correct doctor ID");
+
+      tx = await adminInstance.updatePatientInfo(patient1, "Alice Smith", "1990-01-01", "1234567890", "Bob", { from: owner });
+      assert.equal(tx.logs[0].event, "PatientInfoUpdated", "Should emit PatientInfoUpdated event");
+      assert.equal(tx.logs[0].args.patientId, patient1, "Event should contain correct patient ID");
+    });
+  });
+
+  describe("Doctor Lifecycle", () => {
+    it("should activate a pending doctor once credentials are verified", async () => {
+      await adminInstance.registerPendingDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+      assert.isFalse(await adminInstance.isDoctorAuthorized(doctor1), "Pending doctor should not be authorized");
+      assert.equal(Number((await adminInstance.doctors(doctor1)).status), PENDING, "Doctor should be pending");
+
+      const expiry = (await now()) + 3600;
+      const tx = await adminInstance.verifyDoctor(doctor1, expiry, "License checked", { from: owner });
+
+      const doctor = await adminInstance.doctors(doctor1);
+      assert.equal(Number(doctor.status), ACTIVE, "Doctor should be active");
+      assert.equal(Number(doctor.licenseExpiry), expiry, "License expiry should be stored");
+      assert.isTrue(await adminInstance.isDoctorAuthorized(doctor1), "Verified doctor should be authorized");
+      assert.equal(tx.logs[0].event, "DoctorStatusChanged", "Should emit DoctorStatusChanged event");
+      assert.equal(tx.logs[0].args.reason, "License checked", "Event should carry the reason");
+    });
+
+    it("should suspend and reinstate a doctor with a reason", async () => {
+      await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+
+      try {
+        await adminInstance.suspendDoctor(doctor1, "", { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Reason required");
+      }
+
+      await adminInstance.suspendDoctor(doctor1, "Under review", { from: owner });
+      assert.isFalse(await adminInstance.isDoctorAuthorized(doctor1), "Suspended doctor should not be authorized");
+
+      try {
+        await adminInstance.verifyDoctor(doctor1, 0, "Verified", { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Doctor is not pending or active");
+      }
+
+      await adminInstance.reinstateDoctor(doctor1, 0, "Review passed", { from: owner });
+      assert.isTrue(await adminInstance.isDoctorAuthorized(doctor1), "Reinstated doctor should be authorized");
+
+      const history = await adminInstance.getDoctorStatusHistory(doctor1);
+      assert.deepEqual(history.map(h => Number(h.status)), [ACTIVE, SUSPENDED, ACTIVE], "History should list every status");
+      assert.equal(history[1].reason, "Under review", "History should keep the reason");
+      assert.equal(history[1].changedBy, owner, "History should record who changed the status");
+    });
+
+    it("should stop authorizing a doctor whose license lapsed and let anyone suspend them", async () => {
+      await adminInstance.registerPendingDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+      await adminInstance.verifyDoctor(doctor1, (await now()) + 60, "License checked", { from: owner });
+
+      try {
+        await adminInstance.suspendExpiredDoctor(doctor1, { from: unauthorized });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "License has not expired");
+      }
+
+      await increaseTime(120);
+      assert.isFalse(await adminInstance.isDoctorAuthorized(doctor1), "Expired license should not be authorized");
+      assert.isFalse((await adminInstance.getDoctorInfo(doctor1)).isAuthorized, "Doctor info should reflect the expiry");
+      assert.equal((await adminInstance.getAllDoctors()).length, 0, "Expired doctors should not be listed as active");
+
+      await adminInstance.suspendExpiredDoctor(doctor1, { from: unauthorized });
+      const suspended = await adminInstance.getDoctorsByStatus(SUSPENDED);
+      assert.equal(suspended.length, 1, "Doctor should be listed as suspended");
+      assert.equal(suspended[0].id, doctor1);
+
+      const history = await adminInstance.getDoctorStatusHistory(doctor1);
+      assert.equal(history[history.length - 1].reason, "License expired");
+    });
+
+    it("should let a revoked doctor register again without listing them twice", async () => {
+      await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+      await adminInstance.revokeDoctor(doctor1, { from: owner });
+      assert.equal(Number((await adminInstance.doctors(doctor1)).status), REVOKED, "Doctor should be revoked");
+
+      try {
+        await adminInstance.reinstateDoctor(doctor1, 0, "Back", { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Doctor is not suspended");
+      }
+
+      await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC002", { from: owner });
+      assert.isTrue(await adminInstance.isDoctorAuthorized(doctor1), "Re-registered doctor should be authorized");
+      assert.equal((await adminInstance.getDoctorsByStatus(ACTIVE)).length, 1, "Doctor should be listed once");
+    });
   });
 
   describe("Patient Management", () => {
@@ -187,6 +310,265 @@ contract("AdminContract", (accounts) => {
     });
   });
 
+  describe("Roles and Ownership", () => {
+    const registrar = accounts[6];
+    const officer = accounts[7];
+    const superAdmin = accounts[8];
+
+    let REGISTRAR_ROLE;
+    let CREDENTIALING_ROLE;
+    let SUPER_ADMIN_ROLE;
+
+    beforeEach(async () => {
+      REGISTRAR_ROLE = await adminInstance.REGISTRAR_ROLE();
+      CREDENTIALING_ROLE = await adminInstance.CREDENTIALING_ROLE();
+      SUPER_ADMIN_ROLE = await adminInstance.SUPER_ADMIN_ROLE();
+    });
+
+    it("should limit each role to its own functions", async () => {
+      const tx = await adminInstance.grantRole(REGISTRAR_ROLE, registrar, { from: owner });
+      assert.equal(tx.logs[0].event, "RoleGranted", "Should emit RoleGranted event");
+      await adminInstance.grantRole(CREDENTIALING_ROLE, officer, { from: owner });
+
+      await adminInstance.registerPatient(patient1, "Alice", "1990-01-01", "1234567890", "Bob", { from: registrar });
+      await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: officer });
+
+      try {
+        await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Neurology", "LIC002", { from: registrar });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Missing required role");
+      }
+
+      try {
+        await adminInstance.registerPatient(patient2, "Charlie", "1985-05-15", "5555555555", "David", { from: officer });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Missing required role");
+      }
+
+      try {
+        await adminInstance.grantRole(REGISTRAR_ROLE, officer, { from: registrar });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Missing required role");
+      }
+    });
+
+    it("should give super-admins every role and let them manage grants", async () => {
+      await adminInstance.grantRole(SUPER_ADMIN_ROLE, superAdmin, { from: owner });
+      assert.isTrue(await adminInstance.hasRole(REGISTRAR_ROLE, superAdmin), "Super-admin should hold every role");
+
+      await adminInstance.grantRole(REGISTRAR_ROLE, registrar, { from: superAdmin });
+      const tx = await adminInstance.revokeRole(REGISTRAR_ROLE, registrar, { from: superAdmin });
+      assert.equal(tx.logs[0].event, "RoleRevoked", "Should emit RoleRevoked event");
+      assert.isFalse(await adminInstance.hasRole(REGISTRAR_ROLE, registrar), "Role should be revoked");
+
+      try {
+        await adminInstance.grantRole(web3.utils.keccak256("UNKNOWN_ROLE"), registrar, { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Unknown role");
+      }
+    });
+
+    it("should transfer ownership only once the new owner accepts", async () => {
+      const tx = await adminInstance.transferOwnership(superAdmin, { from: owner });
+      assert.equal(tx.logs[0].event, "OwnershipTransferStarted", "Should emit OwnershipTransferStarted event");
+      assert.equal(await adminInstance.owner(), owner, "Owner should not change before acceptance");
+      assert.equal(await adminInstance.pendingOwner(), superAdmin);
+
+      try {
+        await adminInstance.acceptOwnership({ from: registrar });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Caller is not the pending owner");
+      }
+
+      const acceptTx = await adminInstance.acceptOwnership({ from: superAdmin });
+      assert.equal(acceptTx.logs[0].event, "OwnershipTransferred", "Should emit OwnershipTransferred event");
+      assert.equal(await adminInstance.owner(), superAdmin, "New owner should be set");
+      assert.equal(await adminInstance.pendingOwner(), "0x0000000000000000000000000000000000000000");
+      assert.isFalse(await adminInstance.hasRole(SUPER_ADMIN_ROLE, owner), "Previous owner should lose its implicit roles");
+    });
+  });
+
+  describe("Multi-signature Approvals", () => {
+    const admin2 = accounts[6];
+    const admin3 = accounts[7];
+
+    // ProposalAction enum values
+    const REVOKE_DOCTOR = 0;
+    const DEACTIVATE_PATIENT = 1;
+    const SET_APPROVAL_THRESHOLD = 5;
+    const SUSPEND_DOCTOR = 7;
+    const REINSTATE_DOCTOR = 9;
+
+    beforeEach(async () => {
+      const SUPER_ADMIN_ROLE = await adminInstance.SUPER_ADMIN_ROLE();
+      await adminInstance.grantRole(SUPER_ADMIN_ROLE, admin2, { from: owner });
+      await adminInstance.grantRole(SUPER_ADMIN_ROLE, admin3, { from: owner });
+      await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+      await adminInstance.registerPatient(patient1, "Alice", "1990-01-01", "1234567890", "Bob", { from: owner });
+      await adminInstance.setApprovalThreshold(2, { from: owner });
+    });
+
+    it("should block direct sensitive actions once a threshold is set", async () => {
+      for (const call of [
+        () => adminInstance.revokeDoctor(doctor1, { from: owner }),
+        () => adminInstance.suspendDoctor(doctor1, "Under investigation", { from: owner }),
+        () => adminInstance.deactivatePatient(patient1, { from: owner }),
+        () => adminInstance.setApprovalThreshold(1, { from: owner }),
+      ]) {
+        try {
+          await call();
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.include(error.message, "Requires multi-signature approval");
+        }
+      }
+    });
+
+    it("should execute a proposal once enough super-admins approve", async () => {
+      const tx = await adminInstance.proposeAction(REVOKE_DOCTOR, doctor1, 0, "Licence withdrawn", { from: admin2 });
+      assert.equal(tx.logs[0].event, "ProposalCreated", "Should emit ProposalCreated event");
+      const proposalId = tx.logs[0].args.proposalId;
+
+      try {
+        await adminInstance.executeProposal(proposalId, { from: admin2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not enough approvals");
+      }
+
+      try {
+        await adminInstance.approveProposal(proposalId, { from: admin2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Proposal already approved by caller");
+      }
+
+      await adminInstance.approveProposal(proposalId, { from: admin3 });
+      const executeTx = await adminInstance.executeProposal(proposalId, { from: owner });
+      assert.include(executeTx.logs.map(log => log.event), "ProposalExecuted", "Should emit ProposalExecuted event");
+      assert.isFalse(await adminInstance.isDoctorAuthorized(doctor1), "Doctor should be revoked");
+      assert.isTrue((await adminInstance.getProposal(proposalId)).executed, "Proposal should be marked executed");
+
+      try {
+        await adminInstance.executeProposal(proposalId, { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Proposal already executed");
+      }
+    });
+
+    it("should suspend a doctor through a proposal with its reason", async () => {
+      const tx = await adminInstance.proposeAction(SUSPEND_DOCTOR, doctor1, 0, "Under investigation", { from: admin2 });
+      const proposalId = tx.logs[0].args.proposalId;
+
+      await adminInstance.approveProposal(proposalId, { from: admin3 });
+      await adminInstance.executeProposal(proposalId, { from: admin2 });
+
+      const doctor = await adminInstance.getDoctorInfo(doctor1);
+      assert.equal(Number(doctor.status), 3, "Doctor should be suspended");
+      const history = await adminInstance.getDoctorStatusHistory(doctor1);
+      assert.equal(history[history.length - 1].reason, "Under investigation", "Proposal reason should be the suspension reason");
+    });
+
+    it("should only reinstate a suspended doctor through a proposal", async () => {
+      const suspend = await adminInstance.proposeAction(SUSPEND_DOCTOR, doctor1, 0, "Under investigation", { from: admin2 });
+      await adminInstance.approveProposal(suspend.logs[0].args.proposalId, { from: admin3 });
+      await adminInstance.executeProposal(suspend.logs[0].args.proposalId, { from: admin2 });
+
+      try {
+        await adminInstance.reinstateDoctor(doctor1, 0, "Cleared", { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Requires multi-signature approval");
+      }
+      assert.isFalse(await adminInstance.isDoctorAuthorized(doctor1), "Doctor should still be suspended");
+
+      const expiry = (await now()) + 365 * 24 * 60 * 60;
+      const tx = await adminInstance.proposeAction(REINSTATE_DOCTOR, doctor1, expiry, "Cleared by review", { from: admin2 });
+      const proposalId = tx.logs[0].args.proposalId;
+      await adminInstance.approveProposal(proposalId, { from: admin3 });
+      await adminInstance.executeProposal(proposalId, { from: admin2 });
+
+      const doctor = await adminInstance.getDoctorInfo(doctor1);
+      assert.equal(Number(doctor.status), ACTIVE, "Doctor should be active again");
+      assert.equal(Number(doctor.licenseExpiry), expiry, "Proposal value should be the license expiry");
+      const history = await adminInstance.getDoctorStatusHistory(doctor1);
+      assert.equal(history[history.length - 1].reason, "Cleared by review", "Proposal reason should be the reinstatement reason");
+    });
+
+    it("should not let a revoked doctor register again outside a proposal", async () => {
+      const revoke = await adminInstance.proposeAction(REVOKE_DOCTOR, doctor1, 0, "Licence withdrawn", { from: admin2 });
+      await adminInstance.approveProposal(revoke.logs[0].args.proposalId, { from: admin3 });
+      await adminInstance.executeProposal(revoke.logs[0].args.proposalId, { from: admin2 });
+
+      for (const register of ["registerDoctor", "registerPendingDoctor"]) {
+        try {
+          await adminInstance[register](doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.include(error.message, "Requires multi-signature approval");
+        }
+      }
+      assert.equal(Number((await adminInstance.getDoctorInfo(doctor1)).status), REVOKED, "Doctor should still be revoked");
+
+      const tx = await adminInstance.proposeAction(REINSTATE_DOCTOR, doctor1, 0, "Revoked in error", { from: admin2 });
+      await adminInstance.approveProposal(tx.logs[0].args.proposalId, { from: admin3 });
+      await adminInstance.executeProposal(tx.logs[0].args.proposalId, { from: admin2 });
+      assert.isTrue(await adminInstance.isDoctorAuthorized(doctor1), "Doctor should be reinstated by the proposal");
+
+      // New doctors can still be registered directly
+      await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Neurology", "LIC002", { from: owner });
+      assert.isTrue(await adminInstance.isDoctorAuthorized(doctor2));
+    });
+
+    it("should not count approvals after the window closes or from revoked super-admins", async () => {
+      const tx = await adminInstance.proposeAction(DEACTIVATE_PATIENT, patient1, 0, "Duplicate account", { from: admin2 });
+      const proposalId = tx.logs[0].args.proposalId;
+
+      await increaseTime(3 * 24 * 60 * 60 + 1);
+      try {
+        await adminInstance.approveProposal(proposalId, { from: admin3 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Proposal expired");
+      }
+
+      const second = await adminInstance.proposeAction(DEACTIVATE_PATIENT, patient1, 0, "Duplicate account", { from: admin2 });
+      const secondId = second.logs[0].args.proposalId;
+      await adminInstance.approveProposal(secondId, { from: admin3 });
+
+      // Revoking a super-admin is itself a proposal
+      const revoke = await adminInstance.proposeAction(4, admin2, 0, "Key compromised", { from: owner });
+      await adminInstance.approveProposal(revoke.logs[0].args.proposalId, { from: admin3 });
+      await adminInstance.executeProposal(revoke.logs[0].args.proposalId, { from: owner });
+
+      assert.equal(Number(await adminInstance.getApprovalCount(secondId)), 1, "Revoked super-admin's approval should not count");
+      assert.isTrue(await adminInstance.isPatientActive(patient1), "Patient should still be active");
+    });
+
+    it("should only change the threshold within the number of super-admins", async () => {
+      const tx = await adminInstance.proposeAction(SET_APPROVAL_THRESHOLD, "0x0000000000000000000000000000000000000000", 4, "Raise", { from: owner });
+      const proposalId = tx.logs[0].args.proposalId;
+      await adminInstance.approveProposal(proposalId, { from: admin2 });
+
+      try {
+        await adminInstance.executeProposal(proposalId, { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Threshold must be between 1 and the number of super-admins");
+      }
+
+      await adminInstance.cancelProposal(proposalId, { from: owner });
+      assert.isTrue((await adminInstance.getProposal(proposalId)).cancelled, "Proposal should be cancelled");
+      assert.equal(Number(await adminInstance.approvalThreshold()), 2, "Threshold should be unchanged");
+    });
+  });
+
   describe("Edge Cases", () => {
     it("should not register a patient with invalid address", async () => {
       try {
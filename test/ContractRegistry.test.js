@@ -0,0 +1,139 @@
+const ContractRegistry = artifacts.require("ContractRegistry");
+const AdminContract = artifacts.require("AdminContract");
+const MedicContract = artifacts.require("MedicContract");
+const PatientContract = artifacts.require("PatientContract");
+
+contract("ContractRegistry", (accounts) => {
+  let registryInstance;
+  let adminInstance;
+  let medicInstance;
+  let patientInstance;
+  const owner = accounts[0];
+  const doctor1 = accounts[1];
+  const unauthorized = accounts[2];
+  const admin2 = accounts[3];
+
+  const ADMIN = web3.utils.keccak256("AdminContract");
+  const MEDIC = web3.utils.keccak256("MedicContract");
+  const PATIENT = web3.utils.keccak256("PatientContract");
+
+  // ProposalAction enum values
+  const UPDATE_CONTRACT = 2;
+  const SET_REGISTRY = 8;
+
+  // Propose and execute an action while the approval threshold is 1
+  const executeAction = async (action, target, value) => {
+    const tx = await adminInstance.proposeAction(action, target, value, "Rewire", { from: owner });
+    return adminInstance.executeProposal(tx.logs[0].args.proposalId, { from: owner });
+  };
+
+  beforeEach(async () => {
+    adminInstance = await AdminContract.new({ from: owner });
+    medicInstance = await MedicContract.new({ from: owner });
+    patientInstance = await PatientContract.new({ from: owner });
+    registryInstance = await ContractRegistry.new(
+      [ADMIN, MEDIC, PATIENT],
+      [adminInstance.address, medicInstance.address, patientInstance.address],
+      { from: owner }
+    );
+    for (const instance of [adminInstance, medicInstance, patientInstance]) {
+      await instance.setRegistry(registryInstance.address, { from: owner });
+    }
+  });
+
+  describe("Registry entries", () => {
+    it("should register the initial contracts and list their names", async () => {
+      assert.equal(await registryInstance.getContract(MEDIC), medicInstance.address, "MedicContract should be registered");
+      const names = await registryInstance.getContractNames();
+      assert.deepEqual(names, [ADMIN, MEDIC, PATIENT], "Names should be listed in registration order");
+    });
+
+    it("should require AdminContract among the initial entries", async () => {
+      try {
+        await ContractRegistry.new([MEDIC], [medicInstance.address], { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "AdminContract must be registered");
+      }
+
+      try {
+        await ContractRegistry.new([ADMIN, MEDIC], [adminInstance.address], { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Names and addresses length mismatch");
+      }
+    });
+
+    it("should only let AdminContract update entries", async () => {
+      for (const from of [owner, unauthorized]) {
+        try {
+          await registryInstance.setContract(MEDIC, unauthorized, { from });
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.include(error.message, "Only admin contract can update the registry");
+        }
+      }
+      assert.isUndefined(registryInstance.setContracts, "Entries should not be set in bulk");
+      assert.isUndefined(registryInstance.transferOwnership, "The registry should have no owner");
+      assert.isUndefined(adminInstance.updateContract, "Entries should not be updated without a proposal");
+    });
+  });
+
+  describe("Contract wiring", () => {
+    it("should resolve every contract from the registry", async () => {
+      for (const instance of [adminInstance, medicInstance, patientInstance]) {
+        assert.equal(await instance.adminContract(), adminInstance.address, "Should resolve AdminContract");
+        assert.equal(await instance.medicContract(), medicInstance.address, "Should resolve MedicContract");
+        assert.equal(await instance.patientContract(), patientInstance.address, "Should resolve PatientContract");
+      }
+    });
+
+    it("should keep doctor authorization in MedicContract in step with AdminContract", async () => {
+      await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+      assert.isTrue(await medicInstance.isDoctorAuthorized(doctor1), "Doctor should be authorized in MedicContract");
+
+      await adminInstance.suspendDoctor(doctor1, "Under review", { from: owner });
+      assert.isFalse(await medicInstance.isDoctorAuthorized(doctor1), "Suspension should reach MedicContract");
+    });
+
+    it("should let super-admins replace a contract through a proposal", async () => {
+      const newMedicInstance = await MedicContract.new({ from: owner });
+      await newMedicInstance.setRegistry(registryInstance.address, { from: owner });
+
+      await executeAction(UPDATE_CONTRACT, newMedicInstance.address, MEDIC);
+      assert.equal(await patientInstance.medicContract(), newMedicInstance.address, "PatientContract should follow the registry");
+      assert.equal((await registryInstance.getContractNames()).length, 3, "Updating an entry should not add a name");
+
+      // Above the approval threshold the update needs more approvals
+      const SUPER_ADMIN_ROLE = await adminInstance.SUPER_ADMIN_ROLE();
+      await adminInstance.grantRole(SUPER_ADMIN_ROLE, admin2, { from: owner });
+      await adminInstance.setApprovalThreshold(2, { from: owner });
+
+      const proposal = await adminInstance.proposeAction(UPDATE_CONTRACT, medicInstance.address, MEDIC, "Roll back", { from: owner });
+      const proposalId = proposal.logs[0].args.proposalId;
+      await adminInstance.approveProposal(proposalId, { from: admin2 });
+      await adminInstance.executeProposal(proposalId, { from: admin2 });
+      assert.equal(await registryInstance.getContract(MEDIC), medicInstance.address, "Proposal should update the registry");
+    });
+
+    it("should only move a contract to another registry through a proposal", async () => {
+      const newRegistry = await ContractRegistry.new(
+        [ADMIN, MEDIC, PATIENT],
+        [adminInstance.address, medicInstance.address, patientInstance.address],
+        { from: owner }
+      );
+
+      try {
+        await medicInstance.setRegistry(newRegistry.address, { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Only admin contract can change the registry");
+      }
+
+      for (const instance of [medicInstance, patientInstance, adminInstance]) {
+        await executeAction(SET_REGISTRY, instance.address, newRegistry.address);
+        assert.equal(await instance.registry(), newRegistry.address, "Contract should use the new registry");
+      }
+    });
+  });
+});
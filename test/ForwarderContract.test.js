@@ -0,0 +1,232 @@
+const ForwarderContract = artifacts.require("ForwarderContract");
+const PatientContract = artifacts.require("PatientContract");
+const MedicContract = artifacts.require("MedicContract");
+const AdminContract = artifacts.require("AdminContract");
+const ContractRegistry = artifacts.require("ContractRegistry");
+
+contract("ForwarderContract", (accounts) => {
+  let forwarderInstance;
+  let patientInstance;
+  let medicInstance;
+  let adminInstance;
+  const owner = accounts[0];
+  const doctor1 = accounts[1];
+  const patient1 = accounts[2];
+  const unauthorized = accounts[3];
+
+  const signTypedData = (signer, typedData) =>
+    new Promise((resolve, reject) => {
+      web3.currentProvider.send(
+        {
+          jsonrpc: "2.0",
+          id: Date.now(),
+          method: "eth_signTypedData_v4",
+          params: [signer, typedData],
+        },
+        (error, response) => (error || response.error ? reject(error || response.error) : resolve(response.result))
+      );
+    });
+
+  const buildRequest = async (from, to, data, overrides = {}) => {
+    const nonce = await forwarderInstance.getNonce(from);
+    return {
+      from,
+      to,
+      gas: "1000000",
+      nonce: nonce.toString(),
+      deadline: "0",
+      data,
+      ...overrides,
+    };
+  };
+
+  const signRequest = async (signer, request) => {
+    const chainId = await web3.eth.getChainId();
+    return signTypedData(signer, {
+      types: {
+        EIP712Domain: [
+          { name: "name", type: "string" },
+          { name: "version", type: "string" },
+          { name: "chainId", type: "uint256" },
+          { name: "verifyingContract", type: "address" },
+        ],
+        ForwardRequest: [
+          { name: "from", type: "address" },
+          { name: "to", type: "address" },
+          { name: "gas", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+          { name: "data", type: "bytes" },
+        ],
+      },
+      primaryType: "ForwardRequest",
+      domain: {
+        name: "BlockHealthForwarder",
+        version: "1",
+        chainId: Number(chainId),
+        verifyingContract: forwarderInstance.address,
+      },
+      message: request,
+    });
+  };
+
+  const asTuple = (request) => [request.from, request.to, request.gas, request.nonce, request.deadline, request.data];
+
+  beforeEach(async () => {
+    forwarderInstance = await ForwarderContract.new({ from: owner });
+    medicInstance = await MedicContract.new({ from: owner });
+    adminInstance = await AdminContract.new({ from: owner });
+    patientInstance = await PatientContract.new({ from: owner });
+
+    // The contracts trust the forwarder registered in the registry
+    const registryInstance = await ContractRegistry.new(
+      ["AdminContract", "MedicContract", "PatientContract", "ForwarderContract"].map((name) => web3.utils.keccak256(name)),
+      [adminInstance.address, medicInstance.address, patientInstance.address, forwarderInstance.address],
+      { from: owner }
+    );
+    await medicInstance.setRegistry(registryInstance.address, { from: owner });
+    await adminInstance.setRegistry(registryInstance.address, { from: owner });
+    await patientInstance.setRegistry(registryInstance.address, { from: owner });
+
+    await adminInstance.registerPatient(patient1, "Alice Johnson", "1990-01-01", "1234567890", "Bob Johnson", { from: owner });
+    await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+  });
+
+  describe("Trusted forwarder configuration", () => {
+    it("should trust the forwarder registered in the registry", async () => {
+      assert.equal(await patientInstance.trustedForwarder(), forwarderInstance.address, "PatientContract should trust the forwarder");
+      assert.equal(await medicInstance.trustedForwarder(), forwarderInstance.address, "MedicContract should trust the forwarder");
+      assert.equal(await adminInstance.trustedForwarder(), forwarderInstance.address, "AdminContract should trust the forwarder");
+    });
+
+    it("should not let the owner set a forwarder outside the registry", async () => {
+      assert.isUndefined(patientInstance.setTrustedForwarder, "PatientContract should not have a forwarder setter");
+      assert.isUndefined(medicInstance.setTrustedForwarder, "MedicContract should not have a forwarder setter");
+      assert.isUndefined(adminInstance.setTrustedForwarder, "AdminContract should not have a forwarder setter");
+    });
+
+    it("should follow the registry when the forwarder is replaced", async () => {
+      const newForwarder = await ForwarderContract.new({ from: owner });
+      assert.isFalse(await patientInstance.isTrustedForwarder(newForwarder.address), "Unregistered forwarder should not be trusted");
+
+      const UPDATE_CONTRACT = 2;
+      const tx = await adminInstance.proposeAction(
+        UPDATE_CONTRACT, newForwarder.address, web3.utils.keccak256("ForwarderContract"), "Replace forwarder", { from: owner }
+      );
+      await adminInstance.executeProposal(tx.logs[0].args.proposalId, { from: owner });
+
+      assert.isTrue(await patientInstance.isTrustedForwarder(newForwarder.address), "Registered forwarder should be trusted");
+      assert.isFalse(await patientInstance.isTrustedForwarder(forwarderInstance.address), "Replaced forwarder should no longer be trusted");
+    });
+  });
+
+  describe("Relayed calls", () => {
+    it("should relay a patient self-record upload signed by the patient", async () => {
+      const data = patientInstance.contract.methods
+        .uploadSelfRecord("QmRelayedCID", "lab.pdf", "Lab Results", "Relayed upload")
+        .encodeABI();
+      const request = await buildRequest(patient1, patientInstance.address, data);
+      const signature = await signRequest(patient1, request);
+
+      assert.isTrue(await forwarderInstance.verify(asTuple(request), signature), "Signature should verify");
+
+      // Relayer (the API signer) submits the transaction
+      await forwarderInstance.execute(asTuple(request), signature, { from: owner });
+
+      const records = await patientInstance.getMySelfRecords({ from: patient1 });
+      assert.equal(records.length, 1, "Record should be stored for the signing patient");
+      assert.equal(records[0].cid, "QmRelayedCID", "CID should match");
+
+      const nonce = await forwarderInstance.getNonce(patient1);
+      assert.equal(Number(nonce), 1, "Nonce should be incremented");
+    });
+
+    it("should relay a proposal approval signed by a super-admin", async () => {
+      const superAdmin = accounts[4];
+      await adminInstance.grantRole(await adminInstance.SUPER_ADMIN_ROLE(), superAdmin, { from: owner });
+      await adminInstance.setApprovalThreshold(2, { from: owner });
+      await adminInstance.proposeAction(0, doctor1, 0, "Licence withdrawn", { from: owner });
+
+      const data = adminInstance.contract.methods.approveProposal(1).encodeABI();
+      const request = await buildRequest(superAdmin, adminInstance.address, data);
+      const signature = await signRequest(superAdmin, request);
+      await forwarderInstance.execute(asTuple(request), signature, { from: owner });
+
+      assert.isTrue(await adminInstance.hasApproved(1, superAdmin), "Signing super-admin should be recorded as approver");
+      assert.equal(Number(await adminInstance.getApprovalCount(1)), 2, "Both approvals should count");
+    });
+
+    it("should relay a medical record added by a doctor", async () => {
+      const data = medicInstance.contract.methods
+        .addMedicalRecord("QmDoctorCID", "report.pdf", patient1, "Hypertension", "Medication")
+        .encodeABI();
+      const request = await buildRequest(doctor1, medicInstance.address, data);
+      const signature = await signRequest(doctor1, request);
+
+      await forwarderInstance.execute(asTuple(request), signature, { from: owner });
+
+      const records = await medicInstance.getMedicalRecords(patient1, { from: patient1 });
+      assert.equal(records.length, 1, "Should have one record");
+      assert.equal(records[0].doctorId, doctor1, "Signing doctor should be recorded as author");
+    });
+
+    it("should reject a request signed by someone else", async () => {
+      const data = patientInstance.contract.methods
+        .uploadSelfRecord("QmForgedCID", "lab.pdf", "Lab Results", "Forged")
+        .encodeABI();
+      const request = await buildRequest(patient1, patientInstance.address, data);
+      const signature = await signRequest(unauthorized, request);
+
+      assert.isFalse(await forwarderInstance.verify(asTuple(request), signature), "Signature should not verify");
+
+      try {
+        await forwarderInstance.execute(asTuple(request), signature, { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "revert", "Should revert the transaction");
+      }
+    });
+
+    it("should not allow replaying a request", async () => {
+      const data = patientInstance.contract.methods
+        .uploadSelfRecord("QmRelayedCID", "lab.pdf", "Lab Results", "Relayed upload")
+        .encodeABI();
+      const request = await buildRequest(patient1, patientInstance.address, data);
+      const signature = await signRequest(patient1, request);
+
+      await forwarderInstance.execute(asTuple(request), signature, { from: owner });
+
+      try {
+        await forwarderInstance.execute(asTuple(request), signature, { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "revert", "Should revert the replayed request");
+      }
+    });
+
+    it("should reject an expired request", async () => {
+      const data = patientInstance.contract.methods
+        .uploadSelfRecord("QmRelayedCID", "lab.pdf", "Lab Results", "Relayed upload")
+        .encodeABI();
+      const request = await buildRequest(patient1, patientInstance.address, data, { deadline: "1" });
+      const signature = await signRequest(patient1, request);
+
+      assert.isFalse(await forwarderInstance.verify(asTuple(request), signature), "Expired request should not verify");
+    });
+
+    it("should bubble up the target contract revert reason", async () => {
+      const data = patientInstance.contract.methods
+        .uploadSelfRecord("QmRelayedCID", "lab.pdf", "Lab Results", "Relayed upload")
+        .encodeABI();
+      const request = await buildRequest(unauthorized, patientInstance.address, data);
+      const signature = await signRequest(unauthorized, request);
+
+      try {
+        await forwarderInstance.execute(asTuple(request), signature, { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Patient not registered", "Should surface the PatientContract revert reason");
+      }
+    });
+  });
+});
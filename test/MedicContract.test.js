@@ -1,22 +1,42 @@
 const MedicContract = artifacts.require("MedicContract");
 const AdminContract = artifacts.require("AdminContract");
+const ContractRegistry = artifacts.require("ContractRegistry");
 
 contract("MedicContract", (accounts) => {
   let medicInstance;
   let adminInstance;
+  let registryInstance;
   const owner = accounts[0];
   const doctor1 = accounts[1];
   const doctor2 = accounts[2];
   const patient1 = accounts[3];
   const unauthorized = accounts[4];
+  const patient2 = accounts[5];
+
+  const rpc = (method, params = []) =>
+    new Promise((resolve, reject) =>
+      web3.currentProvider.send(
+        { jsonrpc: "2.0", id: Date.now(), method, params },
+        (error, response) => (error ? reject(error) : resolve(response))
+      )
+    );
+
+  const increaseTime = async (seconds) => {
+    await rpc("evm_increaseTime", [seconds]);
+    await rpc("evm_mine");
+  };
 
   beforeEach(async () => {
     // Deploy fresh instances for each test
     medicInstance = await MedicContract.new({ from: owner });
     adminInstance = await AdminContract.new({ from: owner });
-    
-    await medicInstance.setAdminContract(adminInstance.address, { from: owner });
-    await adminInstance.updateMedicContract(medicInstance.address, { from: owner });
+    registryInstance = await ContractRegistry.new(
+      [web3.utils.keccak256("AdminContract"), web3.utils.keccak256("MedicContract")],
+      [adminInstance.address, medicInstance.address],
+      { from: owner }
+    );
+    await medicInstance.setRegistry(registryInstance.address, { from: owner });
+    await adminInstance.setRegistry(registryInstance.address, { from: owner });
     
     await adminInstance.registerPatient(
       patient1, 
@@ -50,19 +70,21 @@ contract("MedicContract", (accounts) => {
   });
 
   describe("Admin Contract Integration", () => {
-    it("should set the admin contract address", async () => {
+    it("should resolve the admin contract address from the registry", async () => {
       const newMedicInstance = await MedicContract.new({ from: owner });
-      await newMedicInstance.setAdminContract(adminInstance.address, { from: owner });
+      assert.equal(await newMedicInstance.adminContract(), "0x0000000000000000000000000000000000000000", "No admin contract before the registry is set");
+
+      await newMedicInstance.setRegistry(registryInstance.address, { from: owner });
       
       const adminAddr = await newMedicInstance.adminContract();
       assert.equal(adminAddr, adminInstance.address, "Admin contract address should be set");
     });
 
-    it("should not allow non-owner to set admin contract", async () => {
+    it("should not allow non-owner to set the registry", async () => {
       const newMedicInstance = await MedicContract.new({ from: owner });
       
       try {
-        await newMedicInstance.setAdminContract(adminInstance.address, { from: unauthorized });
+        await newMedicInstance.setRegistry(registryInstance.address, { from: unauthorized });
         assert.fail("Should have thrown an error");
       } catch (error) {
         assert.include(error.message, "revert", "Should revert the transaction");
@@ -88,6 +110,23 @@ contract("MedicContract", (accounts) => {
       const isAuth = await medicInstance.isDoctorAuthorized(doctor1);
       assert.isFalse(isAuth, "Revoked doctor should not be authorized");
     });
+
+    it("should stop a doctor whose license lapsed before they are suspended", async () => {
+      const { timestamp } = await web3.eth.getBlock("latest");
+      await adminInstance.verifyDoctor(doctor1, timestamp + 30, "License checked", { from: owner });
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+
+      // Kept short: the chain clock stays ahead for the rest of this file
+      await increaseTime(40);
+
+      assert.isFalse(await medicInstance.isDoctorAuthorized(doctor1), "Lapsed license should not be authorized");
+      try {
+        await medicInstance.addMedicalRecord("QmCID2", "report.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not an authorized medical provider", "Should revert without a suspension");
+      }
+    });
   });
 
   describe("Medical Records", () => {
@@ -191,14 +230,91 @@ contract("MedicContract", (accounts) => {
     it("should deactivate a medical record", async () => {
       await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Diagnosis", "Treatment", { from: doctor1 });
 
-      const tx = await medicInstance.deactivateRecord(patient1, 0, { from: doctor1 });
+      const tx = await medicInstance.deactivateRecord(1, "Entered in error", { from: doctor1 });
 
       assert.equal(tx.logs[0].event, "RecordDeactivated", "Should emit deactivation event");
+      assert.equal(Number(tx.logs[0].args.recordId), 1, "Event should contain record ID");
+      assert.equal(tx.logs[0].args.doctorId, doctor1, "Event should contain the acting doctor");
+      assert.equal(tx.logs[0].args.reason, "Entered in error", "Event should contain the reason");
 
       const records = await medicInstance.getMedicalRecords(patient1, { from: patient1 });
       assert.isFalse(records[0].isActive, "Record should be deactivated");
     });
 
+    it("should reactivate a deactivated record", async () => {
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Diagnosis", "Treatment", { from: doctor1 });
+      await medicInstance.deactivateRecord(1, "Entered in error", { from: doctor1 });
+
+      const tx = await medicInstance.reactivateRecord(1, "Deactivated by mistake", { from: doctor1 });
+      assert.equal(tx.logs[0].event, "RecordReactivated", "Should emit reactivation event");
+      assert.equal(tx.logs[0].args.reason, "Deactivated by mistake", "Event should contain the reason");
+
+      const record = await medicInstance.getMedicalRecord(1, { from: patient1 });
+      assert.isTrue(record.isActive, "Record should be active again");
+
+      try {
+        await medicInstance.reactivateRecord(1, "Again", { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Record is already active", "Should revert for active records");
+      }
+    });
+
+    it("should require a reason and the record creator to change a record's status", async () => {
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Diagnosis", "Treatment", { from: doctor1 });
+      await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Neurology", "LIC002", { from: owner });
+
+      try {
+        await medicInstance.deactivateRecord(1, "", { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Reason required", "Should revert without a reason");
+      }
+
+      await medicInstance.deactivateRecord(1, "Entered in error", { from: doctor1 });
+      try {
+        await medicInstance.reactivateRecord(1, "Still relevant", { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Only record creator can change its status", "Should revert for other doctors");
+      }
+    });
+
+    it("should give every record a stable ID", async () => {
+      const tx = await medicInstance.addMedicalRecord("QmCID1", "report1.pdf", patient1, "Diag1", "Treat1", { from: doctor1 });
+      assert.equal(Number(tx.logs[0].args.recordId), 1, "Event should contain record ID");
+
+      await adminInstance.registerPatient(patient2, "Bob", "1985-05-15", "5555555555", "Carol", { from: owner });
+      await medicInstance.addMedicalRecord("QmCID2", "report2.pdf", patient2, "Diag2", "Treat2", { from: doctor1 });
+      await medicInstance.addMedicalRecord("QmCID3", "report3.pdf", patient1, "Diag3", "Treat3", { from: doctor1 });
+
+      const records = await medicInstance.getMedicalRecords(patient1, { from: patient1 });
+      assert.deepEqual(records.map(record => Number(record.recordId)), [1, 3], "IDs should be unique across patients");
+
+      const record = await medicInstance.getMedicalRecord(3, { from: patient1 });
+      assert.equal(record.cid, "QmCID3", "Record should be found by ID");
+      assert.equal(Number(await medicInstance.recordCount()), 3, "Record count should match");
+    });
+
+    it("should not return records by ID to other patients", async () => {
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Diagnosis", "Treatment", { from: doctor1 });
+      await adminInstance.registerPatient(patient2, "Bob", "1985-05-15", "5555555555", "Carol", { from: owner });
+
+      try {
+        await medicInstance.getMedicalRecord(1, { from: patient2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Unauthorized access", "Should revert for another patient");
+      }
+
+      try {
+        await medicInstance.getMedicalRecord(2, { from: patient1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Record not found", "Should revert for unknown IDs");
+      }
+    });
+
     it("should not allow unauthorized doctor to deactivate records", async () => {
       await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Diagnosis", "Treatment", { from: doctor1 });
 
@@ -206,12 +322,84 @@ contract("MedicContract", (accounts) => {
       await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Neurology", "LIC002", { from: owner });
 
       try {
-        await medicInstance.deactivateRecord(patient1, 0, { from: doctor2 });
+        await medicInstance.deactivateRecord(1, "Duplicate", { from: doctor2 });
         assert.fail("Should have thrown an error");
       } catch (error) {
         assert.include(error.message, "revert", "Should revert when different doctor tries to deactivate");
       }
     });
+    it("should amend a record and keep its version history", async () => {
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+
+      const tx = await medicInstance.amendMedicalRecord(1, patient1, "", "", "Pneumonia", "Antibiotics", "Chest X-ray result", { from: doctor1 });
+      assert.equal(tx.logs[0].event, "RecordAmended", "Should emit RecordAmended event");
+      assert.equal(Number(tx.logs[0].args.version), 2, "Event should contain the new version");
+
+      await medicInstance.amendMedicalRecord(1, patient1, "QmCID2", "report_v3.pdf", "Pneumonia", "Amoxicillin", "Changed antibiotic", { from: doctor1 });
+
+      const record = await medicInstance.getMedicalRecord(1, { from: patient1 });
+      assert.equal(Number(record.version), 3, "Record should hold the latest version");
+      assert.equal(record.cid, "QmCID2", "Record should point to the latest file");
+      assert.equal(record.treatment, "Amoxicillin", "Record should hold the latest treatment");
+
+      const versions = await medicInstance.getRecordVersions(1, { from: patient1 });
+      assert.deepEqual(versions.map(version => Number(version.version)), [1, 2, 3], "Versions should be in order");
+      assert.equal(versions[0].diagnosis, "Flu", "Original diagnosis should be kept");
+      assert.equal(versions[0].reason, "", "Original version has no reason");
+      assert.equal(versions[1].cid, "QmCID1", "An empty CID should keep the current file");
+      assert.equal(versions[1].reason, "Chest X-ray result", "Amendment reason should be stored");
+      assert.equal(versions[2].author, doctor1, "Amendment author should be stored");
+    });
+
+    it("should return the original as the only version of an unamended record", async () => {
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+
+      const versions = await medicInstance.getRecordVersions(1, { from: patient1 });
+      assert.equal(versions.length, 1, "Should have one version");
+      assert.equal(versions[0].cid, "QmCID1", "Version should match the record");
+    });
+
+    it("should not allow amendments by doctors without consent or to inactive records", async () => {
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+      await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Neurology", "LIC002", { from: owner });
+
+      try {
+        await medicInstance.amendMedicalRecord(1, patient1, "", "", "Cold", "Rest", "Second opinion", { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not authorized to amend this record", "Should revert without consent");
+      }
+
+      try {
+        await medicInstance.amendMedicalRecord(1, patient1, "", "", "Cold", "Rest", "", { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Amendment reason required", "Should revert without a reason");
+      }
+
+      await medicInstance.deactivateRecord(1, "Entered in error", { from: doctor1 });
+      try {
+        await medicInstance.amendMedicalRecord(1, patient1, "", "", "Cold", "Rest", "Correction", { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Record is not active", "Should revert for inactive records");
+      }
+    });
+
+    it("should not allow a doctor to read records without patient consent", async () => {
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Diagnosis", "Treatment", { from: doctor1 });
+
+      try {
+        await medicInstance.getMedicalRecords(patient1, { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Should revert without consent");
+      }
+    });
+
+    it("should not expose a public getter for the raw record storage", async () => {
+      assert.isUndefined(medicInstance.patientRecords, "Records must only be readable through the consent checks");
+    });
   });
 
   describe("Edge Cases", () => {
@@ -1,36 +1,48 @@
 const PatientContract = artifacts.require("PatientContract");
 const MedicContract = artifacts.require("MedicContract");
 const AdminContract = artifacts.require("AdminContract");
+const ContractRegistry = artifacts.require("ContractRegistry");
 
 contract("PatientContract", (accounts) => {
   let patientInstance;
   let medicInstance;
   let adminInstance;
+  let registryInstance;
   const owner = accounts[0];
   const doctor1 = accounts[1];
   const patient1 = accounts[2];
   const patient2 = accounts[3];
   const unauthorized = accounts[4];
+  const doctor2 = accounts[5];
+
+  const rpc = (method, params = []) =>
+    new Promise((resolve, reject) =>
+      web3.currentProvider.send(
+        { jsonrpc: "2.0", id: Date.now(), method, params },
+        (error, response) => (error ? reject(error) : resolve(response))
+      )
+    );
+
+  const increaseTime = async (seconds) => {
+    await rpc("evm_increaseTime", [seconds]);
+    await rpc("evm_mine");
+  };
 
   beforeEach(async () => {
     // Deploy all contracts fresh for each test
     medicInstance = await MedicContract.new({ from: owner });
     adminInstance = await AdminContract.new({ from: owner });
-    
-    // Deploy PatientContract with correct constructor parameters
-    patientInstance = await PatientContract.new(
-      medicInstance.address,
-      adminInstance.address,
+    patientInstance = await PatientContract.new({ from: owner });
+
+    // Link contracts through the registry
+    registryInstance = await ContractRegistry.new(
+      ["AdminContract", "MedicContract", "PatientContract"].map((name) => web3.utils.keccak256(name)),
+      [adminInstance.address, medicInstance.address, patientInstance.address],
       { from: owner }
     );
-    
-    // Link contracts
-    await medicInstance.setAdminContract(adminInstance.address, { from: owner });
-    // Link Admin back to Medic so authorization calls work
-    await adminInstance.updateMedicContract(medicInstance.address, { from: owner });
-
-    // Link Medic to Patient so it accepts calls
-    await medicInstance.setPatientContract(patientInstance.address, { from: owner });
+    for (const instance of [medicInstance, adminInstance, patientInstance]) {
+      await instance.setRegistry(registryInstance.address, { from: owner });
+    }
     
     // Register patient in AdminContract
     await adminInstance.registerPatient(
@@ -81,13 +93,21 @@ contract("PatientContract", (accounts) => {
       // Check event
       assert.equal(tx.logs[0].event, "ProfileUpdated", "Should emit ProfileUpdated event");
       assert.equal(tx.logs[0].args.patientId, patient1, "Event should contain patient ID");
+      assert.equal(tx.logs[0].args.updatedBy, patient1, "Event should contain who updated the profile");
+      assert.equal(tx.logs[0].args.email, "alice@email.com", "Event should contain the new profile");
 
       const profile = await patientInstance.getMyProfile({ from: patient1 });
       assert.equal(profile.name, "Alice Johnson", "Profile name should match");
       assert.equal(profile.email, "alice@email.com", "Profile email should match");
       assert.equal(profile.phoneNumber, "1234567890", "Profile phone should match");
-      // FIX: Contract does not set this to true, so we expect false [cite: 77]
-      assert.isFalse(profile.profileCompleted, "Profile should not be automatically marked as completed");
+      assert.isTrue(profile.profileCompleted, "Profile with every field filled in should be completed");
+    });
+
+    it("should not mark a profile with missing fields as completed", async () => {
+      await patientInstance.updateProfile("Alice Johnson", "", "1234567890", { from: patient1 });
+
+      const profile = await patientInstance.getMyProfile({ from: patient1 });
+      assert.isFalse(profile.profileCompleted, "Profile without an email should not be completed");
     });
 
     // TEST REMOVED: The contract allows empty names, so we remove the test that expects a revert.
@@ -117,6 +137,38 @@ contract("PatientContract", (accounts) => {
       assert.equal(profile.phoneNumber, "9876543210", "Phone should be updated");
     });
 
+    it("should let the owner initialize a registered patient's profile once", async () => {
+      const tx = await patientInstance.initializeProfileByAdmin(patient1, "Alice Johnson", "alice@email.com", "1234567890", { from: owner });
+      assert.equal(tx.logs[0].event, "PatientRegistered", "Should emit PatientRegistered event");
+
+      const profile = await patientInstance.getMyProfile({ from: patient1 });
+      assert.equal(profile.name, "Alice Johnson", "Profile name should match");
+      assert.equal(profile.email, "alice@email.com", "Profile email should match");
+
+      try {
+        await patientInstance.initializeProfileByAdmin(patient1, "Someone Else", "", "", { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Profile already initialized", "Should not overwrite a profile");
+      }
+    });
+
+    it("should not let others initialize profiles or initialize unregistered patients", async () => {
+      try {
+        await patientInstance.initializeProfileByAdmin(patient1, "Alice", "alice@email.com", "1234567890", { from: patient1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Only owner", "Should revert for non-owners");
+      }
+
+      try {
+        await patientInstance.initializeProfileByAdmin(patient2, "Bob", "bob@email.com", "5555555555", { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Patient not registered", "Should revert for unregistered patients");
+      }
+    });
+
     it("should track last update timestamp", async () => {
       await patientInstance.updateProfile("Alice", "alice@email.com", "1234567890", { from: patient1 });
       
@@ -216,6 +268,118 @@ contract("PatientContract", (accounts) => {
       assert.isAbove(timestamp, 0, "Timestamp should be greater than 0");
       assert.isBelow(timestamp, Math.floor(Date.now() / 1000) + 100, "Timestamp should be reasonable");
     });
+
+    it("should let the owner upload a self record for a patient", async () => {
+      const tx = await patientInstance.uploadSelfRecordByAdmin(
+        patient1,
+        "QmStoredCID",
+        "xray.png",
+        "Imaging",
+        "Chest X-ray",
+        { from: owner }
+      );
+
+      assert.equal(tx.logs[0].event, "SelfRecordUploaded", "Should emit SelfRecordUploaded event");
+      assert.equal(tx.logs[0].args.patientId, patient1, "Event should contain patient ID");
+
+      const records = await patientInstance.getMySelfRecords({ from: patient1 });
+      assert.equal(records.length, 1, "Should have one self record");
+      assert.equal(records[0].cid, "QmStoredCID", "CID should match");
+      assert.equal(records[0].recordType, "Imaging", "Record type should match");
+    });
+
+    it("should only let the owner upload self records for a patient", async () => {
+      try {
+        await patientInstance.uploadSelfRecordByAdmin(patient1, "QmCID", "file.pdf", "Type", "Desc", { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Only owner", "Should revert for non-owner");
+      }
+    });
+
+    it("should not upload self records for unregistered patients", async () => {
+      try {
+        await patientInstance.uploadSelfRecordByAdmin(patient2, "QmCID", "file.pdf", "Type", "Desc", { from: owner });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Patient not registered", "Should revert for unregistered patient");
+      }
+    });
+
+    it("should keep record IDs stable when a record is deleted", async () => {
+      await patientInstance.uploadSelfRecord("QmCID1", "file1.pdf", "TypeA", "Desc1", { from: patient1 });
+      await patientInstance.uploadSelfRecord("QmCID2", "file2.pdf", "TypeB", "Desc2", { from: patient1 });
+      const tx = await patientInstance.uploadSelfRecord("QmCID3", "file3.pdf", "TypeC", "Desc3", { from: patient1 });
+      assert.equal(Number(tx.logs[0].args.recordId), 3, "Event should contain record ID");
+
+      const deleteTx = await patientInstance.deleteSelfRecord(1, { from: patient1 });
+      assert.equal(deleteTx.logs[0].event, "SelfRecordDeleted", "Should emit SelfRecordDeleted event");
+
+      const records = await patientInstance.getMySelfRecords({ from: patient1 });
+      assert.sameMembers(records.map(record => Number(record.recordId)), [2, 3], "Remaining records should keep their IDs");
+
+      const moved = await patientInstance.getMySelfRecord(3, { from: patient1 });
+      assert.equal(moved.cid, "QmCID3", "Record should still be found by ID after being moved");
+
+      try {
+        await patientInstance.getMySelfRecord(1, { from: patient1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Record not found", "Deleted record should not be found");
+      }
+
+      await patientInstance.uploadSelfRecord("QmCID4", "file4.pdf", "TypeD", "Desc4", { from: patient1 });
+      const latest = await patientInstance.getMySelfRecord(4, { from: patient1 });
+      assert.equal(latest.cid, "QmCID4", "Deleted IDs should not be reused");
+    });
+
+    it("should update a self record by ID", async () => {
+      await patientInstance.uploadSelfRecord("QmCID1", "file1.pdf", "TypeA", "Desc1", { from: patient1 });
+      await patientInstance.uploadSelfRecord("QmCID2", "file2.pdf", "TypeB", "Desc2", { from: patient1 });
+
+      const tx = await patientInstance.updateSelfRecord(2, "Imaging", "Updated", { from: patient1 });
+      assert.equal(tx.logs[0].event, "SelfRecordUpdated", "Should emit SelfRecordUpdated event");
+
+      const record = await patientInstance.getMySelfRecord(2, { from: patient1 });
+      assert.equal(record.recordType, "Imaging", "Record type should be updated");
+      assert.equal(record.description, "Updated", "Description should be updated");
+      const untouched = await patientInstance.getMySelfRecord(1, { from: patient1 });
+      assert.equal(untouched.recordType, "TypeA", "Other records should not change");
+    });
+
+    it("should not let a patient change another patient's self record", async () => {
+      await adminInstance.registerPatient(patient2, "Bob", "1985-05-15", "5555555555", "Carol", { from: owner });
+      await patientInstance.uploadSelfRecord("QmCID1", "file1.pdf", "TypeA", "Desc1", { from: patient1 });
+
+      for (const call of [
+        () => patientInstance.updateSelfRecord(1, "Type", "Desc", { from: patient2 }),
+        () => patientInstance.deleteSelfRecord(1, { from: patient2 }),
+        () => patientInstance.getMySelfRecord(1, { from: patient2 })
+      ]) {
+        try {
+          await call();
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.include(error.message, "Record not found", "Should revert for another patient's record");
+        }
+      }
+    });
+
+    it("should let consented doctors read a self record by ID", async () => {
+      await patientInstance.uploadSelfRecord("QmLab", "lab.pdf", "Lab Results", "CBC", { from: patient1 });
+      await patientInstance.uploadSelfRecord("QmScan", "scan.png", "Imaging", "MRI", { from: patient1 });
+      await patientInstance.grantConsent(doctor1, ["Lab Results"], 0, { from: patient1 });
+
+      const record = await patientInstance.getPatientSelfRecord(patient1, 1, { from: doctor1 });
+      assert.equal(record.cid, "QmLab", "Doctor should read a consented record type");
+
+      try {
+        await patientInstance.getPatientSelfRecord(patient1, 2, { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Should revert outside the consented types");
+      }
+    });
   });
 
   describe("Medical Records from Doctors", () => {
@@ -245,7 +409,294 @@ contract("PatientContract", (accounts) => {
     });
   });
 
+  describe("Record Access Consents", () => {
+    const now = async () => Number((await web3.eth.getBlock("latest")).timestamp);
+
+    beforeEach(async () => {
+      await patientInstance.uploadSelfRecord("QmLabCID", "lab.pdf", "Lab Results", "Blood test", { from: patient1 });
+      await patientInstance.uploadSelfRecord("QmImagingCID", "xray.png", "Imaging", "Chest X-ray", { from: patient1 });
+      await medicInstance.addMedicalRecord("QmDoctorCID", "report.pdf", patient1, "Hypertension", "Medication", { from: doctor1 });
+    });
+
+    it("should not allow a doctor to read records without consent", async () => {
+      try {
+        await patientInstance.getPatientSelfRecords(patient1, { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Should revert without consent");
+      }
+
+      try {
+        await medicInstance.getMedicalRecords(patient1, { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Should revert without consent");
+      }
+    });
+
+    it("should grant a doctor access to all record types", async () => {
+      const tx = await patientInstance.grantConsent(doctor1, [], 0, { from: patient1 });
+      assert.equal(tx.logs[0].event, "ConsentGranted", "Should emit ConsentGranted event");
+      assert.equal(tx.logs[0].args.doctorId, doctor1, "Event should contain doctor ID");
+
+      assert.isTrue(await patientInstance.hasConsent(patient1, doctor1), "Doctor should have consent");
+
+      const selfRecords = await patientInstance.getPatientSelfRecords(patient1, { from: doctor1 });
+      assert.equal(selfRecords.length, 2, "Doctor should see every self record");
+
+      const medicalRecords = await medicInstance.getMedicalRecords(patient1, { from: doctor1 });
+      assert.equal(medicalRecords.length, 1, "Doctor should see doctor-authored records");
+    });
+
+    it("should limit access to the consented record types", async () => {
+      await patientInstance.grantConsent(doctor1, ["Lab Results"], 0, { from: patient1 });
+
+      const selfRecords = await patientInstance.getPatientSelfRecords(patient1, { from: doctor1 });
+      assert.equal(selfRecords.length, 1, "Doctor should only see lab results");
+      assert.equal(selfRecords[0].cid, "QmLabCID", "CID should match the consented record");
+
+      try {
+        await medicInstance.getMedicalRecords(patient1, { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Medical records were not consented");
+      }
+
+      await patientInstance.grantConsent(doctor1, ["Lab Results", "Medical Record"], 0, { from: patient1 });
+      const medicalRecords = await medicInstance.getActiveMedicalRecords(patient1, { from: doctor1 });
+      assert.equal(medicalRecords.length, 1, "Doctor should see medical records once consented");
+    });
+
+    it("should expire consent at the given time", async () => {
+      const expiresAt = (await now()) + 60;
+      await patientInstance.grantConsent(doctor1, [], expiresAt, { from: patient1 });
+      assert.isTrue(await patientInstance.hasConsent(patient1, doctor1), "Consent should be active before expiry");
+
+      await increaseTime(120);
+
+      assert.isFalse(await patientInstance.hasConsent(patient1, doctor1), "Consent should lapse after expiry");
+    });
+
+    it("should not allow an expiry in the past", async () => {
+      try {
+        await patientInstance.grantConsent(doctor1, [], 1, { from: patient1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Expiry must be in the future", "Should reject past expiry");
+      }
+    });
+
+    it("should not allow consent for an unauthorized doctor", async () => {
+      try {
+        await patientInstance.grantConsent(unauthorized, [], 0, { from: patient1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Doctor not authorized", "Should reject unauthorized doctor");
+      }
+    });
+
+    it("should revoke consent", async () => {
+      await patientInstance.grantConsent(doctor1, [], 0, { from: patient1 });
+      const tx = await patientInstance.revokeConsent(doctor1, { from: patient1 });
+      assert.equal(tx.logs[0].event, "ConsentRevoked", "Should emit ConsentRevoked event");
+
+      assert.isFalse(await patientInstance.hasConsent(patient1, doctor1), "Consent should be revoked");
+
+      try {
+        await patientInstance.getPatientSelfRecords(patient1, { from: doctor1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Should revert after revocation");
+      }
+    });
+
+    it("should list consents granted by the patient", async () => {
+      await patientInstance.grantConsent(doctor1, ["Imaging"], 0, { from: patient1 });
+      await patientInstance.revokeConsent(doctor1, { from: patient1 });
+      await patientInstance.grantConsent(doctor1, ["Lab Results"], 0, { from: patient1 });
+
+      const consents = await patientInstance.getMyConsents({ from: patient1 });
+      assert.equal(consents.length, 1, "Re-granting should update the existing consent");
+      assert.equal(consents[0].doctorId, doctor1, "Doctor ID should match");
+      assert.deepEqual(consents[0].recordTypes, ["Lab Results"], "Scope should be replaced");
+      assert.isTrue(consents[0].isActive, "Consent should be active again");
+
+      const consent = await patientInstance.getConsent(patient1, doctor1, { from: doctor1 });
+      assert.equal(consent.doctorId, doctor1, "Doctor should be able to read their own consent");
+    });
+
+    it("should not let a consented doctor amend another doctor's record", async () => {
+      await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Neurology", "LIC002", { from: owner });
+      await medicInstance.addMedicalRecord("QmCID1", "report.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+      await patientInstance.grantConsent(doctor2, [], 0, { from: patient1 });
+
+      const records = await medicInstance.getMedicalRecords(patient1, { from: doctor2 });
+      const record = records.find(item => item.cid === "QmCID1");
+      assert.exists(record, "Consent should let the doctor read the record");
+
+      try {
+        await medicInstance.amendMedicalRecord(record.recordId, patient1, "", "", "Cold", "Rest", "Second opinion", { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not authorized to amend this record", "Only the author should amend");
+      }
+    });
+  });
+
+  describe("Emergency Access", () => {
+    beforeEach(async () => {
+      await medicInstance.addMedicalRecord("QmActiveCID", "active.pdf", patient1, "Asthma", "Inhaler", { from: doctor1 });
+      await medicInstance.addMedicalRecord("QmOldCID", "old.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+      await medicInstance.deactivateRecord(2, "Entered in error", { from: doctor1 });
+      await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Emergency Medicine", "LIC002", { from: owner });
+    });
+
+    it("should give a doctor temporary access to active records with a justification", async () => {
+      const tx = await patientInstance.breakGlass(patient1, "Unconscious patient in ER", { from: doctor2 });
+      assert.equal(tx.logs[0].event, "EmergencyAccessGranted", "Should emit EmergencyAccessGranted event");
+      assert.equal(tx.logs[0].args.doctorId, doctor2, "Event should contain doctor ID");
+      assert.equal(tx.logs[0].args.justification, "Unconscious patient in ER", "Event should contain justification");
+
+      assert.isTrue(await patientInstance.hasEmergencyAccess(patient1, doctor2), "Doctor should have emergency access");
+
+      const records = await medicInstance.getActiveMedicalRecords(patient1, { from: doctor2 });
+      assert.equal(records.length, 1, "Doctor should only see active records");
+      assert.equal(records[0].cid, "QmActiveCID", "CID should match the active record");
+
+      try {
+        await medicInstance.getMedicalRecords(patient1, { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Full history should still need consent");
+      }
+    });
+
+    it("should require a justification", async () => {
+      try {
+        await patientInstance.breakGlass(patient1, "", { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Justification is required", "Should revert without justification");
+      }
+    });
+
+    it("should not allow non-doctors to break glass", async () => {
+      try {
+        await patientInstance.breakGlass(patient1, "Curious", { from: unauthorized });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not an authorized medical provider", "Should revert for non-doctor");
+      }
+    });
+
+    it("should expire emergency access", async () => {
+      await patientInstance.breakGlass(patient1, "Cardiac arrest", { from: doctor2 });
+      const duration = Number(await patientInstance.EMERGENCY_ACCESS_DURATION());
+
+      await increaseTime(duration + 1);
+
+      assert.isFalse(await patientInstance.hasEmergencyAccess(patient1, doctor2), "Access should lapse");
+      try {
+        await medicInstance.getActiveMedicalRecords(patient1, { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "No consent from patient", "Should revert after expiry");
+      }
+    });
+
+    it("should let the patient and owner review the log but nobody else", async () => {
+      await patientInstance.breakGlass(patient1, "Car accident", { from: doctor2 });
+
+      const patientLog = await patientInstance.getEmergencyAccessLog(patient1, { from: patient1 });
+      assert.equal(patientLog.length, 1, "Patient should see one entry");
+      assert.equal(patientLog[0].doctorId, doctor2, "Doctor ID should match");
+      assert.equal(patientLog[0].justification, "Car accident", "Justification should match");
+
+      const ownerLog = await patientInstance.getEmergencyAccessLog(patient1, { from: owner });
+      assert.equal(ownerLog.length, 1, "Owner should see one entry");
+
+      try {
+        await patientInstance.getEmergencyAccessLog(patient1, { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not authorized", "Doctor should not read the log");
+      }
+    });
+
+    it("should let the patient or owner flag an access once", async () => {
+      await patientInstance.breakGlass(patient1, "Car accident", { from: doctor2 });
+      await patientInstance.breakGlass(patient1, "Follow-up", { from: doctor2 });
+
+      const tx = await patientInstance.flagEmergencyAccess(patient1, 0, "I was not in hospital", { from: patient1 });
+      assert.equal(tx.logs[0].event, "EmergencyAccessFlagged", "Should emit EmergencyAccessFlagged event");
+      assert.equal(tx.logs[0].args.flaggedBy, patient1, "Event should contain who flagged");
+
+      await patientInstance.flagEmergencyAccess(patient1, 1, "Under review", { from: owner });
+
+      const log = await patientInstance.getEmergencyAccessLog(patient1, { from: patient1 });
+      assert.isTrue(log[0].flagged, "First access should be flagged");
+      assert.equal(log[0].flagReason, "I was not in hospital", "Flag reason should match");
+      assert.equal(log[1].flaggedBy, owner, "Owner should have flagged the second access");
+
+      try {
+        await patientInstance.flagEmergencyAccess(patient1, 0, "Again", { from: patient1 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Access already flagged", "Should not flag twice");
+      }
+
+      try {
+        await patientInstance.flagEmergencyAccess(patient1, 1, "Not mine", { from: doctor2 });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not authorized", "Doctor should not flag");
+      }
+    });
+
+    it("should let a super-admin other than the owner flag an access", async () => {
+      await patientInstance.breakGlass(patient1, "Car accident", { from: doctor2 });
+
+      try {
+        await patientInstance.flagEmergencyAccess(patient1, 0, "Under review", { from: unauthorized });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not authorized", "Should revert before the role is granted");
+      }
+
+      await adminInstance.grantRole(await adminInstance.SUPER_ADMIN_ROLE(), unauthorized, { from: owner });
+      const tx = await patientInstance.flagEmergencyAccess(patient1, 0, "Under review", { from: unauthorized });
+      assert.equal(tx.logs[0].args.flaggedBy, unauthorized, "The super-admin should be recorded as the flagger");
+    });
+  });
+
   describe("Access Control", () => {
+    it("should let a super-admin other than the owner read a patient's records", async () => {
+      await patientInstance.uploadSelfRecord("QmSelfCID", "scan.pdf", "Imaging", "Knee scan", { from: patient1 });
+      await medicInstance.addMedicalRecord("QmDoctorCID", "report.pdf", patient1, "Sprain", "Rest", { from: doctor1 });
+      await patientInstance.breakGlass(patient1, "Car accident", { from: doctor1 });
+
+      try {
+        await patientInstance.getPatientSelfRecords(patient1, { from: unauthorized });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert.include(error.message, "Not authorized", "Should revert before the role is granted");
+      }
+
+      await adminInstance.grantRole(await adminInstance.SUPER_ADMIN_ROLE(), unauthorized, { from: owner });
+
+      const selfRecords = await patientInstance.getPatientSelfRecords(patient1, { from: unauthorized });
+      assert.equal(selfRecords.length, 1, "Super-admin should see every self record");
+      const selfRecord = await patientInstance.getPatientSelfRecord(patient1, selfRecords[0].recordId, { from: unauthorized });
+      assert.equal(selfRecord.cid, "QmSelfCID", "Super-admin should read a single self record");
+
+      const medicalRecords = await medicInstance.getMedicalRecords(patient1, { from: unauthorized });
+      assert.equal(medicalRecords.length, 1, "Super-admin should see the doctors' records");
+      assert.equal(medicalRecords[0].cid, "QmDoctorCID", "CID should match");
+
+      const log = await patientInstance.getEmergencyAccessLog(patient1, { from: unauthorized });
+      assert.equal(log.length, 1, "Super-admin should read the emergency access log");
+    });
+
     it("should not allow unauthorized address to view patient profile", async () => {
       await patientInstance.updateProfile("Alice", "alice@email.com", "1234567890", { from: patient1 });
 
@@ -274,6 +725,10 @@ contract("PatientContract", (accounts) => {
         assert.include(error.message, "revert", "Should not allow cross-patient access");
       }
     });
+
+    it("should not expose a public getter for the raw self-record storage", async () => {
+      assert.isUndefined(patientInstance.patientSelfRecords, "Self records must only be readable through the consent checks");
+    });
   });
 
   describe("Edge Cases", () => {
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const PatientContract = artifacts.require("PatientContract");
+const MedicContract = artifacts.require("MedicContract");
+const AdminContract = artifacts.require("AdminContract");
+const ContractRegistry = artifacts.require("ContractRegistry");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "patient-routes-"));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = "local";
+
+const patientRoutes = require("../src/routes/patientRoutes");
+const patientController = require("../src/controllers/patientController");
+const { toApiError } = require("../src/utils/errorUtils");
+
+// Run the middleware chain the router declares for a route, after authentication
+const request = (method, routePath, params, user) => {
+  const layer = patientRoutes.stack.find(
+    (entry) => entry.route && entry.route.path === routePath && entry.route.methods[method]
+  );
+  const handlers = layer.route.stack.map((entry) => entry.handle);
+
+  return new Promise((resolve) => {
+    const res = {
+      status: (statusCode) => ({ json: (body) => resolve({ statusCode, body }) })
+    };
+    const req = { params, query: {}, user };
+    const run = (index) => (error) => {
+      if (error) return resolve({ error });
+      handlers[index](req, res, run(index + 1));
+    };
+    run(0)();
+  });
+};
+
+contract("Patient routes", (accounts) => {
+  const owner = accounts[0];
+  const doctor1 = accounts[1];
+  const patient1 = accounts[2];
+  const superAdmin = accounts[3];
+  const doctor2 = accounts[4];
+
+  let adminInstance;
+
+  before(async () => {
+    const medicInstance = await MedicContract.new({ from: owner });
+    adminInstance = await AdminContract.new({ from: owner });
+    const patientInstance = await PatientContract.new({ from: owner });
+    const registryInstance = await ContractRegistry.new(
+      ["AdminContract", "MedicContract", "PatientContract"].map((name) => web3.utils.keccak256(name)),
+      [adminInstance.address, medicInstance.address, patientInstance.address],
+      { from: owner }
+    );
+    for (const instance of [medicInstance, adminInstance, patientInstance]) {
+      await instance.setRegistry(registryInstance.address, { from: owner });
+    }
+
+    await adminInstance.registerPatient(patient1, "Alice", "1990-01-01", "1234567890", "Bob", { from: owner });
+    await adminInstance.registerDoctor(doctor1, "Dr. Smith", "Cardiology", "LIC001", { from: owner });
+    await adminInstance.registerDoctor(doctor2, "Dr. Jones", "Emergency", "LIC002", { from: owner });
+    await adminInstance.grantRole(await adminInstance.SUPER_ADMIN_ROLE(), superAdmin, { from: owner });
+
+    await medicInstance.addMedicalRecord("QmDoctorCID", "report.pdf", patient1, "Flu", "Rest", { from: doctor1 });
+    await patientInstance.uploadSelfRecord("QmSelfCID", "scan.pdf", "Imaging", "Knee scan", { from: patient1 });
+    await patientInstance.breakGlass(patient1, "Car accident", { from: doctor2 });
+
+    // The controllers read through ethers, as the API does
+    const provider = new ethers.JsonRpcProvider(web3.currentProvider.host);
+    const load = (artifact, instance) => new ethers.Contract(instance.address, artifact.abi, provider);
+    patientController.initializeContracts({
+      adminContract: load(AdminContract, adminInstance),
+      medicContract: load(MedicContract, medicInstance),
+      patientContract: load(PatientContract, patientInstance)
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("as a super-admin who is not the owner", () => {
+    const user = () => ({ address: superAdmin, roles: ["super-admin"] });
+
+    it("should read a patient's medical records", async () => {
+      const { statusCode, body, error } = await request("get", "/:patientId/medical-records", { patientId: patient1 }, user());
+      assert.isUndefined(error, error && error.message);
+      assert.equal(statusCode, 200);
+      assert.equal(body.data.length, 1, "Should return the doctor's record");
+      assert.equal(body.data[0].cid, "QmDoctorCID");
+    });
+
+    it("should read a patient's self-uploaded records", async () => {
+      const { statusCode, body, error } = await request("get", "/:patientId/records", { patientId: patient1 }, user());
+      assert.isUndefined(error, error && error.message);
+      assert.equal(statusCode, 200);
+      assert.equal(body.data.length, 1, "Should return the self record");
+
+      const single = await request(
+        "get", "/:patientId/records/:recordId", { patientId: patient1, recordId: String(body.data[0].recordId) }, user()
+      );
+      assert.isUndefined(single.error, single.error && single.error.message);
+      assert.equal(single.body.data.cid, "QmSelfCID");
+    });
+
+    it("should read a patient's emergency access log", async () => {
+      const { statusCode, body, error } = await request("get", "/:patientId/emergency-access", { patientId: patient1 }, user());
+      assert.isUndefined(error, error && error.message);
+      assert.equal(statusCode, 200);
+      assert.equal(body.data.length, 1, "Should return the break-glass entry");
+      assert.equal(body.data[0].doctorId, doctor2);
+    });
+
+    it("should be refused once the role is revoked", async () => {
+      await adminInstance.revokeRole(await adminInstance.SUPER_ADMIN_ROLE(), superAdmin, { from: owner });
+      try {
+        const { error } = await request("get", "/:patientId/emergency-access", { patientId: patient1 }, user());
+        assert.equal(toApiError(error).code, "RECORD_ACCESS_DENIED");
+      } finally {
+        await adminInstance.grantRole(await adminInstance.SUPER_ADMIN_ROLE(), superAdmin, { from: owner });
+      }
+    });
+  });
+});
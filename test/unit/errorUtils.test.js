@@ -0,0 +1,107 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const {
+    ERROR_CODES,
+    CONTRACT_ERRORS,
+    createApiError,
+    decodeRevert,
+    toApiError
+} = require('../../src/utils/errorUtils');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Revert data of require(false, reason) and of a failed assertion or overflow (Panic)
+const errorData = (reason) => '0x08c379a0' + coder.encode(['string'], [reason]).slice(2);
+const panicData = (code) => '0x4e487b71' + coder.encode(['uint256'], [code]).slice(2);
+
+const callException = (data) => Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data });
+
+describe('errorUtils', () => {
+    describe('decodeRevert', () => {
+        it('decodes a reason string where ethers puts it', () => {
+            assert.deepStrictEqual(decodeRevert(callException(errorData('Not authorized'))), {
+                name: 'Error',
+                args: ['Not authorized'],
+                reason: 'Not authorized'
+            });
+        });
+
+        it('finds the revert data Ganache nests inside the RPC error', () => {
+            const error = Object.assign(new Error('could not coalesce error'), {
+                code: 'UNKNOWN_ERROR',
+                info: { error: { code: -32000, data: { result: errorData('Patient not found') } } }
+            });
+            assert.strictEqual(decodeRevert(error).reason, 'Patient not found');
+        });
+
+        it('decodes panics', () => {
+            const revert = decodeRevert(callException(panicData(0x11)));
+            assert.strictEqual(revert.name, 'Panic');
+            assert.deepStrictEqual(revert.args, [0x11]);
+            assert.strictEqual(revert.reason, 'Panic due to OVERFLOW(17)');
+        });
+
+        it('reports revert data it cannot decode without a name', () => {
+            const data = ethers.id('SomeOtherError(uint256)').slice(0, 10) + coder.encode(['uint256'], [1]).slice(2);
+            assert.deepStrictEqual(decodeRevert(callException(data)), { name: null, args: [], reason: null });
+        });
+
+        it('returns null for errors without revert data', () => {
+            assert.strictEqual(decodeRevert(new Error('socket hang up')), null);
+            assert.strictEqual(decodeRevert(Object.assign(new Error('bad'), { data: '0x' })), null);
+            assert.strictEqual(decodeRevert(Object.assign(new Error('bad'), { data: 'not hex at all' })), null);
+        });
+    });
+
+    describe('toApiError', () => {
+        it('maps known revert reasons to their API error code', () => {
+            const apiError = toApiError(callException(errorData('Not authorized')));
+            assert.strictEqual(apiError.code, 'RECORD_ACCESS_DENIED');
+            assert.strictEqual(apiError.status, 403);
+            assert.strictEqual(apiError.reason, 'Not authorized');
+        });
+
+        it('answers unmapped reverts and panics as CONTRACT_REVERTED with the reason', () => {
+            const unmapped = toApiError(callException(errorData('Something new')));
+            assert.deepStrictEqual([unmapped.code, unmapped.status, unmapped.reason], ['CONTRACT_REVERTED', 400, 'Something new']);
+
+            const panic = toApiError(callException(panicData(0x12)));
+            assert.strictEqual(panic.code, 'CONTRACT_REVERTED');
+            assert.strictEqual(panic.reason, 'Panic due to DIVIDE_BY_ZERO(18)');
+
+            const withoutData = toApiError(Object.assign(new Error('reverted'), { code: 'CALL_EXCEPTION', reason: 'gone' }));
+            assert.deepStrictEqual([withoutData.code, withoutData.reason], ['CONTRACT_REVERTED', 'gone']);
+        });
+
+        it('classifies node, signer and argument failures', () => {
+            assert.strictEqual(toApiError(Object.assign(new Error('x'), { code: 'INSUFFICIENT_FUNDS' })).code, 'SIGNER_OUT_OF_FUNDS');
+            assert.strictEqual(toApiError(Object.assign(new Error('x'), { code: 'NETWORK_ERROR' })).code, 'BLOCKCHAIN_UNAVAILABLE');
+            assert.strictEqual(toApiError(Object.assign(new Error('x'), { error: { code: 'ECONNREFUSED' } })).code, 'BLOCKCHAIN_UNAVAILABLE');
+
+            const invalid = toApiError(Object.assign(new Error('x'), { code: 'INVALID_ARGUMENT', shortMessage: 'invalid address' }));
+            assert.deepStrictEqual([invalid.code, invalid.message], ['VALIDATION_ERROR', 'invalid address']);
+            assert.strictEqual(toApiError(new Error('boom')).code, 'INTERNAL_ERROR');
+        });
+
+        it('keeps API errors and the data handlers attach to them', () => {
+            const apiError = toApiError(createApiError('FILE_NOT_SHARED', 'Not yours', { cid: 'bafy' }));
+            assert.deepStrictEqual(apiError, { code: 'FILE_NOT_SHARED', status: 403, message: 'Not yours', data: { cid: 'bafy' } });
+            assert.strictEqual(toApiError(createApiError('NOT_OWNER')).message, ERROR_CODES.NOT_OWNER.message);
+        });
+
+        it('answers malformed JSON bodies as INVALID_JSON', () => {
+            assert.strictEqual(toApiError(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' })).code, 'INVALID_JSON');
+        });
+    });
+
+    it('maps every contract revert reason to a code in the catalogue', () => {
+        for (const [reason, code] of Object.entries(CONTRACT_ERRORS)) {
+            assert.ok(ERROR_CODES[code], `${reason} maps to unknown code ${code}`);
+        }
+        for (const [code, { status, message }] of Object.entries(ERROR_CODES)) {
+            assert.ok(Number.isInteger(status) && status >= 400 && status < 600, code);
+            assert.ok(message, code);
+        }
+    });
+});
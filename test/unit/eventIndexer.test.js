@@ -0,0 +1,172 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+process.env.EVENT_INDEX_BATCH_BLOCKS = '2';
+process.env.EVENT_INDEX_SEGMENT_EVENTS = '2';
+process.env.EVENT_INDEX_RETENTION_BLOCKS = '0';
+process.env.TX_FINALITY_DEPTH = '4';
+
+const { startIndexer, syncIndex, getIndexerStatus } = require('../../src/indexer/eventIndexer');
+const { indexStore, queryEvents, listIndexedDoctors } = require('../../src/indexer/eventIndex');
+
+const adminInterface = new ethers.Interface([
+    'event DoctorRegistered(address indexed doctorId, string name)',
+    'event DoctorInfoUpdated(address indexed doctorId, string name)'
+]);
+const adminAddress = ethers.Wallet.createRandom().address;
+const [alice, bob, carol, dave] = [1, 2, 3, 4].map(() => ethers.Wallet.createRandom().address);
+
+/**
+ * Chain double: blocks are { hash, events: [[eventName, doctorId, name]] }
+ */
+const createChain = () => {
+    const blocks = [];
+    const hashOf = (number, fork) => ethers.id(`block-${number}-${fork}`);
+    const addBlock = (events = [], fork = 'main') => {
+        blocks.push({ number: blocks.length, hash: hashOf(blocks.length, fork), events });
+    };
+    // Replace every block from `number` on with blocks of another fork
+    const reorganise = (number, newBlocks) => {
+        blocks.splice(number);
+        newBlocks.forEach(events => addBlock(events, 'fork'));
+    };
+
+    const provider = {
+        getNetwork: async () => ({ chainId: 1337n }),
+        getBlockNumber: async () => blocks.length - 1,
+        getBlock: async (number) => {
+            const block = blocks[number];
+            return block && { number, hash: block.hash, timestamp: 1700000000 + number };
+        },
+        getLogs: async ({ fromBlock, toBlock }) => blocks.slice(fromBlock, toBlock + 1).flatMap(block =>
+            block.events.map(([name, doctorId, doctorName], index) => ({
+                ...adminInterface.encodeEventLog(name, [doctorId, doctorName]),
+                address: adminAddress,
+                blockNumber: block.number,
+                blockHash: block.hash,
+                transactionHash: ethers.id(`${block.hash}-${index}`),
+                index
+            }))
+        )
+    };
+
+    // getDoctorInfo answers with the doctor's state as of blockTag
+    const reads = [];
+    const adminContract = {
+        runner: { provider },
+        interface: adminInterface,
+        getAddress: async () => adminAddress,
+        getDoctorInfo: async (doctorId, { blockTag }) => {
+            reads.push({ doctorId, blockTag });
+            let doctor = { id: doctorId, name: '', status: 0, isAuthorized: false, licenseExpiry: 0, registrationDate: 0 };
+            for (const block of blocks.slice(0, blockTag + 1)) {
+                for (const [, id, name] of block.events) {
+                    if (id === doctorId) {
+                        doctor = { ...doctor, name, status: 2, isAuthorized: true, registrationDate: doctor.registrationDate || block.number };
+                    }
+                }
+            }
+            return doctor;
+        }
+    };
+
+    return { addBlock, reorganise, reads, contracts: { adminContract } };
+};
+
+const segmentFiles = () => fs.readdirSync(path.join(process.env.DATA_DIR, 'event-index')).filter(file => file.startsWith('events-'));
+
+describe('eventIndexer', () => {
+    const chain = createChain();
+    useTempDataDir('event-indexer');
+
+    before(async () => {
+        chain.addBlock();
+        chain.addBlock([['DoctorRegistered', alice, 'Dr. Alice']]);
+        chain.addBlock([['DoctorRegistered', bob, 'Dr. Bob']]);
+        chain.addBlock();
+        chain.addBlock([['DoctorRegistered', carol, 'Dr. Carol']]);
+        chain.addBlock([['DoctorInfoUpdated', alice, 'Dr. Alice Smith']]);
+
+        startIndexer(chain.contracts, 3600);
+        await syncIndex();
+    });
+
+    it('splits the events over segment files and reads entries at the end of each batch', () => {
+        const index = indexStore.read();
+        assert.strictEqual(index.lastBlock, 5);
+        assert.deepStrictEqual(index.segments.map(({ fromBlock, toBlock, count }) => [fromBlock, toBlock, count]), [[1, 2, 2], [4, 5, 2]]);
+        assert.strictEqual(segmentFiles().length, 2);
+
+        assert.deepStrictEqual(chain.reads.map(read => read.blockTag), [1, 3, 5, 5]);
+        assert.strictEqual(index.doctors[alice].name, 'Dr. Alice Smith');
+        assert.strictEqual(index.changedIn.doctors[alice.toLowerCase()], 5);
+
+        const { total, events } = queryEvents({ fromBlock: 2, toBlock: 4 });
+        assert.strictEqual(total, 2);
+        assert.deepStrictEqual(events.map(entry => entry.args.doctorId), [bob, carol]);
+    });
+
+    it('rolls back reorganised blocks and reads what they changed at the fork block', async () => {
+        chain.reads.length = 0;
+        chain.reorganise(4, [[], [], [['DoctorRegistered', carol, 'Dr. Carol Jones']]]);
+
+        await syncIndex();
+        const index = indexStore.read();
+
+        assert.deepStrictEqual(index.lastReorg && [index.lastReorg.fromBlock, index.lastReorg.toBlock, index.lastReorg.removedEvents], [4, 5, 2]);
+        assert.deepStrictEqual(chain.reads.slice(0, 2), [{ doctorId: carol, blockTag: 3 }, { doctorId: alice, blockTag: 3 }]);
+        assert.strictEqual(index.doctors[alice].name, 'Dr. Alice');
+        assert.strictEqual(index.changedIn.doctors[alice.toLowerCase()], 1, 'Alice last changed before the fork');
+        assert.strictEqual(index.doctors[carol].name, 'Dr. Carol Jones', 'Replayed blocks are indexed again');
+
+        const { events } = queryEvents();
+        assert.deepStrictEqual(events.map(entry => [entry.blockNumber, entry.args.name]),
+            [[1, 'Dr. Alice'], [2, 'Dr. Bob'], [6, 'Dr. Carol Jones']]);
+        const doctors = listIndexedDoctors();
+        assert.strictEqual(doctors.find(doctor => doctor.id === alice).confirmations, 6);
+    });
+
+    it('deletes segments older than the retention window', async () => {
+        process.env.EVENT_INDEX_RETENTION_BLOCKS = '4';
+        for (let i = 0; i < 6; i++) {
+            chain.addBlock([['DoctorInfoUpdated', bob, `Dr. Bob ${i}`]]);
+        }
+        await syncIndex();
+
+        const index = indexStore.read();
+        assert.strictEqual(index.lastBlock, 12);
+        assert.ok(index.segments.every(segment => segment.toBlock >= 9), 'Only segments in the last 4 blocks are kept');
+        assert.strictEqual(segmentFiles().length, index.segments.length);
+
+        const { events, retainedFromBlock } = queryEvents();
+        assert.strictEqual(retainedFromBlock, index.segments[0].fromBlock);
+        assert.ok(events.every(entry => entry.blockNumber >= retainedFromBlock));
+        assert.strictEqual(index.doctors[alice].name, 'Dr. Alice', 'Pruning events keeps the indexed doctors');
+
+        const status = await getIndexerStatus();
+        assert.strictEqual(status.eventCount, events.length);
+        assert.strictEqual(status.retainedFromBlock, retainedFromBlock);
+    });
+
+    it('backfills old blocks without reading state deeper than the finality depth', async () => {
+        chain.reads.length = 0;
+        chain.addBlock([['DoctorRegistered', dave, 'Dr. Dave']]);
+        chain.addBlock([['DoctorInfoUpdated', bob, 'Dr. Bob Brown']]);
+        for (let i = 0; i < 8; i++) {
+            chain.addBlock();
+        }
+        await syncIndex();
+
+        const index = indexStore.read();
+        assert.strictEqual(index.lastBlock, 22);
+        assert.ok(chain.reads.every(read => read.blockTag >= 22 - 4), 'No reads of state older than the finality depth');
+        assert.deepStrictEqual(chain.reads.map(read => read.doctorId), [dave, bob], 'Entries changed while backfilling are read once');
+        assert.strictEqual(index.doctors[dave].name, 'Dr. Dave');
+        assert.strictEqual(index.doctors[bob].name, 'Dr. Bob Brown');
+        assert.deepStrictEqual(index.pendingRefresh, { doctors: [], patients: [], records: [] });
+    });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.ENCRYPTION_SECRET = 'file-controller-test-secret';
+
+const { uploadToIPFS } = require('../../src/ipfs/ipfs');
+const { shareFilesWithRecipient } = require('../../src/utils/keyUtils');
+const fileController = require('../../src/controllers/fileController');
+
+const patient = ethers.Wallet.createRandom().address;
+const author = ethers.Wallet.createRandom().address;
+const admin = ethers.Wallet.createRandom().address;
+const emergencyDoctor = ethers.Wallet.createRandom().address;
+
+// Revert data of require(false, reason), as a node returns it for eth_call
+const revert = (reason) => Object.assign(new Error(`execution reverted: ${reason}`), {
+    data: '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason]).slice(2)
+});
+
+/**
+ * Contract double whose view functions are answered by handlers of (args, from)
+ */
+const createContract = (handlers) => {
+    const reader = {};
+    for (const [name, handler] of Object.entries(handlers)) {
+        reader[name] = async (...args) => {
+            const { from } = args.pop();
+            return handler(args, from);
+        };
+    }
+    return { runner: { provider: {} }, connect: () => reader };
+};
+
+/**
+ * Run downloadFile and resolve with the downloaded content or the error passed to next
+ */
+const download = (cid, user) => new Promise((resolve) => {
+    const res = new PassThrough();
+    const chunks = [];
+    res.set = () => res;
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ content: Buffer.concat(chunks).toString() }));
+
+    const req = { params: { cid }, query: {}, user };
+    fileController.downloadFile(req, res, error => resolve({ error }));
+});
+
+describe('fileController.downloadFile', () => {
+    const dataDir = useTempDataDir('file-controller');
+    const content = 'Discharge summary';
+    const emergencyAccess = new Set();
+    let cid;
+
+    before(async () => {
+        const filePath = path.join(dataDir, 'summary.txt');
+        fs.writeFileSync(filePath, content);
+        ({ cid } = await uploadToIPFS(filePath, patient, true, author));
+
+        const readActive = (args, from) => {
+            if (from === patient || from === author || emergencyAccess.has(from)) {
+                return [{ cid, fileName: 'summary.txt', version: 1n, recordId: 1n }];
+            }
+            throw revert('No consent from patient');
+        };
+
+        fileController.initializeContracts({
+            medicContract: createContract({
+                getActiveMedicalRecords: readActive,
+                getMedicalRecords: (args, from) => {
+                    if (from === patient || from === author) {
+                        return [{ cid, fileName: 'summary.txt', version: 1n, recordId: 1n }];
+                    }
+                    throw revert('No consent from patient');
+                }
+            }),
+            patientContract: createContract({
+                getPatientSelfRecords: (args, from) => {
+                    if (from === patient) return [];
+                    throw revert('Not authorized');
+                }
+            })
+        });
+    });
+
+    it('lets a super-admin decrypt a file through the escrow key', async () => {
+        const result = await download(cid, { address: admin, roles: ['super-admin'] });
+        assert.ifError(result.error);
+        assert.strictEqual(result.content, content);
+    });
+
+    it('denies doctors without consent or break-glass access', async () => {
+        const result = await download(cid, { address: emergencyDoctor, roles: ['doctor'] });
+        assert.strictEqual(result.error.code, 'RECORD_ACCESS_DENIED');
+    });
+
+    it('lets a doctor with break-glass access decrypt the files shared with them', async () => {
+        emergencyAccess.add(emergencyDoctor);
+        assert.strictEqual(shareFilesWithRecipient(patient, emergencyDoctor, [cid]), 1);
+
+        const result = await download(cid, { address: emergencyDoctor, roles: ['doctor'] });
+        assert.ifError(result.error);
+        assert.strictEqual(result.content, content);
+    });
+});
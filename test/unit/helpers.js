@@ -0,0 +1,34 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Give the calling suite its own DATA_DIR: set before its tests run, restored and
+ * deleted after them. Call it inside a describe block.
+ * @param {string} prefix - Name prefix of the temporary directory
+ * @returns {string} The directory path
+ */
+const useTempDataDir = (prefix) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+    let previousDataDir;
+
+    before(() => {
+        previousDataDir = process.env.DATA_DIR;
+        process.env.DATA_DIR = dataDir;
+    });
+
+    after(() => {
+        if (previousDataDir === undefined) {
+            delete process.env.DATA_DIR;
+        } else {
+            process.env.DATA_DIR = previousDataDir;
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    return dataDir;
+};
+
+module.exports = {
+    useTempDataDir
+};
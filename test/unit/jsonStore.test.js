@@ -0,0 +1,45 @@
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+
+const { useTempDataDir } = require('./helpers');
+
+const { createJsonStore } = require('../../src/utils/jsonStore');
+
+const counterStore = createJsonStore('counter.json', () => ({ count: 0 }));
+
+// Increment the counter from a separate process, the way rotate-keys and the API share a store
+const incrementInChildProcess = (times) => new Promise((resolve, reject) => {
+    const script = `
+        const { createJsonStore } = require(${JSON.stringify(require.resolve('../../src/utils/jsonStore'))});
+        const store = createJsonStore('counter.json', () => ({ count: 0 }));
+        for (let i = 0; i < ${times}; i++) store.update(data => { data.count++; });
+    `;
+    execFile(process.execPath, ['-e', script], { env: process.env }, error => (error ? reject(error) : resolve()));
+});
+
+describe('jsonStore', () => {
+    useTempDataDir('json-store');
+
+    it('loses no update when processes update the same file at once', async () => {
+        await Promise.all([incrementInChildProcess(200), incrementInChildProcess(200)]);
+        assert.strictEqual(counterStore.read().count, 400);
+        assert.ok(!fs.existsSync(`${counterStore.filePath()}.lock`), 'The lock is released');
+    });
+
+    it('releases the lock when the update throws', () => {
+        assert.throws(() => counterStore.update(() => {
+            throw new Error('Invalid change');
+        }), /Invalid change/);
+        assert.strictEqual(counterStore.update(data => ++data.count), 401);
+    });
+
+    it('takes over a lock left behind by a process that died', () => {
+        const lockFile = `${counterStore.filePath()}.lock`;
+        fs.writeFileSync(lockFile, '');
+        const longAgo = new Date(Date.now() - 60 * 1000);
+        fs.utimesSync(lockFile, longAgo, longAgo);
+
+        assert.strictEqual(counterStore.update(data => ++data.count), 402);
+    });
+});
@@ -0,0 +1,209 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+process.env.ENCRYPTION_SECRET = 'key-utils-test-secret';
+
+const {
+    ESCROW_RECIPIENT,
+    generateDataKey,
+    createEncryptStream,
+    createDecryptStream,
+    createEnvelope,
+    getEnvelope,
+    openEnvelope,
+    shareWithRecipient,
+    shareFilesWithRecipient,
+    unshareWithRecipient,
+    dropExpiredShares,
+    rotatePrincipalKey,
+    rotateMasterSecret
+} = require('../../src/utils/keyUtils');
+
+const patient = ethers.Wallet.createRandom().address;
+const author = ethers.Wallet.createRandom().address;
+const doctor = ethers.Wallet.createRandom().address;
+
+// Pipe buffers through a transform and collect what comes out
+const pipeThrough = async (transform, chunks) => {
+    const output = [];
+    for await (const chunk of Readable.from(chunks).pipe(transform)) {
+        output.push(chunk);
+    }
+    return Buffer.concat(output);
+};
+
+const encrypt = (dataKey, plaintext, chunkSize) => pipeThrough(createEncryptStream(dataKey, chunkSize), [plaintext]);
+
+describe('keyUtils', () => {
+    const dataDir = useTempDataDir('key-utils');
+
+    describe('chunked encryption', () => {
+        const dataKey = generateDataKey();
+        const plaintext = Buffer.from('x'.repeat(100) + 'y'.repeat(60));
+
+        it('round-trips content spread over several chunks, whatever the input split', async () => {
+            const encrypted = await encrypt(dataKey, plaintext, 32);
+            // Split the ciphertext at odd offsets to cross chunk boundaries
+            const pieces = [encrypted.subarray(0, 7), encrypted.subarray(7, 50), encrypted.subarray(50)];
+            assert.deepStrictEqual(await pipeThrough(createDecryptStream(dataKey), pieces), plaintext);
+        });
+
+        it('round-trips content that fills its last chunk exactly', async () => {
+            const exact = Buffer.alloc(64, 1);
+            assert.deepStrictEqual(await pipeThrough(createDecryptStream(dataKey), [await encrypt(dataKey, exact, 32)]), exact);
+        });
+
+        it('rejects tampered, truncated and reordered ciphertext', async () => {
+            const encrypted = await encrypt(dataKey, plaintext, 32);
+            const recordSize = 32 + 16;
+
+            const tampered = Buffer.from(encrypted);
+            tampered[20] ^= 1;
+            // Dropping whole chunks still leaves well-formed records
+            const truncated = encrypted.subarray(0, 16 + recordSize * 2);
+            const reordered = Buffer.concat([
+                encrypted.subarray(0, 16),
+                encrypted.subarray(16 + recordSize, 16 + recordSize * 2),
+                encrypted.subarray(16, 16 + recordSize),
+                encrypted.subarray(16 + recordSize * 2)
+            ]);
+
+            for (const [name, ciphertext] of Object.entries({ tampered, truncated, reordered })) {
+                await assert.rejects(pipeThrough(createDecryptStream(dataKey), [ciphertext]), { code: 'DECRYPTION_FAILED' }, name);
+            }
+        });
+
+        it('rejects the wrong data key', async () => {
+            const encrypted = await encrypt(dataKey, plaintext, 32);
+            await assert.rejects(pipeThrough(createDecryptStream(generateDataKey()), [encrypted]), { code: 'DECRYPTION_FAILED' });
+        });
+    });
+
+    describe('envelopes', () => {
+        it('wraps the data key for the patient, the author and the escrow key only', () => {
+            const dataKey = generateDataKey();
+            createEnvelope('cid-authored', dataKey, patient, author);
+
+            assert.deepStrictEqual(getEnvelope('cid-authored').recipients.sort(), [patient, author, ESCROW_RECIPIENT].sort());
+            for (const recipient of [patient, author.toLowerCase(), ESCROW_RECIPIENT]) {
+                assert.deepStrictEqual(openEnvelope('cid-authored', recipient), dataKey);
+            }
+            assert.throws(() => openEnvelope('cid-authored', doctor), { code: 'FILE_NOT_SHARED' });
+            assert.throws(() => openEnvelope('cid-missing', patient), { code: 'FILE_NOT_SHARED' });
+        });
+
+        it('shares the files and later uploads a consent covers, until consent is revoked', () => {
+            const dataKey = generateDataKey();
+            createEnvelope('cid-self', dataKey, patient, null, 'Lab Results');
+            createEnvelope('cid-imaging', generateDataKey(), patient, null, 'Imaging');
+
+            const consent = { cids: ['cid-self'], recordTypes: ['Lab Results'], expiresAt: 0 };
+            assert.strictEqual(shareWithRecipient(patient, doctor, consent), 1);
+            assert.deepStrictEqual(openEnvelope('cid-self', doctor), dataKey);
+            assert.throws(() => openEnvelope('cid-imaging', doctor), { code: 'FILE_NOT_SHARED' });
+            assert.throws(() => openEnvelope('cid-authored', doctor), { code: 'FILE_NOT_SHARED' });
+
+            const laterKey = generateDataKey();
+            createEnvelope('cid-later', laterKey, patient, null, 'Lab Results');
+            assert.deepStrictEqual(openEnvelope('cid-later', doctor), laterKey);
+            createEnvelope('cid-later-imaging', generateDataKey(), patient, null, 'Imaging');
+            assert.ok(!getEnvelope('cid-later-imaging').recipients.includes(doctor));
+
+            assert.strictEqual(unshareWithRecipient(patient, doctor), 2);
+            assert.throws(() => openEnvelope('cid-self', doctor), { code: 'FILE_NOT_SHARED' });
+            createEnvelope('cid-after-revoke', generateDataKey(), patient, null, 'Lab Results');
+            assert.ok(!getEnvelope('cid-after-revoke').recipients.includes(doctor));
+        });
+
+        it('unwraps the files a consent no longer covers when it is granted again', () => {
+            shareWithRecipient(patient, doctor, { cids: ['cid-self', 'cid-imaging'], recordTypes: [] });
+            openEnvelope('cid-imaging', doctor);
+
+            shareWithRecipient(patient, doctor, { cids: ['cid-self'], recordTypes: ['Lab Results'] });
+            openEnvelope('cid-self', doctor);
+            assert.throws(() => openEnvelope('cid-imaging', doctor), { code: 'FILE_NOT_SHARED' });
+            unshareWithRecipient(patient, doctor);
+        });
+
+        it('drops the wrapped keys once the consent expires', () => {
+            const expiresAt = Math.floor(Date.now() / 1000) + 60;
+            shareWithRecipient(patient, doctor, { cids: ['cid-self', 'cid-later'], recordTypes: [], expiresAt });
+            openEnvelope('cid-self', doctor);
+            assert.strictEqual(dropExpiredShares(), 0, 'The consent has not expired yet');
+
+            const envelopesFile = path.join(dataDir, 'envelopes.json');
+            const envelopes = JSON.parse(fs.readFileSync(envelopesFile, 'utf8'));
+            envelopes.sharedWith[patient][0].expiresAt = Math.floor(Date.now() / 1000) - 1;
+            fs.writeFileSync(envelopesFile, JSON.stringify(envelopes));
+
+            assert.throws(() => openEnvelope('cid-self', doctor), { code: 'FILE_NOT_SHARED' });
+            assert.ok(!getEnvelope('cid-later').recipients.includes(doctor), 'Every wrap of the expired consent is removed');
+            createEnvelope('cid-after-expiry', generateDataKey(), patient);
+            assert.ok(!getEnvelope('cid-after-expiry').recipients.includes(doctor));
+        });
+
+        it('keeps the records a doctor authored readable to them after consent is revoked', () => {
+            shareWithRecipient(patient, author, { cids: ['cid-authored', 'cid-self'] });
+            unshareWithRecipient(patient, author);
+            assert.ok(getEnvelope('cid-authored').recipients.includes(author));
+            assert.throws(() => openEnvelope('cid-self', author), { code: 'FILE_NOT_SHARED' });
+        });
+
+        it('shares only the given files after a break-glass access', () => {
+            assert.strictEqual(shareFilesWithRecipient(patient, doctor, ['cid-self']), 1);
+            openEnvelope('cid-self', doctor);
+            assert.throws(() => openEnvelope('cid-later', doctor), { code: 'FILE_NOT_SHARED' });
+            createEnvelope('cid-after-break-glass', generateDataKey(), patient);
+            assert.ok(!getEnvelope('cid-after-break-glass').recipients.includes(doctor));
+        });
+
+        it('wraps an envelope made before the escrow key existed for it on first use', () => {
+            const dataKey = generateDataKey();
+            createEnvelope('cid-legacy', dataKey, patient);
+
+            const envelopesFile = path.join(dataDir, 'envelopes.json');
+            const envelopes = JSON.parse(fs.readFileSync(envelopesFile, 'utf8'));
+            delete envelopes.envelopes['cid-legacy'].recipients[ESCROW_RECIPIENT];
+            fs.writeFileSync(envelopesFile, JSON.stringify(envelopes));
+
+            assert.deepStrictEqual(openEnvelope('cid-legacy', ESCROW_RECIPIENT), dataKey);
+            assert.ok(getEnvelope('cid-legacy').recipients.includes(ESCROW_RECIPIENT));
+        });
+    });
+
+    describe('key rotation', () => {
+        it("rewraps a principal's envelopes under a new key version", () => {
+            const dataKey = openEnvelope('cid-self', patient);
+            const { version, rewrapped } = rotatePrincipalKey(patient);
+
+            assert.strictEqual(version, 2);
+            assert.ok(rewrapped >= 4, 'Every envelope of the patient is rewrapped');
+            assert.deepStrictEqual(openEnvelope('cid-self', patient), dataKey);
+            assert.strictEqual(rotatePrincipalKey(patient).rewrapped, rewrapped);
+        });
+
+        it('re-encrypts the principal keys under a new master secret', () => {
+            const previousSecret = process.env.ENCRYPTION_SECRET;
+            const dataKey = openEnvelope('cid-authored', author);
+            try {
+                assert.ok(rotateMasterSecret('a-new-master-secret') >= 3);
+                process.env.ENCRYPTION_SECRET = 'a-new-master-secret';
+                assert.deepStrictEqual(openEnvelope('cid-authored', author), dataKey);
+
+                process.env.ENCRYPTION_SECRET = 'the-wrong-secret';
+                assert.throws(() => openEnvelope('cid-authored', author));
+            } finally {
+                if (previousSecret === undefined) {
+                    delete process.env.ENCRYPTION_SECRET;
+                } else {
+                    process.env.ENCRYPTION_SECRET = previousSecret;
+                }
+            }
+        });
+    });
+});
@@ -0,0 +1,168 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+const {
+    REGISTRATION_STATUS,
+    createRegistrationRequest,
+    listRegistrationRequests,
+    updateRegistrationRequest
+} = require('../../src/utils/registrationQueue');
+const patientController = require('../../src/controllers/patientController');
+const adminController = require('../../src/controllers/adminController');
+
+const details = {
+    name: 'Alice Patient',
+    dateOfBirth: '1990-01-01',
+    phoneNumber: '+15551234567',
+    emergencyContact: 'Bob',
+    email: 'alice@example.com'
+};
+const admin = ethers.Wallet.createRandom().address;
+
+/**
+ * Call a controller and resolve with { statusCode, body } or { error }
+ */
+const call = (handler, req) => new Promise((resolve) => {
+    const res = { status: (statusCode) => ({ json: (body) => resolve({ statusCode, body }) }) };
+    handler({ params: {}, query: {}, body: {}, ...req }, res, (error) => resolve({ error }));
+});
+
+/**
+ * AdminContract and PatientContract doubles whose writes are mined at once
+ */
+const createContracts = () => {
+    const registered = new Set();
+    const profiles = new Set();
+    const calls = [];
+    let block = 0;
+    const receipts = {};
+
+    const provider = {
+        getBlockNumber: async () => block,
+        getTransactionReceipt: async (hash) => receipts[hash] || null,
+        waitForTransaction: async (hash) => receipts[hash]
+    };
+    const send = (name, apply) => async (...args) => {
+        calls.push([name, ...args]);
+        apply(...args);
+        const hash = ethers.id(`${name}-${calls.length}`);
+        receipts[hash] = { hash, status: 1, blockNumber: ++block, blockHash: ethers.id(`block-${block}`) };
+        return { hash, from: admin, nonce: calls.length, provider };
+    };
+
+    return {
+        calls,
+        contracts: {
+            adminContract: {
+                isPatientActive: async (patientId) => registered.has(patientId),
+                registerPatient: send('registerPatient', patientId => registered.add(patientId))
+            },
+            patientContract: {
+                patientProfiles: async (patientId) => ({ lastUpdated: profiles.has(patientId) ? 1n : 0n }),
+                initializeProfileByAdmin: send('initializeProfileByAdmin', patientId => profiles.add(patientId))
+            }
+        },
+        registered,
+        profiles
+    };
+};
+
+describe('registrationQueue', () => {
+    useTempDataDir('registration-queue');
+
+    it('allows one pending request per address and a new one once it is rejected', () => {
+        const patientId = ethers.Wallet.createRandom().address;
+        const first = createRegistrationRequest(patientId, details);
+        assert.strictEqual(first.status, REGISTRATION_STATUS.PENDING);
+
+        assert.throws(() => createRegistrationRequest(patientId.toLowerCase(), details), { code: 'REGISTRATION_PENDING' });
+
+        updateRegistrationRequest(first.id, { status: REGISTRATION_STATUS.REJECTED, rejectionReason: 'Unreadable ID' });
+        const second = createRegistrationRequest(patientId, details);
+        assert.deepStrictEqual(listRegistrationRequests({ patientId }).map(entry => entry.id), [first.id, second.id]);
+        assert.deepStrictEqual(listRegistrationRequests({ status: REGISTRATION_STATUS.PENDING, patientId }), [second]);
+    });
+
+    it('refuses to update a request that does not exist', () => {
+        assert.throws(() => updateRegistrationRequest('missing', { status: REGISTRATION_STATUS.APPROVED }), { code: 'REGISTRATION_NOT_FOUND' });
+    });
+
+    describe('self-registration and review', () => {
+        const patientId = ethers.Wallet.createRandom().address;
+        const patient = { address: patientId, roles: [] };
+        const registrar = { address: admin, roles: ['registrar'] };
+        let chain;
+
+        before(() => {
+            chain = createContracts();
+            adminController.initializeContracts(chain.contracts);
+        });
+
+        it('queues a valid request and reports its status to the patient', async () => {
+            const invalid = await call(patientController.selfRegisterPatient, { user: patient, body: { ...details, email: 'not-an-email' } });
+            assert.strictEqual(invalid.error.code, 'VALIDATION_ERROR');
+
+            const { statusCode, body } = await call(patientController.selfRegisterPatient, { user: patient, body: details });
+            assert.strictEqual(statusCode, 202);
+            assert.strictEqual(body.data.patientId, patientId);
+
+            const status = await call(patientController.getRegistrationStatus, { user: patient });
+            assert.strictEqual(status.body.data.status, REGISTRATION_STATUS.PENDING);
+            assert.strictEqual(chain.calls.length, 0, 'Nothing is written on-chain before approval');
+        });
+
+        it('turns away addresses that are already patients', async () => {
+            const { error } = await call(patientController.selfRegisterPatient, {
+                user: { address: ethers.Wallet.createRandom().address, roles: ['patient'] },
+                body: details
+            });
+            assert.strictEqual(error.code, 'PATIENT_ALREADY_REGISTERED');
+        });
+
+        it('registers the patient and sets up the profile on approval, once', async () => {
+            const [request] = listRegistrationRequests({ patientId });
+            const { statusCode, body } = await call(adminController.approveRegistrationRequest, {
+                user: registrar,
+                params: { requestId: request.id }
+            });
+
+            assert.strictEqual(statusCode, 200);
+            assert.strictEqual(body.data.status, REGISTRATION_STATUS.APPROVED);
+            assert.strictEqual(body.data.reviewedBy, admin);
+            assert.ok(body.data.transactionHash);
+            assert.deepStrictEqual(chain.calls.map(([name]) => name), ['registerPatient', 'initializeProfileByAdmin']);
+            assert.deepStrictEqual(chain.calls[0].slice(1), [patientId, details.name, details.dateOfBirth, details.phoneNumber, details.emergencyContact]);
+            assert.deepStrictEqual(chain.calls[1].slice(1), [patientId, details.name, details.email, details.phoneNumber]);
+
+            const again = await call(adminController.approveRegistrationRequest, { user: registrar, params: { requestId: request.id } });
+            assert.strictEqual(again.error.code, 'CONFLICT');
+        });
+
+        it('skips the steps that already happened when an approval is retried', async () => {
+            const retried = ethers.Wallet.createRandom().address;
+            chain.registered.add(retried);
+            const request = createRegistrationRequest(retried, details);
+            chain.calls.length = 0;
+
+            const { body } = await call(adminController.approveRegistrationRequest, { user: registrar, params: { requestId: request.id } });
+            assert.strictEqual(body.data.status, REGISTRATION_STATUS.APPROVED);
+            assert.deepStrictEqual(chain.calls.map(([name]) => name), ['initializeProfileByAdmin']);
+        });
+
+        it('records the reason a request is rejected', async () => {
+            const request = createRegistrationRequest(ethers.Wallet.createRandom().address, details);
+            const { body } = await call(adminController.rejectRegistrationRequest, {
+                user: registrar,
+                params: { requestId: request.id },
+                body: { reason: 'Duplicate identity' }
+            });
+            assert.strictEqual(body.data.status, REGISTRATION_STATUS.REJECTED);
+            assert.strictEqual(body.data.rejectionReason, 'Duplicate identity');
+
+            const missing = await call(adminController.rejectRegistrationRequest, { user: registrar, params: { requestId: 'missing' } });
+            assert.strictEqual(missing.error.code, 'REGISTRATION_NOT_FOUND');
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const {
+    FORWARD_REQUEST_TYPES,
+    prepareForwardRequest,
+    relayForwardRequest
+} = require('../../src/utils/relayUtils');
+// Registers the PatientContract argument checks
+require('../../src/controllers/patientController');
+
+const signer = ethers.Wallet.createRandom();
+const patientAddress = ethers.Wallet.createRandom().address;
+const forwarderAddress = ethers.Wallet.createRandom().address;
+
+const patientContract = {
+    interface: new ethers.Interface(['function updateProfile(string _name, string _email, string _phoneNumber)']),
+    getAddress: async () => patientAddress
+};
+
+const createForwarder = () => {
+    const forwarder = {
+        executed: false,
+        NAME: async () => 'BlockHealthForwarder',
+        VERSION: async () => '1',
+        getAddress: async () => forwarderAddress,
+        getNonce: async () => 0n,
+        verify: async () => true,
+        runner: {
+            provider: {
+                getNetwork: async () => ({ chainId: 1337n }),
+                estimateGas: async () => 50000n
+            }
+        }
+    };
+    forwarder.execute = async () => {
+        forwarder.executed = true;
+        throw new Error('should not be submitted');
+    };
+    forwarder.execute.estimateGas = async () => 80000n;
+    return forwarder;
+};
+
+const signRequest = async (contracts, args) => {
+    const message = {
+        from: signer.address,
+        to: patientAddress,
+        gas: '60000',
+        nonce: '0',
+        deadline: String(Math.floor(Date.now() / 1000) + 600),
+        data: patientContract.interface.encodeFunctionData('updateProfile', args)
+    };
+    const domain = {
+        name: 'BlockHealthForwarder',
+        version: '1',
+        chainId: 1337,
+        verifyingContract: forwarderAddress
+    };
+    return { request: message, signature: await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, message) };
+};
+
+describe('relayUtils call validation', () => {
+    it('rejects invalid profile fields when a generic relay request is prepared', async () => {
+        const contracts = { patientContract, forwarderContract: createForwarder() };
+
+        await assert.rejects(
+            prepareForwardRequest(contracts, signer.address, 'PatientContract', 'updateProfile', ['Alice', 'not-an-email', '']),
+            { code: 'VALIDATION_ERROR', message: 'Invalid email address' }
+        );
+    });
+
+    it('prepares valid profile updates', async () => {
+        const contracts = { patientContract, forwarderContract: createForwarder() };
+
+        const typedData = await prepareForwardRequest(contracts, signer.address, 'PatientContract', 'updateProfile', ['Alice', 'alice@example.com', '+1 555 0100']);
+        assert.strictEqual(typedData.message.to, patientAddress);
+    });
+
+    it('rejects invalid profile fields in a signed request before submitting it', async () => {
+        const forwarderContract = createForwarder();
+        const contracts = { patientContract, forwarderContract };
+        const { request, signature } = await signRequest(contracts, ['', 'alice@example.com', '']);
+
+        await assert.rejects(
+            relayForwardRequest(contracts, request, signature),
+            { code: 'VALIDATION_ERROR', message: 'Name is required' }
+        );
+        assert.strictEqual(forwarderContract.executed, false);
+    });
+});
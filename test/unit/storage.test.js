@@ -0,0 +1,138 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { useTempDataDir } = require('./helpers');
+
+const { parseCID } = require('../../src/storage/contentAddressing');
+const { createLocalStorage } = require('../../src/storage/localStorage');
+const { createS3Storage } = require('../../src/storage/s3Storage');
+
+const content = Buffer.from('encrypted medical record');
+const missingCid = 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy';
+
+const collect = async (source) => {
+    const chunks = [];
+    for await (const chunk of source) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// The CID must be the raw sha2-256 CIDv1 of the content, whichever backend stores it
+const assertContentCid = async (cid, data) => {
+    const parsed = await parseCID(cid);
+    assert.strictEqual(parsed.version, 1);
+    assert.strictEqual(parsed.code, 0x55, 'raw codec');
+    assert.deepStrictEqual(Buffer.from(parsed.multihash.digest), crypto.createHash('sha256').update(data).digest());
+};
+
+/**
+ * Behaviour every storage provider shares
+ * @param {Function} getStorage - Returns the provider under test
+ */
+const describeProvider = (getStorage) => {
+    it('stores streamed content under its CID and reads it back', async () => {
+        const storage = getStorage();
+        const cid = await storage.add([content.subarray(0, 5), content.subarray(5)]);
+        await assertContentCid(cid, content);
+        assert.deepStrictEqual(await collect(storage.cat(cid)), content);
+        assert.strictEqual(await storage.add([content]), cid, 'The same content gets the same CID');
+    });
+
+    it('pins and unpins, reporting whether anything changed', async () => {
+        const storage = getStorage();
+        const cid = await storage.add([content]);
+
+        assert.strictEqual(await storage.pin(cid, { patientId: '0xabc' }), true);
+        assert.strictEqual(await storage.pin(cid), false);
+        assert.deepStrictEqual(await storage.listPins(), [{ cid, depth: null, metadata: { patientId: '0xabc' } }]);
+
+        assert.strictEqual(await storage.unpin(cid), true);
+        assert.strictEqual(await storage.unpin(cid), false);
+        assert.deepStrictEqual(await storage.listPins(), []);
+    });
+
+    it('rejects unknown and invalid CIDs', async () => {
+        const storage = getStorage();
+        await assert.rejects(collect(storage.cat(missingCid)), { code: 'FILE_NOT_FOUND' });
+        await assert.rejects(storage.pin(missingCid), { code: 'FILE_NOT_FOUND' });
+        await assert.rejects(collect(storage.cat('../../keys.json')), { code: 'INVALID_CID' });
+        await assert.rejects(storage.unpin('not-a-cid'), { code: 'INVALID_CID' });
+    });
+};
+
+describe('storage providers', () => {
+    const dataDir = useTempDataDir('storage');
+
+    describe('local', () => {
+        const rootPath = path.join(dataDir, 'files');
+        let storage;
+
+        before(() => {
+            storage = createLocalStorage({ rootPath });
+        });
+
+        describeProvider(() => storage);
+
+        it('keeps one object per CID and no temporary files', async () => {
+            await storage.add([content]);
+            assert.strictEqual(fs.readdirSync(path.join(rootPath, 'objects')).length, 1);
+            assert.deepStrictEqual(fs.readdirSync(path.join(rootPath, 'tmp')), []);
+        });
+    });
+
+    describe('s3', () => {
+        // S3-compatible server double keeping objects in memory
+        const objects = new Map();
+        const requests = [];
+        let server;
+        let storage;
+
+        before(async () => {
+            server = http.createServer(async (req, res) => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers });
+                const body = await collect(req);
+                if (req.method === 'PUT') {
+                    objects.set(req.url, body);
+                    return res.writeHead(200).end();
+                }
+                if (!objects.has(req.url)) {
+                    return res.writeHead(404).end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+                }
+                res.writeHead(200, { 'content-length': objects.get(req.url).length });
+                res.end(req.method === 'HEAD' ? undefined : objects.get(req.url));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            storage = createS3Storage({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                region: 'eu-west-1',
+                bucket: 'records',
+                prefix: 'files/',
+                accessKeyId: 'test-key',
+                secretAccessKey: 'test-secret',
+                tempPath: path.join(dataDir, 'tmp'),
+                pinIndexPath: 's3-pins.json'
+            });
+        });
+
+        after(() => new Promise(resolve => server.close(resolve)));
+
+        describeProvider(() => storage);
+
+        it('signs path-style requests under the prefix and uploads each object once', async () => {
+            const cid = await storage.add([content]);
+            const puts = requests.filter(request => request.method === 'PUT');
+
+            assert.strictEqual(puts.length, 1, 'Content already in the bucket is not uploaded again');
+            assert.strictEqual(puts[0].url, `/records/files/${cid}`);
+            assert.strictEqual(puts[0].headers['x-amz-content-sha256'], 'UNSIGNED-PAYLOAD');
+            assert.match(puts[0].headers.authorization,
+                /^AWS4-HMAC-SHA256 Credential=test-key\/\d{8}\/eu-west-1\/s3\/aws4_request, SignedHeaders=content-length;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/);
+            assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, 'tmp')), []);
+        });
+    });
+});
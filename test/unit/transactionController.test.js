@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+const { trackTransaction, acceptTransaction } = require('../../src/utils/txTracker');
+const { getTransaction } = require('../../src/controllers/transactionController');
+
+const submitter = ethers.Wallet.createRandom().address;
+const otherUser = ethers.Wallet.createRandom().address;
+
+const newTransaction = () => ({ hash: ethers.id(String(Math.random())), from: ethers.ZeroAddress, nonce: 0 });
+
+// Call getTransaction and resolve with the error it passes on; contracts are not
+// set up here, so a caller allowed through stops at CONTRACTS_NOT_INITIALIZED
+const lookUp = (id, user) => new Promise((resolve, reject) => {
+    const res = { status: () => ({ json: () => reject(new Error('Expected an error response')) }) };
+    getTransaction({ params: { id }, query: {}, user }, res, resolve);
+});
+
+describe('transactionController.getTransaction', () => {
+    useTempDataDir('transaction-controller');
+
+    it('lets the submitter look up their transaction by tracking ID or hash', async () => {
+        const tx = newTransaction();
+        const { transactionId } = acceptTransaction(tx, 'uploadSelfRecordByAdmin', submitter);
+        const user = { address: submitter.toLowerCase(), roles: ['patient'] };
+
+        assert.strictEqual((await lookUp(transactionId, user)).code, 'CONTRACTS_NOT_INITIALIZED');
+        assert.strictEqual((await lookUp(tx.hash, user)).code, 'CONTRACTS_NOT_INITIALIZED');
+    });
+
+    it("answers another user's transaction as not found", async () => {
+        const tx = newTransaction();
+        const { transactionId } = acceptTransaction(tx, 'addMedicalRecordByAdmin', submitter);
+        const user = { address: otherUser, roles: ['doctor'] };
+
+        assert.strictEqual((await lookUp(transactionId, user)).code, 'TRANSACTION_NOT_FOUND');
+        assert.strictEqual((await lookUp(tx.hash, user)).code, 'TRANSACTION_NOT_FOUND');
+    });
+
+    it("lets super-admins and auditors look up anyone's transaction, including the API's own jobs", async () => {
+        const tx = newTransaction();
+        trackTransaction(tx, 'suspendExpiredDoctor');
+
+        for (const role of ['super-admin', 'auditor']) {
+            const error = await lookUp(tx.hash, { address: otherUser, roles: [role] });
+            assert.strictEqual(error.code, 'CONTRACTS_NOT_INITIALIZED', role);
+        }
+        const error = await lookUp(tx.hash, { address: submitter, roles: ['registrar'] });
+        assert.strictEqual(error.code, 'TRANSACTION_NOT_FOUND');
+    });
+});
@@ -0,0 +1,171 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+const { createQueuedSigner } = require('../../src/utils/txQueue');
+const { trackTransaction, getTrackedTransaction } = require('../../src/utils/txTracker');
+
+const nonceExpired = () => Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' });
+
+/**
+ * Wallet double: `mined` is the account nonce on chain (the 'latest' nonce), and
+ * sends below it fail the way ethers reports it. `legacy` wallets price transactions with gasPrice.
+ */
+const createWallet = ({ legacy = false } = {}) => {
+    const wallet = {
+        address: ethers.Wallet.createRandom().address,
+        mined: 0,
+        sent: [],
+        fees: legacy ? { gasPrice: 100n } : { maxFeePerGas: 100n, maxPriorityFeePerGas: 10n },
+        provider: { getFeeData: async () => wallet.fees },
+        getNonce: async (blockTag) => blockTag === 'pending'
+            ? Math.max(wallet.mined, ...wallet.sent.map(tx => tx.nonce + 1))
+            : wallet.mined,
+        populateTransaction: async (tx) => {
+            // Resolve later than the send that follows it, as a gas estimate would
+            await new Promise(resolve => setImmediate(resolve));
+            if (tx.data === 'revert') {
+                throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+            }
+            return { ...tx, ...wallet.fees };
+        },
+        sendTransaction: async (request) => {
+            if (request.nonce < wallet.mined) {
+                throw nonceExpired();
+            }
+            const response = { ...request, hash: ethers.id(`${request.nonce}-${wallet.sent.length}`) };
+            wallet.sent.push(response);
+            return response;
+        }
+    };
+    return wallet;
+};
+
+describe('txQueue', () => {
+    useTempDataDir('tx-queue');
+
+    before(() => {
+        process.env.TX_GAS_BUMP_PERCENT = '20';
+        process.env.TX_MAX_GAS_BUMPS = '2';
+    });
+
+    after(() => {
+        for (const name of ['TX_GAS_BUMP_PERCENT', 'TX_MAX_GAS_BUMPS', 'TX_STUCK_AFTER_SECONDS']) {
+            delete process.env[name];
+        }
+    });
+
+    describe('nonces', () => {
+        it('gives concurrent sends consecutive nonces in the order they were made', async () => {
+            const wallet = createWallet();
+            const signer = createQueuedSigner(wallet);
+
+            const responses = await Promise.all([1, 2, 3].map(id => signer.sendTransaction({ data: `call-${id}` })));
+            assert.deepStrictEqual(responses.map(response => [response.data, response.nonce]), [['call-1', 0], ['call-2', 1], ['call-3', 2]]);
+        });
+
+        it('does not use up a nonce on a call that fails its gas estimate', async () => {
+            const wallet = createWallet();
+            const signer = createQueuedSigner(wallet);
+
+            const results = await Promise.allSettled([
+                signer.sendTransaction({ data: 'call-1' }),
+                signer.sendTransaction({ data: 'revert' }),
+                signer.sendTransaction({ data: 'call-2' })
+            ]);
+            assert.strictEqual(results[1].reason.code, 'CALL_EXCEPTION');
+            assert.deepStrictEqual(wallet.sent.map(tx => tx.nonce), [0, 1]);
+            assert.strictEqual((await signer.getQueueStatus()).nextNonce, 2);
+        });
+
+        it('resyncs from the node once another process has used the wallet', async () => {
+            const wallet = createWallet();
+            const signer = createQueuedSigner(wallet);
+            await signer.sendTransaction({ data: 'call-1' });
+
+            // Another process sent nonces 1 and 2, and both were mined
+            wallet.mined = 3;
+            const response = await signer.sendTransaction({ data: 'call-2' });
+            assert.strictEqual(response.nonce, 3);
+        });
+
+        it('gives up after one resync', async () => {
+            const wallet = createWallet();
+            const signer = createQueuedSigner(wallet);
+            wallet.sendTransaction = async () => {
+                throw nonceExpired();
+            };
+            await assert.rejects(signer.sendTransaction({ data: 'call-1' }), { code: 'NONCE_EXPIRED' });
+        });
+    });
+
+    describe('stuck transactions', () => {
+        afterEach(() => {
+            delete process.env.TX_STUCK_AFTER_SECONDS;
+        });
+
+        it('leaves transactions alone until TX_STUCK_AFTER_SECONDS', async () => {
+            process.env.TX_STUCK_AFTER_SECONDS = '3600';
+            const wallet = createWallet();
+            const signer = createQueuedSigner(wallet);
+            await signer.sendTransaction({ data: 'call-1' });
+
+            await signer.resubmitStuckTransactions();
+            assert.strictEqual(wallet.sent.length, 1);
+            assert.deepStrictEqual((await signer.getQueueStatus()).inFlight.map(entry => entry.stuck), [false]);
+        });
+
+        it('re-sends a stuck transaction with the same nonce and bumped fees, at most TX_MAX_GAS_BUMPS times', async () => {
+            process.env.TX_STUCK_AFTER_SECONDS = '0';
+            const wallet = createWallet();
+            const signer = createQueuedSigner(wallet);
+            const original = await signer.sendTransaction({ data: 'call-1' });
+            trackTransaction(original, 'registerDoctor');
+
+            await signer.resubmitStuckTransactions();
+            const [, first] = wallet.sent;
+            assert.strictEqual(first.nonce, original.nonce);
+            assert.strictEqual(first.maxFeePerGas, 120n);
+            assert.strictEqual(first.maxPriorityFeePerGas, 12n);
+            assert.strictEqual(getTrackedTransaction(original.hash).replacedBy, first.hash);
+
+            // The network's fees rose past the bump
+            wallet.fees = { maxFeePerGas: 500n, maxPriorityFeePerGas: 11n };
+            await signer.resubmitStuckTransactions();
+            const second = wallet.sent[2];
+            assert.strictEqual(second.maxFeePerGas, 500n);
+            assert.strictEqual(second.maxPriorityFeePerGas, 14n);
+            assert.strictEqual(getTrackedTransaction(original.hash).replacedBy, second.hash);
+
+            await signer.resubmitStuckTransactions();
+            assert.strictEqual(wallet.sent.length, 3, 'No more than TX_MAX_GAS_BUMPS re-sends');
+            assert.deepStrictEqual((await signer.getQueueStatus()).inFlight.map(entry => entry.bumps), [2]);
+        });
+
+        it('bumps the gas price of legacy transactions', async () => {
+            process.env.TX_STUCK_AFTER_SECONDS = '0';
+            const wallet = createWallet({ legacy: true });
+            const signer = createQueuedSigner(wallet);
+            await signer.sendTransaction({ data: 'call-1' });
+
+            await signer.resubmitStuckTransactions();
+            assert.strictEqual(wallet.sent[1].gasPrice, 120n);
+            assert.strictEqual(wallet.sent[1].maxFeePerGas, undefined);
+        });
+
+        it('forgets transactions once their nonce is mined', async () => {
+            process.env.TX_STUCK_AFTER_SECONDS = '0';
+            const wallet = createWallet();
+            const signer = createQueuedSigner(wallet);
+            await signer.sendTransaction({ data: 'call-1' });
+            await signer.sendTransaction({ data: 'call-2' });
+
+            wallet.mined = 1;
+            await signer.resubmitStuckTransactions();
+
+            assert.deepStrictEqual(wallet.sent.slice(2).map(tx => tx.nonce), [1], 'Only the unmined transaction is re-sent');
+            assert.deepStrictEqual((await signer.getQueueStatus()).inFlight.map(entry => entry.nonce), [1]);
+        });
+    });
+});
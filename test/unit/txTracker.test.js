@@ -0,0 +1,143 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+const {
+    TX_STATUS,
+    trackTransaction,
+    getTrackedTransaction,
+    listTrackedTransactions,
+    recordReplacement,
+    refreshTransaction
+} = require('../../src/utils/txTracker');
+
+/**
+ * Node double: mined transactions have a receipt, unmined ones may sit in the mempool
+ */
+const createProvider = () => {
+    const receipts = {};
+    const mempool = new Set();
+    const provider = {
+        head: 0,
+        getBlockNumber: async () => provider.head,
+        getTransactionReceipt: async (hash) => receipts[hash] || null,
+        getTransaction: async (hash) => (mempool.has(hash) || receipts[hash] ? { hash } : null),
+        send: (hash) => {
+            mempool.add(hash);
+        },
+        mine: (hash, blockNumber, status = 1) => {
+            mempool.delete(hash);
+            receipts[hash] = { hash, blockNumber, blockHash: ethers.id(`${blockNumber}-${hash}`), status };
+        },
+        // The block is reorganised away and the transaction does not return to the mempool
+        forget: (hash) => {
+            mempool.delete(hash);
+            delete receipts[hash];
+        }
+    };
+    return provider;
+};
+
+const newTransaction = (provider) => {
+    const tx = { hash: ethers.id(String(Math.random())), from: ethers.ZeroAddress, nonce: 0 };
+    provider.send(tx.hash);
+    return tx;
+};
+
+describe('txTracker', () => {
+    useTempDataDir('tx-tracker');
+
+    before(() => {
+        process.env.TX_FINALITY_DEPTH = '3';
+    });
+
+    after(() => {
+        delete process.env.TX_FINALITY_DEPTH;
+        delete process.env.TX_TRACKER_MAX_ENTRIES;
+    });
+
+    it('goes back to pending when its block is reorganised away and follows it into the new block', async () => {
+        const provider = createProvider();
+        const tx = newTransaction(provider);
+        trackTransaction(tx, 'registerDoctor');
+
+        provider.mine(tx.hash, 5);
+        provider.head = 5;
+        let entry = await refreshTransaction(provider, tx.hash);
+        assert.strictEqual(entry.status, TX_STATUS.CONFIRMED);
+        const firstBlockHash = entry.blockHash;
+
+        // Reorganised out, back in the mempool
+        provider.forget(tx.hash);
+        provider.send(tx.hash);
+        entry = await refreshTransaction(provider, tx.hash);
+        assert.strictEqual(entry.status, TX_STATUS.PENDING);
+        assert.strictEqual(entry.reorgs, 1);
+        assert.strictEqual(entry.blockHash, null);
+
+        provider.mine(tx.hash, 6);
+        provider.head = 8;
+        entry = await refreshTransaction(provider, entry.id);
+        assert.strictEqual(entry.status, TX_STATUS.FINAL);
+        assert.notStrictEqual(entry.blockHash, firstBlockHash);
+        assert.deepStrictEqual(entry.history.map(change => change.status),
+            [TX_STATUS.PENDING, TX_STATUS.CONFIRMED, TX_STATUS.PENDING, TX_STATUS.FINAL]);
+    });
+
+    it('is dropped once the node knows neither the transaction nor its replacement', async () => {
+        const provider = createProvider();
+        const tx = newTransaction(provider);
+        trackTransaction(tx, 'registerPatient');
+        const replacement = newTransaction(provider);
+        recordReplacement(tx.hash, replacement.hash);
+
+        provider.forget(replacement.hash);
+        let entry = await refreshTransaction(provider, tx.hash);
+        assert.strictEqual(entry.status, TX_STATUS.PENDING, 'The original is still in the mempool');
+
+        provider.forget(tx.hash);
+        entry = await refreshTransaction(provider, tx.hash);
+        assert.strictEqual(entry.status, TX_STATUS.DROPPED);
+    });
+
+    it('settles on the original when it is mined instead of its replacement', async () => {
+        const provider = createProvider();
+        const tx = newTransaction(provider);
+        trackTransaction(tx, 'addMedicalRecord');
+        const replacement = newTransaction(provider);
+        recordReplacement(tx.hash, replacement.hash);
+
+        // Same nonce: mining the original evicts the replacement
+        provider.mine(tx.hash, 10);
+        provider.forget(replacement.hash);
+        provider.head = 10;
+
+        const entry = await refreshTransaction(provider, tx.hash);
+        assert.strictEqual(entry.status, TX_STATUS.CONFIRMED);
+        assert.strictEqual(entry.blockNumber, 10);
+        assert.strictEqual(entry.replacedBy, null);
+    });
+
+    it('prunes the oldest settled transactions beyond TX_TRACKER_MAX_ENTRIES', async () => {
+        const provider = createProvider();
+        const existing = listTrackedTransactions().length;
+        process.env.TX_TRACKER_MAX_ENTRIES = String(existing + 2);
+
+        const [settled, unsettled] = [newTransaction(provider), newTransaction(provider)];
+        trackTransaction(settled, 'registerDoctor');
+        provider.mine(settled.hash, 20, 0);
+        await refreshTransaction(provider, settled.hash);
+        trackTransaction(unsettled, 'registerDoctor');
+
+        for (let i = 0; i < 3; i++) {
+            trackTransaction(newTransaction(provider), 'registerDoctor');
+        }
+
+        const remaining = listTrackedTransactions();
+        assert.strictEqual(remaining.length, existing + 2);
+        assert.strictEqual(getTrackedTransaction(settled.hash), null, 'The failed transaction is pruned');
+        assert.ok(getTrackedTransaction(unsettled.hash), 'Pending transactions are kept');
+        assert.ok(remaining.every(entry => entry.status !== TX_STATUS.FINAL && entry.status !== TX_STATUS.DROPPED));
+    });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { ethers } = require('ethers');
+
+const { useTempDataDir } = require('./helpers');
+
+process.env.ENCRYPTION_SECRET = 'upload-queue-test-secret';
+
+const {
+    UPLOAD_STATUS,
+    enqueueUpload,
+    openUploadDetails,
+    getUpload,
+    updateUpload,
+    removeUpload
+} = require('../../src/utils/uploadQueue');
+const { createDecryptStream, getEnvelope, moveEnvelope, openEnvelope } = require('../../src/utils/keyUtils');
+
+const patient = ethers.Wallet.createRandom().address;
+const doctor = ethers.Wallet.createRandom().address;
+const content = 'MRI report: no abnormalities';
+const details = { diagnosis: 'Migraine', treatment: 'Rest and fluids' };
+
+const decrypt = async (dataKey, ciphertext) => {
+    const output = [];
+    for await (const chunk of Readable.from([ciphertext]).pipe(createDecryptStream(dataKey))) {
+        output.push(chunk);
+    }
+    return Buffer.concat(output).toString();
+};
+
+describe('uploadQueue', () => {
+    const dataDir = useTempDataDir('upload-queue');
+
+    // Queue a file the way addPatientRecord does when the storage upload fails
+    const queue = async () => {
+        const filePath = path.join(dataDir, `upload-${Date.now()}.txt`);
+        fs.writeFileSync(filePath, content);
+        const entry = await enqueueUpload(filePath, {
+            fileName: 'report.txt',
+            patientId: patient,
+            authorId: doctor,
+            ...details,
+            error: 'IPFS unavailable'
+        });
+        assert.ok(!fs.existsSync(filePath), 'The temporary upload is deleted');
+        return entry;
+    };
+
+    it('queues the file and the record details encrypted under a data key with an envelope', async () => {
+        const entry = await queue();
+
+        const queued = fs.readFileSync(entry.filePath);
+        assert.ok(!queued.includes(content), 'The queued file is encrypted');
+        const queueFile = fs.readFileSync(path.join(dataDir, 'pending-uploads.json'), 'utf8');
+        assert.ok(!queueFile.includes(details.diagnosis) && !queueFile.includes(details.treatment));
+
+        assert.deepStrictEqual(openUploadDetails(entry), details);
+        assert.strictEqual(await decrypt(openEnvelope(entry.envelopeId, patient), queued), content);
+    });
+
+    it('keeps the envelope readable at the CID once the file is stored, and purges the file on completion', async () => {
+        const entry = await queue();
+        const cid = 'bafkreiqueuedfile';
+        moveEnvelope(entry.envelopeId, cid);
+        assert.deepStrictEqual(moveEnvelope(entry.envelopeId, cid).sort(), getEnvelope(cid).recipients.sort(), 'Moving twice is a no-op');
+
+        const uploaded = updateUpload(entry.id, { status: UPLOAD_STATUS.UPLOADED, cid });
+        assert.deepStrictEqual(openUploadDetails(uploaded), details);
+        assert.strictEqual(await decrypt(openEnvelope(cid, doctor), fs.readFileSync(entry.filePath)), content);
+
+        const completed = updateUpload(entry.id, { status: UPLOAD_STATUS.COMPLETED });
+        assert.ok(!fs.existsSync(entry.filePath));
+        assert.strictEqual(openUploadDetails(completed), null);
+        assert.ok(getEnvelope(cid), 'The stored file stays readable');
+    });
+
+    it('deletes the queued file, its envelope and the record details once retries give up', async () => {
+        const entry = await queue();
+        const failed = updateUpload(entry.id, { status: UPLOAD_STATUS.FAILED, attempts: 5 });
+
+        assert.ok(!fs.existsSync(entry.filePath));
+        assert.strictEqual(getEnvelope(entry.envelopeId), null);
+        assert.strictEqual(openUploadDetails(failed), null);
+        assert.ok(!fs.readFileSync(path.join(dataDir, 'pending-uploads.json'), 'utf8').includes(entry.sealedDetails));
+    });
+
+    it('deletes the queued file and its envelope when the upload is removed', async () => {
+        const entry = await queue();
+        removeUpload(entry.id);
+
+        assert.strictEqual(getUpload(entry.id), null);
+        assert.ok(!fs.existsSync(entry.filePath));
+        assert.strictEqual(getEnvelope(entry.envelopeId), null);
+        assert.throws(() => removeUpload(entry.id), { code: 'UPLOAD_NOT_FOUND' });
+    });
+});